@@ -0,0 +1,70 @@
+import ChunkReader from './chunk-reader.js';
+import { readTarRange, gzipChunks } from './archive.js';
+import { calculateChecksum } from './utils/checksum.js';
+import { TransferError } from './utils/errors.js';
+import { ERROR_CODES } from '../../shared/protocol.js';
+
+/**
+ * Archive Reader - Serves the chunks of a directory archive without writing it anywhere
+ * A tar is read straight from the archived files, at any offset. A tar.gz is
+ * compressed as it is read; asking for an earlier chunk again (a retry)
+ * compresses it once more from the start, and every chunk must match the hash
+ * taken when the archive was first compressed (see FileHandler.createArchive)
+ */
+class ArchiveReader extends ChunkReader {
+  /**
+   * @param {Object} layout - `{ segments, gzip, size, fileChecksum, chunkChecksums }` from FileHandler.createArchive;
+   *   the checksums are known for a tar.gz only
+   * @param {number} chunkSize - Chunk size in bytes
+   * @param {string} algorithm - Hash algorithm of the file and chunk checksums
+   */
+  constructor(layout, chunkSize, algorithm) {
+    super(null, layout.size, chunkSize, null, 0, {
+      algorithm,
+      known: layout.fileChecksum ? { fileChecksum: layout.fileChecksum, chunkChecksums: layout.chunkChecksums } : null
+    });
+    this.layout = layout;
+    this.compressed = null; // gzipChunks of a tar.gz, about to yield chunk nextCompressed
+    this.nextCompressed = 0;
+  }
+
+  async readData(chunkIndex, position, length) {
+    if (!this.layout.gzip) {
+      return readTarRange(this.layout.segments, position, length);
+    }
+
+    if (!this.compressed || chunkIndex < this.nextCompressed) {
+      await this.close();
+      this.compressed = gzipChunks(this.layout.segments, this.chunkSize);
+      this.nextCompressed = 0;
+    }
+
+    let data = null;
+    while (this.nextCompressed <= chunkIndex) {
+      const { value, done } = await this.compressed.next();
+      if (done) {
+        break;
+      }
+      data = value;
+      this.nextCompressed++;
+    }
+    if (!data || this.nextCompressed !== chunkIndex + 1 || data.length !== length
+      || calculateChecksum(data, this.algorithm) !== this.layout.chunkChecksums[chunkIndex]) {
+      throw new TransferError(ERROR_CODES.FILE_CHANGED, `Directory changed while being archived: chunk ${chunkIndex} came out different`);
+    }
+    return data;
+  }
+
+  // Every file is checked against its fingerprint whenever it is read
+  async checkUnchanged() {}
+
+  async close() {
+    if (this.compressed) {
+      const compressed = this.compressed;
+      this.compressed = null;
+      await compressed.return();
+    }
+  }
+}
+
+export default ArchiveReader;
@@ -0,0 +1,147 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import FileHandler from './file-handler.js';
+import { ERROR_CODES } from '../../shared/protocol.js';
+import { BLOCK_SIZE, decodeHeader, paddingFor } from '../../shared/tar.js';
+
+const CHUNK_SIZE = 1024;
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+// Entries of an uncompressed archive, as { name: contents }
+const untar = (archive) => {
+  const entries = {};
+  for (let offset = 0; offset < archive.length;) {
+    const header = decodeHeader(archive.subarray(offset, offset + BLOCK_SIZE));
+    if (!header) {
+      break;
+    }
+    offset += BLOCK_SIZE;
+    entries[header.name] = archive.subarray(offset, offset + header.size).toString('latin1');
+    offset += header.size + paddingFor(header.size);
+  }
+  return entries;
+};
+
+const fileChanged = (error) => {
+  assert.equal(error.code, ERROR_CODES.FILE_CHANGED);
+  return true;
+};
+
+describe('Directory archives', () => {
+  let workDir;
+  let logsDir;
+  let fileHandler;
+  let contents;
+
+  beforeEach(() => {
+    workDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'archive-reader-test-')));
+    logsDir = path.join(workDir, 'logs');
+    fs.mkdirSync(path.join(logsDir, 'old'), { recursive: true });
+    contents = {
+      'logs/app.log': 'a line of log\n'.repeat(50),
+      'logs/empty.log': '',
+      'logs/old/app.log.1': crypto.randomBytes(3000).toString('latin1')
+    };
+    for (const [name, data] of Object.entries(contents)) {
+      fs.writeFileSync(path.join(workDir, name), Buffer.from(data, 'latin1'));
+    }
+
+    fileHandler = new FileHandler({
+      SHARE_ROOTS: [workDir],
+      SHARE_DENY_GLOBS: [],
+      SNAPSHOT_MODE: false,
+      SNAPSHOT_DIR: path.join(workDir, 'snapshots'),
+      CHECKSUM_CACHE_FILE: path.join(workDir, 'checksums.json'),
+      CHECKSUM_CACHE_MAX_ENTRIES: 0
+    });
+    fileHandler.chunkSize = CHUNK_SIZE;
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  const readAll = async (reader) => {
+    const chunks = [];
+    for (let chunkIndex = 0; chunkIndex < reader.totalChunks; chunkIndex++) {
+      chunks.push((await reader.readChunk(chunkIndex)).data);
+    }
+    return Buffer.concat(chunks);
+  };
+
+  test('streams a tar from the files, without writing it anywhere', async () => {
+    const { layout, files, totalBytes } = await fileHandler.createArchive(logsDir, { format: 'tar' });
+    assert.deepEqual(files.map(file => file.path), ['logs/app.log', 'logs/empty.log', 'logs/old/app.log.1']);
+    assert.equal(totalBytes, 3700);
+    assert.equal(layout.gzip, false);
+    assert.equal(layout.fileChecksum, null);
+    assert.equal(fs.existsSync(path.join(workDir, 'snapshots')), false);
+
+    const reader = await fileHandler.openArchiveReader(layout, 'sha256');
+    try {
+      const archive = await readAll(reader);
+      assert.equal(archive.length, layout.size);
+      assert.equal(reader.totalChunks, Math.ceil(layout.size / CHUNK_SIZE));
+      assert.deepEqual(untar(archive), contents);
+      assert.equal(await reader.getFileChecksum(), sha256(archive));
+      assert.deepEqual(await reader.getChunkChecksums(), Array.from({ length: reader.totalChunks }, (_, chunkIndex) =>
+        sha256(archive.subarray(chunkIndex * CHUNK_SIZE, (chunkIndex + 1) * CHUNK_SIZE))));
+    } finally {
+      await reader.close();
+    }
+  });
+
+  test('reads any chunk of a tar on its own, as for a retry', async () => {
+    const { layout } = await fileHandler.createArchive(logsDir, { format: 'tar' });
+    const archive = await readAll(await fileHandler.openArchiveReader(layout, 'sha256'));
+
+    const reader = await fileHandler.openArchiveReader(layout, 'sha256');
+    for (const chunkIndex of [3, 1, reader.totalChunks - 1]) {
+      const { data } = await reader.readChunk(chunkIndex);
+      assert.deepEqual(data, archive.subarray(chunkIndex * CHUNK_SIZE, (chunkIndex + 1) * CHUNK_SIZE));
+    }
+  });
+
+  test('compresses a tar.gz up front only to size and hash it', async () => {
+    const { layout } = await fileHandler.createArchive(logsDir, { format: 'tar.gz' }, 'sha256');
+    assert.equal(layout.gzip, true);
+    assert.equal(fs.existsSync(path.join(workDir, 'snapshots')), false);
+
+    const reader = await fileHandler.openArchiveReader(layout, 'sha256');
+    try {
+      const archive = await readAll(reader);
+      assert.equal(archive.length, layout.size);
+      assert.equal(layout.fileChecksum, sha256(archive));
+      assert.deepEqual(untar(zlib.gunzipSync(archive)), contents);
+
+      // An earlier chunk is compressed again from the start
+      const { data, checksum } = await reader.readChunk(1);
+      assert.deepEqual(data, archive.subarray(CHUNK_SIZE, 2 * CHUNK_SIZE));
+      assert.equal(checksum, layout.chunkChecksums[1]);
+    } finally {
+      await reader.close();
+    }
+  });
+
+  test('refuses a file that changed after the directory was walked', async () => {
+    const tar = await fileHandler.createArchive(logsDir, { format: 'tar' });
+    const tarGz = await fileHandler.createArchive(logsDir, { format: 'tar.gz' }, 'sha256');
+    fs.appendFileSync(path.join(workDir, 'logs/old/app.log.1'), 'more');
+
+    const tarReader = await fileHandler.openArchiveReader(tar.layout, 'sha256');
+    await assert.rejects(readAll(tarReader), fileChanged);
+
+    const tarGzReader = await fileHandler.openArchiveReader(tarGz.layout, 'sha256');
+    try {
+      await assert.rejects(readAll(tarGzReader), fileChanged);
+    } finally {
+      await tarGzReader.close();
+    }
+  });
+});
@@ -0,0 +1,190 @@
+import fs from 'fs/promises';
+import { Readable } from 'stream';
+import zlib from 'zlib';
+import { TransferError } from './utils/errors.js';
+import { getFingerprint, sameFingerprint, describeChange } from './utils/fingerprint.js';
+import { ERROR_CODES } from '../../shared/protocol.js';
+import { TYPES, END_OF_ARCHIVE, encodeHeader, paddingFor } from '../../shared/tar.js';
+
+/**
+ * Lay out a tar archive of the given files without reading them
+ * Headers are encoded up front; file data and padding are only described, so
+ * any byte of the archive can be produced later from the files themselves
+ * @param {Array<Object>} files - `{ path, name, mode, fingerprint }` in archive order; name is the path inside the archive
+ * @returns {Object} `{ segments, size }`; each segment is `{ offset, length }` with `data` (a Buffer),
+ *   `file` (bytes from the start of that file) or neither (zeros)
+ */
+export function layoutTarArchive(files) {
+  const segments = [];
+  let size = 0;
+  const add = (segment) => {
+    if (segment.length > 0) {
+      segments.push({ offset: size, ...segment });
+      size += segment.length;
+    }
+  };
+
+  for (const file of files) {
+    const header = encodeHeader({
+      name: file.name,
+      size: file.fingerprint.size,
+      mode: file.mode,
+      mtime: file.fingerprint.mtimeMs / 1000,
+      type: TYPES.FILE
+    });
+    add({ length: header.length, data: header });
+    add({ length: file.fingerprint.size, file });
+    add({ length: paddingFor(file.fingerprint.size) });
+  }
+  add({ length: END_OF_ARCHIVE.length });
+
+  return { segments, size };
+}
+
+/**
+ * Read part of a laid-out archive
+ * @param {Array<Object>} segments - As returned by layoutTarArchive
+ * @param {number} position - Offset in the archive
+ * @param {number} length - Bytes to read
+ * @returns {Promise<Buffer>} Archive bytes
+ * @throws {TransferError} FILE_CHANGED if a file changed after the directory was walked
+ */
+export async function readTarRange(segments, position, length) {
+  const buffer = Buffer.alloc(length);
+
+  // Last segment starting at or before the position
+  let low = 0;
+  let high = segments.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (segments[middle].offset <= position) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  let filled = 0;
+  for (let index = low; filled < length; index++) {
+    const segment = segments[index];
+    const start = position + filled - segment.offset;
+    const count = Math.min(segment.length - start, length - filled);
+    if (segment.data) {
+      segment.data.copy(buffer, filled, start, start + count);
+    } else if (segment.file) {
+      await readFileRange(segment.file, buffer, filled, start, count);
+    }
+    filled += count;
+  }
+  return buffer;
+}
+
+/**
+ * Produce the bytes of a laid-out archive in order
+ * @param {Array<Object>} segments - As returned by layoutTarArchive
+ */
+async function* tarStream(segments) {
+  for (const segment of segments) {
+    if (segment.file) {
+      yield* readFile(segment.file);
+    } else {
+      yield segment.data || Buffer.alloc(segment.length);
+    }
+  }
+}
+
+/**
+ * Produce a laid-out archive compressed with gzip, cut into chunks
+ * Compression is deterministic, so the same files always give the same chunks
+ * @param {Array<Object>} segments - As returned by layoutTarArchive
+ * @param {number} chunkSize - Chunk size in bytes
+ */
+export async function* gzipChunks(segments, chunkSize) {
+  const source = Readable.from(tarStream(segments));
+  const gzip = zlib.createGzip();
+  source.once('error', error => gzip.destroy(error));
+  source.pipe(gzip);
+
+  try {
+    let pending = [];
+    let pendingLength = 0;
+    for await (const data of gzip) {
+      pending.push(data);
+      pendingLength += data.length;
+      while (pendingLength >= chunkSize) {
+        const buffer = Buffer.concat(pending);
+        yield buffer.subarray(0, chunkSize);
+        pending = [buffer.subarray(chunkSize)];
+        pendingLength -= chunkSize;
+      }
+    }
+    if (pendingLength > 0) {
+      yield Buffer.concat(pending);
+    }
+  } finally {
+    source.destroy();
+    gzip.destroy();
+  }
+}
+
+/**
+ * Read a whole file into the archive
+ * The file must still match the fingerprint taken when the directory was
+ * walked, before and after it is read
+ * @param {Object} file - `{ path, fingerprint }`
+ */
+async function* readFile(file) {
+  const handle = await fs.open(file.path, 'r');
+  try {
+    checkUnchanged(file, await handle.stat());
+
+    const { size } = file.fingerprint;
+    let written = 0;
+    if (size > 0) {
+      for await (const data of handle.createReadStream({ start: 0, end: size - 1, autoClose: false })) {
+        written += data.length;
+        yield data;
+      }
+    }
+    if (written !== size) {
+      throw new TransferError(ERROR_CODES.FILE_CHANGED, `File shrank while being archived: ${file.path}`);
+    }
+    checkUnchanged(file, await handle.stat());
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Read part of a file into the archive, checked like readFile
+ * @param {Object} file - `{ path, fingerprint }`
+ * @param {Buffer} buffer - Buffer to read into
+ * @param {number} offset - Where in the buffer to start
+ * @param {number} position - Where in the file to start
+ * @param {number} length - Bytes to read
+ */
+async function readFileRange(file, buffer, offset, position, length) {
+  const handle = await fs.open(file.path, 'r');
+  try {
+    checkUnchanged(file, await handle.stat());
+
+    let read = 0;
+    while (read < length) {
+      const { bytesRead } = await handle.read(buffer, offset + read, length - read, position + read);
+      if (bytesRead === 0) {
+        throw new TransferError(ERROR_CODES.FILE_CHANGED, `File shrank while being archived: ${file.path}`);
+      }
+      read += bytesRead;
+    }
+    checkUnchanged(file, await handle.stat());
+  } finally {
+    await handle.close();
+  }
+}
+
+function checkUnchanged(file, stats) {
+  const current = getFingerprint(stats);
+  if (!sameFingerprint(file.fingerprint, current)) {
+    throw new TransferError(ERROR_CODES.FILE_CHANGED, `${file.path} changed while being archived: ${describeChange(file.fingerprint, current)}`);
+  }
+}
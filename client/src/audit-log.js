@@ -0,0 +1,88 @@
+import fs from 'fs';
+import path from 'path';
+import logger from './utils/logger.js';
+
+// Outcomes recorded for a transfer; a file the server accepted gets a `sent`
+// entry when the client finishes and a `verified` or `rejected` one on DOWNLOAD_RESULT
+export const OUTCOMES = {
+  SENT: 'sent',
+  VERIFIED: 'verified',
+  REJECTED: 'rejected',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// Sent transfers remembered until their DOWNLOAD_RESULT; servers without the
+// receipts feature never send one, so the oldest are forgotten past this many
+const MAX_AWAITING_RESULTS = 1000;
+
+/**
+ * Audit Log - Append-only JSON-lines record of the files this client handed over
+ * Entries are written one at a time so concurrent transfers never interleave.
+ * Failing to write is logged but never stops a transfer
+ */
+class AuditLog {
+  /**
+   * @param {string} filePath - Log file, created with its directory on first write
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.writing = Promise.resolve();
+    this.awaitingResults = new Map(); // requestId -> `sent` entry
+  }
+
+  /**
+   * Append one entry
+   * @param {Object} entry - `{ requestId, path, size, checksum, hashAlgorithm, requester, startedAt, endedAt, outcome }`
+   *   with `error` for failures and any other details worth keeping
+   * @returns {Promise<void>} Resolves once the entry is written (or failed to be)
+   */
+  record(entry) {
+    if (entry.outcome === OUTCOMES.SENT) {
+      this.awaitingResults.set(entry.requestId, entry);
+      if (this.awaitingResults.size > MAX_AWAITING_RESULTS) {
+        this.awaitingResults.delete(this.awaitingResults.keys().next().value);
+      }
+    }
+
+    const line = `${JSON.stringify(entry)}\n`;
+    this.writing = this.writing
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true, mode: 0o700 });
+        await fs.promises.appendFile(this.filePath, line, { mode: 0o600 });
+      })
+      .catch((error) => {
+        logger.error(`Cannot write audit log ${this.filePath}: ${error.message}`);
+      });
+    return this.writing;
+  }
+
+  /**
+   * Record the server's verdict on a sent transfer
+   * A client restarted since sending no longer knows the transfer; the entry
+   * then holds what the server reported
+   * @param {Object} result - DOWNLOAD_RESULT message
+   * @returns {Promise<void>} Resolves once the entry is written
+   */
+  recordResult(result) {
+    const sent = this.awaitingResults.get(result.requestId) || {
+      requestId: result.requestId,
+      path: null,
+      size: result.fileSize ?? null,
+      checksum: result.fileChecksum ?? null,
+      hashAlgorithm: result.hashAlgorithm ?? null,
+      requester: null,
+      startedAt: null
+    };
+    this.awaitingResults.delete(result.requestId);
+
+    return this.record({
+      ...sent,
+      endedAt: result.timestamp,
+      outcome: result.success ? OUTCOMES.VERIFIED : OUTCOMES.REJECTED,
+      ...(result.success ? { serverChecksum: result.fileChecksum } : { error: result.error })
+    });
+  }
+}
+
+export default AuditLog;
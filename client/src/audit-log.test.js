@@ -0,0 +1,114 @@
+import { describe, test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import AuditLog, { OUTCOMES } from './audit-log.js';
+import logger from './utils/logger.js';
+
+describe('AuditLog', () => {
+  let workDir;
+  let logFile;
+  let auditLog;
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-test-'));
+    logFile = path.join(workDir, 'audit', 'client-1-audit.jsonl');
+    auditLog = new AuditLog(logFile);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  const readEntries = () => fs.readFileSync(logFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+  // As WebSocketClient.auditTransfer writes them
+  const transferEntry = (requestId, outcome, details = {}) => ({
+    requestId,
+    path: `/data/${requestId}.bin`,
+    size: null,
+    checksum: null,
+    hashAlgorithm: 'sha256',
+    requester: 'cli',
+    startedAt: '2026-01-05T09:00:00.000Z',
+    endedAt: '2026-01-05T09:01:00.000Z',
+    outcome,
+    ...details
+  });
+
+  const TRANSFER_FIELDS = ['requestId', 'path', 'size', 'checksum', 'hashAlgorithm', 'requester', 'startedAt', 'endedAt', 'outcome'];
+
+  test('writes one line per entry with the fields of each outcome', async () => {
+    await auditLog.record(transferEntry('sent', OUTCOMES.SENT, { size: 2048, checksum: 'file-hash', range: { offset: 0, length: 2048 } }));
+    await auditLog.record(transferEntry('failed', OUTCOMES.FAILED, { error: { code: 'FILE_CHANGED', message: 'Source file changed' } }));
+    await auditLog.record(transferEntry('cancelled', OUTCOMES.CANCELLED, { error: { code: 'DOWNLOAD_CANCELLED', message: 'Cancelled by user request' } }));
+    await auditLog.recordResult({ requestId: 'sent', success: true, fileChecksum: 'file-hash', timestamp: '2026-01-05T09:02:00.000Z' });
+
+    const [sent, failed, cancelled, verified] = readEntries();
+    assert.deepEqual(Object.keys(sent), [...TRANSFER_FIELDS, 'range']);
+    assert.deepEqual(sent, transferEntry('sent', OUTCOMES.SENT, { size: 2048, checksum: 'file-hash', range: { offset: 0, length: 2048 } }));
+    assert.deepEqual(Object.keys(failed), [...TRANSFER_FIELDS, 'error']);
+    assert.deepEqual(failed.error, { code: 'FILE_CHANGED', message: 'Source file changed' });
+    assert.deepEqual(Object.keys(cancelled), [...TRANSFER_FIELDS, 'error']);
+    assert.equal(cancelled.outcome, OUTCOMES.CANCELLED);
+
+    // The verdict repeats what was sent, with the server's checksum
+    assert.deepEqual(verified, {
+      ...sent,
+      endedAt: '2026-01-05T09:02:00.000Z',
+      outcome: OUTCOMES.VERIFIED,
+      serverChecksum: 'file-hash'
+    });
+  });
+
+  test('records a rejected transfer with the server error', async () => {
+    await auditLog.record(transferEntry('rejected', OUTCOMES.SENT, { size: 10, checksum: 'file-hash' }));
+    const error = { code: 'CHECKSUM_MISMATCH', message: 'File checksum mismatch' };
+    await auditLog.recordResult({ requestId: 'rejected', success: false, error, timestamp: '2026-01-05T09:02:00.000Z' });
+
+    const rejected = readEntries()[1];
+    assert.deepEqual(Object.keys(rejected), [...TRANSFER_FIELDS, 'error']);
+    assert.equal(rejected.outcome, OUTCOMES.REJECTED);
+    assert.equal(rejected.checksum, 'file-hash');
+    assert.deepEqual(rejected.error, error);
+  });
+
+  test('records a verdict for a transfer it does not remember from what the server reports', async () => {
+    await auditLog.recordResult({
+      requestId: 'before-restart',
+      success: true,
+      fileSize: 10,
+      fileChecksum: 'server-hash',
+      hashAlgorithm: 'sha512',
+      timestamp: '2026-01-05T09:02:00.000Z'
+    });
+
+    assert.deepEqual(readEntries(), [{
+      requestId: 'before-restart',
+      path: null,
+      size: 10,
+      checksum: 'server-hash',
+      hashAlgorithm: 'sha512',
+      requester: null,
+      startedAt: null,
+      endedAt: '2026-01-05T09:02:00.000Z',
+      outcome: OUTCOMES.VERIFIED,
+      serverChecksum: 'server-hash'
+    }]);
+  });
+
+  test('logs a failed write instead of failing the transfer, and keeps writing', async () => {
+    const error = mock.method(logger, 'error', () => {});
+    fs.writeFileSync(path.join(workDir, 'audit'), 'a file where the log directory should be');
+
+    await auditLog.record(transferEntry('lost', OUTCOMES.SENT));
+    assert.equal(error.mock.callCount(), 1);
+    assert.match(error.mock.calls[0].arguments[0], /^Cannot write audit log /);
+
+    fs.rmSync(path.join(workDir, 'audit'));
+    await auditLog.record(transferEntry('kept', OUTCOMES.FAILED, { error: { code: 'FILE_NOT_FOUND', message: 'File not found' } }));
+    assert.deepEqual(readEntries().map(entry => entry.requestId), ['kept']);
+  });
+});
@@ -0,0 +1,128 @@
+import fs from 'fs';
+import path from 'path';
+import logger from './utils/logger.js';
+import { sameFingerprint } from './utils/fingerprint.js';
+
+// Bumped whenever the layout of the cache file changes; other versions are discarded
+const CACHE_VERSION = 2;
+
+/**
+ * Checksum Cache - File and per-chunk hashes of files served before
+ * Entries are keyed by path and only used while the file keeps the size,
+ * mtime and inode it had when it was hashed, and only for the hash algorithm
+ * they were taken with, so a repeat request for an unchanged file skips hashing. The least recently used entries are evicted
+ * past the limit, and the cache is saved to a JSON file after every change
+ */
+class ChecksumCache {
+  /**
+   * @param {string} filePath - Cache file
+   * @param {number} maxEntries - Files remembered (0 disables the cache)
+   * @param {Array} entries - `[path, entry]` pairs, least recently used first
+   */
+  constructor(filePath, maxEntries, entries = []) {
+    this.filePath = filePath;
+    this.maxEntries = maxEntries;
+    this.entries = new Map(maxEntries > 0 ? entries.slice(-maxEntries) : []);
+    this.saving = Promise.resolve();
+    this.saveQueued = false;
+  }
+
+  /**
+   * Load the cache file, starting empty if it is missing or unreadable
+   * @param {string} filePath - Cache file
+   * @param {number} maxEntries - Files remembered (0 disables the cache)
+   * @returns {ChecksumCache} Cache instance
+   */
+  static load(filePath, maxEntries) {
+    if (maxEntries <= 0) {
+      return new ChecksumCache(filePath, 0);
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (data.version !== CACHE_VERSION || !Array.isArray(data.entries)) {
+        logger.warn(`Ignoring checksum cache ${filePath}: unknown format`);
+        return new ChecksumCache(filePath, maxEntries);
+      }
+      return new ChecksumCache(filePath, maxEntries, data.entries);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Ignoring checksum cache ${filePath}: ${error.message}`);
+      }
+      return new ChecksumCache(filePath, maxEntries);
+    }
+  }
+
+  /**
+   * Look up the hashes of a file
+   * @param {string} filePath - Absolute path of the file
+   * @param {Object} fingerprint - Current fingerprint of the file
+   * @param {number} chunkSize - Chunk size the chunk hashes must have been taken with
+   * @param {string} algorithm - Hash algorithm the hashes must have been taken with
+   * @returns {Object|null} `{ fileChecksum, chunkChecksums }` (chunkChecksums may be null), or null on a miss
+   */
+  get(filePath, fingerprint, chunkSize, algorithm) {
+    const entry = this.entries.get(filePath);
+    if (!entry || entry.algorithm !== algorithm || !sameFingerprint(entry.fingerprint, fingerprint)) {
+      return null;
+    }
+
+    // Move to the most recently used end
+    this.entries.delete(filePath);
+    this.entries.set(filePath, entry);
+    this.save();
+    return {
+      fileChecksum: entry.fileChecksum,
+      chunkChecksums: entry.chunkSize === chunkSize ? entry.chunkChecksums : null
+    };
+  }
+
+  /**
+   * Remember the hashes of a file, replacing what was known about its path
+   * @param {string} filePath - Absolute path of the file
+   * @param {Object} fingerprint - Fingerprint of the file when it was hashed
+   * @param {number} chunkSize - Chunk size of the chunk hashes
+   * @param {string} algorithm - Hash algorithm of the hashes
+   * @param {Object} checksums - `{ fileChecksum, chunkChecksums }`; chunkChecksums may be null
+   */
+  set(filePath, fingerprint, chunkSize, algorithm, { fileChecksum, chunkChecksums = null }) {
+    if (this.maxEntries <= 0) {
+      return;
+    }
+
+    this.entries.delete(filePath);
+    this.entries.set(filePath, { fingerprint, chunkSize, algorithm, fileChecksum, chunkChecksums });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.save();
+  }
+
+  /**
+   * Write the cache file, replacing it atomically
+   * Changes made while a write runs are folded into a single follow-up write
+   * @returns {Promise<void>} Resolves once the cache is on disk (or failed to be written)
+   */
+  save() {
+    if (this.saveQueued) {
+      return this.saving;
+    }
+
+    this.saveQueued = true;
+    this.saving = this.saving
+      .then(async () => {
+        this.saveQueued = false;
+        const data = JSON.stringify({ version: CACHE_VERSION, entries: Array.from(this.entries) });
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true, mode: 0o700 });
+        await fs.promises.writeFile(tempPath, data, { mode: 0o600 });
+        await fs.promises.rename(tempPath, this.filePath);
+      })
+      .catch((error) => {
+        logger.warn(`Cannot save checksum cache ${this.filePath}: ${error.message}`);
+      });
+    return this.saving;
+  }
+}
+
+export default ChecksumCache;
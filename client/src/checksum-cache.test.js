@@ -0,0 +1,129 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ChecksumCache from './checksum-cache.js';
+import FileHandler from './file-handler.js';
+
+const CHUNK_SIZE = 1024;
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+describe('ChecksumCache', () => {
+  let workDir;
+  let cacheFile;
+
+  const fingerprint = { size: 2048, mtimeMs: 1700000000000, ino: 42 };
+  const checksums = { fileChecksum: 'file-hash', chunkChecksums: ['chunk-0', 'chunk-1'] };
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'checksum-cache-test-'));
+    cacheFile = path.join(workDir, 'cache', 'checksums.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test('finds the hashes of an unchanged file', () => {
+    const cache = ChecksumCache.load(cacheFile, 10);
+    cache.set('/data/a.bin', fingerprint, CHUNK_SIZE, 'sha256', checksums);
+
+    assert.deepEqual(cache.get('/data/a.bin', { ...fingerprint }, CHUNK_SIZE, 'sha256'), checksums);
+    assert.equal(cache.get('/data/b.bin', fingerprint, CHUNK_SIZE, 'sha256'), null);
+  });
+
+  test('misses once the size, mtime or inode changes', () => {
+    const cache = ChecksumCache.load(cacheFile, 10);
+    cache.set('/data/a.bin', fingerprint, CHUNK_SIZE, 'sha256', checksums);
+
+    for (const change of [{ size: 2049 }, { mtimeMs: fingerprint.mtimeMs + 1 }, { ino: 43 }]) {
+      assert.equal(cache.get('/data/a.bin', { ...fingerprint, ...change }, CHUNK_SIZE, 'sha256'), null, JSON.stringify(change));
+    }
+  });
+
+  test('misses for another hash algorithm', () => {
+    const cache = ChecksumCache.load(cacheFile, 10);
+    cache.set('/data/a.bin', fingerprint, CHUNK_SIZE, 'sha256', checksums);
+
+    assert.equal(cache.get('/data/a.bin', fingerprint, CHUNK_SIZE, 'sha512'), null);
+  });
+
+  test('keeps the file hash but not the chunk hashes for another chunk size', () => {
+    const cache = ChecksumCache.load(cacheFile, 10);
+    cache.set('/data/a.bin', fingerprint, CHUNK_SIZE, 'sha256', checksums);
+
+    assert.deepEqual(cache.get('/data/a.bin', fingerprint, 2 * CHUNK_SIZE, 'sha256'), { fileChecksum: 'file-hash', chunkChecksums: null });
+  });
+
+  test('evicts the least recently used file past the limit', () => {
+    const cache = ChecksumCache.load(cacheFile, 2);
+    cache.set('/data/a.bin', fingerprint, CHUNK_SIZE, 'sha256', checksums);
+    cache.set('/data/b.bin', fingerprint, CHUNK_SIZE, 'sha256', checksums);
+
+    // Using a makes b the least recently used
+    assert.notEqual(cache.get('/data/a.bin', fingerprint, CHUNK_SIZE, 'sha256'), null);
+    cache.set('/data/c.bin', fingerprint, CHUNK_SIZE, 'sha256', checksums);
+
+    assert.deepEqual(Array.from(cache.entries.keys()), ['/data/a.bin', '/data/c.bin']);
+    assert.equal(cache.get('/data/b.bin', fingerprint, CHUNK_SIZE, 'sha256'), null);
+  });
+
+  test('reloads what it saved, least recently used first', async () => {
+    const cache = ChecksumCache.load(cacheFile, 10);
+    cache.set('/data/a.bin', fingerprint, CHUNK_SIZE, 'sha256', checksums);
+    cache.set('/data/b.bin', fingerprint, CHUNK_SIZE, 'sha512', { fileChecksum: 'b-hash' });
+    cache.get('/data/a.bin', fingerprint, CHUNK_SIZE, 'sha256');
+    await cache.save();
+
+    const reloaded = ChecksumCache.load(cacheFile, 10);
+    assert.deepEqual(Array.from(reloaded.entries.keys()), ['/data/b.bin', '/data/a.bin']);
+    assert.deepEqual(reloaded.get('/data/a.bin', fingerprint, CHUNK_SIZE, 'sha256'), checksums);
+    assert.deepEqual(reloaded.get('/data/b.bin', fingerprint, CHUNK_SIZE, 'sha512'), { fileChecksum: 'b-hash', chunkChecksums: null });
+
+    // A smaller limit keeps only the most recently used
+    assert.deepEqual(Array.from(ChecksumCache.load(cacheFile, 1).entries.keys()), ['/data/a.bin']);
+  });
+
+  test('starts empty from a missing, corrupt or outdated cache file', () => {
+    assert.equal(ChecksumCache.load(cacheFile, 10).entries.size, 0);
+
+    fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+    fs.writeFileSync(cacheFile, '{ not json');
+    assert.equal(ChecksumCache.load(cacheFile, 10).entries.size, 0);
+
+    fs.writeFileSync(cacheFile, JSON.stringify({ version: 1, entries: [['/data/a.bin', { fingerprint, algorithm: 'sha256' }]] }));
+    assert.equal(ChecksumCache.load(cacheFile, 10).entries.size, 0);
+  });
+
+  test('remembers nothing with a limit of 0', async () => {
+    const cache = ChecksumCache.load(cacheFile, 0);
+    cache.set('/data/a.bin', fingerprint, CHUNK_SIZE, 'sha256', checksums);
+    await cache.save();
+
+    assert.equal(cache.get('/data/a.bin', fingerprint, CHUNK_SIZE, 'sha256'), null);
+  });
+
+  test('hashes a file again once it changed instead of trusting the cache', async () => {
+    const filePath = path.join(workDir, 'data.bin');
+    fs.writeFileSync(filePath, 'first version');
+    const fileHandler = new FileHandler({
+      SHARE_ROOTS: [workDir],
+      SHARE_DENY_GLOBS: [],
+      SNAPSHOT_MODE: false,
+      SNAPSHOT_DIR: path.join(workDir, 'snapshots'),
+      CHECKSUM_CACHE_FILE: cacheFile,
+      CHECKSUM_CACHE_MAX_ENTRIES: 10
+    });
+
+    assert.equal((await fileHandler.getFileInfo(filePath)).checksum, sha256('first version'));
+    fs.writeFileSync(filePath, 'second version');
+    assert.equal((await fileHandler.getFileInfo(filePath)).checksum, sha256('second version'));
+    assert.equal((await fileHandler.getFileInfo(filePath, { hashAlgorithm: 'sha512' })).checksum,
+      crypto.createHash('sha512').update('second version').digest('hex'));
+
+    await fileHandler.checksumCache.save();
+  });
+});
@@ -0,0 +1,188 @@
+import fs from 'fs/promises';
+import { calculateChecksum, createHasher } from './utils/checksum.js';
+import { getFingerprint, sameFingerprint, describeChange } from './utils/fingerprint.js';
+import { TransferError } from './utils/errors.js';
+import { CONSTANTS, ERROR_CODES } from '../../shared/protocol.js';
+
+/**
+ * Chunk Reader - Serves chunks of one file through a single open file descriptor
+ * Each chunk is read exactly once; reading chunks in order also feeds a
+ * whole-file hash so no separate checksum pass is needed. When only a byte
+ * range is served, chunks and the hash count from the start of the range.
+ * Hashes already known for the file (see ChecksumCache) are used instead of
+ * hashing again
+ */
+class ChunkReader {
+  /**
+   * @param {fs.FileHandle} fileHandle - Open handle on the source file
+   * @param {number} size - File size in bytes at open time
+   * @param {number} chunkSize - Chunk size in bytes
+   * @param {Object|null} fingerprint - Fingerprint the file must keep while being read, or null to skip checks
+   * @param {number} start - Byte offset of chunk 0 in the file
+   * @param {Object} checksums - Options
+   * @param {string} checksums.algorithm - Hash algorithm of the file and chunk checksums
+   * @param {Object|null} checksums.known - `{ fileChecksum, chunkChecksums }` known for the file in
+   *   that algorithm; chunkChecksums may be null
+   * @param {Function|null} checksums.onComplete - Called with `{ fileChecksum, chunkChecksums }`
+   *   once every hash of the file has been computed
+   */
+  constructor(fileHandle, size, chunkSize, fingerprint = null, start = 0, { algorithm = CONSTANTS.DEFAULT_HASH_ALGORITHM, known = null, onComplete = null } = {}) {
+    this.fileHandle = fileHandle;
+    this.size = size;
+    this.start = start;
+    this.chunkSize = chunkSize;
+    this.fingerprint = fingerprint;
+    this.totalChunks = Math.ceil(size / chunkSize);
+    this.algorithm = algorithm;
+    this.fileHash = createHasher(algorithm);
+    this.nextHashedChunk = 0;
+    this.knownFileChecksum = known ? known.fileChecksum : null;
+    this.chunkChecksums = known && known.chunkChecksums && known.chunkChecksums.length === this.totalChunks
+      ? known.chunkChecksums
+      : new Array(this.totalChunks).fill(null);
+    this.onComplete = onComplete;
+  }
+
+  /**
+   * Open a file for chunked reading
+   * @param {string} filePath - Absolute path to the file
+   * @param {number} chunkSize - Chunk size in bytes
+   * @param {Object|null} fingerprint - Fingerprint recorded when the transfer was acknowledged
+   * @param {Object|null} range - `{ offset, length }` to serve only those bytes, or null for the whole file
+   * @param {Object} checksums - Hash algorithm, known hashes and completion callback, as for the constructor
+   * @returns {Promise<ChunkReader>} Reader instance
+   * @throws {TransferError} FILE_CHANGED if the file no longer matches the fingerprint
+   */
+  static async open(filePath, chunkSize, fingerprint = null, range = null, checksums = {}) {
+    const fileHandle = await fs.open(filePath, 'r');
+    try {
+      const stats = await fileHandle.stat();
+      const reader = range
+        ? new ChunkReader(fileHandle, range.length, chunkSize, fingerprint, range.offset, checksums)
+        : new ChunkReader(fileHandle, stats.size, chunkSize, fingerprint, 0, checksums);
+      reader.checkFingerprint(stats);
+      return reader;
+    } catch (error) {
+      await fileHandle.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Read one chunk and compute its checksum
+   * @param {number} chunkIndex - Index of the chunk to read
+   * @returns {Promise<Object>} Chunk data and its checksum
+   */
+  async readChunk(chunkIndex) {
+    if (chunkIndex < 0 || chunkIndex >= this.totalChunks) {
+      throw new Error(`Invalid chunkIndex: ${chunkIndex}`);
+    }
+
+    const position = chunkIndex * this.chunkSize;
+    const buffer = await this.readData(chunkIndex, position, Math.min(this.chunkSize, this.size - position));
+
+    // Sequential reads also build the whole-file hash, unless it is already known
+    if (chunkIndex === this.nextHashedChunk && !this.knownFileChecksum) {
+      this.fileHash.update(buffer);
+      this.nextHashedChunk++;
+    }
+
+    if (!this.chunkChecksums[chunkIndex]) {
+      this.chunkChecksums[chunkIndex] = calculateChecksum(buffer, this.algorithm);
+    }
+    return { data: buffer, checksum: this.chunkChecksums[chunkIndex] };
+  }
+
+  /**
+   * Read the bytes of one chunk from the file
+   * @param {number} chunkIndex - Index of the chunk, for error messages
+   * @param {number} position - Offset of the chunk from chunk 0
+   * @param {number} length - Chunk length in bytes
+   * @returns {Promise<Buffer>} Chunk data
+   */
+  async readData(chunkIndex, position, length) {
+    const filePosition = this.start + position;
+    const buffer = Buffer.allocUnsafe(length);
+
+    let offset = 0;
+    while (offset < length) {
+      const { bytesRead } = await this.fileHandle.read(buffer, offset, length - offset, filePosition + offset);
+      if (bytesRead === 0) {
+        throw new Error(`Unexpected end of file while reading chunk ${chunkIndex}`);
+      }
+      offset += bytesRead;
+    }
+    return buffer;
+  }
+
+  /**
+   * Get the whole-file checksum
+   * Free after a full in-order pass or when already known; chunks that were
+   * not read in order (e.g. when only some chunks are resent) are read now to
+   * finish the hash. The file is checked once more so a change made while it
+   * was being read is reported instead of surfacing as a checksum mismatch on the server
+   * @returns {Promise<string>} Hexadecimal file hash
+   * @throws {TransferError} FILE_CHANGED if the file changed while it was read
+   */
+  async getFileChecksum() {
+    if (this.knownFileChecksum) {
+      await this.checkUnchanged();
+      return this.knownFileChecksum;
+    }
+
+    while (this.nextHashedChunk < this.totalChunks) {
+      await this.readChunk(this.nextHashedChunk);
+    }
+    await this.checkUnchanged();
+    const fileChecksum = this.fileHash.digest('hex');
+    if (this.onComplete) {
+      this.onComplete({ fileChecksum, chunkChecksums: this.chunkChecksums });
+    }
+    return fileChecksum;
+  }
+
+  /**
+   * Get the checksum of every chunk, reading the chunks not hashed yet
+   * @returns {Promise<string[]>} Hexadecimal hash of each chunk, in order
+   */
+  async getChunkChecksums() {
+    for (let chunkIndex = 0; chunkIndex < this.totalChunks; chunkIndex++) {
+      if (!this.chunkChecksums[chunkIndex]) {
+        await this.readChunk(chunkIndex);
+      }
+    }
+    return [...this.chunkChecksums];
+  }
+
+  /**
+   * Check that the file still matches its fingerprint
+   * @throws {TransferError} FILE_CHANGED if it does not
+   */
+  async checkUnchanged() {
+    this.checkFingerprint(await this.fileHandle.stat());
+  }
+
+  checkFingerprint(stats) {
+    if (!this.fingerprint) {
+      return;
+    }
+
+    const current = getFingerprint(stats);
+    if (!sameFingerprint(this.fingerprint, current)) {
+      throw new TransferError(
+        ERROR_CODES.FILE_CHANGED,
+        `Source file changed during the transfer: ${describeChange(this.fingerprint, current)}`,
+        { expected: this.fingerprint, actual: current }
+      );
+    }
+  }
+
+  async close() {
+    if (this.fileHandle) {
+      await this.fileHandle.close();
+      this.fileHandle = null;
+    }
+  }
+}
+
+export default ChunkReader;
@@ -0,0 +1,151 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ChunkReader from './chunk-reader.js';
+import { getFingerprint } from './utils/fingerprint.js';
+import { ERROR_CODES } from '../../shared/protocol.js';
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+const fileChanged = reason => (error) => {
+  assert.equal(error.code, ERROR_CODES.FILE_CHANGED);
+  assert.match(error.message, reason);
+  return true;
+};
+
+describe('ChunkReader', () => {
+  let workDir;
+  let filePath;
+  let contents;
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chunk-reader-test-'));
+    filePath = path.join(workDir, 'data.bin');
+    contents = crypto.randomBytes(10);
+    fs.writeFileSync(filePath, contents);
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test('reads each chunk with its checksum and hashes the file on the way', async () => {
+    const reader = await ChunkReader.open(filePath, 4);
+    try {
+      assert.equal(reader.totalChunks, 3);
+      const chunks = [];
+      for (let chunkIndex = 0; chunkIndex < reader.totalChunks; chunkIndex++) {
+        const { data, checksum } = await reader.readChunk(chunkIndex);
+        assert.equal(checksum, sha256(data));
+        chunks.push(data);
+      }
+      assert.deepEqual(chunks.map(data => data.length), [4, 4, 2]);
+      assert.deepEqual(Buffer.concat(chunks), contents);
+      assert.equal(await reader.getFileChecksum(), sha256(contents));
+    } finally {
+      await reader.close();
+    }
+  });
+
+  test('reads the chunks skipped by an out-of-order pass to finish the file checksum', async () => {
+    const reader = await ChunkReader.open(filePath, 4);
+    try {
+      await reader.readChunk(2);
+      await reader.readChunk(0);
+      assert.equal(await reader.getFileChecksum(), sha256(contents));
+    } finally {
+      await reader.close();
+    }
+  });
+
+  test('refuses a chunk index outside the file', async () => {
+    const reader = await ChunkReader.open(filePath, 4);
+    try {
+      await assert.rejects(reader.readChunk(3), /Invalid chunkIndex: 3/);
+      await assert.rejects(reader.readChunk(-1), /Invalid chunkIndex: -1/);
+    } finally {
+      await reader.close();
+    }
+  });
+
+  test('reads an empty file as no chunks', async () => {
+    fs.truncateSync(filePath, 0);
+    const reader = await ChunkReader.open(filePath, 4);
+    try {
+      assert.equal(reader.totalChunks, 0);
+      assert.equal(await reader.getFileChecksum(), sha256(Buffer.alloc(0)));
+    } finally {
+      await reader.close();
+    }
+  });
+});
+
+describe('ChunkReader fingerprint checks', () => {
+  let workDir;
+  let filePath;
+  let fingerprint;
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chunk-reader-test-'));
+    filePath = path.join(workDir, 'data.bin');
+    fs.writeFileSync(filePath, Buffer.alloc(10, 1));
+    fingerprint = getFingerprint(fs.statSync(filePath));
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test('opens and reads a file that still matches its fingerprint', async () => {
+    const reader = await ChunkReader.open(filePath, 4, fingerprint);
+    try {
+      assert.equal(reader.totalChunks, 3);
+      assert.equal((await reader.readChunk(2)).data.length, 2);
+      assert.equal(typeof await reader.getFileChecksum(), 'string');
+    } finally {
+      await reader.close();
+    }
+  });
+
+  test('refuses a file replaced by another one (new inode)', async () => {
+    const replacement = path.join(workDir, 'replacement.bin');
+    fs.writeFileSync(replacement, Buffer.alloc(10, 1));
+    fs.utimesSync(replacement, fs.statSync(filePath).atime, fs.statSync(filePath).mtime);
+    fs.renameSync(replacement, filePath);
+
+    await assert.rejects(ChunkReader.open(filePath, 4, fingerprint), fileChanged(/file was replaced/));
+  });
+
+  test('refuses a file whose size or mtime changed', async () => {
+    fs.appendFileSync(filePath, 'more');
+    await assert.rejects(ChunkReader.open(filePath, 4, fingerprint), fileChanged(/size changed from 10 to 14 bytes/));
+
+    fs.truncateSync(filePath, 10);
+    fs.utimesSync(filePath, new Date(), new Date(Date.now() + 60000));
+    await assert.rejects(ChunkReader.open(filePath, 4, fingerprint), fileChanged(/file was modified/));
+  });
+
+  test('reports a change made while the file was being read', async () => {
+    const reader = await ChunkReader.open(filePath, 4, fingerprint);
+    try {
+      await reader.readChunk(0);
+      fs.appendFileSync(filePath, 'more');
+      await assert.rejects(reader.getFileChecksum(), fileChanged(/size changed/));
+    } finally {
+      await reader.close();
+    }
+  });
+
+  test('skips the checks without a fingerprint', async () => {
+    fs.appendFileSync(filePath, 'more');
+    const reader = await ChunkReader.open(filePath, 4, null);
+    try {
+      assert.equal(reader.totalChunks, 4);
+    } finally {
+      await reader.close();
+    }
+  });
+});
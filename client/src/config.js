@@ -1,28 +1,281 @@
 import dotenv from 'dotenv';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import logger from './utils/logger.js';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { parseArgs } from 'util';
+import { parseRate, parseSchedule } from '../../shared/bandwidth.js';
 
-// Load environment variables
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+// Load environment variables from .env
 dotenv.config();
 
-// Validate required configuration
-if (!process.env.CLIENT_ID) {
-  logger.error('CLIENT_ID environment variable is required');
-  process.exit(1);
+const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'debug'];
+
+/**
+ * Error listing every problem found while loading the configuration
+ */
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
 }
 
-// Configuration object with defaults
-const config = {
-  CLIENT_ID: process.env.CLIENT_ID,
-  SERVER_WS_URL: process.env.SERVER_WS_URL || 'ws://localhost:8080',
-  RECONNECT_INTERVAL: parseInt(process.env.RECONNECT_INTERVAL || '5000'),
-  MAX_RECONNECT_ATTEMPTS: parseInt(process.env.MAX_RECONNECT_ATTEMPTS || '10'),
-  HEARTBEAT_INTERVAL: parseInt(process.env.HEARTBEAT_INTERVAL || '30000'),
-  LOG_LEVEL: process.env.LOG_LEVEL || 'info'
+// Value parsers; each accepts a JSON value from the config file or a string
+// from the environment or the command line and throws with a readable reason
+const types = {
+  string: (value) => {
+    if (typeof value !== 'string' || value.trim() === '') {
+      throw new Error('must be a non-empty string');
+    }
+    return value;
+  },
+  integer: (min) => (value) => {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (!Number.isInteger(number) || number < min) {
+      throw new Error(`must be an integer of at least ${min}`);
+    }
+    return number;
+  },
+  boolean: (value) => {
+    if (typeof value === 'boolean') {
+      return value;
+    }
+    if (typeof value === 'string' && /^(true|false)$/i.test(value.trim())) {
+      return value.trim().toLowerCase() === 'true';
+    }
+    throw new Error('must be true or false');
+  },
+  // Arrays in the config file, comma-separated strings elsewhere
+  list: (value) => {
+    const items = typeof value === 'string' ? value.split(',') : value;
+    if (!Array.isArray(items) || items.some(item => typeof item !== 'string')) {
+      throw new Error('must be a list of strings');
+    }
+    return items.map(item => item.trim()).filter(Boolean);
+  },
+  // One or more ws:// or wss:// URLs, in order of preference
+  urlList: (value) => {
+    const urls = types.list(value);
+    if (urls.length === 0) {
+      throw new Error('must list at least one server');
+    }
+    const invalid = urls.filter(url => !/^wss?:\/\/[^/]/i.test(url));
+    if (invalid.length > 0) {
+      throw new Error(`must be ws:// or wss:// URLs (not ${invalid.join(', ')})`);
+    }
+    return urls;
+  },
+  oneOf: (choices) => (value) => {
+    if (!choices.includes(value)) {
+      throw new Error(`must be one of ${choices.join(', ')}`);
+    }
+    return value;
+  },
+  rate: (value) => {
+    parseRate(value);
+    return typeof value === 'string' ? value.trim() : value;
+  },
+  schedule: (value) => {
+    if (typeof value !== 'string') {
+      throw new Error('must be a string');
+    }
+    parseSchedule(value);
+    return value.trim();
+  }
+};
+
+/**
+ * Every client setting, keyed by its environment variable name
+ * `live` settings are applied on SIGHUP; changing any other needs a restart.
+ * `allowEmpty` settings treat an empty environment variable as "none"
+ * instead of "use the default"
+ */
+const SCHEMA = {
+  CLIENT_ID: { type: types.string, description: 'Unique client ID (required)' },
+  SERVER_WS_URL: { type: types.urlList, default: ['ws://localhost:8080'], live: true, description: 'Server WebSocket URL, or a comma-separated failover list in order of preference' },
+  CLIENT_KEY_FILE: {
+    type: types.string,
+    default: config => path.join(os.homedir(), '.silentmode', `${config.CLIENT_ID}.key`),
+    description: 'Ed25519 private key proving this client\'s identity (generated on first start)'
+  },
+  AUDIT_LOG_FILE: {
+    type: types.string,
+    default: config => path.join(os.homedir(), '.silentmode', `${config.CLIENT_ID}-audit.jsonl`),
+    description: 'Append-only JSON-lines record of every file handed to the server'
+  },
+  LOG_LEVEL: { type: types.oneOf(LOG_LEVELS), default: 'info', live: true, description: `Log level: ${LOG_LEVELS.join(', ')}` },
+
+  RECONNECT_INTERVAL: { type: types.integer(100), default: 5000, live: true, description: 'Base reconnect delay in ms, doubled after each round of failed attempts' },
+  RECONNECT_MAX_DELAY: { type: types.integer(100), default: 60000, live: true, description: 'Longest reconnect delay in ms' },
+  MAX_RECONNECT_ATTEMPTS: { type: types.integer(0), default: 0, live: true, description: 'Reconnect attempts before giving up (0 = retry forever)' },
+  HEARTBEAT_INTERVAL: { type: types.integer(1000), default: 30000, live: true, description: 'Ping the server this often (ms); reconnect after three silent intervals' },
+  SHUTDOWN_DRAIN_TIMEOUT: { type: types.integer(0), default: 30000, live: true, description: 'On SIGTERM/SIGINT, let active transfers finish for up to this long (ms) before pausing them' },
+
+  // Share policy: which local files the server may download
+  SHARE_ROOTS: { type: types.list, default: () => [os.homedir()], live: true, description: 'Directories files must live under' },
+  SHARE_DENY_GLOBS: { type: types.list, default: ['*.pem', '*.key'], allowEmpty: true, live: true, description: 'Globs that are never served' },
+  SHARE_MAX_FILE_SIZE: { type: types.integer(0), default: 0, live: true, description: 'Maximum file size in bytes (0 = unlimited)' },
+  SHARE_FOLLOW_SYMLINKS: { type: types.boolean, default: false, live: true, description: 'Serve symlinked paths whose target stays inside a root' },
+  SHARE_ALLOW_HIDDEN: { type: types.boolean, default: false, live: true, description: 'Serve files under dot-prefixed directories' },
+
+  // Snapshot mode: serve a private copy so files written during a transfer stay consistent
+  SNAPSHOT_MODE: { type: types.boolean, default: false, description: 'Serve a private copy of each file' },
+  SNAPSHOT_DIR: {
+    type: types.string,
+    default: config => path.join(os.tmpdir(), `silentmode-${config.CLIENT_ID}-snapshots`),
+    description: 'Where snapshot copies are kept while serving'
+  },
+
+  // Hashes of files served before, reused while a file keeps its size, mtime and inode
+  CHECKSUM_CACHE_FILE: {
+    type: types.string,
+    default: config => path.join(os.homedir(), '.silentmode', `${config.CLIENT_ID}-checksums.json`),
+    description: 'Where file and chunk hashes of served files are kept'
+  },
+  CHECKSUM_CACHE_MAX_ENTRIES: { type: types.integer(0), default: 1000, description: 'Files kept in the checksum cache, least recently used dropped first (0 = no cache)' },
+
+  // Chunk compression codecs offered to the server, most preferred first ('none' disables compression)
+  COMPRESSION_CODECS: { type: types.list, default: ['br', 'gzip', 'deflate'], description: 'Chunk codecs offered to the server, most preferred first' },
+  // Offer to send chunk data as binary frames instead of base64 JSON
+  BINARY_FRAMES: { type: types.boolean, default: true, description: 'Offer binary chunk frames' },
+  // Hash algorithms offered to the server for file and chunk checksums, most preferred first
+  HASH_ALGORITHMS: { type: types.list, default: ['sha256', 'sha512', 'blake2b512', 'sha3-256'], description: 'Hash algorithms offered to the server, most preferred first' },
+
+  // Transfers served at once; further requests wait in a local queue (0 = unlimited)
+  MAX_CONCURRENT_TRANSFERS: { type: types.integer(0), default: 3, live: true, description: 'Transfers served at once (0 = unlimited)' },
+
+  // Upload bandwidth shared by all transfers, in bytes per second with an optional K/M/G suffix (0 = unlimited)
+  BANDWIDTH_LIMIT: { type: types.rate, default: '0', live: true, description: 'Upload bytes/sec shared by all transfers, e.g. 2M (0 = unlimited)' },
+  // Local-time windows overriding the limit, e.g. "22:00-06:00=unlimited,09:00-17:00=512K"
+  BANDWIDTH_SCHEDULE: { type: types.schedule, default: '', allowEmpty: true, live: true, description: 'HH:MM-HH:MM=<rate> windows overriding the limit' },
+
+  // Testing only: break outgoing chunks on purpose to exercise the server's retries and resume
+  FAULT_SCENARIO: { type: types.string, default: null, description: 'JSON fault scenario to inject into chunk transfers (testing only)' },
+  FAULT_SEED: { type: types.integer(0), default: null, description: 'Seed of the injected faults; alone, injects a random mix (testing only)' }
+};
+
+// Settings a SIGHUP reload may change without a restart
+export const LIVE_SETTINGS = Object.keys(SCHEMA).filter(key => SCHEMA[key].live);
+
+// CLIENT_ID -> --client-id
+const toFlag = key => key.toLowerCase().replace(/_/g, '-');
+
+const CLI_OPTIONS = {
+  config: { type: 'string', short: 'c' },
+  help: { type: 'boolean', short: 'h' },
+  ...Object.fromEntries(Object.entries(SCHEMA).flatMap(([key, { type }]) => (type === types.boolean
+    // Boolean settings take --flag / --no-flag
+    ? [[toFlag(key), { type: 'boolean' }], [`no-${toFlag(key)}`, { type: 'boolean' }]]
+    : [[toFlag(key), { type: 'string' }]])))
 };
 
-// Export frozen config object
-export default Object.freeze(config);
+/**
+ * Describe the command-line options
+ * @returns {string} Usage text
+ */
+export function usage() {
+  const lines = Object.entries(SCHEMA).map(([key, { type, description, live }]) => {
+    const flag = type === types.boolean ? `--[no-]${toFlag(key)}` : `--${toFlag(key)} <value>`;
+    return `  ${flag.padEnd(36)}${description}${live ? ' [reloadable]' : ''}`;
+  });
+
+  return [
+    'Usage: node src/index.js [options]',
+    '',
+    'Settings are read from defaults, then the config file, then environment',
+    'variables (same names as the config file keys), then these options.',
+    'SIGHUP re-reads them and applies the [reloadable] ones.',
+    '',
+    `  ${'-c, --config <file>'.padEnd(36)}JSON config file (default: $CONFIG_FILE)`,
+    `  ${'-h, --help'.padEnd(36)}Show this help`,
+    ...lines
+  ].join('\n');
+}
+
+function readConfigFile(filePath, problems) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    problems.push(`config file ${filePath}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`);
+    return {};
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    problems.push(`config file ${filePath}: must contain a JSON object`);
+    return {};
+  }
+
+  for (const key of Object.keys(data)) {
+    if (!SCHEMA[key]) {
+      problems.push(`config file ${filePath}: unknown setting ${key}`);
+      delete data[key];
+    }
+  }
+  return data;
+}
+
+/**
+ * Load the client configuration
+ * Later sources win: defaults, the config file, environment variables, then
+ * command-line options. Every problem is collected so they can all be fixed at once
+ * @param {Object} options - Sources, defaulting to the running process
+ * @param {string[]} options.argv - Command-line arguments
+ * @param {Object} options.env - Environment variables
+ * @returns {Object} Frozen configuration; CONFIG_FILE holds the file it was read from, or null
+ * @throws {ConfigError} If any setting is missing or invalid
+ */
+export function loadConfig({ argv = process.argv.slice(2), env = process.env } = {}) {
+  const problems = [];
+
+  let args;
+  try {
+    ({ values: args } = parseArgs({ args: argv, options: CLI_OPTIONS, strict: true }));
+  } catch (error) {
+    throw new ConfigError([error.message]);
+  }
+
+  const configFile = args.config || env.CONFIG_FILE || null;
+  const fileValues = configFile ? readConfigFile(path.resolve(configFile), problems) : {};
+
+  const config = {};
+  for (const [key, setting] of Object.entries(SCHEMA)) {
+    const flag = toFlag(key);
+    let raw;
+    let source;
+
+    if (args[flag] !== undefined || args[`no-${flag}`] !== undefined) {
+      raw = args[flag] !== undefined ? args[flag] : !args[`no-${flag}`];
+      source = `--${flag}`;
+    } else if (env[key] !== undefined && (env[key] !== '' || setting.allowEmpty)) {
+      raw = env[key];
+      source = `environment variable ${key}`;
+    } else if (fileValues[key] !== undefined) {
+      raw = fileValues[key];
+      source = `${key} in ${configFile}`;
+    }
+
+    if (source === undefined) {
+      if (setting.default === undefined) {
+        problems.push(`${key} is required (set it in the config file, the environment or with --${flag})`);
+      } else {
+        config[key] = typeof setting.default === 'function' ? setting.default(config) : setting.default;
+      }
+      continue;
+    }
+
+    try {
+      config[key] = setting.type(raw);
+    } catch (error) {
+      problems.push(`${source}: ${error.message} (got ${JSON.stringify(raw)})`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  config.CONFIG_FILE = configFile ? path.resolve(configFile) : null;
+  return Object.freeze(config);
+}
@@ -0,0 +1,128 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, ConfigError, LIVE_SETTINGS } from './config.js';
+
+describe('loadConfig', () => {
+  let workDir;
+  let configFile;
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+    configFile = path.join(workDir, 'client.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  const writeConfigFile = (settings) => {
+    fs.writeFileSync(configFile, JSON.stringify(settings));
+  };
+
+  // Problems reported by a configuration that fails to load
+  const problemsOf = (options) => {
+    try {
+      loadConfig(options);
+    } catch (error) {
+      assert.ok(error instanceof ConfigError);
+      return error.problems;
+    }
+    assert.fail('Expected a ConfigError');
+  };
+
+  test('layers defaults, the config file, the environment and command-line options', () => {
+    writeConfigFile({
+      CLIENT_ID: 'from-file',
+      LOG_LEVEL: 'warn',
+      RECONNECT_INTERVAL: 1000,
+      MAX_CONCURRENT_TRANSFERS: 5,
+      SHARE_ALLOW_HIDDEN: true,
+      SHARE_ROOTS: ['/srv/a', '/srv/b']
+    });
+
+    const config = loadConfig({
+      argv: ['--config', configFile, '--max-concurrent-transfers', '7', '--no-share-allow-hidden'],
+      env: { RECONNECT_INTERVAL: '2000', MAX_CONCURRENT_TRANSFERS: '6' }
+    });
+
+    assert.equal(config.CLIENT_ID, 'from-file');
+    assert.equal(config.LOG_LEVEL, 'warn');
+    assert.equal(config.RECONNECT_INTERVAL, 2000);
+    assert.equal(config.MAX_CONCURRENT_TRANSFERS, 7);
+    assert.equal(config.SHARE_ALLOW_HIDDEN, false);
+    assert.deepEqual(config.SHARE_ROOTS, ['/srv/a', '/srv/b']);
+    assert.equal(config.HEARTBEAT_INTERVAL, 30000);
+    assert.equal(config.CONFIG_FILE, configFile);
+    assert.ok(Object.isFrozen(config));
+  });
+
+  test('reads the config file named by CONFIG_FILE and derives defaults from other settings', () => {
+    writeConfigFile({ CLIENT_ID: 'client-1' });
+
+    const config = loadConfig({ argv: [], env: { CONFIG_FILE: configFile, SERVER_WS_URL: 'ws://a:8080, wss://b' } });
+
+    assert.deepEqual(config.SERVER_WS_URL, ['ws://a:8080', 'wss://b']);
+    assert.equal(config.CLIENT_KEY_FILE, path.join(os.homedir(), '.silentmode', 'client-1.key'));
+    assert.equal(config.CONFIG_FILE, configFile);
+  });
+
+  test('treats an empty environment variable as unset unless the setting allows empty', () => {
+    writeConfigFile({ LOG_LEVEL: 'debug', SHARE_DENY_GLOBS: ['*.secret'] });
+
+    const config = loadConfig({
+      argv: ['--config', configFile],
+      env: { CLIENT_ID: 'client-1', LOG_LEVEL: '', SHARE_DENY_GLOBS: '' }
+    });
+
+    assert.equal(config.LOG_LEVEL, 'debug');
+    assert.deepEqual(config.SHARE_DENY_GLOBS, []);
+  });
+
+  test('reports unknown settings and every invalid value at once', () => {
+    writeConfigFile({ CLIENT_ID: 'client-1', MAX_CONCURRENT_TRANSFERS: -1, SHARE_ROOT: '/srv' });
+
+    assert.deepEqual(problemsOf({
+      argv: ['--config', configFile, '--log-level', 'loud'],
+      env: { RECONNECT_INTERVAL: 'soon', SNAPSHOT_MODE: 'yes', SERVER_WS_URL: 'http://server' }
+    }), [
+      `config file ${configFile}: unknown setting SHARE_ROOT`,
+      'environment variable SERVER_WS_URL: must be ws:// or wss:// URLs (not http://server) (got "http://server")',
+      '--log-level: must be one of error, warn, info, http, debug (got "loud")',
+      'environment variable RECONNECT_INTERVAL: must be an integer of at least 100 (got "soon")',
+      'environment variable SNAPSHOT_MODE: must be true or false (got "yes")',
+      `MAX_CONCURRENT_TRANSFERS in ${configFile}: must be an integer of at least 0 (got -1)`
+    ]);
+  });
+
+  test('requires CLIENT_ID and a readable config file', () => {
+    assert.deepEqual(problemsOf({ argv: [], env: {} }), [
+      'CLIENT_ID is required (set it in the config file, the environment or with --client-id)'
+    ]);
+
+    const missing = path.join(workDir, 'missing.json');
+    assert.deepEqual(problemsOf({ argv: ['--config', missing, '--client-id', 'client-1'], env: {} }), [
+      `config file ${missing}: file not found`
+    ]);
+
+    fs.writeFileSync(configFile, '[1, 2]');
+    assert.deepEqual(problemsOf({ argv: ['--config', configFile, '--client-id', 'client-1'], env: {} }), [
+      `config file ${configFile}: must contain a JSON object`
+    ]);
+  });
+
+  test('refuses unknown command-line options', () => {
+    const [problem] = problemsOf({ argv: ['--client-id', 'client-1', '--turbo'], env: {} });
+    assert.match(problem, /Unknown option '--turbo'/);
+  });
+
+  test('only marks runtime-safe settings as reloadable', () => {
+    assert.ok(LIVE_SETTINGS.includes('MAX_CONCURRENT_TRANSFERS'));
+    assert.ok(LIVE_SETTINGS.includes('BANDWIDTH_LIMIT'));
+    for (const key of ['CLIENT_ID', 'CLIENT_KEY_FILE', 'SNAPSHOT_MODE', 'CHECKSUM_CACHE_FILE']) {
+      assert.equal(LIVE_SETTINGS.includes(key), false, key);
+    }
+  });
+});
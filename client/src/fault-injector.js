@@ -0,0 +1,319 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import logger from './utils/logger.js';
+import { calculateChecksum } from './utils/checksum.js';
+
+/**
+ * Faults that can be injected into outgoing chunks
+ */
+export const FAULT_TYPES = Object.freeze({
+  DROP: 'drop', // Never send the chunk; the server times it out and asks again
+  CORRUPT: 'corrupt', // Flip one byte of the data, keeping the original checksum
+  WRONG_CHECKSUM: 'wrong-checksum', // Send the data with a checksum that does not match it
+  DELAY: 'delay', // Hold the chunk back for `ms` milliseconds
+  DUPLICATE: 'duplicate', // Send the chunk twice
+  REORDER: 'reorder', // Send the chunk after the next one of the same transfer
+  // Cut `bytes` (default half) off the last chunk and hash what is left,
+  // so only the whole-file checksum or the manifest catches it
+  TRUNCATE: 'truncate',
+  DISCONNECT: 'disconnect' // Drop the connection after every `afterChunks` chunks sent
+});
+
+// Faults injected when only a seed is given: a little of everything the server
+// should recover from on its own
+const RANDOM_FAULTS = [
+  { type: FAULT_TYPES.DROP, probability: 0.05 },
+  { type: FAULT_TYPES.CORRUPT, probability: 0.05 },
+  { type: FAULT_TYPES.WRONG_CHECKSUM, probability: 0.05 },
+  { type: FAULT_TYPES.DELAY, probability: 0.05, ms: 500 },
+  { type: FAULT_TYPES.DUPLICATE, probability: 0.05 },
+  { type: FAULT_TYPES.REORDER, probability: 0.05 },
+  { type: FAULT_TYPES.DISCONNECT, afterChunks: 20 }
+];
+
+/**
+ * Seeded random numbers in [0, 1) (mulberry32), so a seed replays the same faults
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Generator
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const isCount = (value, min) => Number.isInteger(value) && value >= min;
+
+/**
+ * Validate one fault of a scenario and fill in its defaults
+ * @param {Object} fault - Fault as written in the scenario
+ * @param {number} index - Position in the scenario, for error messages
+ * @returns {Object} Normalized fault
+ * @throws {Error} If the fault is invalid
+ */
+function normalizeFault(fault, index) {
+  const where = `faults[${index}]`;
+  if (!fault || typeof fault !== 'object' || Array.isArray(fault)) {
+    throw new Error(`${where} must be an object`);
+  }
+
+  const { type, chunks, probability = 1, retries = false, ms, afterChunks, bytes } = fault;
+  if (!Object.values(FAULT_TYPES).includes(type)) {
+    throw new Error(`${where}.type must be one of ${Object.values(FAULT_TYPES).join(', ')}`);
+  }
+  if (chunks !== undefined && (!Array.isArray(chunks) || !chunks.every(chunkIndex => isCount(chunkIndex, 0)))) {
+    throw new Error(`${where}.chunks must be a list of chunk indices`);
+  }
+  if (typeof probability !== 'number' || probability < 0 || probability > 1) {
+    throw new Error(`${where}.probability must be a number from 0 to 1`);
+  }
+  if (fault.times !== undefined && !isCount(fault.times, 1)) {
+    throw new Error(`${where}.times must be an integer of at least 1`);
+  }
+  if (typeof retries !== 'boolean') {
+    throw new Error(`${where}.retries must be true or false`);
+  }
+  if (type === FAULT_TYPES.DELAY && !isCount(ms, 0)) {
+    throw new Error(`${where}.ms must be an integer of at least 0`);
+  }
+  if (type === FAULT_TYPES.DISCONNECT && !isCount(afterChunks, 1)) {
+    throw new Error(`${where}.afterChunks must be an integer of at least 1`);
+  }
+  if (type === FAULT_TYPES.TRUNCATE && bytes !== undefined && !isCount(bytes, 1)) {
+    throw new Error(`${where}.bytes must be an integer of at least 1`);
+  }
+
+  return {
+    type,
+    chunks: chunks ? new Set(chunks) : null,
+    probability,
+    // A dropped connection is enough to test resuming; keep every other fault going
+    times: fault.times !== undefined ? fault.times : (type === FAULT_TYPES.DISCONNECT ? 1 : Infinity),
+    retries,
+    ms,
+    afterChunks,
+    bytes,
+    fired: 0
+  };
+}
+
+/**
+ * Fault Injector - Breaks outgoing chunks on purpose, for testing only
+ * Exercises the server's chunk retries, timeouts, verification and resume
+ * against each failure mode. Faults come from a JSON scenario file
+ * `{ "seed": 42, "faults": [{ "type": "corrupt", "chunks": [3] }, ...] }`, where
+ * each fault may narrow itself to `chunks` (indices), fire with a `probability`
+ * and stop after `times`. Faults hit the first send of a chunk; chunks sent again,
+ * for RETRY_CHUNK or after a resume, go through untouched unless the fault sets
+ * `retries: true`. Random choices come from a seeded generator, so the same seed,
+ * file and settings replay the same faults
+ */
+class FaultInjector {
+  /**
+   * @param {Object[]} faults - Normalized faults
+   * @param {number} seed - Seed of the random choices
+   */
+  constructor(faults, seed) {
+    this.faults = faults;
+    this.seed = seed;
+    this.random = createRandom(seed);
+    this.chunksSent = 0; // Chunks actually sent, counted for `disconnect`
+    this.held = new Map(); // requestId -> chunk held back by `reorder`
+    this.seen = new Map(); // requestId -> indices of chunks sent before, whose resends are spared
+  }
+
+  /**
+   * Build the injector the configuration asks for
+   * @param {Object} config - Client configuration
+   * @returns {FaultInjector|null} Injector, or null unless FAULT_SCENARIO or FAULT_SEED is set
+   * @throws {Error} If the scenario cannot be read or is invalid
+   */
+  static fromConfig(config) {
+    if (config.FAULT_SCENARIO === null && config.FAULT_SEED === null) {
+      return null;
+    }
+
+    const injector = config.FAULT_SCENARIO
+      ? FaultInjector.load(config.FAULT_SCENARIO, config.FAULT_SEED)
+      : new FaultInjector(RANDOM_FAULTS.map(normalizeFault), config.FAULT_SEED);
+
+    logger.warn(`⚠️  Fault injection enabled: ${injector.faults.map(fault => fault.type).join(', ')} from ${config.FAULT_SCENARIO || 'the random scenario'} (FAULT_SEED=${injector.seed} replays this run)`);
+    return injector;
+  }
+
+  /**
+   * Read a scenario file
+   * @param {string} filePath - JSON scenario `{ seed, faults }`
+   * @param {number|null} seed - Seed overriding the scenario's; a random one when neither is set
+   * @returns {FaultInjector} Injector
+   * @throws {Error} If the scenario cannot be read or is invalid
+   */
+  static load(filePath, seed = null) {
+    let scenario;
+    try {
+      scenario = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read fault scenario ${filePath}: ${error.message}`);
+    }
+
+    try {
+      if (!scenario || !Array.isArray(scenario.faults)) {
+        throw new Error('must be an object with a faults list');
+      }
+      if (scenario.seed !== undefined && !isCount(scenario.seed, 0)) {
+        throw new Error('seed must be an integer of at least 0');
+      }
+      const faults = scenario.faults.map(normalizeFault);
+      return new FaultInjector(faults, seed ?? scenario.seed ?? crypto.randomInt(2 ** 31));
+    } catch (error) {
+      throw new Error(`Invalid fault scenario ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send a chunk through the scenario
+   * @param {Object} chunk - `{ requestId, chunkIndex, totalChunks, data, checksum, hashAlgorithm }`,
+   *   with `retryAttempt` when resending for RETRY_CHUNK
+   * @param {Object} hooks - How to reach the server
+   * @param {Function} hooks.transmit - async (chunk) => void, sends a chunk for real
+   * @param {Function} hooks.disconnect - Drops the connection
+   * @returns {Promise<void>}
+   */
+  async send(chunk, hooks) {
+    const faults = this.pick(chunk);
+    const fired = type => faults.some(fault => fault.type === type);
+
+    if (fired(FAULT_TYPES.DROP)) {
+      this.report(FAULT_TYPES.DROP, chunk);
+      return;
+    }
+
+    let outgoing = chunk;
+    for (const fault of faults) {
+      this.report(fault.type, chunk);
+      if (fault.type === FAULT_TYPES.CORRUPT) {
+        const data = Buffer.from(outgoing.data);
+        if (data.length > 0) {
+          data[Math.floor(this.random() * data.length)] ^= 0xff;
+        }
+        outgoing = { ...outgoing, data };
+      } else if (fault.type === FAULT_TYPES.WRONG_CHECKSUM) {
+        outgoing = { ...outgoing, checksum: calculateChecksum(Buffer.concat([outgoing.data, Buffer.from([0])]), outgoing.hashAlgorithm) };
+      } else if (fault.type === FAULT_TYPES.TRUNCATE) {
+        const cut = fault.bytes !== undefined ? fault.bytes : Math.ceil(outgoing.data.length / 2);
+        const data = outgoing.data.subarray(0, Math.max(0, outgoing.data.length - cut));
+        outgoing = { ...outgoing, data, checksum: calculateChecksum(data, outgoing.hashAlgorithm) };
+      } else if (fault.type === FAULT_TYPES.DELAY) {
+        await new Promise(resolve => setTimeout(resolve, fault.ms));
+      }
+    }
+
+    // Hold the chunk until the next one of its transfer has gone out
+    if (fired(FAULT_TYPES.REORDER) && !this.held.has(chunk.requestId)) {
+      this.held.set(chunk.requestId, outgoing);
+      return;
+    }
+
+    await this.transmit(outgoing, hooks);
+    if (fired(FAULT_TYPES.DUPLICATE)) {
+      await this.transmit(outgoing, hooks);
+    }
+    await this.flush(chunk.requestId, hooks);
+  }
+
+  /**
+   * Send the chunk held back from a transfer, if any
+   * Called once the last chunk is out, so a reordered last chunk still arrives
+   * @param {string} requestId - Request ID
+   * @param {Object} hooks - As for send
+   * @returns {Promise<void>}
+   */
+  async flush(requestId, hooks) {
+    const held = this.held.get(requestId);
+    if (held) {
+      this.held.delete(requestId);
+      await this.transmit(held, hooks);
+    }
+  }
+
+  /**
+   * Forget a transfer that ended: the chunk held back from it and the chunks it sent
+   * @param {string} requestId - Request ID
+   */
+  discard(requestId) {
+    this.held.delete(requestId);
+    this.seen.delete(requestId);
+  }
+
+  /**
+   * Draw the faults that hit a chunk, counting each against its `times`
+   * @param {Object} chunk - Chunk about to be sent
+   * @returns {Object[]} Faults to apply
+   */
+  pick(chunk) {
+    if (!this.seen.has(chunk.requestId)) {
+      this.seen.set(chunk.requestId, new Set());
+    }
+    const seen = this.seen.get(chunk.requestId);
+    const resend = Boolean(chunk.retryAttempt) || seen.has(chunk.chunkIndex);
+    seen.add(chunk.chunkIndex);
+
+    return this.faults.filter((fault) => {
+      if (fault.type === FAULT_TYPES.DISCONNECT || fault.fired >= fault.times) {
+        return false;
+      }
+      if (resend && !fault.retries) {
+        return false;
+      }
+      if (fault.type === FAULT_TYPES.TRUNCATE && chunk.chunkIndex !== chunk.totalChunks - 1) {
+        return false;
+      }
+      if (fault.chunks && !fault.chunks.has(chunk.chunkIndex)) {
+        return false;
+      }
+      if (fault.probability < 1 && this.random() >= fault.probability) {
+        return false;
+      }
+      fault.fired++;
+      return true;
+    });
+  }
+
+  /**
+   * Send a chunk for real, then drop the connection if a `disconnect` fault is due
+   * @param {Object} chunk - Chunk to send
+   * @param {Object} hooks - As for send
+   * @returns {Promise<void>}
+   */
+  async transmit(chunk, { transmit, disconnect }) {
+    await transmit(chunk);
+    this.chunksSent++;
+
+    for (const fault of this.faults) {
+      if (fault.type !== FAULT_TYPES.DISCONNECT || fault.fired >= fault.times || this.chunksSent % fault.afterChunks !== 0) {
+        continue;
+      }
+      if (fault.probability < 1 && this.random() >= fault.probability) {
+        continue;
+      }
+      fault.fired++;
+      this.report(FAULT_TYPES.DISCONNECT, chunk);
+      // Held chunks belong to a connection that is gone; resuming sends them again
+      this.held.clear();
+      disconnect();
+      return;
+    }
+  }
+
+  report(type, chunk) {
+    const retry = chunk.retryAttempt ? ` (retry attempt ${chunk.retryAttempt})` : '';
+    logger.warn(`🔧 Injecting fault ${type} at chunk ${chunk.chunkIndex}/${chunk.totalChunks} of ${chunk.requestId}${retry}`);
+  }
+}
+
+export default FaultInjector;
@@ -0,0 +1,211 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import FaultInjector, { FAULT_TYPES } from './fault-injector.js';
+import { calculateChecksum } from './utils/checksum.js';
+
+describe('FaultInjector', () => {
+  let workDir;
+  let scenarios = 0;
+
+  before(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fault-injector-test-'));
+  });
+
+  after(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  // Faults are only validated and normalized when read from a scenario file
+  const injectorFor = (faults, seed = 1) => {
+    const scenarioPath = path.join(workDir, `scenario-${++scenarios}.json`);
+    fs.writeFileSync(scenarioPath, JSON.stringify({ seed, faults }));
+    return FaultInjector.load(scenarioPath);
+  };
+
+  const chunkOf = (chunkIndex, options = {}) => {
+    const data = Buffer.from(`chunk ${chunkIndex} data`);
+    return { requestId: 'request-1', chunkIndex, totalChunks: 4, data, checksum: calculateChecksum(data, 'sha256'), hashAlgorithm: 'sha256', ...options };
+  };
+
+  // Records what reaches the server, and when the connection is dropped
+  const recorder = () => {
+    const sent = [];
+    return {
+      sent,
+      hooks: {
+        transmit: async chunk => sent.push(chunk),
+        disconnect() {
+          sent.push('disconnect');
+        }
+      }
+    };
+  };
+
+  const sendAll = async (injector, chunks, hooks) => {
+    for (const chunk of chunks) {
+      await injector.send(chunk, hooks);
+    }
+  };
+
+  describe('pick', () => {
+    const drawn = (seed) => {
+      const injector = injectorFor([{ type: FAULT_TYPES.DROP, probability: 0.5 }], seed);
+      return Array.from({ length: 32 }, (_, chunkIndex) => injector.pick(chunkOf(chunkIndex)).length);
+    };
+
+    test('replays the same faults for the same seed', () => {
+      assert.deepEqual(drawn(42), drawn(42));
+      assert.notDeepEqual(drawn(42), drawn(43));
+    });
+
+    test('only hits the listed chunks, up to times', () => {
+      const injector = injectorFor([{ type: FAULT_TYPES.CORRUPT, chunks: [1, 2, 3], times: 2 }]);
+      const hit = [0, 1, 2, 3].filter(chunkIndex => injector.pick(chunkOf(chunkIndex)).length > 0);
+
+      assert.deepEqual(hit, [1, 2]);
+    });
+
+    test('spares resent chunks unless the fault sets retries', () => {
+      const injector = injectorFor([{ type: FAULT_TYPES.DROP }, { type: FAULT_TYPES.DUPLICATE, retries: true }]);
+      const types = chunk => injector.pick(chunk).map(fault => fault.type);
+
+      assert.deepEqual(types(chunkOf(0)), [FAULT_TYPES.DROP, FAULT_TYPES.DUPLICATE]);
+      assert.deepEqual(types(chunkOf(0)), [FAULT_TYPES.DUPLICATE]);
+      assert.deepEqual(types(chunkOf(1, { retryAttempt: 1 })), [FAULT_TYPES.DUPLICATE]);
+    });
+
+    test('truncates the last chunk only', () => {
+      const injector = injectorFor([{ type: FAULT_TYPES.TRUNCATE }]);
+
+      assert.equal(injector.pick(chunkOf(2)).length, 0);
+      assert.equal(injector.pick(chunkOf(3)).length, 1);
+    });
+  });
+
+  describe('send', () => {
+    test('drop never sends the chunk', async () => {
+      const { sent, hooks } = recorder();
+      await sendAll(injectorFor([{ type: FAULT_TYPES.DROP, chunks: [1] }]), [chunkOf(0), chunkOf(1), chunkOf(2)], hooks);
+
+      assert.deepEqual(sent.map(chunk => chunk.chunkIndex), [0, 2]);
+    });
+
+    test('corrupt flips one byte and keeps the original checksum', async () => {
+      const { sent, hooks } = recorder();
+      const chunk = chunkOf(0);
+      await injectorFor([{ type: FAULT_TYPES.CORRUPT }]).send(chunk, hooks);
+
+      const differing = [...sent[0].data].filter((byte, index) => byte !== chunk.data[index]);
+      assert.equal(differing.length, 1);
+      assert.equal(sent[0].checksum, chunk.checksum);
+      assert.notEqual(calculateChecksum(sent[0].data, 'sha256'), chunk.checksum);
+    });
+
+    test('wrong-checksum keeps the data and changes the checksum', async () => {
+      const { sent, hooks } = recorder();
+      const chunk = chunkOf(0);
+      await injectorFor([{ type: FAULT_TYPES.WRONG_CHECKSUM }]).send(chunk, hooks);
+
+      assert.deepEqual(sent[0].data, chunk.data);
+      assert.notEqual(sent[0].checksum, chunk.checksum);
+    });
+
+    test('truncate cuts the last chunk and hashes what is left', async () => {
+      const { sent, hooks } = recorder();
+      await injectorFor([{ type: FAULT_TYPES.TRUNCATE, bytes: 5 }]).send(chunkOf(3), hooks);
+
+      assert.equal(sent[0].data.toString(), 'chunk 3');
+      assert.equal(sent[0].checksum, calculateChecksum(sent[0].data, 'sha256'));
+    });
+
+    test('delay holds the chunk back for ms', async () => {
+      const { sent, hooks } = recorder();
+      const startedAt = Date.now();
+      await injectorFor([{ type: FAULT_TYPES.DELAY, ms: 50 }]).send(chunkOf(0), hooks);
+
+      assert.ok(Date.now() - startedAt >= 45);
+      assert.equal(sent.length, 1);
+    });
+
+    test('duplicate sends the chunk twice', async () => {
+      const { sent, hooks } = recorder();
+      await injectorFor([{ type: FAULT_TYPES.DUPLICATE, chunks: [0] }]).send(chunkOf(0), hooks);
+
+      assert.deepEqual(sent.map(chunk => chunk.chunkIndex), [0, 0]);
+    });
+
+    test('reorder sends the chunk after the next one', async () => {
+      const { sent, hooks } = recorder();
+      await sendAll(injectorFor([{ type: FAULT_TYPES.REORDER, chunks: [1] }]), [chunkOf(0), chunkOf(1), chunkOf(2), chunkOf(3)], hooks);
+
+      assert.deepEqual(sent.map(chunk => chunk.chunkIndex), [0, 2, 1, 3]);
+    });
+
+    test('disconnect drops the connection after every afterChunks chunks, times times', async () => {
+      const { sent, hooks } = recorder();
+      const chunks = Array.from({ length: 8 }, (_, chunkIndex) => chunkOf(chunkIndex, { totalChunks: 8 }));
+      await sendAll(injectorFor([{ type: FAULT_TYPES.DISCONNECT, afterChunks: 3, times: 2 }]), chunks, hooks);
+
+      assert.deepEqual(sent.map(chunk => chunk === 'disconnect' ? chunk : chunk.chunkIndex), [0, 1, 2, 'disconnect', 3, 4, 5, 'disconnect', 6, 7]);
+    });
+  });
+
+  describe('held chunks', () => {
+    test('flush sends a chunk held back from the last position', async () => {
+      const { sent, hooks } = recorder();
+      const injector = injectorFor([{ type: FAULT_TYPES.REORDER, chunks: [3] }]);
+      await sendAll(injector, [chunkOf(2), chunkOf(3)], hooks);
+      assert.deepEqual(sent.map(chunk => chunk.chunkIndex), [2]);
+
+      await injector.flush('request-1', hooks);
+      await injector.flush('request-1', hooks);
+      assert.deepEqual(sent.map(chunk => chunk.chunkIndex), [2, 3]);
+    });
+
+    test('flush only sends the chunk of its own transfer', async () => {
+      const { sent, hooks } = recorder();
+      const injector = injectorFor([{ type: FAULT_TYPES.REORDER, chunks: [0] }]);
+      await injector.send(chunkOf(0), hooks);
+      await injector.send(chunkOf(0, { requestId: 'request-2' }), hooks);
+
+      await injector.flush('request-2', hooks);
+      assert.deepEqual(sent.map(chunk => chunk.requestId), ['request-2']);
+    });
+
+    test('discard forgets the held chunk of a stopped transfer', async () => {
+      const { sent, hooks } = recorder();
+      const injector = injectorFor([{ type: FAULT_TYPES.REORDER, chunks: [3] }]);
+      await injector.send(chunkOf(3), hooks);
+
+      injector.discard('request-1');
+      await injector.flush('request-1', hooks);
+      assert.equal(sent.length, 0);
+    });
+
+    test('discard forgets the chunks a transfer sent', async () => {
+      const { sent, hooks } = recorder();
+      const injector = injectorFor([{ type: FAULT_TYPES.DROP, chunks: [0] }]);
+      await injector.send(chunkOf(0), hooks);
+      await injector.send(chunkOf(0), hooks);
+      assert.equal(sent.length, 1);
+
+      injector.discard('request-1');
+      assert.equal(injector.seen.has('request-1'), false);
+      await injector.send(chunkOf(0), hooks);
+      assert.equal(sent.length, 1);
+    });
+
+    test('a disconnect forgets every held chunk', async () => {
+      const { sent, hooks } = recorder();
+      const injector = injectorFor([{ type: FAULT_TYPES.REORDER, chunks: [0], times: 1 }, { type: FAULT_TYPES.DISCONNECT, afterChunks: 1 }]);
+      await injector.send(chunkOf(0), hooks);
+      await injector.send(chunkOf(0, { requestId: 'request-2' }), hooks);
+
+      await injector.flush('request-1', hooks);
+      assert.deepEqual(sent.map(chunk => chunk === 'disconnect' ? chunk : chunk.requestId), ['request-2', 'disconnect']);
+    });
+  });
+});
@@ -1,46 +1,339 @@
 import fs from 'fs/promises';
 import path from 'path';
-import crypto from 'crypto';
-import { createReadStream } from 'fs';
-import { calculateChecksum } from './utils/checksum.js';
+import { createReadStream, constants as fsConstants } from 'fs';
+import { calculateChecksum, createHasher } from './utils/checksum.js';
 import logger from './utils/logger.js';
-import { CONSTANTS } from '../../shared/protocol.js';
+import SharePolicy from './share-policy.js';
+import ChunkReader from './chunk-reader.js';
+import ArchiveReader from './archive-reader.js';
+import ChecksumCache from './checksum-cache.js';
+import { TransferError } from './utils/errors.js';
+import { getFingerprint, sameFingerprint, describeChange } from './utils/fingerprint.js';
+import { matchesAny } from './utils/glob.js';
+import { layoutTarArchive, gzipChunks } from './archive.js';
+import { CONSTANTS, ERROR_CODES, resolveRange } from '../../shared/protocol.js';
+
+// Copies attempted before giving up on a file that keeps changing while it is snapshotted
+const SNAPSHOT_ATTEMPTS = 3;
 
 class FileHandler {
-  constructor() {
+  constructor(config) {
     this.chunkSize = CONSTANTS.CHUNK_SIZE;
+    this.policy = SharePolicy.fromConfig(config);
+    this.snapshotMode = Boolean(config.SNAPSHOT_MODE);
+    this.snapshotDir = config.SNAPSHOT_DIR;
+    this.checksumCache = ChecksumCache.load(config.CHECKSUM_CACHE_FILE, config.CHECKSUM_CACHE_MAX_ENTRIES);
+  }
+
+  /**
+   * Replace the share policy, e.g. after a configuration reload
+   * Transfers already acknowledged keep going; new requests use the new policy
+   * @param {Object} config - Client configuration
+   */
+  setPolicy(config) {
+    this.policy = SharePolicy.fromConfig(config);
   }
 
-  async getFileInfo(filePath) {
+  /**
+   * Check that a file may be served and describe it
+   * @param {string} filePath - Path as requested by the server
+   * @param {Object} options - Options
+   * @param {boolean} options.checksum - Hash the whole file (costs a full read unless the checksum cache knows it)
+   * @param {Object|null} options.range - Byte range from normalizeRange; size, chunk count and
+   *   checksum then describe only those bytes
+   * @param {string} options.hashAlgorithm - Hash algorithm of the checksum
+   * @returns {Promise<Object>} File path, size, chunk count, fingerprint, checksum (null when not asked
+   *   for and not cached), chunkChecksums (the cached hash of every chunk, or null) and the resolved `range` ({ offset, length, fileSize }, or null for the whole file)
+   * @throws {TransferError} INVALID_REQUEST if the range starts past the end of the file
+   */
+  async getFileInfo(filePath, { checksum: withChecksum = true, range = null, hashAlgorithm = CONSTANTS.DEFAULT_HASH_ALGORITHM } = {}) {
     try {
       // Resolve the file path relative to user's home directory
       const resolvedPath = this.resolveFilePath(filePath);
       
-      // Check if file exists
-      const stats = await fs.stat(resolvedPath);
+      // Enforce the share policy before revealing anything about the file
+      const { stats } = await this.policy.check(resolvedPath);
       if (!stats.isFile()) {
-        throw new Error('Path is not a file');
+        throw new TransferError(ERROR_CODES.INVALID_REQUEST, 'Path is not a file');
       }
 
+      let resolvedRange = null;
+      if (range) {
+        try {
+          resolvedRange = resolveRange(range, stats.size);
+        } catch (error) {
+          throw new TransferError(ERROR_CODES.INVALID_REQUEST, error.message);
+        }
+      }
+      const size = resolvedRange ? resolvedRange.length : stats.size;
+
       // Calculate total chunks
-      const totalChunks = Math.ceil(stats.size / this.chunkSize);
+      const totalChunks = Math.ceil(size / this.chunkSize);
       
-      // Calculate file checksum
-      const checksum = await this.calculateFileChecksum(resolvedPath);
+      // Calculate file checksum only when asked; the sender hashes while streaming
+      const fingerprint = getFingerprint(stats);
+      const cached = resolvedRange ? null : this.checksumCache.get(resolvedPath, fingerprint, this.chunkSize, hashAlgorithm);
+      let checksum = cached ? cached.fileChecksum : null;
+      if (!checksum && withChecksum) {
+        checksum = await this.calculateFileChecksum(resolvedPath, resolvedRange, hashAlgorithm);
+        if (!resolvedRange) {
+          this.checksumCache.set(resolvedPath, fingerprint, this.chunkSize, hashAlgorithm, { fileChecksum: checksum });
+        }
+      }
       
       return {
         path: resolvedPath,
-        size: stats.size,
+        size,
         totalChunks,
         checksum,
-        lastModified: stats.mtime
+        chunkChecksums: cached && cached.chunkChecksums && cached.chunkChecksums.length === totalChunks ? cached.chunkChecksums : null,
+        lastModified: stats.mtime,
+        fingerprint,
+        range: resolvedRange
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new TransferError(ERROR_CODES.FILE_NOT_FOUND, `File not found: ${filePath}`);
+      }
+      if (error.code === 'EACCES' || error.code === 'EPERM') {
+        throw new TransferError(ERROR_CODES.PERMISSION_DENIED, `Permission denied: ${filePath}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List a shared directory
+   * Entries the share policy would refuse to serve are left out
+   * @param {string} dirPath - Directory as requested by the server
+   * @param {Object} options - Options
+   * @param {number} options.depth - Levels to descend (1 = the directory's own entries)
+   * @param {number} options.offset - Entries to skip after sorting by path
+   * @param {number} options.limit - Maximum entries to return
+   * @returns {Promise<Object>} Resolved path, one page of entries, total count and truncation flag
+   */
+  async listFiles(dirPath, { depth = 1, offset = 0, limit = CONSTANTS.LIST_FILES_DEFAULT_LIMIT } = {}) {
+    try {
+      const resolvedPath = this.resolveFilePath(dirPath);
+
+      const { stats } = await this.policy.check(resolvedPath);
+      if (!stats.isDirectory()) {
+        throw new TransferError(ERROR_CODES.INVALID_REQUEST, 'Path is not a directory');
+      }
+
+      const entries = [];
+      const truncated = await this.collectEntries(
+        resolvedPath,
+        Math.min(Math.max(depth, 1), CONSTANTS.LIST_FILES_MAX_DEPTH),
+        entries
+      );
+      entries.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+
+      const pageLimit = Math.min(Math.max(limit, 1), CONSTANTS.LIST_FILES_MAX_LIMIT);
+      const pageOffset = Math.max(offset, 0);
+
+      return {
+        path: resolvedPath,
+        entries: entries.slice(pageOffset, pageOffset + pageLimit),
+        total: entries.length,
+        offset: pageOffset,
+        limit: pageLimit,
+        truncated
       };
     } catch (error) {
       if (error.code === 'ENOENT') {
-        throw new Error(`File not found: ${filePath}`);
+        throw new TransferError(ERROR_CODES.FILE_NOT_FOUND, `Directory not found: ${dirPath}`);
+      }
+      if (error.code === 'EACCES' || error.code === 'EPERM') {
+        throw new TransferError(ERROR_CODES.PERMISSION_DENIED, `Permission denied: ${dirPath}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Walk a directory, appending allowed entries
+   * @param {string} dirPath - Absolute directory path
+   * @param {number} depth - Levels left to descend, including this one
+   * @param {Array<Object>} entries - Accumulator
+   * @returns {Promise<boolean>} True if the walk stopped at LIST_FILES_MAX_ENTRIES
+   */
+  async collectEntries(dirPath, depth, entries) {
+    const names = await fs.readdir(dirPath);
+
+    for (const name of names) {
+      if (entries.length >= CONSTANTS.LIST_FILES_MAX_ENTRIES) {
+        return true;
+      }
+
+      const entryPath = path.join(dirPath, name);
+      let stats;
+      try {
+        ({ stats } = await this.policy.check(entryPath));
+      } catch (error) {
+        // Denied, vanished or dangling entries are not listed
+        continue;
+      }
+
+      const type = stats.isFile() ? 'file' : stats.isDirectory() ? 'directory' : 'other';
+      entries.push({
+        name,
+        path: entryPath,
+        type,
+        size: stats.size,
+        mtime: stats.mtime.toISOString()
+      });
+
+      if (type === 'directory' && depth > 1) {
+        try {
+          if (await this.collectEntries(entryPath, depth - 1, entries)) {
+            return true;
+          }
+        } catch (error) {
+          // Unreadable subdirectories are listed but not descended into
+          if (error.code !== 'EACCES' && error.code !== 'EPERM') {
+            throw error;
+          }
+        }
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Lay out a tar archive of a shared directory, to be read with openArchiveReader
+   * Nothing is written: chunks are produced from the files as they are sent.
+   * A tar.gz is compressed once here to learn its size, hashing its chunks on
+   * the way. Files the share policy refuses are left out, as in listFiles; empty
+   * directories are not archived. Entry names start with the directory's name
+   * @param {string} dirPath - Directory as requested by the server
+   * @param {Object} options - Archive options (see normalizeArchiveOptions)
+   * @param {string} options.format - 'tar' or 'tar.gz'
+   * @param {string[]} options.include - Only archive files matching one of these globs (all when empty)
+   * @param {string[]} options.exclude - Leave out files matching any of these globs
+   * @param {number} options.maxFiles - Refuse directories holding more matching files
+   * @param {string} hashAlgorithm - Hash algorithm of a tar.gz's checksums
+   * @returns {Promise<Object>} `{ layout, files, totalBytes }`; layout is `{ segments, gzip, size, fileChecksum,
+   *   chunkChecksums }`, with the checksums null for a tar
+   * @throws {TransferError} INVALID_REQUEST if the path is not a directory or holds too many files
+   */
+  async createArchive(dirPath, { format = 'tar', include = [], exclude = [], maxFiles = CONSTANTS.ARCHIVE_MAX_FILES } = {}, hashAlgorithm = CONSTANTS.DEFAULT_HASH_ALGORITHM) {
+    let resolvedPath;
+    let files;
+    try {
+      resolvedPath = this.resolveFilePath(dirPath);
+
+      const { path: realPath, stats } = await this.policy.check(resolvedPath);
+      if (!stats.isDirectory()) {
+        throw new TransferError(ERROR_CODES.INVALID_REQUEST, 'Path is not a directory');
+      }
+
+      files = [];
+      await this.collectArchiveFiles(resolvedPath, '', { include, exclude, maxFiles }, files, new Set([realPath]));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new TransferError(ERROR_CODES.FILE_NOT_FOUND, `Directory not found: ${dirPath}`);
+      }
+      if (error.code === 'EACCES' || error.code === 'EPERM') {
+        throw new TransferError(ERROR_CODES.PERMISSION_DENIED, `Permission denied: ${dirPath}`);
       }
       throw error;
     }
+    files.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+    const base = path.basename(resolvedPath) || 'archive';
+    for (const file of files) {
+      file.name = `${base}/${file.name}`;
+    }
+
+    const { segments, size: tarSize } = layoutTarArchive(files);
+    let layout = { segments, gzip: false, size: tarSize, fileChecksum: null, chunkChecksums: null };
+    if (format === 'tar.gz') {
+      const fileHash = createHasher(hashAlgorithm);
+      const chunkChecksums = [];
+      let size = 0;
+      for await (const chunk of gzipChunks(segments, this.chunkSize)) {
+        fileHash.update(chunk);
+        chunkChecksums.push(calculateChecksum(chunk, hashAlgorithm));
+        size += chunk.length;
+      }
+      layout = { segments, gzip: true, size, fileChecksum: fileHash.digest('hex'), chunkChecksums };
+    }
+    logger.debug(`Laid out a ${layout.size}-byte ${format} of ${files.length} files from ${resolvedPath}`);
+
+    return {
+      layout,
+      files: files.map(file => ({
+        path: file.name,
+        size: file.fingerprint.size,
+        mtime: new Date(file.fingerprint.mtimeMs).toISOString()
+      })),
+      totalBytes: files.reduce((total, file) => total + file.fingerprint.size, 0)
+    };
+  }
+
+  /**
+   * Open an archive laid out by createArchive for chunked reading
+   * @param {Object} layout - Layout returned by createArchive
+   * @param {string} hashAlgorithm - Hash algorithm of the file and chunk checksums
+   * @returns {Promise<ArchiveReader>} Reader of the archive
+   */
+  async openArchiveReader(layout, hashAlgorithm = CONSTANTS.DEFAULT_HASH_ALGORITHM) {
+    return new ArchiveReader(layout, this.chunkSize, hashAlgorithm);
+  }
+
+  /**
+   * Walk a directory for createArchive, appending matching files
+   * @param {string} dirPath - Absolute directory path
+   * @param {string} relativeDir - Its path relative to the archived directory ('' at the top)
+   * @param {Object} filters - `{ include, exclude, maxFiles }`
+   * @param {Array<Object>} files - Accumulator of `{ path, name, mode, fingerprint }`
+   * @param {Set<string>} visited - Real paths of directories already walked, so symlink loops end
+   */
+  async collectArchiveFiles(dirPath, relativeDir, filters, files, visited) {
+    for (const name of await fs.readdir(dirPath)) {
+      const entryPath = path.join(dirPath, name);
+      const relativePath = relativeDir ? `${relativeDir}/${name}` : name;
+
+      let checked;
+      try {
+        checked = await this.policy.check(entryPath);
+      } catch (error) {
+        // Denied, vanished or dangling entries are not archived
+        continue;
+      }
+
+      const { path: realPath, stats } = checked;
+      if (stats.isDirectory()) {
+        if (!visited.has(realPath)) {
+          visited.add(realPath);
+          try {
+            await this.collectArchiveFiles(entryPath, relativePath, filters, files, visited);
+          } catch (error) {
+            // Unreadable subdirectories are skipped
+            if (error.code !== 'EACCES' && error.code !== 'EPERM') {
+              throw error;
+            }
+          }
+        }
+        continue;
+      }
+      if (!stats.isFile()
+        || (filters.include.length > 0 && !matchesAny(relativePath, filters.include))
+        || matchesAny(relativePath, filters.exclude)) {
+        continue;
+      }
+
+      if (files.length >= filters.maxFiles) {
+        throw new TransferError(
+          ERROR_CODES.INVALID_REQUEST,
+          `Directory holds more than ${filters.maxFiles} matching files; narrow it with include/exclude globs`,
+          { maxFiles: filters.maxFiles }
+        );
+      }
+      files.push({ path: realPath, name: relativePath, mode: stats.mode, fingerprint: getFingerprint(stats) });
+    }
   }
 
   resolveFilePath(filePath) {
@@ -57,10 +350,13 @@ class FileHandler {
     return filePath;
   }
 
-  async calculateFileChecksum(filePath) {
+  async calculateFileChecksum(filePath, range = null, hashAlgorithm = CONSTANTS.DEFAULT_HASH_ALGORITHM) {
     return new Promise((resolve, reject) => {
-      const stream = createReadStream(filePath);
-      const hash = crypto.createHash('sha256');
+      // An empty range only occurs in an empty file, which is read whole
+      const stream = createReadStream(filePath, range && range.length > 0
+        ? { start: range.offset, end: range.offset + range.length - 1 }
+        : {});
+      const hash = createHasher(hashAlgorithm);
       
       stream.on('data', (chunk) => {
         hash.update(chunk);
@@ -76,43 +372,106 @@ class FileHandler {
     });
   }
 
-  async createChunkStream(filePath, chunkIndex) {
+  /**
+   * Open a file for single-pass chunked reading
+   * Whole files with a known fingerprint use and fill the checksum cache
+   * @param {string} filePath - Path as requested by the server
+   * @param {Object|null} fingerprint - Fingerprint the file must still match, or null to skip the check
+   * @param {Object|null} range - Resolved `{ offset, length }` to serve only those bytes
+   * @param {Object|null} cacheAs - `{ filePath, fingerprint }` of the file whose contents these are,
+   *   for a snapshot copy; defaults to the file itself
+   * @param {string} hashAlgorithm - Hash algorithm of the file and chunk checksums
+   * @returns {Promise<ChunkReader>} Reader holding an open file descriptor
+   */
+  async openChunkReader(filePath, fingerprint = null, range = null, cacheAs = null, hashAlgorithm = CONSTANTS.DEFAULT_HASH_ALGORITHM) {
     const resolvedPath = this.resolveFilePath(filePath);
-    const start = chunkIndex * this.chunkSize;
-    const end = Math.min(start + this.chunkSize - 1, (await fs.stat(resolvedPath)).size);
-    
-    return {
-      stream: createReadStream(resolvedPath, { start, end }),
-      start,
-      end: end + 1,
-      size: end - start + 1
-    };
-  }
+    const source = cacheAs
+      ? { path: this.resolveFilePath(cacheAs.filePath), fingerprint: cacheAs.fingerprint }
+      : { path: resolvedPath, fingerprint };
+    if (range || !source.fingerprint) {
+      return ChunkReader.open(resolvedPath, this.chunkSize, fingerprint, range, { algorithm: hashAlgorithm });
+    }
 
-  async readChunk(filePath, chunkIndex) {
-    const { stream, size } = await this.createChunkStream(filePath, chunkIndex);
-    
-    return new Promise((resolve, reject) => {
-      const chunks = [];
-      
-      stream.on('data', (chunk) => {
-        chunks.push(chunk);
-      });
-      
-      stream.on('end', () => {
-        const data = Buffer.concat(chunks);
-        resolve(data);
-      });
-      
-      stream.on('error', (error) => {
-        reject(error);
-      });
+    return ChunkReader.open(resolvedPath, this.chunkSize, fingerprint, null, {
+      algorithm: hashAlgorithm,
+      known: this.checksumCache.get(source.path, source.fingerprint, this.chunkSize, hashAlgorithm),
+      onComplete: checksums => this.checksumCache.set(source.path, source.fingerprint, this.chunkSize, hashAlgorithm, checksums)
     });
   }
 
-  async calculateChunkChecksum(filePath, chunkIndex) {
-    const chunkData = await this.readChunk(filePath, chunkIndex);
-    return crypto.createHash('sha256').update(chunkData).digest('hex');
+  /**
+   * Copy a file to a private directory so the transfer is unaffected by later writes
+   * Without an expected fingerprint the copy is retried until the source holds
+   * still for a whole copy; with one, the source must still match it
+   * @param {string} resolvedPath - Absolute path of the source file
+   * @param {Object|null} expected - Fingerprint the source must match (e.g. when resuming)
+   * @returns {Promise<Object>} `{ snapshotPath, fingerprint }` where fingerprint describes the source
+   * @throws {TransferError} FILE_CHANGED if no consistent copy could be made
+   */
+  async createSnapshot(resolvedPath, expected = null) {
+    await fs.mkdir(this.snapshotDir, { recursive: true, mode: 0o700 });
+    const snapshotDir = await fs.mkdtemp(path.join(this.snapshotDir, 'snapshot-'));
+    const snapshotPath = path.join(snapshotDir, path.basename(resolvedPath));
+
+    try {
+      for (let attempt = 1; attempt <= SNAPSHOT_ATTEMPTS; attempt++) {
+        const before = getFingerprint(await fs.stat(resolvedPath));
+        if (expected && !sameFingerprint(expected, before)) {
+          throw new TransferError(ERROR_CODES.FILE_CHANGED, `Source file changed during the transfer: ${describeChange(expected, before)}`);
+        }
+
+        // Reflink where the filesystem supports it, plain copy otherwise
+        await fs.copyFile(resolvedPath, snapshotPath, fsConstants.COPYFILE_FICLONE);
+
+        const after = getFingerprint(await fs.stat(resolvedPath));
+        if (sameFingerprint(before, after)) {
+          logger.debug(`Snapshotted ${resolvedPath} to ${snapshotPath}`);
+          return { snapshotPath, fingerprint: before };
+        }
+
+        logger.warn(`${resolvedPath} changed while being snapshotted (attempt ${attempt}/${SNAPSHOT_ATTEMPTS})`);
+        if (expected) {
+          throw new TransferError(ERROR_CODES.FILE_CHANGED, `Source file changed during the transfer: ${describeChange(expected, after)}`);
+        }
+      }
+
+      throw new TransferError(ERROR_CODES.FILE_CHANGED, `File kept changing while being snapshotted: ${resolvedPath}`);
+    } catch (error) {
+      await fs.rm(snapshotDir, { recursive: true, force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a snapshot made by createSnapshot
+   * @param {string} snapshotPath - Path returned by createSnapshot
+   */
+  async removeSnapshot(snapshotPath) {
+    try {
+      await fs.rm(path.dirname(snapshotPath), { recursive: true, force: true });
+    } catch (error) {
+      logger.warn(`Failed to remove snapshot ${snapshotPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete snapshots left behind by a previous run, whatever its snapshot mode
+   * Only directories created by createSnapshot are touched
+   */
+  async removeStaleSnapshots() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.snapshotDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    for (const entry of entries.filter(name => name.startsWith('snapshot-'))) {
+      await fs.rm(path.join(this.snapshotDir, entry), { recursive: true, force: true });
+    }
   }
 }
 
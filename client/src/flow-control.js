@@ -0,0 +1,74 @@
+/**
+ * Credit Gate - Sliding-window flow control for one outgoing chunk stream
+ * The server grants chunk credits; the sender spends one credit per chunk
+ * and waits while it holds none
+ */
+class CreditGate {
+  /**
+   * @param {number} initialCredits - Credits granted up front (Infinity disables flow control)
+   */
+  constructor(initialCredits = Infinity) {
+    this.credits = initialCredits;
+    this.waiters = [];
+    this.closedError = null;
+  }
+
+  /**
+   * Build a gate from the flowControl field of a DOWNLOAD_REQUEST
+   * Servers that do not announce a window get an unlimited gate
+   * @param {Object} flowControl - `{ window }` as sent by the server
+   * @returns {CreditGate} Gate instance
+   */
+  static fromRequest(flowControl) {
+    const window = flowControl && flowControl.window;
+    return new CreditGate(Number.isInteger(window) && window > 0 ? window : Infinity);
+  }
+
+  /**
+   * Add credits granted by the server and wake waiting senders
+   * @param {number} count - Number of credits granted
+   */
+  grant(count) {
+    if (this.closedError || !Number.isFinite(this.credits)) {
+      return;
+    }
+
+    this.credits += count;
+    while (this.credits > 0 && this.waiters.length > 0) {
+      this.credits--;
+      this.waiters.shift().resolve();
+    }
+  }
+
+  /**
+   * Spend one credit, waiting until one is available
+   * @returns {Promise<void>} Resolves once a credit is held
+   */
+  acquire() {
+    if (this.closedError) {
+      return Promise.reject(this.closedError);
+    }
+
+    if (this.credits > 0) {
+      this.credits--;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      this.waiters.push({ resolve, reject });
+    });
+  }
+
+  /**
+   * Stop the gate and fail every pending and future acquire
+   * @param {Error} error - Reason passed to waiting senders
+   */
+  close(error) {
+    this.closedError = error;
+    for (const waiter of this.waiters.splice(0)) {
+      waiter.reject(error);
+    }
+  }
+}
+
+export default CreditGate;
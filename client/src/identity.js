@@ -0,0 +1,51 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import logger from './utils/logger.js';
+import { buildAuthPayload } from '../../shared/protocol.js';
+
+/**
+ * Client Identity - Ed25519 keypair used to prove the client's identity on REGISTER
+ * The private key is kept in a PEM file and generated on first start
+ */
+class ClientIdentity {
+  constructor(clientId, privateKey) {
+    this.clientId = clientId;
+    this.privateKey = privateKey;
+    this.publicKeyPem = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' });
+  }
+
+  /**
+   * Load the keypair from disk, creating it if the file does not exist
+   * @param {string} clientId - Client ID the key belongs to
+   * @param {string} keyFile - Path to the PEM-encoded private key
+   * @returns {ClientIdentity} Identity instance
+   */
+  static loadOrCreate(clientId, keyFile) {
+    if (fs.existsSync(keyFile)) {
+      const privateKey = crypto.createPrivateKey(fs.readFileSync(keyFile));
+      if (privateKey.asymmetricKeyType !== 'ed25519') {
+        throw new Error(`Key file ${keyFile} does not hold an Ed25519 private key`);
+      }
+      return new ClientIdentity(clientId, privateKey);
+    }
+
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    fs.mkdirSync(path.dirname(keyFile), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(keyFile, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+    logger.info(`Generated new client key: ${keyFile}`);
+
+    return new ClientIdentity(clientId, privateKey);
+  }
+
+  /**
+   * Sign a server challenge
+   * @param {string} nonce - Nonce from AUTH_CHALLENGE
+   * @returns {string} Base64 signature
+   */
+  signChallenge(nonce) {
+    return crypto.sign(null, Buffer.from(buildAuthPayload(this.clientId, nonce)), this.privateKey).toString('base64');
+  }
+}
+
+export default ClientIdentity;
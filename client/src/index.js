@@ -1,8 +1,63 @@
-import WebSocketClient from './websocket-client.js';
-import config from './config.js';
+import WebSocketClient, { CONNECTION_STATES } from './websocket-client.js';
+import { loadConfig, usage, ConfigError } from './config.js';
 import logger from './utils/logger.js';
 
-const client = new WebSocketClient(config);
+if (process.argv.includes('--help') || process.argv.includes('-h')) {
+  console.log(usage());
+  process.exit(0);
+}
+
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  logger.error(error instanceof ConfigError ? error.message : `Failed to load configuration: ${error.message}`);
+  logger.error('Run with --help to list the available settings');
+  process.exit(1);
+}
+
+logger.level = config.LOG_LEVEL;
+if (config.CONFIG_FILE) {
+  logger.info(`Loaded configuration from ${config.CONFIG_FILE}`);
+}
+
+// Reading the key file or the fault scenario can fail before anything starts
+let client;
+try {
+  client = new WebSocketClient(config);
+} catch (error) {
+  logger.error(`Failed to start client: ${error.message}`);
+  process.exit(1);
+}
+
+// Re-read the configuration; an invalid one is reported and the current one kept
+process.on('SIGHUP', () => {
+  logger.info('SIGHUP received, reloading configuration');
+  try {
+    client.reloadConfig(loadConfig());
+  } catch (error) {
+    logger.error(`Keeping the current configuration: ${error.message}`);
+  }
+});
+
+// Let active transfers drain and tell the server before exiting; a second signal exits at once
+const shutdown = (signal) => {
+  if (client.shuttingDown) {
+    logger.warn(`${signal} received again, exiting without waiting for transfers`);
+    process.exit(1);
+  }
+
+  logger.info(`${signal} received, shutting down`);
+  client.shutdown(`${signal} received`).then(() => process.exit(0), (error) => {
+    logger.error('Error during shutdown:', error);
+    process.exit(1);
+  });
+};
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Only reached when MAX_RECONNECT_ATTEMPTS is set and every attempt failed
+client.on(CONNECTION_STATES.FAILED, () => process.exit(1));
 
 client.start().catch(error => {
   logger.error('Failed to start client:', error);
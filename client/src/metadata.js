@@ -0,0 +1,47 @@
+import fs from 'fs';
+import os from 'os';
+import logger from './utils/logger.js';
+import { FEATURES } from '../../shared/protocol.js';
+
+const packageJson = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+
+// Protocol features this client implements
+const SUPPORTED_FEATURES = [FEATURES.FLOW_CONTROL, FEATURES.RESUME, FEATURES.CANCEL, FEATURES.LIST_FILES, FEATURES.COMPRESSION, FEATURES.BANDWIDTH, FEATURES.REMOTE_CONFIG, FEATURES.ARCHIVE, FEATURES.RANGE, FEATURES.RECEIPTS, FEATURES.MANIFEST];
+
+/**
+ * Get the free space on the filesystem holding a directory
+ * @param {string} dirPath - Directory path
+ * @returns {Promise<number|null>} Free bytes available to this process, or null if unknown
+ */
+async function getFreeDiskSpace(dirPath) {
+  try {
+    const stats = await fs.promises.statfs(dirPath);
+    return stats.bavail * stats.bsize;
+  } catch (error) {
+    logger.debug(`Could not read free disk space for ${dirPath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Describe this client for the REGISTER message
+ * @param {Object} config - Client configuration
+ * @returns {Promise<Object>} Client metadata
+ */
+export async function collectMetadata(config) {
+  const shareRoots = await Promise.all(config.SHARE_ROOTS.map(async (root) => ({
+    path: root,
+    freeDiskSpace: await getFreeDiskSpace(root)
+  })));
+
+  return {
+    hostname: os.hostname(),
+    os: process.platform,
+    arch: process.arch,
+    osRelease: os.release(),
+    nodeVersion: process.version,
+    version: packageJson.version,
+    shareRoots,
+    features: SUPPORTED_FEATURES
+  };
+}
@@ -0,0 +1,116 @@
+/**
+ * Reconnect policy: capped, jittered exponential backoff and the ordered
+ * list of servers a client fails over between
+ */
+
+/**
+ * Delay before a reconnect attempt
+ * Doubles from `base` up to `max`, then picks a random point in the upper half
+ * of that window so clients dropped by the same server do not return in lockstep
+ * @param {number} attempt - Rounds of failed attempts so far (0 for the first retry)
+ * @param {number} base - Delay of the first retry in ms
+ * @param {number} max - Longest delay in ms
+ * @param {Function} random - Source of numbers in [0, 1)
+ * @returns {number} Delay in ms
+ */
+export function backoffDelay(attempt, base, max, random = Math.random) {
+  const ceiling = Math.min(max, base * 2 ** Math.min(attempt, 30));
+  return Math.round(ceiling / 2 + random() * ceiling / 2);
+}
+
+/**
+ * Servers to connect to, in order of preference
+ * The client sticks to the server it last reached: a dropped connection is
+ * retried there first. A failed connection attempt moves on to the server
+ * with the fewest consecutive failures, the next one in order on a tie
+ */
+export class ServerPool {
+  /**
+   * @param {string[]} urls - WebSocket URLs, most preferred first
+   */
+  constructor(urls) {
+    this.urls = [];
+    this.index = 0;
+    this.health = new Map(); // url -> { failures, lastConnectedAt, lastFailureAt }
+    this.setServers(urls);
+  }
+
+  /**
+   * Replace the server list, e.g. after a configuration reload
+   * The current server stays current if it is still listed
+   * @param {string[]} urls - WebSocket URLs, most preferred first
+   */
+  setServers(urls) {
+    const current = this.urls[this.index];
+    this.urls = [...urls];
+    this.index = Math.max(this.urls.indexOf(current), 0);
+
+    for (const url of this.health.keys()) {
+      if (!this.urls.includes(url)) {
+        this.health.delete(url);
+      }
+    }
+    for (const url of this.urls) {
+      if (!this.health.has(url)) {
+        this.health.set(url, { failures: 0, lastConnectedAt: null, lastFailureAt: null });
+      }
+    }
+  }
+
+  get size() {
+    return this.urls.length;
+  }
+
+  /**
+   * @returns {string} URL of the server to connect to next
+   */
+  current() {
+    return this.urls[this.index];
+  }
+
+  /**
+   * Record a successful connection, making the server sticky
+   * @param {string} url - Server connected to
+   */
+  markConnected(url) {
+    const health = this.health.get(url);
+    if (health) {
+      health.failures = 0;
+      health.lastConnectedAt = new Date();
+    }
+  }
+
+  /**
+   * Record a failed connection attempt and fail over if it was the current server
+   * @param {string} url - Server that could not be reached
+   */
+  markFailed(url) {
+    const health = this.health.get(url);
+    if (!health) {
+      return;
+    }
+    health.failures++;
+    health.lastFailureAt = new Date();
+
+    if (url !== this.current() || this.urls.length < 2) {
+      return;
+    }
+
+    let next = null;
+    for (let offset = 1; offset < this.urls.length; offset++) {
+      const candidate = (this.index + offset) % this.urls.length;
+      if (next === null || this.health.get(this.urls[candidate]).failures < this.health.get(this.urls[next]).failures) {
+        next = candidate;
+      }
+    }
+    this.index = next;
+  }
+
+  /**
+   * Describe every server for logs and embedders
+   * @returns {Array<Object>} `{ url, current, failures, lastConnectedAt, lastFailureAt }`
+   */
+  status() {
+    return this.urls.map((url, index) => ({ url, current: index === this.index, ...this.health.get(url) }));
+  }
+}
@@ -0,0 +1,118 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { backoffDelay, ServerPool } from './reconnect.js';
+
+describe('backoffDelay', () => {
+  const lowest = () => 0;
+  const highest = () => 0.999999;
+
+  test('doubles from the base delay each round', () => {
+    assert.deepEqual([0, 1, 2, 3].map(attempt => backoffDelay(attempt, 1000, 60000, highest)), [1000, 2000, 4000, 8000]);
+  });
+
+  test('never waits longer than the maximum', () => {
+    assert.equal(backoffDelay(6, 1000, 60000, highest), 60000);
+    assert.equal(backoffDelay(1000, 1000, 60000, highest), 60000);
+    assert.equal(backoffDelay(1000, 1000, 60000, lowest), 30000);
+  });
+
+  test('jitters within the upper half of the window', () => {
+    assert.equal(backoffDelay(2, 1000, 60000, lowest), 2000);
+    assert.equal(backoffDelay(2, 1000, 60000, () => 0.5), 3000);
+    assert.equal(backoffDelay(2, 1000, 60000, highest), 4000);
+
+    for (let draw = 0; draw < 100; draw++) {
+      const delay = backoffDelay(3, 500, 60000);
+      assert.ok(delay >= 2000 && delay <= 4000, `${delay}`);
+    }
+  });
+});
+
+describe('ServerPool', () => {
+  const A = 'ws://a:8080';
+  const B = 'ws://b:8080';
+  const C = 'ws://c:8080';
+
+  test('starts with the most preferred server', () => {
+    assert.equal(new ServerPool([A, B, C]).current(), A);
+  });
+
+  test('stays on the last server reached after a dropped connection', () => {
+    const pool = new ServerPool([A, B, C]);
+    pool.markFailed(A);
+    pool.markConnected(B);
+
+    // A dropped connection is not a failed attempt, so nothing moves the pool off B
+    assert.equal(pool.current(), B);
+    assert.deepEqual(pool.status().map(({ url, current, failures }) => ({ url, current, failures })), [
+      { url: A, current: false, failures: 1 },
+      { url: B, current: true, failures: 0 },
+      { url: C, current: false, failures: 0 }
+    ]);
+  });
+
+  test('fails over to the server with the fewest failures, the next one in order on a tie', () => {
+    const pool = new ServerPool([A, B, C]);
+
+    pool.markFailed(A);
+    assert.equal(pool.current(), B);
+
+    pool.markFailed(B);
+    assert.equal(pool.current(), C);
+
+    // A and B have failed once each; A comes next after C
+    pool.markFailed(C);
+    assert.equal(pool.current(), A);
+
+    pool.markFailed(A);
+    assert.equal(pool.current(), B);
+
+    // C now has fewer failures than A even though A comes first after B
+    pool.markFailed(B);
+    assert.equal(pool.current(), C);
+  });
+
+  test('only fails over when the current server fails', () => {
+    const pool = new ServerPool([A, B]);
+    pool.markFailed(B);
+    pool.markFailed('ws://unknown:8080');
+
+    assert.equal(pool.current(), A);
+    assert.equal(pool.status()[1].failures, 1);
+  });
+
+  test('clears the failures of a server once it is reached', () => {
+    const pool = new ServerPool([A, B]);
+    pool.markFailed(A);
+    pool.markFailed(B);
+    pool.markConnected(A);
+
+    assert.equal(pool.current(), A);
+    assert.equal(pool.status()[0].failures, 0);
+    assert.ok(pool.status()[0].lastConnectedAt instanceof Date);
+  });
+
+  test('keeps the current server when a new list still has it', () => {
+    const pool = new ServerPool([A, B]);
+    pool.markFailed(A);
+    assert.equal(pool.current(), B);
+
+    pool.setServers([C, B]);
+    assert.equal(pool.current(), B);
+    assert.equal(pool.size, 2);
+
+    // Without the current server the first one takes over; A was dropped from the list, failures and all
+    pool.setServers([A, C]);
+    assert.equal(pool.current(), A);
+    assert.deepEqual(pool.status().map(({ failures }) => failures), [0, 0]);
+  });
+
+  test('keeps the failures of servers that stay listed', () => {
+    const pool = new ServerPool([A, B]);
+    pool.markFailed(A);
+
+    pool.setServers([A, B, C]);
+    assert.equal(pool.current(), B);
+    assert.deepEqual(pool.status().map(({ failures }) => failures), [1, 0, 0]);
+  });
+});
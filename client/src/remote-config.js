@@ -0,0 +1,82 @@
+import { TransferError } from './utils/errors.js';
+import { parseRate, parseSchedule } from '../../shared/bandwidth.js';
+import { ERROR_CODES, REMOTE_CONFIG_KEYS } from '../../shared/protocol.js';
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'debug'];
+
+// Accept integers sent as numbers or numeric strings
+const integer = (min) => (value) => {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (!Number.isInteger(number) || number < min) {
+    throw new Error(`must be an integer of at least ${min}`);
+  }
+  return number;
+};
+
+// Validate and normalize each setting the server may change
+const PARSERS = {
+  HEARTBEAT_INTERVAL: integer(1000),
+  RECONNECT_INTERVAL: integer(100),
+  RECONNECT_MAX_DELAY: integer(100),
+  MAX_RECONNECT_ATTEMPTS: integer(0),
+  MAX_CONCURRENT_TRANSFERS: integer(0),
+  LOG_LEVEL: (value) => {
+    if (!LOG_LEVELS.includes(value)) {
+      throw new Error(`must be one of ${LOG_LEVELS.join(', ')}`);
+    }
+    return value;
+  },
+  BANDWIDTH_LIMIT: (value) => {
+    parseRate(value);
+    return typeof value === 'string' ? value.trim() : value;
+  },
+  BANDWIDTH_SCHEDULE: (value) => {
+    if (typeof value !== 'string') {
+      throw new Error('must be a string');
+    }
+    parseSchedule(value);
+    return value.trim();
+  }
+};
+
+/**
+ * Validate the settings of a CONFIG_UPDATE
+ * The update is all or nothing: any unknown key or invalid value rejects it
+ * @param {Object} settings - `{ KEY: value }` as sent by the server
+ * @returns {Object} Normalized `{ KEY: value }`
+ * @throws {TransferError} INVALID_REQUEST with `details.errors` mapping each bad key to its problem
+ */
+export function parseRemoteSettings(settings) {
+  const values = {};
+  const errors = {};
+
+  for (const [key, value] of Object.entries(settings)) {
+    if (!REMOTE_CONFIG_KEYS.includes(key) || !PARSERS[key]) {
+      errors[key] = 'cannot be changed remotely';
+      continue;
+    }
+    try {
+      values[key] = PARSERS[key](value);
+    } catch (error) {
+      errors[key] = error.message;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    const summary = Object.entries(errors).map(([key, reason]) => `${key} ${reason}`).join('; ');
+    throw new TransferError(ERROR_CODES.INVALID_REQUEST, `Invalid settings: ${summary}`, { errors });
+  }
+  if (Object.keys(values).length === 0) {
+    throw new TransferError(ERROR_CODES.INVALID_REQUEST, 'No settings to apply');
+  }
+  return values;
+}
+
+/**
+ * Get the current value of every remotely configurable setting
+ * @param {Object} config - Client configuration
+ * @returns {Object} `{ KEY: value }`
+ */
+export function pickRemoteSettings(config) {
+  return Object.fromEntries(REMOTE_CONFIG_KEYS.map(key => [key, config[key]]));
+}
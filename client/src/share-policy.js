@@ -0,0 +1,142 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { matchesAny } from './utils/glob.js';
+import { TransferError } from './utils/errors.js';
+import { ERROR_CODES } from '../../shared/protocol.js';
+
+/**
+ * Share Policy - Decides which local files the client is allowed to serve
+ * Enforces shared roots, deny globs, a maximum file size, symlink and hidden-file rules
+ */
+class SharePolicy {
+  /**
+   * @param {Object} options - Policy options
+   * @param {string[]} options.roots - Directories files must live under
+   * @param {string[]} options.denyGlobs - Glob patterns that are never served
+   * @param {number} options.maxFileSize - Maximum file size in bytes (0 = unlimited)
+   * @param {boolean} options.followSymlinks - Serve paths that traverse symlinks (target must stay inside a root)
+   * @param {boolean} options.allowHidden - Serve files under dot-prefixed path segments
+   */
+  constructor(options = {}) {
+    this.roots = (options.roots || []).map(root => path.resolve(root));
+    this.denyGlobs = options.denyGlobs || [];
+    this.maxFileSize = options.maxFileSize || 0;
+    this.followSymlinks = options.followSymlinks === true;
+    this.allowHidden = options.allowHidden === true;
+    this.realRoots = null;
+  }
+
+  /**
+   * Build a policy from the client configuration object
+   * @param {Object} config - Client configuration
+   * @returns {SharePolicy} Policy instance
+   */
+  static fromConfig(config) {
+    return new SharePolicy({
+      roots: config.SHARE_ROOTS,
+      denyGlobs: config.SHARE_DENY_GLOBS,
+      maxFileSize: config.SHARE_MAX_FILE_SIZE,
+      followSymlinks: config.SHARE_FOLLOW_SYMLINKS,
+      allowHidden: config.SHARE_ALLOW_HIDDEN
+    });
+  }
+
+  /**
+   * Check that a resolved absolute path may be served
+   * @param {string} resolvedPath - Absolute path requested by the server
+   * @returns {Promise<Object>} The real path and its stats
+   * @throws {TransferError} PERMISSION_DENIED when the policy rejects the path
+   */
+  async check(resolvedPath) {
+    const absolutePath = path.resolve(resolvedPath);
+
+    // Static checks run before touching the filesystem so that probing
+    // outside the shared roots never reveals whether a file exists
+    this.checkPath(absolutePath, this.roots);
+
+    const realPath = await fs.realpath(absolutePath);
+    const realRoots = await this.getRealRoots();
+
+    if (!this.isUnderRoot(realPath, realRoots, absolutePath)) {
+      if (!this.followSymlinks) {
+        this.deny(resolvedPath, 'path traverses a symbolic link');
+      }
+      this.checkPath(realPath, realRoots);
+    }
+
+    const stats = await fs.stat(realPath);
+    if (this.maxFileSize > 0 && stats.size > this.maxFileSize) {
+      this.deny(resolvedPath, `file exceeds maximum size of ${this.maxFileSize} bytes`);
+    }
+
+    return { path: realPath, stats };
+  }
+
+  /**
+   * Apply root, hidden-file and deny-glob rules to a path
+   * @param {string} filePath - Absolute path to check
+   * @param {string[]} roots - Roots the path must live under
+   */
+  checkPath(filePath, roots) {
+    const root = this.findRoot(filePath, roots);
+    if (!root) {
+      this.deny(filePath, 'path is outside the shared roots');
+    }
+
+    if (!this.allowHidden) {
+      const segments = path.relative(root, filePath).split(path.sep);
+      if (segments.some(segment => segment.startsWith('.'))) {
+        this.deny(filePath, 'hidden files are not shared');
+      }
+    }
+
+    if (matchesAny(filePath, this.denyGlobs)) {
+      this.deny(filePath, 'path matches a deny pattern');
+    }
+  }
+
+  /**
+   * Check whether the real path equals the requested path rebased onto a real root,
+   * i.e. no symlink was traversed below the root
+   */
+  isUnderRoot(realPath, realRoots, absolutePath) {
+    return this.roots.some((root, index) => {
+      if (!this.isWithin(root, absolutePath)) {
+        return false;
+      }
+      return path.join(realRoots[index], path.relative(root, absolutePath)) === realPath;
+    });
+  }
+
+  findRoot(filePath, roots) {
+    return roots.find(root => this.isWithin(root, filePath)) || null;
+  }
+
+  isWithin(root, filePath) {
+    const relative = path.relative(root, filePath);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+  }
+
+  /**
+   * Resolve configured roots through symlinks once, so that roots which are
+   * themselves links (e.g. /home -> /var/home) still compare correctly
+   */
+  async getRealRoots() {
+    if (!this.realRoots) {
+      this.realRoots = await Promise.all(
+        this.roots.map(root => fs.realpath(root).catch(() => root))
+      );
+    }
+    return this.realRoots;
+  }
+
+  deny(filePath, reason) {
+    throw new TransferError(
+      ERROR_CODES.PERMISSION_DENIED,
+      `Access denied: ${filePath} (${reason})`,
+      { filePath, reason }
+    );
+  }
+}
+
+export default SharePolicy;
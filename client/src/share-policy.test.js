@@ -0,0 +1,137 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import SharePolicy from './share-policy.js';
+import { ERROR_CODES } from '../../shared/protocol.js';
+
+// Rejects with PERMISSION_DENIED for the given reason
+const denied = reason => (error) => {
+  assert.equal(error.code, ERROR_CODES.PERMISSION_DENIED);
+  assert.equal(error.details.reason, reason);
+  return true;
+};
+
+describe('SharePolicy', () => {
+  let workDir;
+  let root;
+  let outside;
+
+  before(() => {
+    workDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'share-policy-test-')));
+    root = path.join(workDir, 'shared');
+    outside = path.join(workDir, 'private');
+    fs.mkdirSync(path.join(root, 'logs'), { recursive: true });
+    fs.mkdirSync(path.join(root, '.config'), { recursive: true });
+    fs.mkdirSync(outside);
+
+    fs.writeFileSync(path.join(root, 'logs', 'app.log'), 'log line\n');
+    fs.writeFileSync(path.join(root, '.env'), 'SECRET=1\n');
+    fs.writeFileSync(path.join(root, '.config', 'settings.json'), '{}');
+    fs.writeFileSync(path.join(root, 'server.key'), 'key');
+    fs.writeFileSync(path.join(root, 'big.bin'), Buffer.alloc(2048));
+    fs.writeFileSync(path.join(outside, 'secret.txt'), 'secret');
+
+    fs.symlinkSync(path.join(outside, 'secret.txt'), path.join(root, 'escape.txt'));
+    fs.symlinkSync(path.join(root, 'logs', 'app.log'), path.join(root, 'latest.log'));
+  });
+
+  after(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  const policy = (options = {}) => new SharePolicy({ roots: [root], denyGlobs: ['*.key'], ...options });
+
+  test('serves a file under a root and returns its real path and stats', async () => {
+    const { path: realPath, stats } = await policy().check(path.join(root, 'logs', 'app.log'));
+
+    assert.equal(realPath, path.join(root, 'logs', 'app.log'));
+    assert.equal(stats.size, 9);
+  });
+
+  test('refuses paths outside every root before touching the filesystem', async () => {
+    await assert.rejects(policy().check(path.join(outside, 'secret.txt')), denied('path is outside the shared roots'));
+    await assert.rejects(policy().check(path.join(outside, 'missing.txt')), denied('path is outside the shared roots'));
+    await assert.rejects(policy().check('/etc/passwd'), denied('path is outside the shared roots'));
+  });
+
+  test('refuses .. paths that climb out of a root', async () => {
+    await assert.rejects(policy().check(`${root}/logs/../../private/secret.txt`), denied('path is outside the shared roots'));
+    await assert.rejects(policy().check(`${root}/..`), denied('path is outside the shared roots'));
+    // A sibling directory sharing the root's name as a prefix is not inside it
+    await assert.rejects(policy().check(`${root}-other/file`), denied('path is outside the shared roots'));
+  });
+
+  test('allows .. segments that stay inside the root', async () => {
+    const { path: realPath } = await policy().check(`${root}/logs/../logs/app.log`);
+
+    assert.equal(realPath, path.join(root, 'logs', 'app.log'));
+  });
+
+  test('refuses symlinks unless SHARE_FOLLOW_SYMLINKS is set', async () => {
+    await assert.rejects(policy().check(path.join(root, 'latest.log')), denied('path traverses a symbolic link'));
+    await assert.rejects(policy().check(path.join(root, 'escape.txt')), denied('path traverses a symbolic link'));
+  });
+
+  test('follows symlinks whose target stays inside a root', async () => {
+    const { path: realPath } = await policy({ followSymlinks: true }).check(path.join(root, 'latest.log'));
+
+    assert.equal(realPath, path.join(root, 'logs', 'app.log'));
+  });
+
+  test('refuses a symlink out of the root even when following symlinks', async () => {
+    await assert.rejects(policy({ followSymlinks: true }).check(path.join(root, 'escape.txt')), denied('path is outside the shared roots'));
+  });
+
+  test('refuses dotfiles and files under dot-directories unless hidden files are allowed', async () => {
+    await assert.rejects(policy().check(path.join(root, '.env')), denied('hidden files are not shared'));
+    await assert.rejects(policy().check(path.join(root, '.config', 'settings.json')), denied('hidden files are not shared'));
+
+    const { path: realPath } = await policy({ allowHidden: true }).check(path.join(root, '.env'));
+    assert.equal(realPath, path.join(root, '.env'));
+  });
+
+  test('only looks for hidden segments below the root', async () => {
+    const hiddenRoot = path.join(root, '.config');
+
+    const { path: realPath } = await new SharePolicy({ roots: [hiddenRoot] }).check(path.join(hiddenRoot, 'settings.json'));
+    assert.equal(realPath, path.join(hiddenRoot, 'settings.json'));
+  });
+
+  test('refuses files matching a deny glob', async () => {
+    await assert.rejects(policy().check(path.join(root, 'server.key')), denied('path matches a deny pattern'));
+    await assert.rejects(policy({ denyGlobs: ['**/logs/*'] }).check(path.join(root, 'logs', 'app.log')), denied('path matches a deny pattern'));
+  });
+
+  test('refuses files larger than the maximum size', async () => {
+    await assert.rejects(policy({ maxFileSize: 1024 }).check(path.join(root, 'big.bin')), denied('file exceeds maximum size of 1024 bytes'));
+
+    const { stats } = await policy({ maxFileSize: 2048 }).check(path.join(root, 'big.bin'));
+    assert.equal(stats.size, 2048);
+  });
+
+  test('compares against the real path of a root that is itself a symlink', async () => {
+    const linkedRoot = path.join(workDir, 'linked-root');
+    fs.symlinkSync(root, linkedRoot);
+
+    const { path: realPath } = await new SharePolicy({ roots: [linkedRoot] }).check(path.join(linkedRoot, 'logs', 'app.log'));
+    assert.equal(realPath, path.join(root, 'logs', 'app.log'));
+  });
+
+  test('builds the policy from the client configuration', () => {
+    const fromConfig = SharePolicy.fromConfig({
+      SHARE_ROOTS: [root],
+      SHARE_DENY_GLOBS: ['*.pem'],
+      SHARE_MAX_FILE_SIZE: 10,
+      SHARE_FOLLOW_SYMLINKS: true,
+      SHARE_ALLOW_HIDDEN: false
+    });
+
+    assert.deepEqual(fromConfig.roots, [root]);
+    assert.deepEqual(fromConfig.denyGlobs, ['*.pem']);
+    assert.equal(fromConfig.maxFileSize, 10);
+    assert.equal(fromConfig.followSymlinks, true);
+    assert.equal(fromConfig.allowHidden, false);
+  });
+});
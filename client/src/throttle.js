@@ -0,0 +1,118 @@
+import { parseRate, parseSchedule, activeLimit } from '../../shared/bandwidth.js';
+
+/**
+ * Bandwidth Throttle - Token bucket shared by every outgoing transfer
+ * The rate follows the local configuration or settings pushed by the server,
+ * switching at the boundaries of the configured time-of-day windows.
+ * The bucket holds up to one second of traffic; a chunk larger than the
+ * tokens on hand is sent after waiting off the deficit
+ */
+class BandwidthThrottle {
+  /**
+   * @param {Object} settings - Local settings `{ limit, schedule }`
+   * @param {number|string} settings.limit - Base bytes per second (0 = unlimited)
+   * @param {string} settings.schedule - Transfer windows, see parseSchedule
+   */
+  constructor({ limit = 0, schedule = '' } = {}) {
+    this.local = BandwidthThrottle.normalize({ limit, schedule });
+    this.override = null; // Settings pushed by the server, replacing the local ones
+    this.rate = null;
+    this.tokens = 0;
+    this.lastRefill = Date.now();
+  }
+
+  /**
+   * Validate and normalize bandwidth settings
+   * @param {Object} settings - `{ limit, schedule }` as configured or received
+   * @returns {Object} `{ limit, schedule, windows }`
+   * @throws {Error} If the limit or schedule is invalid
+   */
+  static normalize({ limit, schedule }) {
+    const scheduleText = schedule ? String(schedule).trim() : '';
+    return {
+      limit: parseRate(limit ?? 0),
+      schedule: scheduleText,
+      windows: parseSchedule(scheduleText)
+    };
+  }
+
+  /**
+   * Apply settings pushed by the server
+   * Fields the server leaves out keep their local value; null drops the override
+   * @param {Object|null} override - `{ limit, schedule }` or null to return to local settings
+   * @throws {Error} If the settings are invalid; the current ones stay in force
+   */
+  setOverride(override) {
+    this.override = override ? BandwidthThrottle.normalize({
+      limit: override.limit ?? this.local.limit,
+      schedule: override.schedule ?? this.local.schedule
+    }) : null;
+  }
+
+  /**
+   * Replace the local settings, e.g. after a configuration reload
+   * @param {Object} settings - `{ limit, schedule }`
+   * @throws {Error} If the settings are invalid; the current ones stay in force
+   */
+  setLocal(settings) {
+    this.local = BandwidthThrottle.normalize(settings);
+  }
+
+  get settings() {
+    return this.override || this.local;
+  }
+
+  /**
+   * Get the limit in force right now
+   * @param {Date} date - Time to check
+   * @returns {number} Bytes per second, 0 for unlimited
+   */
+  getActiveLimit(date = new Date()) {
+    const { windows, limit } = this.settings;
+    return activeLimit(windows, limit, date);
+  }
+
+  /**
+   * Describe the throttle for BANDWIDTH_STATUS
+   * @returns {Object} `{ limit, baseLimit, schedule, source }`
+   */
+  getStatus() {
+    const { limit, schedule } = this.settings;
+    return {
+      limit: this.getActiveLimit(),
+      baseLimit: limit,
+      schedule,
+      source: this.override ? 'server' : 'local'
+    };
+  }
+
+  /**
+   * Take bytes from the bucket, waiting until the rate allows sending them
+   * @param {number} bytes - Bytes about to be sent
+   * @returns {Promise<void>} Resolves when the bytes may be sent
+   */
+  async consume(bytes) {
+    const rate = this.getActiveLimit();
+    if (rate !== this.rate) {
+      // Start a new rate with a full second of burst
+      this.rate = rate;
+      this.tokens = rate;
+      this.lastRefill = Date.now();
+    }
+    if (!rate) {
+      return;
+    }
+
+    const now = Date.now();
+    this.tokens = Math.min(rate, this.tokens + (now - this.lastRefill) * rate / 1000);
+    this.lastRefill = now;
+
+    // Concurrent senders queue up behind each other's debt
+    this.tokens -= bytes;
+    if (this.tokens < 0) {
+      await new Promise(resolve => setTimeout(resolve, Math.ceil(-this.tokens * 1000 / rate)));
+    }
+  }
+}
+
+export default BandwidthThrottle;
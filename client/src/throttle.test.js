@@ -0,0 +1,119 @@
+import { describe, test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import BandwidthThrottle from './throttle.js';
+
+// Let resolved waits run their callbacks (setImmediate is not mocked)
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+// Start a consume and report whether it has resolved yet
+const track = (promise) => {
+  const state = { done: false };
+  promise.then(() => {
+    state.done = true;
+  });
+  return state;
+};
+
+describe('BandwidthThrottle', () => {
+  beforeEach(() => {
+    // Local time, just before the 09:00 window of the schedule tests
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: new Date(2026, 0, 5, 8, 59, 59).getTime() });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  test('sends up to one second of traffic at once', async () => {
+    const throttle = new BandwidthThrottle({ limit: 1000 });
+    const burst = track(throttle.consume(1000));
+    await settle();
+    assert.equal(burst.done, true);
+  });
+
+  test('waits off the deficit of a chunk larger than the tokens on hand', async () => {
+    const throttle = new BandwidthThrottle({ limit: 1000 });
+    await throttle.consume(1000);
+
+    const next = track(throttle.consume(500));
+    mock.timers.tick(499);
+    await settle();
+    assert.equal(next.done, false);
+
+    mock.timers.tick(1);
+    await settle();
+    assert.equal(next.done, true);
+  });
+
+  test('refills the bucket with time, up to one second of traffic', async () => {
+    const throttle = new BandwidthThrottle({ limit: 1000 });
+    await throttle.consume(1000);
+    mock.timers.tick(250);
+
+    const refilled = track(throttle.consume(250));
+    await settle();
+    assert.equal(refilled.done, true);
+
+    mock.timers.tick(5000);
+    const capped = track(throttle.consume(1100));
+    mock.timers.tick(99);
+    await settle();
+    assert.equal(capped.done, false);
+    mock.timers.tick(1);
+    await settle();
+    assert.equal(capped.done, true);
+  });
+
+  test('sends right away without a limit', async () => {
+    const throttle = new BandwidthThrottle({ limit: 'unlimited' });
+    const sent = track(throttle.consume(100 * 1024 * 1024));
+    await settle();
+    assert.equal(sent.done, true);
+  });
+
+  test('starts afresh with a full burst when a schedule window changes the rate', async () => {
+    const throttle = new BandwidthThrottle({ limit: 1000, schedule: '09:00-17:00=100' });
+    await throttle.consume(1000);
+    assert.equal(throttle.getActiveLimit(), 1000);
+
+    // One second later the 09:00 window applies; the old debt does not carry over
+    mock.timers.tick(1000);
+    assert.equal(throttle.getActiveLimit(), 100);
+    const burst = track(throttle.consume(100));
+    await settle();
+    assert.equal(burst.done, true);
+
+    const next = track(throttle.consume(50));
+    mock.timers.tick(499);
+    await settle();
+    assert.equal(next.done, false);
+    mock.timers.tick(1);
+    await settle();
+    assert.equal(next.done, true);
+  });
+
+  test('follows server settings until the override is dropped', () => {
+    const throttle = new BandwidthThrottle({ limit: '1K', schedule: '09:00-17:00=100' });
+
+    throttle.setOverride({ limit: '2K' });
+    assert.deepEqual(throttle.getStatus(), { limit: 2048, baseLimit: 2048, schedule: '09:00-17:00=100', source: 'server' });
+
+    throttle.setOverride({ schedule: '' });
+    assert.deepEqual(throttle.getStatus(), { limit: 1024, baseLimit: 1024, schedule: '', source: 'server' });
+
+    throttle.setOverride(null);
+    assert.deepEqual(throttle.getStatus(), { limit: 1024, baseLimit: 1024, schedule: '09:00-17:00=100', source: 'local' });
+  });
+
+  test('keeps the current settings when new ones are invalid', () => {
+    const throttle = new BandwidthThrottle({ limit: 1000 });
+    throttle.setOverride({ limit: 500 });
+
+    assert.throws(() => throttle.setOverride({ limit: 'fast' }), /Invalid rate "fast"/);
+    assert.throws(() => throttle.setLocal({ limit: 1000, schedule: '09:00-09:00=1K' }), /start and end are the same/);
+    assert.equal(throttle.getActiveLimit(), 500);
+
+    throttle.setOverride(null);
+    assert.equal(throttle.getActiveLimit(), 1000);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Transfer Queue - Limits how many transfers read from disk at once
+ * Transfers beyond the limit wait for a slot, highest priority first and
+ * in arrival order within a priority
+ */
+class TransferQueue {
+  /**
+   * @param {number} maxConcurrent - Slots available (0 or less = unlimited)
+   */
+  constructor(maxConcurrent) {
+    this.maxConcurrent = maxConcurrent > 0 ? maxConcurrent : Infinity;
+    this.running = 0;
+    this.waiting = []; // [{ requestId, priority, resolve, reject }] in start order
+  }
+
+  /**
+   * Take a slot, waiting in the queue while none is free
+   * @param {string} requestId - Request ID the slot is for
+   * @param {number} priority - Higher starts first
+   * @returns {Promise<void>} Resolves once the slot is held
+   */
+  acquire(requestId, priority = 0) {
+    if (this.running < this.maxConcurrent && this.waiting.length === 0) {
+      this.running++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { requestId, priority, resolve, reject };
+      const index = this.waiting.findIndex(waiter => waiter.priority < priority);
+      if (index === -1) {
+        this.waiting.push(entry);
+      } else {
+        this.waiting.splice(index, 0, entry);
+      }
+    });
+  }
+
+  /**
+   * Give a slot back and start the next waiting transfer
+   */
+  release() {
+    this.running = Math.max(this.running - 1, 0);
+    this.startWaiting();
+  }
+
+  /**
+   * Change the number of slots
+   * Raising it starts waiting transfers right away; lowering it lets running
+   * transfers finish and holds new ones back until the count drops below it
+   * @param {number} maxConcurrent - Slots available (0 or less = unlimited)
+   */
+  setMaxConcurrent(maxConcurrent) {
+    this.maxConcurrent = maxConcurrent > 0 ? maxConcurrent : Infinity;
+    this.startWaiting();
+  }
+
+  startWaiting() {
+    while (this.running < this.maxConcurrent && this.waiting.length > 0) {
+      this.running++;
+      this.waiting.shift().resolve();
+    }
+  }
+
+  /**
+   * Drop a waiting transfer from the queue
+   * @param {string} requestId - Request ID
+   * @param {Error} error - Reason passed to the waiting acquire
+   * @returns {boolean} True if the transfer was waiting
+   */
+  remove(requestId, error) {
+    const index = this.waiting.findIndex(waiter => waiter.requestId === requestId);
+    if (index === -1) {
+      return false;
+    }
+    this.waiting.splice(index, 1)[0].reject(error);
+    return true;
+  }
+
+  /**
+   * Get the 1-based queue position of a waiting transfer
+   * @param {string} requestId - Request ID
+   * @returns {number} Position, or 0 if the transfer is not waiting
+   */
+  position(requestId) {
+    return this.waiting.findIndex(waiter => waiter.requestId === requestId) + 1;
+  }
+
+  /**
+   * Request IDs of waiting transfers in the order they will start
+   * @returns {string[]} Request IDs
+   */
+  queued() {
+    return this.waiting.map(waiter => waiter.requestId);
+  }
+}
+
+export default TransferQueue;
@@ -0,0 +1,91 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import TransferQueue from './transfer-queue.js';
+import { TransferError } from './utils/errors.js';
+import { ERROR_CODES } from '../../shared/protocol.js';
+
+// Let the promises of the slots handed out so far settle
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('TransferQueue', () => {
+  // Queues each request and records the order the slots are handed out in
+  const acquireAll = (queue, requests) => {
+    const started = [];
+    const slots = requests.map(([requestId, priority]) =>
+      queue.acquire(requestId, priority).then(() => started.push(requestId)));
+    return { started, slots };
+  };
+
+  test('starts waiting transfers by priority, then in arrival order', async () => {
+    const queue = new TransferQueue(1);
+    const { started } = acquireAll(queue, [['running', 0], ['low', 0], ['high', 5], ['low-2', 0], ['high-2', 5]]);
+    await settle();
+
+    assert.deepEqual(started, ['running']);
+    assert.deepEqual(queue.queued(), ['high', 'high-2', 'low', 'low-2']);
+    assert.equal(queue.position('low'), 3);
+    assert.equal(queue.position('running'), 0);
+
+    for (let released = 0; released < 4; released++) {
+      queue.release();
+      await settle();
+    }
+    assert.deepEqual(started, ['running', 'high', 'high-2', 'low', 'low-2']);
+    assert.equal(queue.running, 1);
+  });
+
+  test('holds each slot until it is released', async () => {
+    const queue = new TransferQueue(2);
+    const { started } = acquireAll(queue, [['a', 0], ['b', 0], ['c', 0]]);
+    await settle();
+    assert.deepEqual(started, ['a', 'b']);
+
+    queue.release();
+    await settle();
+    assert.deepEqual(started, ['a', 'b', 'c']);
+    assert.equal(queue.running, 2);
+
+    queue.release();
+    queue.release();
+    queue.release();
+    assert.equal(queue.running, 0);
+  });
+
+  test('removes a cancelled transfer from the queue and rejects its wait', async () => {
+    const queue = new TransferQueue(1);
+    const { started, slots } = acquireAll(queue, [['running', 0], ['cancelled', 0], ['next', 0]]);
+    const cancelled = new TransferError(ERROR_CODES.DOWNLOAD_CANCELLED, 'Download cancelled');
+
+    assert.equal(queue.remove('cancelled', cancelled), true);
+    assert.equal(queue.remove('cancelled', cancelled), false);
+    assert.equal(queue.remove('running', cancelled), false);
+    await assert.rejects(slots[1], cancelled);
+    assert.deepEqual(queue.queued(), ['next']);
+
+    queue.release();
+    await settle();
+    assert.deepEqual(started, ['running', 'next']);
+  });
+
+  test('treats a limit of 0 as no limit', async () => {
+    const queue = new TransferQueue(0);
+    const { started } = acquireAll(queue, Array.from({ length: 20 }, (_, index) => [`request-${index}`, 0]));
+    await settle();
+
+    assert.equal(started.length, 20);
+    assert.deepEqual(queue.queued(), []);
+  });
+
+  test('starts waiting transfers when the limit is raised or lifted', async () => {
+    const queue = new TransferQueue(1);
+    const { started } = acquireAll(queue, [['a', 0], ['b', 0], ['c', 0], ['d', 0]]);
+
+    queue.setMaxConcurrent(2);
+    await settle();
+    assert.deepEqual(started, ['a', 'b']);
+
+    queue.setMaxConcurrent(0);
+    await settle();
+    assert.deepEqual(started, ['a', 'b', 'c', 'd']);
+  });
+});
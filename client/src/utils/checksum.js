@@ -1,23 +1,40 @@
 import crypto from 'crypto';
 import { createReadStream } from 'fs';
+import { CONSTANTS, HASH_ALGORITHMS } from '../../../shared/protocol.js';
 
 /**
- * Calculate SHA-256 checksum of a buffer
+ * Hash algorithms this client can compute
+ */
+export const SUPPORTED_HASH_ALGORITHMS = Object.values(HASH_ALGORITHMS).filter(algorithm => crypto.getHashes().includes(algorithm));
+
+/**
+ * Calculate the checksum of a buffer
  * @param {Buffer} buffer - Data to hash
- * @returns {string} Hexadecimal SHA-256 hash
+ * @param {string} algorithm - Hash algorithm
+ * @returns {string} Hexadecimal hash
+ */
+export function calculateChecksum(buffer, algorithm = CONSTANTS.DEFAULT_HASH_ALGORITHM) {
+  return crypto.createHash(algorithm).update(buffer).digest('hex');
+}
+
+/**
+ * Create an incremental hash for data that arrives in pieces
+ * @param {string} algorithm - Hash algorithm
+ * @returns {crypto.Hash} Hash object to update and digest
  */
-export function calculateChecksum(buffer) {
-  return crypto.createHash('sha256').update(buffer).digest('hex');
+export function createHasher(algorithm = CONSTANTS.DEFAULT_HASH_ALGORITHM) {
+  return crypto.createHash(algorithm);
 }
 
 /**
- * Calculate SHA-256 checksum of a file using streaming
+ * Calculate the checksum of a file using streaming
  * @param {string} filePath - Path to the file
- * @returns {Promise<string>} Hexadecimal SHA-256 hash
+ * @param {string} algorithm - Hash algorithm
+ * @returns {Promise<string>} Hexadecimal hash
  */
-export async function calculateFileChecksum(filePath) {
+export async function calculateFileChecksum(filePath, algorithm = CONSTANTS.DEFAULT_HASH_ALGORITHM) {
   return new Promise((resolve, reject) => {
-    const hash = crypto.createHash('sha256');
+    const hash = crypto.createHash(algorithm);
     const stream = createReadStream(filePath);
     
     stream.on('data', (data) => {
@@ -37,10 +54,11 @@ export async function calculateFileChecksum(filePath) {
 /**
  * Verify data against expected checksum
  * @param {Buffer|string} data - Data to verify
- * @param {string} expectedChecksum - Expected SHA-256 hash
+ * @param {string} expectedChecksum - Expected hash
+ * @param {string} algorithm - Hash algorithm of the expected hash
  * @returns {boolean} True if checksums match
  */
-export function verifyChecksum(data, expectedChecksum) {
-  const actualChecksum = calculateChecksum(Buffer.isBuffer(data) ? data : Buffer.from(data));
+export function verifyChecksum(data, expectedChecksum, algorithm = CONSTANTS.DEFAULT_HASH_ALGORITHM) {
+  const actualChecksum = calculateChecksum(Buffer.isBuffer(data) ? data : Buffer.from(data), algorithm);
   return actualChecksum === expectedChecksum;
 }
@@ -0,0 +1,46 @@
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { COMPRESSION_CODECS } from '../../../shared/protocol.js';
+
+// Brotli's default quality (11) costs seconds per megabyte; 4 is close to gzip's speed with a better ratio
+const BROTLI_QUALITY = 4;
+
+const gzip = promisify(zlib.gzip);
+const deflate = promisify(zlib.deflate);
+const brotliCompress = promisify(zlib.brotliCompress);
+
+const compressors = {
+  [COMPRESSION_CODECS.GZIP]: (buffer) => gzip(buffer),
+  [COMPRESSION_CODECS.DEFLATE]: (buffer) => deflate(buffer),
+  [COMPRESSION_CODECS.BROTLI]: (buffer) => brotliCompress(buffer, {
+    params: {
+      [zlib.constants.BROTLI_PARAM_QUALITY]: BROTLI_QUALITY,
+      [zlib.constants.BROTLI_PARAM_SIZE_HINT]: buffer.length
+    }
+  })
+};
+
+/**
+ * Codecs this client can compress with
+ */
+export const SUPPORTED_CODECS = Object.keys(compressors);
+
+/**
+ * Compress a chunk, falling back to the raw bytes when compression does not help
+ * @param {Buffer} buffer - Uncompressed chunk data
+ * @param {string} codec - Negotiated COMPRESSION_CODECS value
+ * @returns {Promise<Object>} `{ data, codec }` where codec is 'none' if the data was left as is
+ */
+export async function compressChunk(buffer, codec) {
+  const compress = compressors[codec];
+  if (!compress) {
+    return { data: buffer, codec: COMPRESSION_CODECS.NONE };
+  }
+
+  const compressed = await compress(buffer);
+  if (compressed.length >= buffer.length) {
+    return { data: buffer, codec: COMPRESSION_CODECS.NONE };
+  }
+
+  return { data: compressed, codec };
+}
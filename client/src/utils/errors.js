@@ -0,0 +1,24 @@
+/**
+ * Error carrying a protocol error code so it can be reported to the server
+ */
+export class TransferError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'TransferError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Convert any error into the `{ code, message }` shape sent over the wire
+ * @param {Error} error - Error to serialize
+ * @param {string} fallbackCode - Code to use when the error carries none
+ * @returns {Object} Serializable error object
+ */
+export function toErrorPayload(error, fallbackCode) {
+  return {
+    code: error instanceof TransferError ? error.code : fallbackCode,
+    message: error.message
+  };
+}
@@ -0,0 +1,43 @@
+/**
+ * File fingerprints: the cheap stat fields that change when a file is
+ * rewritten, appended to or replaced
+ */
+
+/**
+ * Build a fingerprint from file stats
+ * @param {fs.Stats} stats - Stats of the file
+ * @returns {Object} `{ size, mtimeMs, ino }`
+ */
+export function getFingerprint(stats) {
+  return {
+    size: stats.size,
+    mtimeMs: stats.mtimeMs,
+    ino: stats.ino
+  };
+}
+
+/**
+ * Check whether two fingerprints describe the same file contents
+ * @param {Object} a - Fingerprint
+ * @param {Object} b - Fingerprint
+ * @returns {boolean} True if size, mtime and inode all match
+ */
+export function sameFingerprint(a, b) {
+  return a.size === b.size && a.mtimeMs === b.mtimeMs && a.ino === b.ino;
+}
+
+/**
+ * Describe how a file differs from its fingerprint, for error messages
+ * @param {Object} expected - Fingerprint recorded earlier
+ * @param {Object} actual - Current fingerprint
+ * @returns {string} Human-readable difference
+ */
+export function describeChange(expected, actual) {
+  if (expected.ino !== actual.ino) {
+    return 'file was replaced';
+  }
+  if (expected.size !== actual.size) {
+    return `size changed from ${expected.size} to ${actual.size} bytes`;
+  }
+  return 'file was modified';
+}
@@ -0,0 +1,54 @@
+import path from 'path';
+
+/**
+ * Convert a glob pattern into a regular expression
+ * Supports `*` (any characters except `/`), `**` (any characters, including `/`)
+ * and `?` (a single character except `/`)
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp} Anchored regular expression
+ */
+export function globToRegExp(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        // '**/' also matches zero directories
+        if (glob[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check whether a path matches any of the given globs
+ * Patterns without a `/` are matched against the basename only
+ * @param {string} filePath - Path to test
+ * @param {string[]} globs - Glob patterns
+ * @returns {boolean} True if at least one pattern matches
+ */
+export function matchesAny(filePath, globs) {
+  const normalized = filePath.split(path.sep).join('/');
+  const basename = path.posix.basename(normalized);
+
+  return globs.some(glob => {
+    const target = glob.includes('/') ? normalized : basename;
+    return globToRegExp(glob).test(target);
+  });
+}
@@ -0,0 +1,60 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { globToRegExp, matchesAny } from './glob.js';
+
+describe('globToRegExp', () => {
+  test('* matches within one path segment', () => {
+    const regExp = globToRegExp('*.log');
+
+    assert.ok(regExp.test('app.log'));
+    assert.ok(regExp.test('.log'));
+    assert.ok(!regExp.test('logs/app.log'));
+    assert.ok(!regExp.test('app.log.1'));
+  });
+
+  test('** matches across segments, and **/ also matches no directory', () => {
+    assert.ok(globToRegExp('**/*.log').test('app.log'));
+    assert.ok(globToRegExp('**/*.log').test('a/b/c/app.log'));
+    assert.ok(globToRegExp('logs/**').test('logs/2026/01/app.log'));
+    assert.ok(!globToRegExp('logs/**').test('other/app.log'));
+  });
+
+  test('? matches a single character other than /', () => {
+    assert.ok(globToRegExp('app-?.log').test('app-1.log'));
+    assert.ok(!globToRegExp('app-?.log').test('app-12.log'));
+    assert.ok(!globToRegExp('a?b').test('a/b'));
+  });
+
+  test('treats regular expression characters literally', () => {
+    assert.ok(globToRegExp('report(1)+[final].txt').test('report(1)+[final].txt'));
+    assert.ok(!globToRegExp('a.b').test('axb'));
+    assert.ok(!globToRegExp('$HOME').test('HOME'));
+  });
+});
+
+describe('matchesAny', () => {
+  test('matches patterns without / against the file name only', () => {
+    assert.ok(matchesAny('/srv/data/keys/server.key', ['*.pem', '*.key']));
+    assert.ok(!matchesAny('/srv/data/key.d/readme', ['*.key']));
+  });
+
+  test('matches patterns with / against the whole path', () => {
+    assert.ok(matchesAny('/srv/data/secrets/a.txt', ['**/secrets/**']));
+    assert.ok(!matchesAny('/srv/data/public/a.txt', ['**/secrets/**']));
+    assert.ok(matchesAny('2026-01/app/error.log', ['2026-*/**/*.log']));
+    assert.ok(!matchesAny('2025/app/error.log', ['2026-*/**/*.log']));
+  });
+
+  test('works as include and exclude lists', () => {
+    const include = ['*.log', 'config/**'];
+    const exclude = ['*.tmp', '**/cache/**'];
+    const selected = ['app.log', 'app.tmp', 'config/app.json', 'config/cache/x.json', 'data.bin']
+      .filter(name => matchesAny(name, include) && !matchesAny(name, exclude));
+
+    assert.deepEqual(selected, ['app.log', 'config/app.json']);
+  });
+
+  test('matches nothing without patterns', () => {
+    assert.ok(!matchesAny('/srv/data/app.log', []));
+  });
+});
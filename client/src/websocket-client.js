@@ -1,29 +1,95 @@
+import { EventEmitter } from 'events';
 import WebSocket from 'ws';
 import logger from './utils/logger.js';
-import config from './config.js';
+import { LIVE_SETTINGS } from './config.js';
 import FileHandler from './file-handler.js';
-import { MESSAGE_TYPES, validateMessage } from '../../shared/protocol.js';
+import CreditGate from './flow-control.js';
+import TransferQueue from './transfer-queue.js';
+import BandwidthThrottle from './throttle.js';
+import { backoffDelay, ServerPool } from './reconnect.js';
+import ClientIdentity from './identity.js';
+import { collectMetadata } from './metadata.js';
+import { parseRemoteSettings, pickRemoteSettings } from './remote-config.js';
+import { TransferError, toErrorPayload } from './utils/errors.js';
+import { sameFingerprint, describeChange } from './utils/fingerprint.js';
+import { compressChunk, SUPPORTED_CODECS } from './utils/compression.js';
+import { SUPPORTED_HASH_ALGORITHMS } from './utils/checksum.js';
+import AuditLog, { OUTCOMES } from './audit-log.js';
+import FaultInjector from './fault-injector.js';
+import { MESSAGE_TYPES, ERROR_CODES, CONSTANTS, COMPRESSION_CODECS, validateMessage, normalizeRange, resolveRange, encodeChunkFrame, decodeChunkFrame } from '../../shared/protocol.js';
+import { normalizeArchiveOptions } from '../../shared/tar.js';
+import { createManifest } from '../../shared/manifest.js';
 
-class WebSocketClient {
+// How often to check whether a bandwidth window opened or closed
+const BANDWIDTH_CHECK_INTERVAL = 60000;
+
+// How often a shutdown checks whether the active transfers have finished
+const DRAIN_POLL_INTERVAL = 200;
+
+// How long a shutdown waits for the server to acknowledge the close
+const CLOSE_TIMEOUT = 2000;
+
+// How long a sent transfer stays open for RETRY_CHUNK without a DOWNLOAD_RESULT;
+// restarted by every retry, so it outlasts the server's retry backoff and chunk timeout
+const RESULT_GRACE_PERIOD = 60000;
+
+/**
+ * Connection states, emitted as a `state` event `{ state, previous, ...details }`
+ * and as an event of the state's own name with the details
+ */
+export const CONNECTION_STATES = Object.freeze({
+  IDLE: 'idle',
+  CONNECTING: 'connecting', // { url, attempt }
+  CONNECTED: 'connected', // { url }
+  DISCONNECTED: 'disconnected', // { url, code, reason }
+  RECONNECTING: 'reconnecting', // { url, attempt, delay } - waiting before the next attempt
+  STOPPING: 'stopping', // { reason } - draining transfers before closing
+  STOPPED: 'stopped', // { reason }
+  FAILED: 'failed' // { reason } - gave up after MAX_RECONNECT_ATTEMPTS
+});
+
+class WebSocketClient extends EventEmitter {
   constructor(config) {
+    super();
     this.config = config;
+    this.localConfig = config; // As loaded from the config file, environment and command line
+    this.remoteSettings = {}; // Settings applied from CONFIG_UPDATE, which take precedence on reload
     this.ws = null;
     this.connected = false;
-    this.reconnectAttempts = 0;
-    this.fileHandler = new FileHandler();
-    this.activeDownloads = new Map(); // requestId -> filePath
+    this.state = CONNECTION_STATES.IDLE;
+    this.servers = new ServerPool(config.SERVER_WS_URL);
+    this.serverUrl = null; // Server of the current connection or attempt
+    this.reconnectAttempts = 0; // Failed attempts since the last successful connection
+    this.fileHandler = new FileHandler(config);
+    this.identity = ClientIdentity.loadOrCreate(config.CLIENT_ID, config.CLIENT_KEY_FILE);
+    this.activeDownloads = new Map(); // requestId -> { filePath, credits, cancelled, paused, sending, fingerprint, snapshotPath, archive, archiveLayout, range, hashAlgorithm, manifestOwed, priority, holdsSlot, requester, startedAt, resultTimer }
+    this.auditLog = new AuditLog(config.AUDIT_LOG_FILE);
+    this.transferQueue = new TransferQueue(config.MAX_CONCURRENT_TRANSFERS);
+    this.throttle = new BandwidthThrottle({ limit: config.BANDWIDTH_LIMIT, schedule: config.BANDWIDTH_SCHEDULE });
+    this.bandwidthTimer = null;
+    this.reportedLimit = null; // Active limit last reported to the server
+    this.configVersion = 0; // Last CONFIG_UPDATE version applied
+    this.heartbeatTimer = null;
+    this.lastServerMessage = 0;
+    this.reconnectTimer = null;
+    this.shuttingDown = false; // No new transfers start, and a lost connection is not re-established
+    this.shutdownPromise = null;
+    // Codec, framing and hash algorithm negotiated for the current connection; chunks go as
+    // uncompressed base64 JSON hashed with the default algorithm until the server answers REGISTER
+    this.compression = COMPRESSION_CODECS.NONE;
+    this.binaryFrames = false;
+    this.hashAlgorithm = CONSTANTS.DEFAULT_HASH_ALGORITHM;
 
-    // Debug mode for testing retry functionality
-    this.debugFailChunks = process.env.DEBUG_FAIL_CHUNKS === 'true';
-    this.debugFailProbability = parseFloat(process.env.DEBUG_FAIL_CHUNK_PROBABILITY || '0.3');
-
-    if (this.debugFailChunks) {
-      logger.warn(`⚠️  DEBUG MODE: Chunk failures enabled (${(this.debugFailProbability * 100).toFixed(0)}% failure rate)`);
-    }
+    // Testing only: breaks outgoing chunks on purpose when FAULT_SCENARIO or FAULT_SEED is set
+    this.faultInjector = FaultInjector.fromConfig(config);
   }
 
   async start() {
     logger.info(`Starting SilentMode client with ID: ${this.config.CLIENT_ID}`);
+    await this.fileHandler.removeStaleSnapshots();
+
+    // Transfer windows switch on minute boundaries
+    this.bandwidthTimer = setInterval(() => this.checkBandwidthWindow(), BANDWIDTH_CHECK_INTERVAL);
     this.connect();
   }
 
@@ -32,24 +98,55 @@ class WebSocketClient {
       return;
     }
 
-    logger.info(`Connecting to server: ${this.config.SERVER_WS_URL}`);
+    const url = this.servers.current();
+    let opened = false;
+    this.serverUrl = url;
+    logger.info(`Connecting to server: ${url}`);
+    this.setState(CONNECTION_STATES.CONNECTING, { url, attempt: this.reconnectAttempts + 1 });
     
-    this.ws = new WebSocket(this.config.SERVER_WS_URL);
+    this.ws = new WebSocket(url);
 
     this.ws.on('open', () => {
-      logger.info('Connected to server');
+      logger.info(`Connected to server ${url}`);
+      opened = true;
       this.connected = true;
+      this.compression = COMPRESSION_CODECS.NONE;
+      this.binaryFrames = false;
+      this.hashAlgorithm = CONSTANTS.DEFAULT_HASH_ALGORITHM;
       this.reconnectAttempts = 0;
-      this.register();
+      this.servers.markConnected(url);
+      this.setState(CONNECTION_STATES.CONNECTED, { url });
+      this.startHeartbeat();
+      this.register().catch((error) => {
+        logger.error('Failed to register:', error);
+      });
     });
 
-    this.ws.on('message', (data) => {
-      this.handleMessage(data);
+    this.ws.on('message', (data, isBinary) => {
+      this.handleMessage(data, isBinary);
     });
 
     this.ws.on('close', (code, reason) => {
       logger.warn(`Disconnected from server (${code}: ${reason})`);
       this.connected = false;
+      this.stopHeartbeat();
+      this.releaseCreditWaiters(new TransferError('CONNECTION_LOST', 'Connection to server lost'));
+
+      if (this.shuttingDown) {
+        return;
+      }
+
+      // A server that was reached is retried first; one that could not be reached is failed over
+      if (!opened) {
+        this.servers.markFailed(url);
+      }
+      this.setState(CONNECTION_STATES.DISCONNECTED, { url, code, reason: reason.toString() });
+
+      // Reconnecting with a key the server refused cannot succeed
+      if (code === CONSTANTS.AUTH_FAILED_CLOSE_CODE) {
+        logger.error(`Server rejected this client's key; check CLIENT_KEY_FILE (${this.config.CLIENT_KEY_FILE})`);
+        return;
+      }
       this.handleReconnect();
     });
 
@@ -58,18 +155,29 @@ class WebSocketClient {
     });
   }
 
-  register() {
+  async register() {
+    const metadata = await collectMetadata(this.config);
+
     this.send({
       type: MESSAGE_TYPES.REGISTER,
       clientId: this.config.CLIENT_ID,
       timestamp: new Date().toISOString(),
-      metadata: { version: '1.0.0' }
+      metadata,
+      publicKey: this.identity.publicKeyPem,
+      compression: this.config.COMPRESSION_CODECS.filter(codec => SUPPORTED_CODECS.includes(codec)),
+      binaryFrames: this.config.BINARY_FRAMES,
+      hashAlgorithms: this.config.HASH_ALGORITHMS.filter(algorithm => SUPPORTED_HASH_ALGORITHMS.includes(algorithm)),
+      bandwidth: this.reportBandwidth(),
+      config: { version: this.configVersion, values: pickRemoteSettings(this.config) },
+      // Transfers interrupted by a disconnect, so the server can resume them
+      activeRequests: Array.from(this.activeDownloads.keys())
     });
   }
 
-  handleMessage(data) {
+  handleMessage(data, isBinary = false) {
+    this.lastServerMessage = Date.now();
     try {
-      const message = JSON.parse(data.toString());
+      const message = isBinary ? decodeChunkFrame(data) : JSON.parse(data.toString());
       logger.debug(`Received message: ${message.type}`, JSON.stringify(message, null, 2));
 
       if (!message.type) {
@@ -82,20 +190,41 @@ class WebSocketClient {
         case MESSAGE_TYPES.REGISTER_ACK:
           this.handleRegisterAck(message);
           break;
+        case MESSAGE_TYPES.AUTH_CHALLENGE:
+          this.handleAuthChallenge(message);
+          break;
         case MESSAGE_TYPES.DOWNLOAD_REQUEST:
           this.handleDownloadRequest(message);
           break;
         case MESSAGE_TYPES.RETRY_CHUNK:
           this.handleRetryChunk(message);
           break;
+        case MESSAGE_TYPES.RESUME_DOWNLOAD:
+          this.handleResumeDownload(message);
+          break;
+        case MESSAGE_TYPES.CHUNK_CREDIT:
+          this.handleChunkCredit(message);
+          break;
         case MESSAGE_TYPES.CANCEL_DOWNLOAD:
           this.handleCancelDownload(message);
           break;
+        case MESSAGE_TYPES.DOWNLOAD_RESULT:
+          this.handleDownloadResult(message);
+          break;
+        case MESSAGE_TYPES.LIST_FILES:
+          this.handleListFiles(message);
+          break;
+        case MESSAGE_TYPES.SET_BANDWIDTH:
+          this.handleSetBandwidth(message);
+          break;
+        case MESSAGE_TYPES.CONFIG_UPDATE:
+          this.handleConfigUpdate(message);
+          break;
         case MESSAGE_TYPES.PING:
           this.handlePing();
           break;
         case MESSAGE_TYPES.PONG:
-          // PONG is for server-side heartbeat tracking
+          // Any message from the server counts as a heartbeat; see startHeartbeat
           break;
         case MESSAGE_TYPES.ERROR:
           this.handleError(message);
@@ -109,161 +238,349 @@ class WebSocketClient {
   }
 
   handleRegisterAck(message) {
+    if (message.compression && message.compression !== this.compression) {
+      this.compression = SUPPORTED_CODECS.includes(message.compression) ? message.compression : COMPRESSION_CODECS.NONE;
+      logger.info(`Chunk compression: ${this.compression}`);
+    }
+    if (typeof message.binaryFrames === 'boolean' && message.binaryFrames !== this.binaryFrames) {
+      this.binaryFrames = message.binaryFrames && this.config.BINARY_FRAMES;
+      logger.info(`Chunk framing: ${this.binaryFrames ? 'binary' : 'base64 JSON'}`);
+    }
+    if (message.hashAlgorithm && message.hashAlgorithm !== this.hashAlgorithm) {
+      this.hashAlgorithm = SUPPORTED_HASH_ALGORITHMS.includes(message.hashAlgorithm) ? message.hashAlgorithm : CONSTANTS.DEFAULT_HASH_ALGORITHM;
+      logger.info(`Hash algorithm: ${this.hashAlgorithm}`);
+    }
+
     if (message.success) {
-      logger.info('Registration successful:', message.message);
+      logger.info(`Server: ${message.message}`);
     } else {
-      logger.error('Registration failed:', message.message);
+      logger.error(`Registration failed: ${message.message}`);
     }
   }
 
+  handleAuthChallenge(message) {
+    logger.debug('Answering authentication challenge');
+    this.send({
+      type: MESSAGE_TYPES.AUTH_RESPONSE,
+      clientId: this.config.CLIENT_ID,
+      signature: this.identity.signChallenge(message.nonce)
+    });
+  }
+
   async handleDownloadRequest(message) {
     logger.info(`Download request for file: ${message.filePath}`);
+
+    // The server marks it interrupted and asks again once the client is back
+    if (this.shuttingDown) {
+      logger.info(`Not starting ${message.requestId}: client is shutting down`);
+      return;
+    }
     
+    // Track this download along with the credit window the server announced
+    const transfer = {
+      filePath: message.filePath,
+      credits: CreditGate.fromRequest(message.flowControl),
+      cancelled: false,
+      sending: null,
+      fingerprint: null,
+      snapshotPath: null,
+      archive: null,
+      archiveLayout: null, // Where the archive's bytes come from; see FileHandler.createArchive
+      range: null,
+      hashAlgorithm: null,
+      manifestOwed: false, // The server asked for a manifest the ACK did not carry
+      priority: Number.isInteger(message.priority) ? message.priority : 0,
+      holdsSlot: false,
+      requester: message.requester || null,
+      startedAt: new Date().toISOString(),
+      resultTimer: null
+    };
+    this.activeDownloads.set(message.requestId, transfer);
+
     try {
-      // Track this download
-      this.activeDownloads.set(message.requestId, message.filePath);
-      
-      // Check if file exists and get info
-      const fileInfo = await this.fileHandler.getFileInfo(message.filePath);
+      // Wait for a transfer slot so simultaneous requests don't all read from disk at once
+      await this.acquireSlot(message.requestId, transfer);
+      // Every checksum of the transfer uses the algorithm in force when it is acknowledged
+      transfer.hashAlgorithm = this.hashAlgorithm;
+
+      let range = null;
+      if (message.range) {
+        try {
+          range = normalizeRange(message.range);
+        } catch (error) {
+          throw new TransferError(ERROR_CODES.INVALID_REQUEST, error.message);
+        }
+        if (message.archive) {
+          throw new TransferError(ERROR_CODES.INVALID_REQUEST, 'A byte range cannot be combined with a directory archive');
+        }
+      }
+
+      let archiveSummary = null;
+      let knownChecksum = '';
+      let knownChunkChecksums = null;
+      if (message.archive) {
+        // A directory is laid out as an archive whose chunks are produced from its files as they are sent
+        try {
+          transfer.archive = normalizeArchiveOptions(message.archive);
+        } catch (error) {
+          throw new TransferError(ERROR_CODES.INVALID_REQUEST, error.message);
+        }
+        const archive = await this.fileHandler.createArchive(message.filePath, transfer.archive, transfer.hashAlgorithm);
+        transfer.archiveLayout = archive.layout;
+        knownChecksum = archive.layout.fileChecksum || '';
+        knownChunkChecksums = archive.layout.chunkChecksums;
+        archiveSummary = {
+          format: transfer.archive.format,
+          files: archive.files,
+          totalFiles: archive.files.length,
+          totalBytes: archive.totalBytes
+        };
+      } else {
+        // Check if file exists and get info; the file checksum is computed
+        // while streaming and delivered with DOWNLOAD_COMPLETE, unless it is cached
+        const fileInfo = await this.fileHandler.getFileInfo(message.filePath, { checksum: false, range, hashAlgorithm: transfer.hashAlgorithm });
+        transfer.fingerprint = fileInfo.fingerprint;
+        transfer.range = fileInfo.range;
+        knownChecksum = fileInfo.checksum || '';
+        knownChunkChecksums = fileInfo.chunkChecksums;
+
+        if (this.fileHandler.snapshotMode) {
+          const snapshot = await this.fileHandler.createSnapshot(fileInfo.path);
+          transfer.snapshotPath = snapshot.snapshotPath;
+          transfer.fingerprint = snapshot.fingerprint;
+          if (!sameFingerprint(fileInfo.fingerprint, snapshot.fingerprint)) {
+            knownChecksum = '';
+            knownChunkChecksums = null;
+          }
+          // The copy may hold more than the file did a moment ago; a tail must end where the copy does
+          if (range) {
+            transfer.range = resolveRange(range, snapshot.fingerprint.size);
+          }
+        }
+      }
+      if (transfer.cancelled) {
+        await this.releaseTransfer(message.requestId, transfer);
+        return;
+      }
+
+      const fileSize = transfer.archiveLayout ? transfer.archiveLayout.size
+        : transfer.range ? transfer.range.length : transfer.fingerprint.size;
+      const totalChunks = Math.ceil(fileSize / this.fileHandler.chunkSize);
+
+      // A manifest goes with the ACK only when the checksum cache knows every chunk;
+      // otherwise its hashes are taken while streaming and it goes with DOWNLOAD_COMPLETE
+      const manifest = message.manifest && knownChunkChecksums
+        ? createManifest(knownChunkChecksums, this.fileHandler.chunkSize, transfer.hashAlgorithm)
+        : null;
+      transfer.manifestOwed = Boolean(message.manifest) && !manifest;
       
-      // Send success ACK
+      // Send success ACK; the fingerprint comes back with RESUME_DOWNLOAD
       this.send({
         type: MESSAGE_TYPES.DOWNLOAD_ACK,
         requestId: message.requestId,
         success: true,
-        fileSize: fileInfo.size,
-        totalChunks: fileInfo.totalChunks,
-        fileChecksum: fileInfo.checksum
+        fileSize,
+        totalChunks,
+        fileChecksum: knownChecksum,
+        hashAlgorithm: transfer.hashAlgorithm,
+        fileFingerprint: transfer.fingerprint,
+        ...(archiveSummary && { archive: archiveSummary }),
+        ...(transfer.range && { range: transfer.range }),
+        ...(manifest && { manifest })
       });
       
-      logger.info(`Sent DOWNLOAD_ACK for ${message.filePath} (${fileInfo.size} bytes, ${fileInfo.totalChunks} chunks)`);
+      const notes = [
+        archiveSummary && `${archiveSummary.totalFiles} files archived`,
+        transfer.range && `bytes ${transfer.range.offset}-${transfer.range.offset + transfer.range.length - 1} of ${transfer.range.fileSize}`,
+        transfer.snapshotPath && 'snapshot',
+        manifest ? `manifest root ${manifest.root.slice(0, 12)}` : knownChecksum && 'checksum cached',
+        transfer.manifestOwed && 'manifest follows'
+      ].filter(Boolean);
+      logger.info(`Sent DOWNLOAD_ACK for ${message.filePath} (${[`${fileSize} bytes`, `${totalChunks} chunks`, ...notes].join(', ')})`);
       
-      // Start sending chunks
-      await this.sendFileChunks(message.requestId, message.filePath);
+      // Start sending chunks; cancellation waits on this to release the file
+      transfer.sending = this.sendFileChunks(message.requestId, message.filePath);
+      await transfer.sending;
       
     } catch (error) {
-      logger.error(`File not found or error reading file: ${error.message}`);
+      // A cancel can pull the snapshot away mid-read; whatever failed after it is just the cancel
+      if (error.code === ERROR_CODES.DOWNLOAD_CANCELLED || transfer.cancelled) {
+        logger.info(`Download ${message.requestId} cancelled before it started`);
+        return;
+      }
+      if (error.code === ERROR_CODES.CLIENT_SHUTTING_DOWN) {
+        logger.info(`Download ${message.requestId} not started: client is shutting down`);
+        return;
+      }
+
+      logger.error(`Cannot serve ${message.filePath}: ${error.message}`);
       
       // Remove from active downloads
-      this.activeDownloads.delete(message.requestId);
+      if (this.activeDownloads.get(message.requestId) === transfer) {
+        await this.releaseTransfer(message.requestId, transfer);
+      }
       
-      // Send failure ACK
+      // Send failure ACK with the reason so the server can report it
+      const payload = toErrorPayload(error, ERROR_CODES.FILE_READ_ERROR);
       this.send({
         type: MESSAGE_TYPES.DOWNLOAD_ACK,
         requestId: message.requestId,
         success: false,
         fileSize: 0,
         totalChunks: 0,
-        fileChecksum: ''
+        fileChecksum: '',
+        error: payload
       });
+      this.auditTransfer(message.requestId, transfer, OUTCOMES.FAILED, { error: payload });
+    } finally {
+      this.releaseSlot(transfer);
     }
   }
 
-  async sendFileChunks(fileId, filePath) {
+  /**
+   * Stream chunks of a file to the server, then send DOWNLOAD_COMPLETE
+   * @param {string} fileId - Request ID
+   * @param {string} filePath - Path as requested by the server
+   * @param {number[]|null} chunkIndices - Only send these chunks (resume), or all when null
+   * @param {number|null} expectedTotalChunks - Chunk count the server expects, checked on resume
+   */
+  async sendFileChunks(fileId, filePath, chunkIndices = null, expectedTotalChunks = null) {
     logger.info(`Starting to send chunks for file ${filePath} (ID: ${fileId})`);
     
+    let reader = null;
     try {
-      const fileInfo = await this.fileHandler.getFileInfo(filePath);
+      const transfer = this.activeDownloads.get(fileId);
+      if (!transfer) {
+        throw new Error(`No active download found for request ${fileId}`);
+      }
+
+      // One open descriptor for the whole transfer; each chunk is read once
+      reader = await this.openTransferReader(transfer);
+      const { totalChunks, size } = reader;
+
+      if (expectedTotalChunks !== null && expectedTotalChunks !== totalChunks) {
+        throw new Error(`File changed since the transfer started (${totalChunks} chunks, expected ${expectedTotalChunks})`);
+      }
+
+      const indices = chunkIndices || Array.from({ length: totalChunks }, (_, index) => index);
       
-      for (let chunkIndex = 0; chunkIndex < fileInfo.totalChunks; chunkIndex++) {
-        // Read chunk data
-        const chunkData = await this.fileHandler.readChunk(filePath, chunkIndex);
-        
-        // Calculate checksum
-        const checksum = await this.fileHandler.calculateChunkChecksum(filePath, chunkIndex);
-        
-        // Convert to base64
-        const base64Data = chunkData.toString('base64');
-
-        // Debug mode: Randomly skip chunks to simulate network failures
-        if (this.debugFailChunks && Math.random() < this.debugFailProbability) {
-          logger.warn(`🔧 [DEBUG] Intentionally skipping chunk ${chunkIndex}/${fileInfo.totalChunks} to simulate network failure`);
-          // Skip sending this chunk - it will trigger a retry from the server
-          continue;
+      for (const chunkIndex of indices) {
+        if (transfer.cancelled) {
+          throw new TransferError(ERROR_CODES.DOWNLOAD_CANCELLED, 'Download cancelled');
+        }
+        if (transfer.paused) {
+          throw new TransferError(ERROR_CODES.CLIENT_SHUTTING_DOWN, 'Client shutting down');
         }
 
-        // Send FILE_CHUNK message
-        this.send({
-          type: MESSAGE_TYPES.FILE_CHUNK,
-          requestId: fileId,
-          chunkIndex: chunkIndex,
-          totalChunks: fileInfo.totalChunks,
-          data: base64Data,
-          checksum: checksum,
-          size: chunkData.length,
-          timestamp: new Date().toISOString()
-        });
+        // Read chunk data and its checksum in a single read
+        const { data: chunkData, checksum } = await reader.readChunk(chunkIndex);
+        await this.sendChunk(transfer, { requestId: fileId, chunkIndex, totalChunks, data: chunkData, checksum, hashAlgorithm: transfer.hashAlgorithm });
         
         // Log progress every 10 chunks
-        if ((chunkIndex + 1) % 10 === 0 || chunkIndex === fileInfo.totalChunks - 1) {
-          logger.info(`Sent chunk ${chunkIndex + 1}/${fileInfo.totalChunks} for file ${fileId}`);
-        }
-        
-        // Small delay to prevent overwhelming
-        if (chunkIndex < fileInfo.totalChunks - 1) {
-          await new Promise(resolve => setTimeout(resolve, 10));
+        if ((chunkIndex + 1) % 10 === 0 || chunkIndex === indices[indices.length - 1]) {
+          logger.info(`Sent chunk ${chunkIndex + 1}/${totalChunks} for file ${fileId}`);
         }
       }
       
+      // The whole-file hash was built while reading the chunks, and so were the manifest's
+      const fileChecksum = await reader.getFileChecksum();
+      const manifest = transfer.manifestOwed
+        ? createManifest(await reader.getChunkChecksums(), this.fileHandler.chunkSize, transfer.hashAlgorithm)
+        : null;
+      await reader.close();
+      reader = null;
+
+      // A chunk the fault injector held back to reorder goes out before completion
+      if (this.faultInjector) {
+        await this.faultInjector.flush(fileId, this.chunkHooks(transfer));
+      }
+      
       // Small delay to ensure server has processed all chunks
       await new Promise(resolve => setTimeout(resolve, 100));
+      if (transfer.cancelled) {
+        throw new TransferError(ERROR_CODES.DOWNLOAD_CANCELLED, 'Download cancelled');
+      }
       
       // Send DOWNLOAD_COMPLETE message
       this.send({
         type: MESSAGE_TYPES.DOWNLOAD_COMPLETE,
         requestId: fileId,
-        totalChunks: fileInfo.totalChunks,
-        fileChecksum: fileInfo.checksum,
-        timestamp: new Date().toISOString()
+        totalChunks: totalChunks,
+        fileChecksum: fileChecksum,
+        timestamp: new Date().toISOString(),
+        ...(manifest && { manifest })
       });
       
       logger.info(`Completed sending file ${filePath} (ID: ${fileId})`);
+      this.auditTransfer(fileId, transfer, OUTCOMES.SENT, { size, checksum: fileChecksum });
       
-      // Remove from active downloads
-      this.activeDownloads.delete(fileId);
+      // The server may still ask for chunks it is missing or found corrupt
+      this.awaitResult(fileId, transfer);
       
     } catch (error) {
+      if (error.code === ERROR_CODES.DOWNLOAD_CANCELLED) {
+        logger.info(`Stopped sending file ${filePath} (ID: ${fileId}): cancelled`);
+        return;
+      }
+      if (error.code === ERROR_CODES.CLIENT_SHUTTING_DOWN) {
+        logger.info(`Paused sending file ${filePath} (ID: ${fileId}): client shutting down`);
+        return;
+      }
+
+      // Keep the transfer so the server can resume it after reconnecting
+      if (!this.connected || error.code === 'CONNECTION_LOST') {
+        logger.warn(`Paused sending file ${filePath} (ID: ${fileId}): connection lost, waiting for resume`);
+        return;
+      }
+
       logger.error(`Error sending file chunks: ${error.message}`);
       
-      // Send ERROR message instead of DOWNLOAD_COMPLETE for failures
+      // Send ERROR message instead of DOWNLOAD_COMPLETE for failures; the server fails the download
+      const payload = toErrorPayload(error, 'FILE_TRANSFER_FAILED');
       this.send({
         type: MESSAGE_TYPES.ERROR,
-        code: 'FILE_TRANSFER_FAILED',
+        code: payload.code,
         message: `File transfer failed: ${error.message}`,
         details: { requestId: fileId }
       });
+
+      const transfer = this.activeDownloads.get(fileId);
+      if (transfer) {
+        await this.releaseTransfer(fileId, transfer);
+        this.auditTransfer(fileId, transfer, OUTCOMES.FAILED, { error: payload });
+      }
+    } finally {
+      if (reader) {
+        await reader.close().catch(() => {});
+      }
     }
   }
 
   async handleRetryChunk(message) {
     logger.info(`Retry request for chunk ${message.chunkIndex} of file ${message.requestId}, attempt ${message.attempt}, reason: ${message.reason}`);
     
+    let reader = null;
     try {
       // Get the original file path for this request
-      const filePath = this.activeDownloads.get(message.requestId);
-      if (!filePath) {
+      const transfer = this.activeDownloads.get(message.requestId);
+      if (!transfer) {
         throw new Error(`No active download found for request ${message.requestId}`);
       }
+      if (transfer.resultTimer) {
+        this.awaitResult(message.requestId, transfer);
+      }
       
-      // Get file info to include totalChunks
-      const fileInfo = await this.fileHandler.getFileInfo(filePath);
-      
-      // Resend the specific chunk
-      const chunkData = await this.fileHandler.readChunk(filePath, message.chunkIndex);
-      const checksum = await this.fileHandler.calculateChunkChecksum(filePath, message.chunkIndex);
-      const base64Data = chunkData.toString('base64');
+      // Resend the specific chunk with a single read
+      reader = await this.openTransferReader(transfer);
+      const { data: chunkData, checksum } = await reader.readChunk(message.chunkIndex);
       
-      // Send FILE_CHUNK message for the retry
-      this.send({
-        type: MESSAGE_TYPES.FILE_CHUNK,
+      await this.sendChunk(transfer, {
         requestId: message.requestId,
         chunkIndex: message.chunkIndex,
-        totalChunks: fileInfo.totalChunks,
-        data: base64Data,
-        checksum: checksum,
-        size: chunkData.length,
-        timestamp: new Date().toISOString(),
-        isRetry: true,
+        totalChunks: reader.totalChunks,
+        data: chunkData,
+        checksum,
+        hashAlgorithm: transfer.hashAlgorithm,
         retryAttempt: message.attempt
       });
       
@@ -271,11 +588,20 @@ class WebSocketClient {
       
     } catch (error) {
       logger.error(`Error resending chunk ${message.chunkIndex}: ${error.message}`);
+
+      // A changed source cannot be retried into a consistent file; give the transfer up
+      const fileChanged = error.code === ERROR_CODES.FILE_CHANGED;
+      const transfer = this.activeDownloads.get(message.requestId);
+      if (fileChanged && transfer) {
+        transfer.cancelled = true;
+        await this.releaseTransfer(message.requestId, transfer);
+        this.auditTransfer(message.requestId, transfer, OUTCOMES.FAILED, { error: toErrorPayload(error, ERROR_CODES.FILE_CHANGED) });
+      }
       
       // Send error message for failed retry
       this.send({
         type: MESSAGE_TYPES.ERROR,
-        code: 'CHUNK_RETRY_FAILED',
+        code: fileChanged ? ERROR_CODES.FILE_CHANGED : 'CHUNK_RETRY_FAILED',
         message: `Failed to resend chunk ${message.chunkIndex}: ${error.message}`,
         details: { 
           requestId: message.requestId,
@@ -283,12 +609,598 @@ class WebSocketClient {
           attempt: message.attempt
         }
       });
+    } finally {
+      if (reader) {
+        await reader.close().catch(() => {});
+      }
+    }
+  }
+
+  async handleResumeDownload(message) {
+    if (this.shuttingDown) {
+      logger.info(`Not resuming ${message.requestId}: client is shutting down`);
+      return;
+    }
+    logger.info(`Resuming download ${message.requestId}: ${message.chunkIndices.length} chunks missing`);
+
+    let transfer = this.activeDownloads.get(message.requestId);
+    if (transfer) {
+      // A transfer sent before the disconnect is sending again, not waiting for its result
+      clearTimeout(transfer.resultTimer);
+      transfer.resultTimer = null;
+    }
+    if (transfer && transfer.sending) {
+      // Let a send loop that has not yet noticed the disconnect wind down
+      await transfer.sending;
+    }
+
+    if (!transfer && message.archive) {
+      // The archive's layout was only kept in memory
+      logger.error(`Cannot resume ${message.requestId}: archive lost when the client restarted`);
+      const error = { code: ERROR_CODES.FILE_READ_ERROR, message: 'Cannot resume transfer: archive lost when the client restarted; request the directory again' };
+      this.send({
+        type: MESSAGE_TYPES.ERROR,
+        ...error,
+        details: { requestId: message.requestId }
+      });
+      this.auditTransfer(message.requestId, { filePath: message.filePath, requester: null, startedAt: null }, OUTCOMES.FAILED, { error });
+      return;
+    }
+
+    if (!transfer) {
+      // Client restarted since the transfer began: rebuild it from what the server remembers
+      transfer = {
+        filePath: message.filePath,
+        cancelled: false,
+        sending: null,
+        fingerprint: message.fileFingerprint || null,
+        snapshotPath: null,
+        archive: null,
+        archiveLayout: null,
+        range: message.range || null,
+        hashAlgorithm: message.hashAlgorithm || CONSTANTS.DEFAULT_HASH_ALGORITHM,
+        manifestOwed: false,
+        priority: 0,
+        holdsSlot: false,
+        requester: null,
+        startedAt: new Date().toISOString(),
+        resultTimer: null
+      };
+      this.activeDownloads.set(message.requestId, transfer);
+    }
+
+    transfer.credits = CreditGate.fromRequest(message.flowControl);
+    transfer.manifestOwed = Boolean(message.manifest);
+
+    try {
+      await this.acquireSlot(message.requestId, transfer);
+    } catch (error) {
+      logger.info(`Resume of ${message.requestId} stopped while queued: ${error.message}`);
+      return;
+    }
+
+    try {
+      if (!SUPPORTED_HASH_ALGORITHMS.includes(transfer.hashAlgorithm)) {
+        throw new TransferError(ERROR_CODES.INVALID_REQUEST, `Unsupported hash algorithm: ${transfer.hashAlgorithm}`);
+      }
+
+      // An archive's files are checked one by one as they are read
+      if (!transfer.archive) {
+        // Re-check the share policy; the file may also have disappeared meanwhile
+        const fileInfo = await this.fileHandler.getFileInfo(transfer.filePath, { checksum: false, hashAlgorithm: transfer.hashAlgorithm });
+
+        if (!transfer.fingerprint) {
+          transfer.fingerprint = fileInfo.fingerprint;
+        } else if (!transfer.snapshotPath && !sameFingerprint(transfer.fingerprint, fileInfo.fingerprint)) {
+          throw new TransferError(ERROR_CODES.FILE_CHANGED, `Source file changed during the transfer: ${describeChange(transfer.fingerprint, fileInfo.fingerprint)}`);
+        }
+
+        // A restarted client lost its snapshot; take a new one of the unchanged file
+        if (this.fileHandler.snapshotMode && !transfer.snapshotPath) {
+          const snapshot = await this.fileHandler.createSnapshot(fileInfo.path, transfer.fingerprint);
+          transfer.snapshotPath = snapshot.snapshotPath;
+        }
+      }
+    } catch (error) {
+      logger.error(`Cannot resume ${message.requestId}: ${error.message}`);
+      this.releaseSlot(transfer);
+      await this.releaseTransfer(message.requestId, transfer);
+      const payload = toErrorPayload(error, 'FILE_TRANSFER_FAILED');
+      this.send({
+        type: MESSAGE_TYPES.ERROR,
+        code: payload.code,
+        message: `Cannot resume transfer: ${error.message}`,
+        details: { requestId: message.requestId }
+      });
+      this.auditTransfer(message.requestId, transfer, OUTCOMES.FAILED, { error: payload });
+      return;
+    }
+
+    try {
+      transfer.sending = this.sendFileChunks(message.requestId, transfer.filePath, message.chunkIndices, message.totalChunks);
+      await transfer.sending;
+    } finally {
+      this.releaseSlot(transfer);
+    }
+  }
+
+  /**
+   * Hold one of the MAX_CONCURRENT_TRANSFERS slots for a transfer
+   * While the transfer waits, the server is told its place in the queue
+   * @param {string} requestId - Request ID
+   * @param {Object} transfer - Transfer that needs the slot
+   * @returns {Promise<void>} Resolves once the slot is held
+   * @throws {TransferError} DOWNLOAD_CANCELLED if the transfer is cancelled while queued
+   */
+  async acquireSlot(requestId, transfer) {
+    const slot = this.transferQueue.acquire(requestId, transfer.priority);
+    const position = this.transferQueue.position(requestId);
+    if (position > 0) {
+      logger.info(`Transfer ${requestId} queued at position ${position} (priority ${transfer.priority})`);
+      this.reportQueuePositions();
+    }
+
+    await slot;
+    transfer.holdsSlot = true;
+  }
+
+  /**
+   * Give back a transfer's slot, starting the next queued transfer
+   * @param {Object} transfer - Transfer holding the slot
+   */
+  releaseSlot(transfer) {
+    if (!transfer.holdsSlot) {
+      return;
+    }
+    transfer.holdsSlot = false;
+
+    const hadQueued = this.transferQueue.queued().length > 0;
+    this.transferQueue.release();
+    if (hadQueued) {
+      this.reportQueuePositions();
+    }
+  }
+
+  // Tell the server where every waiting transfer stands in the queue
+  reportQueuePositions() {
+    const queued = this.transferQueue.queued();
+    queued.forEach((requestId, index) => {
+      this.send({
+        type: MESSAGE_TYPES.DOWNLOAD_QUEUED,
+        requestId,
+        position: index + 1,
+        queueLength: queued.length
+      });
+    });
+  }
+
+  /**
+   * Open a reader for a transfer: its archive, its private snapshot, or the original
+   * file checked against the fingerprint recorded when the transfer was acknowledged
+   * @param {Object} transfer - Active transfer
+   * @returns {Promise<ChunkReader>} Reader instance
+   */
+  openTransferReader(transfer) {
+    if (transfer.archiveLayout) {
+      return this.fileHandler.openArchiveReader(transfer.archiveLayout, transfer.hashAlgorithm);
+    }
+    if (transfer.snapshotPath) {
+      // Cache a snapshot's hashes under the file it was copied from
+      const cacheAs = { filePath: transfer.filePath, fingerprint: transfer.fingerprint };
+      return this.fileHandler.openChunkReader(transfer.snapshotPath, null, transfer.range, cacheAs, transfer.hashAlgorithm);
+    }
+    return this.fileHandler.openChunkReader(transfer.filePath, transfer.fingerprint, transfer.range, null, transfer.hashAlgorithm);
+  }
+
+  /**
+   * Keep a sent transfer, and its snapshot, until the server reports the result
+   * Chunks the server is missing or finds corrupt are retried meanwhile; DOWNLOAD_RESULT
+   * releases the transfer, or RESULT_GRACE_PERIOD does when the server sends none
+   * @param {string} requestId - Request ID
+   * @param {Object} transfer - Transfer whose chunks have all been sent
+   */
+  awaitResult(requestId, transfer) {
+    clearTimeout(transfer.resultTimer);
+    transfer.resultTimer = setTimeout(() => {
+      logger.debug(`No result for ${requestId} within ${RESULT_GRACE_PERIOD}ms, releasing it`);
+      this.releaseTransfer(requestId, transfer).catch((error) => {
+        logger.warn(`Failed to release transfer ${requestId}: ${error.message}`);
+      });
+    }, RESULT_GRACE_PERIOD);
+    transfer.resultTimer.unref();
+  }
+
+  /**
+   * Forget a finished transfer and delete its snapshot, if any
+   * @param {string} requestId - Request ID
+   * @param {Object} transfer - Transfer being released
+   */
+  async releaseTransfer(requestId, transfer) {
+    clearTimeout(transfer.resultTimer);
+    transfer.resultTimer = null;
+    if (this.activeDownloads.get(requestId) === transfer) {
+      this.activeDownloads.delete(requestId);
+      if (this.faultInjector) {
+        this.faultInjector.discard(requestId);
+      }
+    }
+
+    if (transfer.snapshotPath) {
+      const snapshotPath = transfer.snapshotPath;
+      transfer.snapshotPath = null;
+      await this.fileHandler.removeSnapshot(snapshotPath);
+    }
+  }
+
+  handleChunkCredit(message) {
+    const transfer = this.activeDownloads.get(message.requestId);
+    if (!transfer) {
+      logger.debug(`Ignoring CHUNK_CREDIT for inactive request ${message.requestId}`);
+      return;
+    }
+    transfer.credits.grant(message.credits);
+  }
+
+  /**
+   * Send one chunk, through the fault injector when one is configured
+   * @param {Object} transfer - Transfer the chunk belongs to
+   * @param {Object} chunk - `{ requestId, chunkIndex, totalChunks, data, checksum, hashAlgorithm }`,
+   *   with `retryAttempt` when resending for RETRY_CHUNK
+   * @returns {Promise<void>} Resolves once the chunk is flushed to the socket
+   */
+  async sendChunk(transfer, chunk) {
+    const hooks = this.chunkHooks(transfer);
+    if (this.faultInjector) {
+      return this.faultInjector.send(chunk, hooks);
+    }
+    return hooks.transmit(chunk);
+  }
+
+  /**
+   * How the fault injector reaches the server for a transfer
+   * @param {Object} transfer - Transfer being sent
+   * @returns {Object} `{ transmit, disconnect }`
+   */
+  chunkHooks(transfer) {
+    return {
+      transmit: chunk => this.transmitChunk(transfer, chunk),
+      disconnect: () => this.ws.terminate()
+    };
+  }
+
+  /**
+   * Send a FILE_CHUNK within the bandwidth limit, waiting until it is flushed to the socket
+   * First sends wait for a credit granted by the server; retries bypass flow control
+   * but count against the bandwidth limit too
+   * @param {Object} transfer - Transfer the chunk belongs to
+   * @param {Object} chunk - As for sendChunk
+   * @returns {Promise<void>}
+   */
+  async transmitChunk(transfer, { requestId, chunkIndex, totalChunks, data, checksum, hashAlgorithm, retryAttempt }) {
+    if (!retryAttempt) {
+      await transfer.credits.acquire();
+    }
+
+    const chunkMessage = await this.buildChunkMessage(requestId, chunkIndex, totalChunks, data, checksum, hashAlgorithm);
+    await this.throttle.consume(chunkMessage.data.length);
+    await this.sendAsync(retryAttempt ? { ...chunkMessage, isRetry: true, retryAttempt } : chunkMessage);
+  }
+
+  /**
+   * Build a FILE_CHUNK message, compressing the data with the negotiated codec
+   * The data stays a Buffer; encodeMessage picks the framing when it is sent
+   * @param {string} requestId - Request ID
+   * @param {number} chunkIndex - Chunk index
+   * @param {number} totalChunks - Total chunks in the file
+   * @param {Buffer} chunkData - Uncompressed chunk data
+   * @param {string} checksum - Checksum of the uncompressed data
+   * @param {string} hashAlgorithm - Hash algorithm of the checksum
+   * @returns {Promise<Object>} FILE_CHUNK message
+   */
+  async buildChunkMessage(requestId, chunkIndex, totalChunks, chunkData, checksum, hashAlgorithm) {
+    const { data, codec } = await compressChunk(chunkData, this.compression);
+
+    return {
+      type: MESSAGE_TYPES.FILE_CHUNK,
+      requestId,
+      chunkIndex,
+      totalChunks,
+      data,
+      codec,
+      checksum,
+      hashAlgorithm,
+      size: chunkData.length,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  releaseCreditWaiters(error) {
+    for (const transfer of this.activeDownloads.values()) {
+      transfer.credits.close(error);
     }
   }
 
-  handleCancelDownload(message) {
+  async handleCancelDownload(message) {
     logger.info(`Download cancelled for file ${message.requestId}: ${message.reason}`);
-    // Will be implemented in file transfer task
+
+    const transfer = this.activeDownloads.get(message.requestId);
+    if (transfer) {
+      // Stop the send loop, including one waiting for credits or for a transfer slot
+      const cancelled = new TransferError(ERROR_CODES.DOWNLOAD_CANCELLED, 'Download cancelled');
+      transfer.cancelled = true;
+      transfer.credits.close(cancelled);
+      if (this.transferQueue.remove(message.requestId, cancelled)) {
+        this.reportQueuePositions();
+      }
+      this.activeDownloads.delete(message.requestId);
+
+      // Wait for the loop to exit so the file handle is released before confirming
+      if (transfer.sending) {
+        await transfer.sending;
+      }
+      await this.releaseTransfer(message.requestId, transfer);
+      this.auditTransfer(message.requestId, transfer, OUTCOMES.CANCELLED, { error: { code: ERROR_CODES.DOWNLOAD_CANCELLED, message: message.reason } });
+    }
+
+    this.send({
+      type: MESSAGE_TYPES.CANCEL_ACK,
+      requestId: message.requestId,
+      success: Boolean(transfer),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  async handleDownloadResult(message) {
+    if (message.success) {
+      logger.info(`Server verified ${message.requestId} (${message.fileSize} bytes, checksum ${message.fileChecksum})`);
+    } else {
+      logger.warn(`Server rejected ${message.requestId}: ${message.error ? message.error.message : 'unknown error'}`);
+    }
+    this.auditLog.recordResult(message);
+
+    const transfer = this.activeDownloads.get(message.requestId);
+    if (transfer && transfer.resultTimer) {
+      await this.releaseTransfer(message.requestId, transfer);
+    }
+  }
+
+  /**
+   * Append a transfer's outcome to the audit log
+   * @param {string} requestId - Request ID
+   * @param {Object} transfer - Transfer as kept in activeDownloads
+   * @param {string} outcome - One of OUTCOMES
+   * @param {Object} details - `size` and `checksum` of the bytes sent, or `error` { code, message }
+   */
+  auditTransfer(requestId, transfer, outcome, { size = null, checksum = null, error } = {}) {
+    this.auditLog.record({
+      requestId,
+      path: transfer.filePath,
+      size,
+      checksum,
+      hashAlgorithm: transfer.hashAlgorithm || null,
+      requester: transfer.requester,
+      startedAt: transfer.startedAt,
+      endedAt: new Date().toISOString(),
+      outcome,
+      ...(transfer.range && { range: { offset: transfer.range.offset, length: transfer.range.length } }),
+      ...(error && { error })
+    });
+  }
+
+  async handleListFiles(message) {
+    logger.info(`Listing directory: ${message.path}`);
+
+    try {
+      const listing = await this.fileHandler.listFiles(message.path, {
+        depth: message.depth,
+        offset: message.offset,
+        limit: message.limit
+      });
+
+      this.send({
+        type: MESSAGE_TYPES.LIST_FILES_RESPONSE,
+        requestId: message.requestId,
+        success: true,
+        ...listing
+      });
+    } catch (error) {
+      logger.error(`Error listing ${message.path}: ${error.message}`);
+
+      this.send({
+        type: MESSAGE_TYPES.LIST_FILES_RESPONSE,
+        requestId: message.requestId,
+        success: false,
+        error: toErrorPayload(error, ERROR_CODES.FILE_READ_ERROR)
+      });
+    }
+  }
+
+  handleSetBandwidth(message) {
+    try {
+      this.throttle.setOverride(message.reset ? null : { limit: message.limit, schedule: message.schedule });
+    } catch (error) {
+      logger.error(`Rejected bandwidth settings from server: ${error.message}`);
+      this.send({
+        type: MESSAGE_TYPES.ERROR,
+        code: ERROR_CODES.INVALID_REQUEST,
+        message: `Invalid bandwidth settings: ${error.message}`,
+        details: {}
+      });
+      return;
+    }
+
+    const { limit, schedule, source } = this.throttle.getStatus();
+    logger.info(`Bandwidth limit set by ${source === 'server' ? 'server' : 'local config'}: ${limit || 'unlimited'} B/s${schedule ? ` (schedule ${schedule})` : ''}`);
+    this.sendBandwidthStatus();
+  }
+
+  /**
+   * Report the throttle when a transfer window opens or closes
+   */
+  checkBandwidthWindow() {
+    if (this.connected && this.throttle.getActiveLimit() !== this.reportedLimit) {
+      this.sendBandwidthStatus();
+    }
+  }
+
+  sendBandwidthStatus() {
+    this.send({
+      type: MESSAGE_TYPES.BANDWIDTH_STATUS,
+      ...this.reportBandwidth(),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Get the throttle status and remember the limit being reported
+  reportBandwidth() {
+    const status = this.throttle.getStatus();
+    this.reportedLimit = status.limit;
+    return status;
+  }
+
+  handleConfigUpdate(message) {
+    const reply = { type: MESSAGE_TYPES.CONFIG_UPDATE_ACK, requestId: message.requestId };
+
+    try {
+      if (message.version <= this.configVersion) {
+        throw new TransferError(
+          ERROR_CODES.STALE_CONFIG_VERSION,
+          `Config version ${message.version} is not newer than the applied version ${this.configVersion}`,
+          { currentVersion: this.configVersion }
+        );
+      }
+
+      const values = parseRemoteSettings(message.settings);
+      this.applyConfig(values);
+      this.configVersion = message.version;
+      Object.assign(this.remoteSettings, values);
+      logger.info(`Applied config version ${message.version} from server: ${Object.keys(values).join(', ')}`);
+
+      this.send({
+        ...reply,
+        success: true,
+        version: this.configVersion,
+        applied: values,
+        config: pickRemoteSettings(this.config)
+      });
+    } catch (error) {
+      logger.warn(`Rejected config version ${message.version} from server: ${error.message}`);
+
+      this.send({
+        ...reply,
+        success: false,
+        version: this.configVersion,
+        error: { ...toErrorPayload(error, ERROR_CODES.INVALID_REQUEST), details: error.details || {} }
+      });
+    }
+  }
+
+  /**
+   * Apply a configuration reloaded on SIGHUP
+   * Live settings take effect now; others keep their value until a restart.
+   * Settings the server changed with CONFIG_UPDATE keep the server's value
+   * @param {Object} reloaded - Freshly loaded configuration
+   */
+  reloadConfig(reloaded) {
+    const values = {};
+    const needsRestart = [];
+    const keptRemote = [];
+
+    for (const key of Object.keys(reloaded)) {
+      if (JSON.stringify(reloaded[key]) === JSON.stringify(this.localConfig[key])) {
+        continue;
+      }
+      if (!LIVE_SETTINGS.includes(key)) {
+        needsRestart.push(key);
+      } else if (key in this.remoteSettings) {
+        keptRemote.push(key);
+      } else {
+        values[key] = reloaded[key];
+      }
+    }
+
+    // Remember the reloaded live values so a later reload compares against them
+    this.localConfig = Object.freeze({
+      ...this.localConfig,
+      ...Object.fromEntries(LIVE_SETTINGS.map(key => [key, reloaded[key]]))
+    });
+
+    if (needsRestart.length > 0) {
+      logger.warn(`Restart the client to apply: ${needsRestart.join(', ')}`);
+    }
+    if (keptRemote.length > 0) {
+      logger.warn(`Keeping server-set value (config version ${this.configVersion}) for: ${keptRemote.join(', ')}`);
+    }
+    if (Object.keys(values).length === 0) {
+      logger.info('Configuration reloaded, no live settings changed');
+      return;
+    }
+
+    this.applyConfig(values);
+    logger.info(`Configuration reloaded, applied: ${Object.keys(values).join(', ')}`);
+  }
+
+  /**
+   * Apply settings changed at runtime
+   * Reconnect settings, including a new server list, are read on the next reconnect
+   * @param {Object} values - Validated `{ KEY: value }`
+   */
+  applyConfig(values) {
+    const next = Object.freeze({ ...this.config, ...values });
+
+    if ('BANDWIDTH_LIMIT' in values || 'BANDWIDTH_SCHEDULE' in values) {
+      this.throttle.setLocal({ limit: next.BANDWIDTH_LIMIT, schedule: next.BANDWIDTH_SCHEDULE });
+    }
+    this.config = next;
+
+    if ('LOG_LEVEL' in values) {
+      logger.level = next.LOG_LEVEL;
+    }
+    if ('SERVER_WS_URL' in values) {
+      this.servers.setServers(next.SERVER_WS_URL);
+    }
+    if (Object.keys(values).some(key => key.startsWith('SHARE_'))) {
+      this.fileHandler.setPolicy(next);
+    }
+    if ('MAX_CONCURRENT_TRANSFERS' in values) {
+      this.transferQueue.setMaxConcurrent(next.MAX_CONCURRENT_TRANSFERS);
+      this.reportQueuePositions();
+    }
+    if ('HEARTBEAT_INTERVAL' in values && this.heartbeatTimer) {
+      this.startHeartbeat();
+    }
+    if (this.connected && this.throttle.getActiveLimit() !== this.reportedLimit) {
+      this.sendBandwidthStatus();
+    }
+  }
+
+  /**
+   * Ping the server every HEARTBEAT_INTERVAL and drop a connection that has
+   * been silent for three intervals, so a dead link is noticed and reconnected
+   */
+  startHeartbeat() {
+    this.stopHeartbeat();
+    this.lastServerMessage = Date.now();
+
+    const interval = this.config.HEARTBEAT_INTERVAL;
+    this.heartbeatTimer = setInterval(() => {
+      const silentFor = Date.now() - this.lastServerMessage;
+      if (silentFor > interval * 3) {
+        logger.warn(`No message from server for ${silentFor}ms, reconnecting`);
+        this.ws.terminate();
+        return;
+      }
+
+      this.send({
+        type: MESSAGE_TYPES.PING,
+        timestamp: new Date().toISOString()
+      });
+    }, interval);
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
   }
 
   handlePing() {
@@ -304,31 +1216,176 @@ class WebSocketClient {
 
   send(message) {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify(message));
+      this.ws.send(this.encodeMessage(message));
     } else {
       logger.warn('Cannot send message, not connected to server');
     }
   }
 
+  /**
+   * Send a message and resolve once it has been flushed to the socket,
+   * so a fast sender is paced by the network instead of growing the send buffer
+   * @param {Object} message - Message to send
+   * @returns {Promise<void>}
+   */
+  sendAsync(message) {
+    return new Promise((resolve, reject) => {
+      if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+        reject(new TransferError('CONNECTION_LOST', 'Not connected to server'));
+        return;
+      }
+      this.ws.send(this.encodeMessage(message), (error) => {
+        if (error) {
+          reject(new TransferError('CONNECTION_LOST', `Send failed: ${error.message}`));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Serialize a message for the server
+   * FILE_CHUNK data goes out as a binary frame when negotiated, as base64 JSON otherwise
+   * @param {Object} message - Message to send
+   * @returns {string|Buffer} WebSocket payload
+   */
+  encodeMessage(message) {
+    if (message.type === MESSAGE_TYPES.FILE_CHUNK && Buffer.isBuffer(message.data)) {
+      if (this.binaryFrames) {
+        return encodeChunkFrame(message);
+      }
+      return JSON.stringify({ ...message, data: message.data.toString('base64') });
+    }
+    return JSON.stringify(message);
+  }
+
+  /**
+   * Schedule the next connection attempt
+   * The delay grows with each round through the server list, up to
+   * RECONNECT_MAX_DELAY; MAX_RECONNECT_ATTEMPTS of 0 retries forever
+   */
   handleReconnect() {
-    if (this.reconnectAttempts >= this.config.MAX_RECONNECT_ATTEMPTS) {
+    const maxAttempts = this.config.MAX_RECONNECT_ATTEMPTS;
+    if (maxAttempts > 0 && this.reconnectAttempts >= maxAttempts) {
       logger.error('Max reconnection attempts reached, giving up');
-      process.exit(1);
+      // Nothing can be drained without a connection, but snapshots are still cleaned up
+      this.shutdown('Max reconnection attempts reached', CONNECTION_STATES.FAILED);
+      return;
     }
 
-    const delay = this.config.RECONNECT_INTERVAL * Math.pow(2, this.reconnectAttempts);
-    logger.info(`Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts + 1})`);
+    const round = Math.floor(this.reconnectAttempts / this.servers.size);
+    const delay = backoffDelay(round, this.config.RECONNECT_INTERVAL, this.config.RECONNECT_MAX_DELAY);
+    const url = this.servers.current();
+    logger.info(`Reconnecting to ${url} in ${delay}ms (attempt ${this.reconnectAttempts + 1})`);
+    this.setState(CONNECTION_STATES.RECONNECTING, { url, attempt: this.reconnectAttempts + 1, delay });
 
-    setTimeout(() => {
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
       this.reconnectAttempts++;
       this.connect();
     }, delay);
   }
 
-  stop() {
-    if (this.ws) {
-      this.ws.close();
+  /**
+   * Shut down gracefully
+   * New requests are refused and queued transfers are not started, while running
+   * ones get SHUTDOWN_DRAIN_TIMEOUT to finish. The server is told first with
+   * CLIENT_SHUTDOWN; whatever is still unfinished when the client disconnects
+   * is paused here and marked interrupted there, to be resumed when the client returns
+   * @param {string} reason - Why the client is going away, reported to the server
+   * @param {string} finalState - State to end in: STOPPED, or FAILED when giving up
+   * @returns {Promise<void>} Resolves once the connection is closed
+   */
+  shutdown(reason, finalState = CONNECTION_STATES.STOPPED) {
+    if (!this.shutdownPromise) {
+      this.shutdownPromise = this.drainAndClose(reason, finalState);
+    }
+    return this.shutdownPromise;
+  }
+
+  async drainAndClose(reason, finalState) {
+    this.shuttingDown = true;
+    clearTimeout(this.reconnectTimer);
+    this.setState(CONNECTION_STATES.STOPPING, { reason });
+    const drainTimeout = this.config.SHUTDOWN_DRAIN_TIMEOUT;
+
+    if (this.connected) {
+      logger.info(`Shutting down (${reason}); waiting up to ${drainTimeout}ms for active transfers`);
+      this.send({
+        type: MESSAGE_TYPES.CLIENT_SHUTDOWN,
+        reason,
+        drainTimeout,
+        timestamp: new Date().toISOString()
+      });
     }
+
+    const stopped = new TransferError(ERROR_CODES.CLIENT_SHUTTING_DOWN, 'Client shutting down');
+    for (const requestId of this.transferQueue.queued()) {
+      this.transferQueue.remove(requestId, stopped);
+    }
+
+    // Transfers hold a slot from the moment they start preparing until their last chunk is sent
+    const deadline = Date.now() + drainTimeout;
+    const busy = () => Array.from(this.activeDownloads.values()).some(transfer => transfer.holdsSlot);
+    while (this.connected && busy() && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, Math.min(DRAIN_POLL_INTERVAL, deadline - Date.now())));
+    }
+
+    // Transfers already sent are only waiting for their result; nothing of theirs is paused
+    const transfers = Array.from(this.activeDownloads.entries());
+    const unfinished = transfers.filter(([, transfer]) => !transfer.resultTimer);
+    for (const [, transfer] of unfinished) {
+      transfer.paused = true;
+      transfer.credits.close(stopped);
+    }
+    await Promise.all(unfinished.map(([, transfer]) => transfer.sending).filter(Boolean));
+    for (const [requestId, transfer] of transfers) {
+      await this.releaseTransfer(requestId, transfer);
+    }
+    if (unfinished.length > 0) {
+      logger.warn(`Paused ${unfinished.length} unfinished transfer(s); the server resumes them when this client returns`);
+    }
+
+    await this.stop();
+    await Promise.all([this.auditLog.writing, this.fileHandler.checksumCache.saving]);
+    logger.info('Client stopped');
+    this.setState(finalState, { reason });
+  }
+
+  /**
+   * Move to a new connection state and tell listeners
+   * @param {string} state - One of CONNECTION_STATES
+   * @param {Object} details - State-specific fields, see CONNECTION_STATES
+   */
+  setState(state, details = {}) {
+    const previous = this.state;
+    this.state = state;
+    this.emit('state', { state, previous, ...details });
+    this.emit(state, details);
+  }
+
+  /**
+   * Close the connection without reconnecting
+   * @returns {Promise<void>} Resolves once the socket has closed, or after CLOSE_TIMEOUT
+   */
+  async stop() {
+    this.shuttingDown = true;
+    clearTimeout(this.reconnectTimer);
+    clearInterval(this.bandwidthTimer);
+    this.stopHeartbeat();
+
+    if (!this.ws || this.ws.readyState === WebSocket.CLOSED) {
+      return;
+    }
+    if (this.ws.readyState !== WebSocket.OPEN) {
+      this.ws.terminate();
+      return;
+    }
+
+    const closed = new Promise(resolve => this.ws.once('close', resolve));
+    this.ws.close(1001, 'Client shutting down');
+    await Promise.race([closed, new Promise(resolve => setTimeout(resolve, CLOSE_TIMEOUT))]);
   }
 }
 
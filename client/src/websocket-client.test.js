@@ -0,0 +1,77 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import WebSocketClient from './websocket-client.js';
+import { loadConfig, ConfigError } from './config.js';
+import logger from './utils/logger.js';
+
+describe('WebSocketClient configuration reload', () => {
+  let workDir;
+  let env;
+  let client;
+  let logLevel;
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'websocket-client-test-'));
+    env = {
+      CLIENT_ID: 'client-1',
+      CLIENT_KEY_FILE: path.join(workDir, 'client-1.key'),
+      AUDIT_LOG_FILE: path.join(workDir, 'audit.jsonl'),
+      CHECKSUM_CACHE_FILE: path.join(workDir, 'checksums.json'),
+      SNAPSHOT_DIR: path.join(workDir, 'snapshots'),
+      SHARE_ROOTS: workDir,
+      MAX_CONCURRENT_TRANSFERS: '2',
+      BANDWIDTH_LIMIT: '1M'
+    };
+    logLevel = logger.level;
+    client = new WebSocketClient(loadConfig({ argv: [], env }));
+  });
+
+  afterEach(() => {
+    logger.level = logLevel;
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  const reload = overrides => client.reloadConfig(loadConfig({ argv: [], env: { ...env, ...overrides } }));
+
+  test('applies changed live settings', () => {
+    reload({ MAX_CONCURRENT_TRANSFERS: '5', BANDWIDTH_LIMIT: '2M', LOG_LEVEL: 'warn' });
+
+    assert.equal(client.config.MAX_CONCURRENT_TRANSFERS, 5);
+    assert.equal(client.transferQueue.maxConcurrent, 5);
+    assert.equal(client.throttle.getActiveLimit(), 2 * 1024 * 1024);
+    assert.equal(logger.level, 'warn');
+  });
+
+  test('keeps settings that need a restart at their old values', () => {
+    reload({ SNAPSHOT_MODE: 'true', CHECKSUM_CACHE_MAX_ENTRIES: '5', MAX_CONCURRENT_TRANSFERS: '4' });
+
+    assert.equal(client.config.SNAPSHOT_MODE, false);
+    assert.equal(client.config.CHECKSUM_CACHE_MAX_ENTRIES, 1000);
+    assert.equal(client.localConfig.SNAPSHOT_MODE, false);
+    assert.equal(client.config.MAX_CONCURRENT_TRANSFERS, 4);
+  });
+
+  test('keeps values set by the server over reloaded ones', () => {
+    const sent = [];
+    client.send = message => sent.push(message);
+    client.handleConfigUpdate({ requestId: 'update-1', version: 1, settings: { MAX_CONCURRENT_TRANSFERS: 1 } });
+    assert.equal(sent[0].success, true);
+
+    reload({ MAX_CONCURRENT_TRANSFERS: '6', SHARE_MAX_FILE_SIZE: '100' });
+
+    assert.equal(client.config.MAX_CONCURRENT_TRANSFERS, 1);
+    assert.equal(client.transferQueue.maxConcurrent, 1);
+    assert.equal(client.config.SHARE_MAX_FILE_SIZE, 100);
+  });
+
+  test('leaves the configuration in force when the reloaded one is invalid', () => {
+    const before = client.config;
+    assert.throws(() => reload({ MAX_CONCURRENT_TRANSFERS: 'many' }), ConfigError);
+
+    assert.equal(client.config, before);
+    assert.equal(client.transferQueue.maxConcurrent, 2);
+  });
+});
@@ -94,6 +94,9 @@ start_client() {
     # Wait for client to register
     sleep 5
 
+    # New clients wait for operator approval before they can serve downloads
+    curl -s -X POST "http://$SERVER_HOST:$SERVER_PORT/api/v1/clients/$CLIENT_ID/approve" > /dev/null
+
     # Check if client is connected
     CONNECTED_CLIENTS=$(curl -s "http://$SERVER_HOST:$SERVER_PORT/api/v1/clients" | grep -o '"total":[0-9]*' | cut -d':' -f2)
     if [ "$CONNECTED_CLIENTS" -gt 0 ]; then
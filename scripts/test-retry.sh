@@ -4,7 +4,7 @@
 # Tests the chunk retry functionality
 #
 # Network failure simulation methods:
-# 1. DEBUG_FAIL_CHUNKS=true - Client intentionally skips chunks (30% probability)
+# 1. FAULT_SCENARIO - Client injects faults into its chunks (drops 30%, corrupts one, sends a wrong checksum)
 # 2. SIGSTOP/SIGCONT - Pause and resume client process to simulate disconnection
 #
 # Usage: ./test-retry.sh
@@ -125,8 +125,18 @@ start_client() {
 
     cd client
     if [ "$debug_mode" = "true" ]; then
-        print_warning "Starting client in DEBUG mode (30% chunk failure rate)"
-        DEBUG_FAIL_CHUNKS=true DEBUG_FAIL_CHUNK_PROBABILITY=0.3 CLIENT_ID="$client_id" CLIENT_NAME="Test Client $client_id" SERVER_WS_URL=ws://localhost:3002 npm start > "../client-$client_id.log" 2>&1 &
+        print_warning "Starting client with fault injection (30% of chunks dropped, $TEST_DIR/faults.json)"
+        cat > "$TEST_DIR/faults.json" <<'EOF'
+{
+  "seed": 1,
+  "faults": [
+    { "type": "drop", "probability": 0.3 },
+    { "type": "corrupt", "chunks": [1] },
+    { "type": "wrong-checksum", "chunks": [2] }
+  ]
+}
+EOF
+        FAULT_SCENARIO="$TEST_DIR/faults.json" CLIENT_ID="$client_id" CLIENT_NAME="Test Client $client_id" SERVER_WS_URL=ws://localhost:3002 npm start > "../client-$client_id.log" 2>&1 &
     else
         CLIENT_ID="$client_id" CLIENT_NAME="Test Client $client_id" SERVER_WS_URL=ws://localhost:3002 npm start > "../client-$client_id.log" 2>&1 &
     fi
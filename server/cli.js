@@ -5,6 +5,7 @@ const ora = require('ora');
 const chalk = require('chalk');
 const Table = require('cli-table3');
 const cliProgress = require('cli-progress');
+const path = require('path');
 
 const API_BASE = process.env.SERVER_URL || 'http://localhost:3000/api/v1';
 
@@ -16,11 +17,17 @@ program
 // Download command
 program
   .command('download')
-  .description('Download a file from a client')
+  .description('Download a file, or a directory as an archive, from a client')
   .argument('<clientId>', 'Client ID to download from')
   .option('-f, --file-path <path>', 'File path on client')
+  .option('-a, --archive [format]', 'The path is a directory: download it as a tar or tar.gz archive')
+  .option('--include <globs>', 'With --archive, only archive files matching these comma-separated globs')
+  .option('--exclude <globs>', 'With --archive, leave out files matching these comma-separated globs')
+  .option('--max-files <n>', 'With --archive, refuse directories holding more files')
+  .option('-x, --extract', 'With --archive, extract the archive on the server once downloaded', false)
   .option('-o, --output <path>', 'Output path on server (optional)')
   .option('-t, --timeout <ms>', 'Timeout in milliseconds', '30000')
+  .option('-p, --priority <n>', 'Queue priority on the client, higher is served first', '0')
   .option('-w, --watch', 'Watch progress in real-time', false)
   .action(async (clientId, options) => {
     if (!options.filePath) {
@@ -39,7 +46,9 @@ program
         clientId,
         filePath: options.filePath,
         output: options.output,
-        timeout: parseInt(options.timeout)
+        timeout: parseInt(options.timeout),
+        priority: parseInt(options.priority),
+        ...(options.archive && { archive: buildArchiveOptions(options) })
       });
 
       if (!response.data.success) {
@@ -72,7 +81,11 @@ program
             const progress = download.progress.percentage || 0;
             const status = download.status;
             
-            if (progress !== lastProgress) {
+            if (status === 'queued') {
+              progressSpinner.text = `Queued on client (position ${download.queuePosition})`;
+            } else if (status === 'interrupted') {
+              progressSpinner.text = 'Interrupted: source client shut down, waiting for it to return';
+            } else if (progress !== lastProgress) {
               progressSpinner.text = `Progress: ${progress}% (${download.progress.chunksReceived}/${download.progress.totalChunks} chunks)`;
               lastProgress = progress;
             }
@@ -82,11 +95,14 @@ program
               console.log(chalk.green(`\n✓ File downloaded successfully`));
               console.log(`  Duration: ${download.duration}ms`);
               console.log(`  Size: ${(download.progress.bytesReceived / (1024 * 1024)).toFixed(2)} MB`);
+              if (download.archive) {
+                console.log(`  Archive: ${formatArchive(download.archive)}`);
+              }
               clearInterval(pollInterval);
               process.exit(0);
             } else if (status === 'failed') {
               progressSpinner.fail(chalk.red('Download failed'));
-              console.error(chalk.red(download.error));
+              console.error(chalk.red(formatDownloadError(download.error)));
               clearInterval(pollInterval);
               process.exit(1);
             } else if (status === 'cancelled') {
@@ -122,18 +138,87 @@ program
     }
   });
 
+// Preview command: print part of a remote file without keeping a download around
+program
+  .command('preview')
+  .description('Print the first or last bytes of a file on a client')
+  .argument('<clientId>', 'Client ID to read from')
+  .argument('<path>', 'File path on client')
+  .option('--head <size>', 'Print the first bytes, e.g. 4k (default)')
+  .option('--tail <size>', 'Print the last bytes, e.g. 1m')
+  .option('-t, --timeout <ms>', 'Timeout in milliseconds', '30000')
+  .action(async (clientId, filePath, options) => {
+    const serverUrl = process.env.SERVER_URL || 'http://localhost:3000';
+
+    // stdout carries the file's bytes, so everything else goes to stderr
+    const fail = (message) => {
+      console.error(chalk.red(`Error: ${message}`));
+      process.exit(1);
+    };
+
+    if (options.head && options.tail) {
+      fail('use either --head or --tail');
+    }
+
+    let range;
+    try {
+      range = options.tail
+        ? { tail: parseByteCount(options.tail) }
+        : { offset: 0, length: parseByteCount(options.head || '4k') };
+    } catch (error) {
+      fail(error.message);
+    }
+
+    try {
+      const response = await axios.post(`${serverUrl}/api/v1/downloads`, { clientId, filePath, ...range });
+      const { requestId } = response.data;
+
+      const deadline = Date.now() + parseInt(options.timeout);
+      let download;
+      do {
+        await new Promise(resolve => setTimeout(resolve, 250));
+        download = (await axios.get(`${serverUrl}/api/v1/downloads/${requestId}`)).data;
+        if (download.status === 'failed' || download.status === 'cancelled') {
+          fail(download.error ? formatDownloadError(download.error) : `download ${download.status}`);
+        }
+      } while (download.status !== 'completed' && Date.now() < deadline);
+
+      if (download.status !== 'completed') {
+        fail(`preview not ready after ${options.timeout}ms; check it with: silentmode downloads status ${requestId}`);
+      }
+
+      const content = await axios.get(`${serverUrl}/api/v1/downloads/${requestId}/content`, { responseType: 'arraybuffer' });
+      process.stdout.write(Buffer.from(content.data));
+    } catch (error) {
+      if (error.response) {
+        const body = error.response.data;
+        const message = body && body.error ? formatDownloadError(body.error) : error.response.statusText;
+        fail(message);
+      }
+      fail(error.message);
+    }
+  });
+
 // Clients commands
 const clientsCmd = program.command('clients');
 
 clientsCmd
   .command('list')
-  .description('List all connected clients')
-  .option('-s, --status <status>', 'Filter by status (connected)')
+  .description('List connected and registered clients')
+  .option('-s, --status <status>', 'Filter by status (connected|disconnected|pending|approved|revoked)')
+  .option('--os <os>', 'Filter by operating system (e.g. linux, darwin, win32)')
+  .option('--client-version <version>', 'Filter by client version')
+  .option('--feature <feature>', 'Filter by supported feature')
   .action(async (options) => {
     try {
       const spinner = ora('Fetching clients...').start();
       const response = await axios.get(`${API_BASE}/clients`, {
-        params: { status: options.status }
+        params: {
+          status: options.status,
+          os: options.os,
+          version: options.clientVersion,
+          feature: options.feature
+        }
       });
       
       spinner.stop();
@@ -149,17 +234,18 @@ clientsCmd
       }
       
       const table = new Table({
-        head: [chalk.cyan('Client ID'), chalk.cyan('Connected At'), chalk.cyan('Last Heartbeat'), chalk.cyan('Status')],
-        colWidths: [30, 25, 25, 15]
+        head: [chalk.cyan('Client ID'), chalk.cyan('Connected At'), chalk.cyan('Last Heartbeat'), chalk.cyan('Status'), chalk.cyan('Enrollment')],
+        colWidths: [30, 25, 25, 16, 18]
       });
       
       response.data.clients.forEach(client => {
-        const status = client.status === 'connected' ? chalk.green('● ' + client.status) : chalk.red('● ' + client.status);
+        const status = formatClientStatus(client, '● ');
         table.push([
           client.clientId,
-          new Date(client.connectedAt).toLocaleString(),
-          new Date(client.lastHeartbeat).toLocaleString(),
-          status
+          formatTimestamp(client.connectedAt),
+          formatTimestamp(client.lastHeartbeat),
+          status,
+          formatEnrollment(client.enrollment)
         ]);
       });
       
@@ -200,10 +286,30 @@ clientsCmd
         const table = new Table();
         table.push(
           { [chalk.cyan('Client ID')]: client.clientId },
-          { [chalk.cyan('Connected At')]: new Date(client.connectedAt).toLocaleString() },
-          { [chalk.cyan('Last Heartbeat')]: new Date(client.lastHeartbeat).toLocaleString() },
-          { [chalk.cyan('Status')]: client.status === 'connected' ? chalk.green(client.status) : chalk.red(client.status) }
+          { [chalk.cyan('Connected At')]: formatTimestamp(client.connectedAt) },
+          { [chalk.cyan('Last Heartbeat')]: formatTimestamp(client.lastHeartbeat) },
+          { [chalk.cyan('Status')]: formatClientStatus(client) },
+          { [chalk.cyan('Enrollment')]: formatEnrollment(client.enrollment) }
         );
+
+        const metadata = client.metadata || {};
+        if (Object.keys(metadata).length > 0) {
+          table.push(
+            { [chalk.cyan('Hostname')]: metadata.hostname || '-' },
+            { [chalk.cyan('OS')]: [metadata.os, metadata.arch, metadata.osRelease].filter(Boolean).join(' ') || '-' },
+            { [chalk.cyan('Node Version')]: metadata.nodeVersion || '-' },
+            { [chalk.cyan('Client Version')]: metadata.version || '-' },
+            { [chalk.cyan('Share Roots')]: (metadata.shareRoots || []).map(formatShareRoot).join('\n') || '-' },
+            { [chalk.cyan('Features')]: (metadata.features || []).join(', ') || '-' }
+          );
+        }
+
+        if (client.bandwidth) {
+          table.push({ [chalk.cyan('Bandwidth')]: formatBandwidth(client.bandwidth) });
+        }
+        if (client.config) {
+          table.push({ [chalk.cyan('Config Version')]: client.config.version });
+        }
         
         console.log(table.toString());
       }
@@ -220,13 +326,246 @@ clientsCmd
     }
   });
 
+clientsCmd
+  .command('approve <clientId>')
+  .description('Approve a client that is pending approval')
+  .action(async (clientId) => {
+    try {
+      const spinner = ora('Approving client...').start();
+      const response = await axios.post(`${API_BASE}/clients/${clientId}/approve`);
+      
+      spinner.stop();
+      
+      if (!response.data.success) {
+        console.error(chalk.red('Error:', response.data.error));
+        process.exit(1);
+      }
+      
+      console.log(chalk.green(`✓ Client ${clientId} approved`));
+      
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        console.error(chalk.red(`Client ${clientId} not found.`));
+      } else if (error.response) {
+        console.error(chalk.red(`Error: ${error.response.data.error || error.response.statusText}`));
+      } else {
+        console.error(chalk.red(`Error: ${error.message}`));
+      }
+      process.exit(1);
+    }
+  });
+
+clientsCmd
+  .command('revoke <clientId>')
+  .description('Revoke a client; it is disconnected and refused on reconnect')
+  .action(async (clientId) => {
+    try {
+      const spinner = ora('Revoking client...').start();
+      const response = await axios.post(`${API_BASE}/clients/${clientId}/revoke`);
+      
+      spinner.stop();
+      
+      if (!response.data.success) {
+        console.error(chalk.red('Error:', response.data.error));
+        process.exit(1);
+      }
+      
+      console.log(chalk.green(`✓ Client ${clientId} revoked`));
+      
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        console.error(chalk.red(`Client ${clientId} not found.`));
+      } else if (error.response) {
+        console.error(chalk.red(`Error: ${error.response.data.error || error.response.statusText}`));
+      } else {
+        console.error(chalk.red(`Error: ${error.message}`));
+      }
+      process.exit(1);
+    }
+  });
+
+clientsCmd
+  .command('bandwidth <clientId>')
+  .description('Set the upload bandwidth limit and schedule of a client')
+  .option('-l, --limit <rate>', 'Bytes per second, with an optional K/M/G suffix (0 = unlimited)')
+  .option('-s, --schedule <windows>', 'Local-time windows, e.g. "22:00-06:00=unlimited,09:00-17:00=512K"')
+  .option('--reset', 'Return the client to its own configuration')
+  .action(async (clientId, options) => {
+    if (options.limit === undefined && options.schedule === undefined && !options.reset) {
+      console.error(chalk.red('Error: give --limit, --schedule or --reset'));
+      process.exit(1);
+    }
+
+    try {
+      const spinner = ora('Updating bandwidth settings...').start();
+      const response = await axios.put(`${API_BASE}/clients/${clientId}/bandwidth`, options.reset
+        ? { reset: true }
+        : { limit: options.limit, schedule: options.schedule });
+      
+      spinner.stop();
+      
+      if (!response.data.success) {
+        console.error(chalk.red('Error:', formatDownloadError(response.data.error)));
+        process.exit(1);
+      }
+      
+      const { override, delivered } = response.data;
+      if (override) {
+        const limit = override.limit !== undefined ? formatRate(override.limit) : 'client default';
+        console.log(chalk.green(`✓ Bandwidth for ${clientId}: ${limit}${override.schedule ? `, schedule ${override.schedule}` : ''}`));
+      } else {
+        console.log(chalk.green(`✓ Bandwidth for ${clientId} reset to the client's configuration`));
+      }
+      if (!delivered) {
+        console.log(chalk.yellow('Client is offline or not approved; the settings apply when it next registers'));
+      }
+      
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        console.error(chalk.red(`Client ${clientId} not found.`));
+      } else if (error.response) {
+        const { error: code, details } = error.response.data;
+        const reason = details ? details.map(detail => detail.message).join('; ') : formatDownloadError(code);
+        console.error(chalk.red(`Error: ${reason || error.response.statusText}`));
+      } else {
+        console.error(chalk.red(`Error: ${error.message}`));
+      }
+      process.exit(1);
+    }
+  });
+
+clientsCmd
+  .command('config <clientId> <settings...>')
+  .description('Change runtime settings of a connected client, given as KEY=VALUE')
+  .option('-v, --config-version <n>', 'Version of this update (default: one above the current version)')
+  .action(async (clientId, pairs, options) => {
+    const settings = {};
+    for (const pair of pairs) {
+      const separator = pair.indexOf('=');
+      if (separator <= 0) {
+        console.error(chalk.red(`Error: expected KEY=VALUE, got "${pair}"`));
+        process.exit(1);
+      }
+      settings[pair.slice(0, separator)] = pair.slice(separator + 1);
+    }
+
+    try {
+      const spinner = ora('Sending config update...').start();
+      const response = await axios.put(`${API_BASE}/clients/${clientId}/config`, {
+        settings,
+        ...(options.configVersion !== undefined && { version: options.configVersion })
+      });
+      
+      spinner.stop();
+      
+      if (!response.data.success) {
+        console.error(chalk.red('Error:', formatDownloadError(response.data.error)));
+        process.exit(1);
+      }
+      
+      const { version, applied, config } = response.data;
+      console.log(chalk.green(`✓ Client ${clientId} applied config version ${version}`));
+      
+      const table = new Table({
+        head: [chalk.cyan('Setting'), chalk.cyan('Value')]
+      });
+      Object.entries(config).forEach(([key, value]) => {
+        const text = value === '' || value === undefined ? chalk.gray('-') : String(value);
+        table.push([key in applied ? chalk.yellow(key) : key, text]);
+      });
+      console.log(table.toString());
+      
+    } catch (error) {
+      if (error.response) {
+        const { error: reason, details } = error.response.data;
+        const message = Array.isArray(details) ? details.map(detail => detail.message).join('; ') : formatDownloadError(reason);
+        console.error(chalk.red(`Error: ${message || error.response.statusText}`));
+      } else {
+        console.error(chalk.red(`Error: ${error.message}`));
+      }
+      process.exit(1);
+    }
+  });
+
+// List a directory on a client
+program
+  .command('ls <clientId> <path>')
+  .description('List a directory on a connected client')
+  .option('-d, --depth <n>', 'Levels to descend (1 = only the directory itself)', '1')
+  .option('--offset <n>', 'Entries to skip', '0')
+  .option('-l, --limit <n>', 'Maximum entries to show', '100')
+  .option('-f, --format <fmt>', 'Output format (table|json)', 'table')
+  .action(async (clientId, dirPath, options) => {
+    try {
+      const spinner = ora('Listing directory...').start();
+      const response = await axios.get(`${API_BASE}/clients/${clientId}/files`, {
+        params: {
+          path: dirPath,
+          depth: options.depth,
+          offset: options.offset,
+          limit: options.limit
+        }
+      });
+      
+      spinner.stop();
+      
+      if (!response.data.success) {
+        console.error(chalk.red('Error:', formatDownloadError(response.data.error)));
+        process.exit(1);
+      }
+      
+      const listing = response.data;
+      
+      if (options.format === 'json') {
+        console.log(JSON.stringify(listing, null, 2));
+        return;
+      }
+      
+      if (listing.total === 0) {
+        console.log(chalk.yellow(`${listing.path} is empty.`));
+        return;
+      }
+      
+      const table = new Table({
+        head: [chalk.cyan('Type'), chalk.cyan('Path'), chalk.cyan('Size'), chalk.cyan('Modified')]
+      });
+      
+      listing.entries.forEach(entry => {
+        const relativePath = path.relative(listing.path, entry.path);
+        table.push([
+          entry.type,
+          entry.type === 'directory' ? chalk.blue(`${relativePath}/`) : relativePath,
+          entry.type === 'file' ? formatSize(entry.size) : chalk.gray('-'),
+          formatTimestamp(entry.mtime)
+        ]);
+      });
+      
+      console.log(chalk.gray(listing.path));
+      console.log(table.toString());
+      
+      const first = listing.entries.length > 0 ? listing.offset + 1 : 0;
+      console.log(chalk.gray(`\nShowing ${first}-${listing.offset + listing.entries.length} of ${listing.total} entries`));
+      if (listing.truncated) {
+        console.log(chalk.yellow('Listing was truncated; use a smaller depth or a more specific path'));
+      }
+      
+    } catch (error) {
+      if (error.response) {
+        console.error(chalk.red(`Error: ${formatDownloadError(error.response.data.error) || error.response.statusText}`));
+      } else {
+        console.error(chalk.red(`Error: ${error.message}`));
+      }
+      process.exit(1);
+    }
+  });
+
 // Downloads commands
 const downloadsCmd = program.command('downloads');
 
 downloadsCmd
   .command('list')
   .description('List all downloads')
-  .option('-s, --status <status>', 'Filter by status (pending, in_progress, completed, failed, cancelled)')
+  .option('-s, --status <status>', 'Filter by status (pending, queued, in_progress, interrupted, completed, failed, cancelled)')
   .action(async (options) => {
     console.log(chalk.yellow('Downloads list endpoint not yet implemented in server.'));
     console.log(chalk.gray('This will be available when the server maintains a download history.'));
@@ -286,7 +625,7 @@ downloadsCmd
             } else if (download.status === 'failed') {
               if (progressBarStarted) progressBar.stop();
               console.error(chalk.red('\n✗ Download failed'));
-              console.error(chalk.red(download.error));
+              console.error(chalk.red(formatDownloadError(download.error)));
               clearInterval(pollInterval);
               process.exit(1);
             } else if (download.status === 'cancelled') {
@@ -327,7 +666,10 @@ downloadsCmd
         table.push(
           { [chalk.cyan('Request ID')]: download.requestId },
           { [chalk.cyan('Client ID')]: download.clientId },
-          { [chalk.cyan('Status')]: getStatusColored(download.status) },
+          { [chalk.cyan('Status')]: download.status === 'queued'
+            ? `${getStatusColored(download.status)} (position ${download.queuePosition})`
+            : getStatusColored(download.status) },
+          { [chalk.cyan('Priority')]: download.priority },
           { [chalk.cyan('Progress')]: `${download.progress.chunksReceived}/${download.progress.totalChunks} chunks (${download.progress.percentage}%)` },
           { [chalk.cyan('Size')]: `${(download.progress.bytesReceived / (1024 * 1024)).toFixed(2)} MB` }
         );
@@ -351,7 +693,19 @@ downloadsCmd
         }
         
         if (download.error) {
-          table.push({ [chalk.cyan('Error')]: chalk.red(download.error) });
+          table.push({ [chalk.cyan('Error')]: chalk.red(formatDownloadError(download.error)) });
+        }
+
+        if (download.archive) {
+          table.push({ [chalk.cyan('Archive')]: formatArchive(download.archive) });
+        }
+
+        if (download.checksum) {
+          table.push({ [chalk.cyan('Checksum')]: `${download.hashAlgorithm} ${download.checksum}` });
+        }
+
+        if (download.manifest) {
+          table.push({ [chalk.cyan('Manifest')]: `${download.manifest.chunks} chunks, root ${download.manifest.root.slice(0, 16)}` });
         }
         
         console.log(table.toString());
@@ -367,6 +721,43 @@ downloadsCmd
     }
   });
 
+downloadsCmd
+  .command('verify <requestId>')
+  .description('Check the chunks on disk against the download\'s chunk manifest')
+  .action(async (requestId) => {
+    try {
+      const spinner = ora('Verifying chunks...').start();
+      const response = await axios.get(`${API_BASE}/downloads/${requestId}/verify`);
+
+      spinner.stop();
+
+      const result = response.data;
+      const bad = result.corruptChunks.length + result.missingChunks.length;
+      const summary = `${result.verifiedChunks}/${result.totalChunks} chunks match manifest root ${result.root.slice(0, 16)}`;
+      if (bad === 0) {
+        console.log(chalk.green(`✓ ${summary}`));
+        return;
+      }
+
+      console.log(chalk.yellow(`⚠ ${summary}`));
+      if (result.corruptChunks.length > 0) {
+        console.log(chalk.red(`  Corrupt: ${result.corruptChunks.join(', ')}`));
+      }
+      if (result.missingChunks.length > 0) {
+        console.log(`  Missing: ${result.missingChunks.join(', ')}`);
+      }
+      process.exit(1);
+    } catch (error) {
+      if (error.response) {
+        const body = error.response.data;
+        console.error(chalk.red(`Error: ${body && body.error ? formatDownloadError(body.error) : error.response.statusText}`));
+      } else {
+        console.error(chalk.red(`Error: ${error.message}`));
+      }
+      process.exit(1);
+    }
+  });
+
 downloadsCmd
   .command('cancel <requestId>')
   .description('Cancel a download')
@@ -447,8 +838,110 @@ function getStatusColored(status) {
     case 'cancelled': return chalk.yellow(status);
     case 'in_progress': return chalk.blue(status);
     case 'pending': return chalk.gray(status);
+    case 'queued': return chalk.magenta(status);
+    case 'interrupted': return chalk.yellow(status);
     default: return status;
   }
 }
 
+// Helper function for a client's connection status, flagging one that is draining before it disconnects
+function formatClientStatus(client, prefix = '') {
+  if (client.shuttingDown) {
+    return chalk.yellow(`${prefix}shutting down`);
+  }
+  return client.status === 'connected' ? chalk.green(prefix + client.status) : chalk.red(prefix + client.status);
+}
+
+// Helper function for client timestamps, which are null while offline
+function formatTimestamp(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : chalk.gray('-');
+}
+
+// Helper function for a reported share root and its free space
+function formatShareRoot(root) {
+  if (root.freeDiskSpace === null || root.freeDiskSpace === undefined) {
+    return root.path;
+  }
+  return `${root.path} (${(root.freeDiskSpace / (1024 * 1024 * 1024)).toFixed(2)} GB free)`;
+}
+
+// Helper function for a file size in bytes
+function formatSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+// Helper function for a transfer rate in bytes per second
+function formatRate(bytesPerSecond) {
+  return bytesPerSecond ? `${formatSize(bytesPerSecond)}/s` : 'unlimited';
+}
+
+// Helper function for the bandwidth status a client reports
+function formatBandwidth(bandwidth) {
+  const lines = [`${formatRate(bandwidth.limit)} (${bandwidth.source === 'server' ? 'set by server' : 'client config'})`];
+  if (bandwidth.schedule) {
+    lines.push(chalk.gray(`base ${formatRate(bandwidth.baseLimit)}, schedule ${bandwidth.schedule}`));
+  }
+  return lines.join('\n');
+}
+
+// Helper function for colored enrollment status
+function formatEnrollment(enrollment) {
+  switch (enrollment) {
+    case 'approved': return chalk.green(enrollment);
+    case 'pending_approval': return chalk.yellow(enrollment);
+    case 'revoked': return chalk.red(enrollment);
+    default: return chalk.gray('-');
+  }
+}
+
+// Helper function for the archive options of `download --archive`
+function buildArchiveOptions(options) {
+  const list = value => value.split(',').map(item => item.trim()).filter(Boolean);
+  return {
+    format: options.archive === true ? 'tar' : options.archive,
+    ...(options.include && { include: list(options.include) }),
+    ...(options.exclude && { exclude: list(options.exclude) }),
+    ...(options.maxFiles && { maxFiles: parseInt(options.maxFiles) }),
+    extract: options.extract
+  };
+}
+
+// Helper function for the contents and extraction result of a directory download
+function formatArchive(archive) {
+  const lines = [archive.totalFiles === null
+    ? `${archive.format}, waiting for the file list`
+    : `${archive.format}, ${archive.totalFiles} files (${formatSize(archive.totalBytes)})`];
+  if (archive.extractedTo) {
+    lines.push(`extracted to ${archive.extractedTo}`);
+  } else if (archive.extractError) {
+    lines.push(chalk.red(`extraction failed: ${archive.extractError.message}`));
+  }
+  return lines.join('\n');
+}
+
+// Helper function for a byte count such as 512, 4k or 1.5M (binary units)
+function parseByteCount(value) {
+  const units = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+  const match = /^(\d+(?:\.\d+)?)\s*([kmg]?)i?b?$/i.exec(String(value).trim());
+  const bytes = match ? Math.floor(parseFloat(match[1]) * units[match[2].toLowerCase()]) : 0;
+  if (!(bytes > 0)) {
+    throw new Error(`Invalid size "${value}": use bytes with an optional k, m or g suffix, e.g. 4k`);
+  }
+  return bytes;
+}
+
+// Helper function to render a download error object
+function formatDownloadError(error) {
+  if (!error || typeof error !== 'object') {
+    return error;
+  }
+  return error.code ? `${error.code}: ${error.message}` : error.message;
+}
+
 program.parse();
@@ -5,6 +5,9 @@ process.env.WS_PORT = '0'; // Use random available port
 // Clear config cache to ensure environment variables are picked up
 delete require.cache[require.resolve('./src/config')];
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const request = require('supertest');
 const ExpressServer = require('./src/express-server');
 const WebSocketServer = require('./src/websocket-server');
@@ -30,8 +33,18 @@ describe('REST API Tests', () => {
         createDownload: jest.fn(),
         cancelDownload: jest.fn()
       },
+      clientRegistry: {
+        get: jest.fn().mockReturnValue(null),
+        list: jest.fn().mockReturnValue([])
+      },
       findClientByRegisteredId: jest.fn(),
-      sendToClient: jest.fn()
+      sendToClient: jest.fn(),
+      buildDownloadRequest: download => WebSocketServer.prototype.buildDownloadRequest.call(wsServer, download),
+      approveClient: jest.fn(),
+      revokeClient: jest.fn(),
+      requestFileList: jest.fn(),
+      setClientBandwidth: jest.fn(),
+      updateClientConfig: jest.fn()
     };
 
     // Create Express server instance
@@ -54,11 +67,24 @@ describe('REST API Tests', () => {
   });
 
   describe('POST /api/v1/downloads', () => {
+    beforeEach(() => {
+      // Hand the handler back the download it just created
+      wsServer.downloadManager.getDownload.mockImplementation((id) => {
+        const [clientId, filePath, , requesterClientId, priority = 0, archive = null, range = null] = wsServer.downloadManager.createDownload.mock.lastCall;
+        return { id, clientId, filePath, requesterClientId, priority, archive, range };
+      });
+    });
+
+    afterEach(() => {
+      wsServer.downloadManager.getDownload.mockReset();
+    });
+
     it('should create a new download request', async () => {
       // Mock a client
       const mockClient = {
         id: 'client-1',
         registeredId: 'client-1',
+        approved: true,
         send: jest.fn()
       };
       wsServer.clients.set('client-1', mockClient);
@@ -78,13 +104,152 @@ describe('REST API Tests', () => {
       expect(response.body).toHaveProperty('success', true);
       expect(response.body).toHaveProperty('requestId');
       expect(response.body).toHaveProperty('status', 'pending');
-      expect(wsServer.sendToClient).toHaveBeenCalledWith('client-1', expect.objectContaining({
+      expect(wsServer.sendToClient).toHaveBeenCalledWith('client-1', {
         type: 'DOWNLOAD_REQUEST',
+        clientId: 'client-1',
         requestId: 'test-request-id',
-        filePath: '/path/to/file.txt'
+        filePath: '/path/to/file.txt',
+        priority: 0,
+        requester: 'cli',
+        manifest: true,
+        flowControl: { window: 8 }
+      });
+    });
+
+    it('should return 403 when the client is pending approval', async () => {
+      wsServer.clients.set('client-1', {
+        id: 'client-1',
+        registeredId: 'client-1',
+        approved: false
+      });
+
+      const response = await request(app)
+        .post('/api/v1/downloads')
+        .send({ clientId: 'client-1', filePath: '/path/to/file.txt' })
+        .expect(403);
+
+      expect(response.body).toHaveProperty('success', false);
+      expect(response.body.error).toBe('Client is pending approval');
+    });
+
+    it('should return 503 when the client is shutting down', async () => {
+      wsServer.clients.set('client-1', {
+        id: 'client-1',
+        registeredId: 'client-1',
+        approved: true,
+        shuttingDown: { reason: 'SIGTERM received', drainTimeout: 30000, since: new Date() }
+      });
+
+      const response = await request(app)
+        .post('/api/v1/downloads')
+        .send({ clientId: 'client-1', filePath: '/path/to/file.txt' })
+        .expect(503);
+
+      expect(response.body).toHaveProperty('success', false);
+      expect(response.body.error).toBe('Client is shutting down');
+    });
+
+    it('should return 400 for a non-integer priority', async () => {
+      const response = await request(app)
+        .post('/api/v1/downloads')
+        .send({ clientId: 'client-1', filePath: '/tmp/file.txt', priority: 'high' })
+        .expect(400);
+
+      expect(response.body.error).toBe('priority must be an integer');
+    });
+
+    it('should forward normalized archive options for a directory download', async () => {
+      wsServer.clients.set('client-1', {
+        id: 'client-1',
+        registeredId: 'client-1',
+        approved: true,
+        metadata: { features: ['archive'] }
+      });
+      wsServer.downloadManager.createDownload.mockReturnValue('archive-request-id');
+
+      await request(app)
+        .post('/api/v1/downloads')
+        .send({ clientId: 'client-1', filePath: '/var/log/app', archive: { format: 'tar.gz', include: ['*.log'] } })
+        .expect(202);
+
+      const archive = { format: 'tar.gz', include: ['*.log'], exclude: [], maxFiles: 10000, extract: false };
+      expect(wsServer.downloadManager.createDownload).toHaveBeenLastCalledWith('client-1', '/var/log/app', expect.any(String), 'cli', 0, archive, null);
+      expect(wsServer.sendToClient).toHaveBeenLastCalledWith('client-1', expect.objectContaining({
+        type: 'DOWNLOAD_REQUEST',
+        requestId: 'archive-request-id',
+        archive
       }));
     });
 
+    it('should return 400 for invalid archive options or a client without archive support', async () => {
+      wsServer.clients.set('client-1', {
+        id: 'client-1',
+        registeredId: 'client-1',
+        approved: true,
+        metadata: { features: [] }
+      });
+
+      const invalid = await request(app)
+        .post('/api/v1/downloads')
+        .send({ clientId: 'client-1', filePath: '/var/log/app', archive: { format: 'zip' } })
+        .expect(400);
+      expect(invalid.body.error).toContain('Archive format must be one of');
+
+      const unsupported = await request(app)
+        .post('/api/v1/downloads')
+        .send({ clientId: 'client-1', filePath: '/var/log/app', archive: true })
+        .expect(400);
+      expect(unsupported.body.error).toBe('Client does not support directory downloads');
+    });
+
+    it('should forward a byte range to clients with the range feature', async () => {
+      wsServer.clients.set('client-1', {
+        id: 'client-1',
+        registeredId: 'client-1',
+        approved: true,
+        metadata: { features: ['range'] }
+      });
+      wsServer.downloadManager.createDownload.mockReturnValue('range-request-id');
+
+      await request(app)
+        .post('/api/v1/downloads')
+        .send({ clientId: 'client-1', filePath: '/var/log/big.log', tail: 1048576 })
+        .expect(202);
+
+      expect(wsServer.downloadManager.createDownload).toHaveBeenLastCalledWith('client-1', '/var/log/big.log', expect.any(String), 'cli', 0, null, { tail: 1048576 });
+      expect(wsServer.sendToClient).toHaveBeenLastCalledWith('client-1', expect.objectContaining({
+        requestId: 'range-request-id',
+        range: { tail: 1048576 }
+      }));
+    });
+
+    it('should return 400 for an invalid byte range', async () => {
+      wsServer.clients.set('client-1', {
+        id: 'client-1',
+        registeredId: 'client-1',
+        approved: true,
+        metadata: { features: [] }
+      });
+
+      const invalid = await request(app)
+        .post('/api/v1/downloads')
+        .send({ clientId: 'client-1', filePath: '/var/log/big.log', offset: 0, tail: 10 })
+        .expect(400);
+      expect(invalid.body.error).toBe('Range tail cannot be combined with offset or length');
+
+      const withArchive = await request(app)
+        .post('/api/v1/downloads')
+        .send({ clientId: 'client-1', filePath: '/var/log', length: 10, archive: true })
+        .expect(400);
+      expect(withArchive.body.error).toBe('offset, length and tail cannot be combined with archive');
+
+      const unsupported = await request(app)
+        .post('/api/v1/downloads')
+        .send({ clientId: 'client-1', filePath: '/var/log/big.log', offset: 0, length: 4096 })
+        .expect(400);
+      expect(unsupported.body.error).toBe('Client does not support byte-range downloads');
+    });
+
     it('should return 400 for missing required fields', async () => {
       const response = await request(app)
         .post('/api/v1/downloads')
@@ -208,6 +373,73 @@ describe('REST API Tests', () => {
       expect(response.body).toHaveProperty('duration');
     });
 
+    it('should include the archive file list of a directory download', async () => {
+      wsServer.downloadManager.getDownload.mockReturnValue({
+        id: '550e8400-e29b-41d4-a716-446655440003',
+        clientId: 'client-1',
+        status: 'completed',
+        chunksReceived: 1,
+        totalChunks: 1,
+        progress: 100,
+        createdAt: new Date(),
+        completedAt: new Date(),
+        archive: { format: 'tar', include: [], exclude: [], maxFiles: 10000, extract: true },
+        archiveContents: {
+          files: [{ path: 'app/a.log', size: 12, mtime: '2026-01-01T00:00:00.000Z' }],
+          totalFiles: 1,
+          totalBytes: 12
+        },
+        extractedTo: '/srv/downloads/client-1-1',
+        extractError: null
+      });
+
+      const response = await request(app)
+        .get('/api/v1/downloads/550e8400-e29b-41d4-a716-446655440003')
+        .expect(200);
+
+      expect(response.body.archive).toEqual(expect.objectContaining({
+        format: 'tar',
+        extract: true,
+        totalFiles: 1,
+        totalBytes: 12,
+        files: [expect.objectContaining({ path: 'app/a.log' })],
+        extractedTo: '/srv/downloads/client-1-1'
+      }));
+    });
+
+    it('should serve the bytes of a completed download and refuse unfinished ones', async () => {
+      const contentPath = path.join(os.tmpdir(), `rest-api-content-${process.pid}.txt`);
+      fs.writeFileSync(contentPath, 'last lines\n');
+      const download = {
+        id: '550e8400-e29b-41d4-a716-446655440004',
+        clientId: 'client-1',
+        status: 'in_progress',
+        createdAt: new Date()
+      };
+      wsServer.downloadManager.getDownload.mockReturnValue(download);
+
+      try {
+        const pending = await request(app)
+          .get('/api/v1/downloads/550e8400-e29b-41d4-a716-446655440004/content')
+          .expect(409);
+        expect(pending.body.error.code).toBe('DOWNLOAD_IN_PROGRESS');
+
+        Object.assign(download, { status: 'completed', finalFilePath: contentPath });
+        const response = await request(app)
+          .get('/api/v1/downloads/550e8400-e29b-41d4-a716-446655440004/content')
+          .buffer(true)
+          .parse((res, callback) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => callback(null, Buffer.concat(chunks)));
+          })
+          .expect(200);
+        expect(response.body.toString()).toBe('last lines\n');
+      } finally {
+        fs.rmSync(contentPath, { force: true });
+      }
+    });
+
     it('should return 404 for non-existent download', async () => {
       wsServer.downloadManager.getDownload.mockReturnValue(null);
 
@@ -307,6 +539,256 @@ describe('REST API Tests', () => {
 
       expect(response.body.clients).toHaveLength(2);
     });
+
+    it('should filter clients by reported metadata', async () => {
+      wsServer.clients.get('client-1').metadata = { os: 'linux', version: '1.2.0', features: ['resume'] };
+      wsServer.clients.get('client-2').metadata = { os: 'darwin', version: '1.2.0', features: [] };
+
+      const response = await request(app)
+        .get('/api/v1/clients?os=linux&version=1.2.0')
+        .expect(200);
+
+      expect(response.body.clients).toEqual([
+        expect.objectContaining({ clientId: 'client-1', metadata: expect.objectContaining({ os: 'linux' }) })
+      ]);
+
+      const byFeature = await request(app)
+        .get('/api/v1/clients?feature=resume')
+        .expect(200);
+
+      expect(byFeature.body.clients.map(client => client.clientId)).toEqual(['client-1']);
+    });
+
+    it('should list offline clients pending approval', async () => {
+      wsServer.clientRegistry.list.mockReturnValueOnce([
+        { clientId: 'client-3', status: 'pending_approval' }
+      ]);
+
+      const response = await request(app)
+        .get('/api/v1/clients?status=pending')
+        .expect(200);
+
+      expect(response.body.clients).toEqual([
+        expect.objectContaining({ clientId: 'client-3', status: 'disconnected', enrollment: 'pending_approval' })
+      ]);
+    });
+  });
+
+  describe('POST /api/v1/clients/:clientId/approve', () => {
+    it('should approve a known client', async () => {
+      wsServer.approveClient.mockReturnValueOnce({ status: 'approved' });
+
+      const response = await request(app)
+        .post('/api/v1/clients/client-3/approve')
+        .expect(200);
+
+      expect(response.body).toEqual({ success: true, clientId: 'client-3', enrollment: 'approved' });
+      expect(wsServer.approveClient).toHaveBeenCalledWith('client-3');
+    });
+
+    it('should return 404 for an unknown client', async () => {
+      wsServer.approveClient.mockReturnValueOnce(null);
+
+      const response = await request(app)
+        .post('/api/v1/clients/unknown-client/approve')
+        .expect(404);
+
+      expect(response.body.error.code).toBe('CLIENT_NOT_FOUND');
+    });
+  });
+
+  describe('POST /api/v1/clients/:clientId/revoke', () => {
+    it('should revoke a known client', async () => {
+      wsServer.revokeClient.mockResolvedValueOnce({ status: 'revoked' });
+
+      const response = await request(app)
+        .post('/api/v1/clients/client-1/revoke')
+        .expect(200);
+
+      expect(response.body).toEqual({ success: true, clientId: 'client-1', enrollment: 'revoked' });
+      expect(wsServer.revokeClient).toHaveBeenCalledWith('client-1');
+    });
+
+    it('should reject an invalid clientId', async () => {
+      await request(app)
+        .post('/api/v1/clients/bad_id!/revoke')
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/v1/clients/:clientId/files', () => {
+    it('should return a page of the client listing', async () => {
+      const entries = [
+        { name: 'app.log', path: '/var/log/app.log', type: 'file', size: 42, mtime: '2024-01-01T00:00:00.000Z' }
+      ];
+      wsServer.requestFileList.mockResolvedValueOnce({
+        success: true,
+        path: '/var/log',
+        entries,
+        total: 3,
+        offset: 2,
+        limit: 1,
+        truncated: false
+      });
+
+      const response = await request(app)
+        .get('/api/v1/clients/client-1/files')
+        .query({ path: '/var/log', depth: 2, offset: 2, limit: 1 })
+        .expect(200);
+
+      expect(response.body).toEqual({
+        success: true,
+        clientId: 'client-1',
+        path: '/var/log',
+        entries,
+        total: 3,
+        offset: 2,
+        limit: 1,
+        truncated: false
+      });
+      expect(wsServer.requestFileList).toHaveBeenCalledWith('client-1', { path: '/var/log', depth: 2, offset: 2, limit: 1 });
+    });
+
+    it('should map client errors to HTTP status codes', async () => {
+      const error = new Error('Directory not found: /missing');
+      error.code = 'FILE_NOT_FOUND';
+      wsServer.requestFileList.mockRejectedValueOnce(error);
+
+      const response = await request(app)
+        .get('/api/v1/clients/client-1/files')
+        .query({ path: '/missing' })
+        .expect(404);
+
+      expect(response.body.error.code).toBe('FILE_NOT_FOUND');
+    });
+
+    it('should reject a missing path or an out of range limit', async () => {
+      await request(app)
+        .get('/api/v1/clients/client-1/files')
+        .expect(400);
+
+      await request(app)
+        .get('/api/v1/clients/client-1/files')
+        .query({ path: '/var/log', limit: 5000 })
+        .expect(400);
+
+      await request(app)
+        .get('/api/v1/clients/client-1/files')
+        .query({ path: '/var/../etc' })
+        .expect(400);
+    });
+  });
+
+  describe('PUT /api/v1/clients/:clientId/bandwidth', () => {
+    it('should send the parsed limit and schedule to the client', async () => {
+      wsServer.clientRegistry.get.mockReturnValueOnce({ status: 'approved' });
+      wsServer.setClientBandwidth.mockReturnValueOnce(true);
+
+      const response = await request(app)
+        .put('/api/v1/clients/client-1/bandwidth')
+        .send({ limit: '2M', schedule: ' 22:00-06:00=unlimited ' })
+        .expect(200);
+
+      const override = { limit: 2097152, schedule: '22:00-06:00=unlimited' };
+      expect(response.body).toEqual({ success: true, clientId: 'client-1', override, delivered: true });
+      expect(wsServer.setClientBandwidth).toHaveBeenCalledWith('client-1', override);
+    });
+
+    it('should clear the override on reset', async () => {
+      wsServer.clientRegistry.get.mockReturnValueOnce({ status: 'approved' });
+      wsServer.setClientBandwidth.mockReturnValueOnce(false);
+
+      const response = await request(app)
+        .put('/api/v1/clients/client-1/bandwidth')
+        .send({ reset: true })
+        .expect(200);
+
+      expect(response.body).toMatchObject({ override: null, delivered: false });
+      expect(wsServer.setClientBandwidth).toHaveBeenCalledWith('client-1', null);
+    });
+
+    it('should reject an invalid rate or schedule', async () => {
+      const response = await request(app)
+        .put('/api/v1/clients/client-1/bandwidth')
+        .send({ limit: 'fast' })
+        .expect(400);
+      expect(response.body.details[0].field).toBe('limit');
+
+      await request(app)
+        .put('/api/v1/clients/client-1/bandwidth')
+        .send({ schedule: '22:00-25:00=1M' })
+        .expect(400);
+
+      await request(app)
+        .put('/api/v1/clients/client-1/bandwidth')
+        .send({})
+        .expect(400);
+    });
+
+    it('should return 404 for an unknown client', async () => {
+      await request(app)
+        .put('/api/v1/clients/non-existent/bandwidth')
+        .send({ limit: 1024 })
+        .expect(404);
+    });
+  });
+
+  describe('PUT /api/v1/clients/:clientId/config', () => {
+    it('should return the values the client applied', async () => {
+      wsServer.updateClientConfig.mockResolvedValueOnce({
+        requestId: 'abc',
+        success: true,
+        version: 4,
+        applied: { HEARTBEAT_INTERVAL: 15000 },
+        config: { HEARTBEAT_INTERVAL: 15000, LOG_LEVEL: 'info' }
+      });
+
+      const response = await request(app)
+        .put('/api/v1/clients/client-1/config')
+        .send({ settings: { HEARTBEAT_INTERVAL: '15000' }, version: 4 })
+        .expect(200);
+
+      expect(response.body).toEqual({
+        success: true,
+        clientId: 'client-1',
+        version: 4,
+        applied: { HEARTBEAT_INTERVAL: 15000 },
+        config: { HEARTBEAT_INTERVAL: 15000, LOG_LEVEL: 'info' }
+      });
+      expect(wsServer.updateClientConfig).toHaveBeenCalledWith('client-1', { HEARTBEAT_INTERVAL: '15000' }, 4);
+    });
+
+    it('should return 409 for a stale version', async () => {
+      const error = new Error('Config version 2 is not newer than the current version 4');
+      error.code = 'STALE_CONFIG_VERSION';
+      error.details = { currentVersion: 4 };
+      wsServer.updateClientConfig.mockRejectedValueOnce(error);
+
+      const response = await request(app)
+        .put('/api/v1/clients/client-1/config')
+        .send({ settings: { LOG_LEVEL: 'debug' }, version: 2 })
+        .expect(409);
+
+      expect(response.body.error).toMatchObject({ code: 'STALE_CONFIG_VERSION', details: { currentVersion: 4 } });
+    });
+
+    it('should reject settings that cannot be changed remotely', async () => {
+      const response = await request(app)
+        .put('/api/v1/clients/client-1/config')
+        .send({ settings: { SHARE_ROOTS: '/' } })
+        .expect(400);
+      expect(response.body.details[0].message).toContain('SHARE_ROOTS');
+
+      await request(app)
+        .put('/api/v1/clients/client-1/config')
+        .send({ settings: {} })
+        .expect(400);
+
+      await request(app)
+        .put('/api/v1/clients/client-1/config')
+        .send({ settings: { LOG_LEVEL: 'debug' }, version: 0 })
+        .expect(400);
+    });
   });
 
   describe('GET /api/v1/clients/:clientId', () => {
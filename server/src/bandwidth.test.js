@@ -0,0 +1,37 @@
+const { parseRate, parseSchedule, activeLimit } = require('../../shared/bandwidth');
+
+const at = (hours, minutes = 0) => new Date(2024, 0, 1, hours, minutes);
+
+describe('Bandwidth settings', () => {
+  test('parses rates with unit suffixes', () => {
+    expect(parseRate(1500)).toBe(1500);
+    expect(parseRate('512K')).toBe(524288);
+    expect(parseRate('2M')).toBe(2097152);
+    expect(parseRate('1.5MB/s')).toBe(1572864);
+    expect(parseRate('unlimited')).toBe(0);
+    expect(() => parseRate('fast')).toThrow('Invalid rate');
+    expect(() => parseRate(-1)).toThrow('Invalid rate');
+  });
+
+  test('parses schedule windows and rejects malformed ones', () => {
+    expect(parseSchedule('')).toEqual([]);
+    expect(parseSchedule('22:00-06:00=unlimited, 09:30-17:00=512K')).toEqual([
+      { start: 1320, end: 360, limit: 0 },
+      { start: 570, end: 1020, limit: 524288 }
+    ]);
+    expect(() => parseSchedule('22:00=1M')).toThrow('expected HH:MM-HH:MM=<rate>');
+    expect(() => parseSchedule('22:00-24:30=1M')).toThrow('Invalid time');
+    expect(() => parseSchedule('08:00-08:00=1M')).toThrow('start and end are the same');
+  });
+
+  test('applies the first window containing the time, including windows past midnight', () => {
+    const windows = parseSchedule('22:00-06:00=unlimited,12:00-13:00=1M');
+    const base = 2097152;
+
+    expect(activeLimit(windows, base, at(23, 30))).toBe(0);
+    expect(activeLimit(windows, base, at(5, 59))).toBe(0);
+    expect(activeLimit(windows, base, at(6, 0))).toBe(base);
+    expect(activeLimit(windows, base, at(12, 15))).toBe(1048576);
+    expect(activeLimit([], base, at(12, 15))).toBe(base);
+  });
+});
@@ -0,0 +1,27 @@
+const { normalizeRange, resolveRange } = require('../../shared/protocol');
+
+describe('Byte ranges', () => {
+  test('accepts an offset and length, an open-ended offset or a tail', () => {
+    expect(normalizeRange({ offset: 1024, length: 4096 })).toEqual({ offset: 1024, length: 4096 });
+    expect(normalizeRange({ offset: 1024 })).toEqual({ offset: 1024, length: null });
+    expect(normalizeRange({ length: 4096 })).toEqual({ offset: 0, length: 4096 });
+    expect(normalizeRange({ tail: 1048576 })).toEqual({ tail: 1048576 });
+  });
+
+  test('rejects malformed ranges', () => {
+    expect(() => normalizeRange({})).toThrow('Range needs an offset, a length or a tail');
+    expect(() => normalizeRange({ offset: -1 })).toThrow('Range offset must be a non-negative integer');
+    expect(() => normalizeRange({ offset: 0, length: 0 })).toThrow('Range length must be a positive integer');
+    expect(() => normalizeRange({ tail: '1m' })).toThrow('Range tail must be a positive integer');
+    expect(() => normalizeRange({ tail: 10, offset: 0 })).toThrow('Range tail cannot be combined with offset or length');
+  });
+
+  test('resolves ranges against the file size, cutting them short at the end', () => {
+    expect(resolveRange({ offset: 0, length: 4096 }, 10000)).toEqual({ offset: 0, length: 4096, fileSize: 10000 });
+    expect(resolveRange({ offset: 8000, length: 4096 }, 10000)).toEqual({ offset: 8000, length: 2000, fileSize: 10000 });
+    expect(resolveRange({ offset: 8000, length: null }, 10000)).toEqual({ offset: 8000, length: 2000, fileSize: 10000 });
+    expect(resolveRange({ tail: 4096 }, 10000)).toEqual({ offset: 5904, length: 4096, fileSize: 10000 });
+    expect(resolveRange({ tail: 4096 }, 100)).toEqual({ offset: 0, length: 100, fileSize: 100 });
+    expect(() => resolveRange({ offset: 10000, length: null }, 10000)).toThrow('Range offset 10000 is past the end of the file (10000 bytes)');
+  });
+});
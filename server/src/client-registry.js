@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./utils/logger');
+const { buildAuthPayload } = require('../../shared/protocol');
+
+// Enrollment states; new clientIds wait for an operator to approve them
+const CLIENT_STATUS = {
+  PENDING_APPROVAL: 'pending_approval',
+  APPROVED: 'approved',
+  REVOKED: 'revoked'
+};
+
+/**
+ * Client Registry - Persists the public key and enrollment status of every known clientId
+ * A clientId is bound to the first Ed25519 key it registers with; later
+ * registrations must prove possession of that key
+ */
+class ClientRegistry {
+  /**
+   * @param {string} filePath - JSON file the registry is persisted to
+   */
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this.clients = new Map(); // clientId -> { publicKey, status, registeredAt, statusChangedAt }
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const [clientId, entry] of Object.entries(data.clients || {})) {
+        // Keys stored before enrollment existed were already trusted
+        this.clients.set(clientId, { status: CLIENT_STATUS.APPROVED, ...entry });
+      }
+      logger.info(`Loaded ${this.clients.size} registered client keys from ${this.filePath}`);
+    } catch (error) {
+      logger.error(`Failed to load client registry ${this.filePath}:`, error);
+    }
+  }
+
+  save() {
+    const data = { clients: Object.fromEntries(this.clients) };
+    const tempPath = `${this.filePath}.tmp`;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Get the registered entry for a client
+   * @param {string} clientId - Client ID
+   * @returns {Object|null} Registry entry or null if unknown
+   */
+  get(clientId) {
+    return this.clients.get(clientId) || null;
+  }
+
+  /**
+   * List every known client
+   * @param {string} status - Optional enrollment status to filter by
+   * @returns {Array<Object>} Registry entries with their clientId
+   */
+  list(status = null) {
+    return Array.from(this.clients.entries())
+      .filter(([, entry]) => !status || entry.status === status)
+      .map(([clientId, entry]) => ({ clientId, ...entry }));
+  }
+
+  /**
+   * Bind a public key to a clientId that has none yet
+   * The client starts out pending approval
+   * @param {string} clientId - Client ID
+   * @param {string} publicKey - PEM-encoded Ed25519 public key
+   */
+  registerKey(clientId, publicKey) {
+    if (this.clients.has(clientId)) {
+      throw new Error(`Client ${clientId} already has a registered key`);
+    }
+
+    const now = new Date().toISOString();
+    this.clients.set(clientId, {
+      publicKey,
+      status: CLIENT_STATUS.PENDING_APPROVAL,
+      registeredAt: now,
+      statusChangedAt: now
+    });
+    this.save();
+    logger.info(`Registered public key for client ${clientId}, pending approval`);
+  }
+
+  /**
+   * Change the enrollment status of a known client
+   * @param {string} clientId - Client ID
+   * @param {string} status - One of CLIENT_STATUS
+   * @returns {Object|null} Updated entry, or null if the client is unknown
+   */
+  setStatus(clientId, status) {
+    const entry = this.clients.get(clientId);
+    if (!entry) {
+      return null;
+    }
+
+    entry.status = status;
+    entry.statusChangedAt = new Date().toISOString();
+    this.save();
+    logger.info(`Client ${clientId} is now ${status}`);
+
+    return entry;
+  }
+
+  /**
+   * Check that a PEM string is a usable Ed25519 public key
+   * @param {string} publicKey - PEM-encoded public key
+   * @returns {boolean} True if valid
+   */
+  static isValidPublicKey(publicKey) {
+    try {
+      return crypto.createPublicKey(publicKey).asymmetricKeyType === 'ed25519';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Verify a challenge signature
+   * @param {string} publicKey - PEM-encoded Ed25519 public key
+   * @param {string} clientId - Client ID that was challenged
+   * @param {string} nonce - Challenge nonce
+   * @param {string} signature - Base64 signature from AUTH_RESPONSE
+   * @returns {boolean} True if the signature is valid
+   */
+  static verifyChallenge(publicKey, clientId, nonce, signature) {
+    try {
+      return crypto.verify(
+        null,
+        Buffer.from(buildAuthPayload(clientId, nonce)),
+        crypto.createPublicKey(publicKey),
+        Buffer.from(signature, 'base64')
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = ClientRegistry;
+module.exports.CLIENT_STATUS = CLIENT_STATUS;
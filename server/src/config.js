@@ -2,6 +2,8 @@ require('dotenv').config();
 const logger = require('./utils/logger');
 const path = require('path');
 const fs = require('fs');
+const { SUPPORTED_CODECS } = require('./utils/compression');
+const { SUPPORTED_HASH_ALGORITHMS } = require('./utils/checksum');
 
 // Default configuration values
 const defaults = {
@@ -13,6 +15,14 @@ const defaults = {
   CHUNK_RETRY_DELAY: 1000,
   HEARTBEAT_INTERVAL: 30000,
   DOWNLOAD_TIMEOUT: 300000,
+  FLOW_CONTROL_WINDOW: 8,
+  CLIENT_KEYS_FILE: './data/client-keys.json',
+  LIST_FILES_TIMEOUT: 10000,
+  CONFIG_UPDATE_TIMEOUT: 10000,
+  COMPRESSION_CODECS: 'br,gzip,deflate',
+  BINARY_FRAMES: true,
+  CHUNK_MANIFESTS: true,
+  HASH_ALGORITHMS: 'sha256,sha512,blake2b512,sha3-256',
   LOG_LEVEL: 'info',
 };
 
@@ -30,6 +40,33 @@ const validateNumber = (key, value, defaultValue) => {
   return num;
 };
 
+// Parse a comma-separated list of chunk codecs, dropping ones this server cannot decode
+const validateCodecs = (key, value) => {
+  const codecs = value.split(',').map(item => item.trim()).filter(Boolean);
+  for (const codec of codecs) {
+    if (codec !== 'none' && !SUPPORTED_CODECS.includes(codec)) {
+      logger.warn(`Invalid ${key} entry: ${codec}. Supported: ${SUPPORTED_CODECS.join(', ')}`);
+    }
+  }
+  return codecs.filter(codec => SUPPORTED_CODECS.includes(codec));
+};
+
+// Parse a comma-separated list of hash algorithms, dropping ones this server cannot compute
+const validateHashAlgorithms = (key, value, defaultValue) => {
+  const algorithms = value.split(',').map(item => item.trim()).filter(Boolean);
+  for (const algorithm of algorithms) {
+    if (!SUPPORTED_HASH_ALGORITHMS.includes(algorithm)) {
+      logger.warn(`Invalid ${key} entry: ${algorithm}. Supported: ${SUPPORTED_HASH_ALGORITHMS.join(', ')}`);
+    }
+  }
+  const supported = algorithms.filter(algorithm => SUPPORTED_HASH_ALGORITHMS.includes(algorithm));
+  if (supported.length === 0) {
+    logger.warn(`${key} names no supported algorithm. Using default: ${defaultValue}`);
+    return defaultValue.split(',');
+  }
+  return supported;
+};
+
 // Load and validate configuration
 const config = {
   PORT: validateNumber('PORT', process.env.PORT || defaults.PORT, defaults.PORT),
@@ -40,6 +77,14 @@ const config = {
   CHUNK_RETRY_DELAY: validateNumber('CHUNK_RETRY_DELAY', process.env.CHUNK_RETRY_DELAY || defaults.CHUNK_RETRY_DELAY, defaults.CHUNK_RETRY_DELAY),
   HEARTBEAT_INTERVAL: validateNumber('HEARTBEAT_INTERVAL', process.env.HEARTBEAT_INTERVAL || defaults.HEARTBEAT_INTERVAL, defaults.HEARTBEAT_INTERVAL),
   DOWNLOAD_TIMEOUT: validateNumber('DOWNLOAD_TIMEOUT', process.env.DOWNLOAD_TIMEOUT || defaults.DOWNLOAD_TIMEOUT, defaults.DOWNLOAD_TIMEOUT),
+  FLOW_CONTROL_WINDOW: validateNumber('FLOW_CONTROL_WINDOW', process.env.FLOW_CONTROL_WINDOW || defaults.FLOW_CONTROL_WINDOW, defaults.FLOW_CONTROL_WINDOW),
+  CLIENT_KEYS_FILE: process.env.CLIENT_KEYS_FILE || defaults.CLIENT_KEYS_FILE,
+  LIST_FILES_TIMEOUT: validateNumber('LIST_FILES_TIMEOUT', process.env.LIST_FILES_TIMEOUT || defaults.LIST_FILES_TIMEOUT, defaults.LIST_FILES_TIMEOUT),
+  CONFIG_UPDATE_TIMEOUT: validateNumber('CONFIG_UPDATE_TIMEOUT', process.env.CONFIG_UPDATE_TIMEOUT || defaults.CONFIG_UPDATE_TIMEOUT, defaults.CONFIG_UPDATE_TIMEOUT),
+  COMPRESSION_CODECS: validateCodecs('COMPRESSION_CODECS', process.env.COMPRESSION_CODECS || defaults.COMPRESSION_CODECS),
+  BINARY_FRAMES: process.env.BINARY_FRAMES ? process.env.BINARY_FRAMES !== 'false' : defaults.BINARY_FRAMES,
+  CHUNK_MANIFESTS: process.env.CHUNK_MANIFESTS ? process.env.CHUNK_MANIFESTS !== 'false' : defaults.CHUNK_MANIFESTS,
+  HASH_ALGORITHMS: validateHashAlgorithms('HASH_ALGORITHMS', process.env.HASH_ALGORITHMS || defaults.HASH_ALGORITHMS, defaults.HASH_ALGORITHMS),
   LOG_LEVEL: process.env.LOG_LEVEL || defaults.LOG_LEVEL,
 };
 
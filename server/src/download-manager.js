@@ -2,9 +2,16 @@ const { v4: uuidv4 } = require('uuid');
 const fs = require('fs');
 const path = require('path');
 const logger = require('./utils/logger');
-const { MESSAGE_TYPES } = require('../../shared/protocol');
-const { verifyChecksum, calculateChecksum } = require('./utils/checksum');
-const { initChunkTracking, markChunkReceived, markChunkFailed } = require('./chunk-manager');
+const config = require('./config');
+const { MESSAGE_TYPES, ERROR_CODES, CONSTANTS } = require('../../shared/protocol');
+const { validateManifest } = require('../../shared/manifest');
+const { calculateChecksum } = require('./utils/checksum');
+const { decompressChunk } = require('./utils/compression');
+const { extractTar } = require('./utils/tar');
+const { initChunkTracking, markChunkReceived, markChunkFailed, startChunkTimeout, clearAllTimeouts, cleanup: cleanupChunkTracking } = require('./chunk-manager');
+
+// Statuses after which no further chunks are accepted for a download
+const TERMINAL_STATUSES = new Set(['completed', 'failed', 'cancelled']);
 
 /**
  * Download Manager tracks active downloads and their states
@@ -27,9 +34,12 @@ class DownloadManager {
    * @param {string} filePath - File path to download
    * @param {string} requestId - Optional request ID (will generate if not provided)
    * @param {string} requesterClientId - Client ID who initiated the request
+   * @param {number} priority - Queue priority on the source client, higher first
+   * @param {Object|null} archive - Normalized archive options when filePath is a directory
+   * @param {Object|null} range - Byte range from normalizeRange to download only part of the file
    * @returns {string} Request ID
    */
-  createDownload(clientId, filePath, requestId = null, requesterClientId = null) {
+  createDownload(clientId, filePath, requestId = null, requesterClientId = null, priority = 0, archive = null, range = null) {
     const id = requestId || uuidv4();
     
     this.downloads.set(id, {
@@ -37,16 +47,31 @@ class DownloadManager {
       clientId,
       filePath,
       requesterClientId,
+      priority,
+      archive, // Archive options sent to the client; null for a single file
+      archiveContents: null, // { files, totalFiles, totalBytes } reported with DOWNLOAD_ACK
+      extractedTo: null, // Directory the archive was extracted into
+      extractError: null, // Why extraction failed; the archive itself is kept
+      range, // Byte range sent to the client; null for the whole file
+      servedRange: null, // { offset, length, fileSize } the client resolved the range to
+      manifest: null, // { algorithm, chunkSize, chunks, root } sent with DOWNLOAD_ACK or DOWNLOAD_COMPLETE; chunks are checked against it
+      manifestPath: null, // Where the manifest was saved next to the completed file
       status: 'pending',
+      queuePosition: null, // Place in the source client's transfer queue while 'queued'
       createdAt: new Date(),
       updatedAt: new Date(),
       totalChunks: 0,
       fileSize: 0,
       checksum: null,
+      hashAlgorithm: null, // Algorithm of every checksum of the download, fixed by DOWNLOAD_ACK
       error: null,
+      pendingCompletion: null, // DOWNLOAD_COMPLETE held back until its missing chunks are retried
+      completing: false, // The file is being assembled
       chunksReceived: 0,
+      bytesReceived: 0, // Decoded bytes of the received chunks
       progress: 0,
       receivedChunkIndices: new Set(), // Track which chunks have been received
+      chunkSizes: new Map(), // chunkIndex -> decoded size of each received chunk
       failedChunks: new Map(), // Track failed chunks: chunkIndex -> error
       retriedChunks: [], // Track retry statistics as specified in requirements
       totalRetries: 0, // Track total number of retry attempts
@@ -105,30 +130,94 @@ class DownloadManager {
       return;
     }
 
+    // An ACK that crossed a CANCEL_DOWNLOAD (or came after a failure) must not restart the download
+    if (TERMINAL_STATUSES.has(download.status)) {
+      logger.debug(`Ignoring DOWNLOAD_ACK for ${download.status} request ${requestId}`);
+      return;
+    }
+
     if (ack.success) {
       // Client has the file and is ready to send
       logger.info(`DOWNLOAD_ACK success for ${requestId}: ${ack.fileSize} bytes, ${ack.totalChunks} chunks`);
+
+      // Checksums in an algorithm this server does not accept cannot vouch for the file
+      const hashAlgorithm = ack.hashAlgorithm || CONSTANTS.DEFAULT_HASH_ALGORITHM;
+      if (!config.HASH_ALGORITHMS.includes(hashAlgorithm)) {
+        logger.error(`DOWNLOAD_ACK for ${requestId} uses hash algorithm ${hashAlgorithm}, which is not accepted`);
+        const error = new Error(`Hash algorithm ${hashAlgorithm} is not accepted; use one of ${config.HASH_ALGORITHMS.join(', ')}`);
+        error.code = ERROR_CODES.INVALID_REQUEST;
+        this.failDownload(requestId, error);
+        return;
+      }
+
+      // A manifest that does not add up would reject every chunk; fail now instead
+      if (ack.manifest) {
+        try {
+          validateManifest(ack.manifest, ack.totalChunks, hashAlgorithm);
+        } catch (error) {
+          logger.error(`DOWNLOAD_ACK for ${requestId} carries an invalid manifest: ${error.message}`);
+          const invalid = new Error(`Invalid chunk manifest: ${error.message}`);
+          invalid.code = ERROR_CODES.INVALID_REQUEST;
+          this.failDownload(requestId, invalid);
+          return;
+        }
+      }
       
       // Initialize chunk tracking
       initChunkTracking(requestId, ack.totalChunks);
       
       this.updateDownload(requestId, {
         status: 'in_progress',
+        queuePosition: null,
         fileSize: ack.fileSize,
         totalChunks: ack.totalChunks,
-        checksum: ack.fileChecksum
+        // Clients that hash while streaming send the checksum with DOWNLOAD_COMPLETE instead
+        checksum: ack.fileChecksum || null,
+        hashAlgorithm,
+        // Opaque to the server; handed back on resume so the client can detect a changed source
+        fileFingerprint: ack.fileFingerprint || null,
+        manifest: ack.manifest || null,
+        ...(download.range && ack.range && { servedRange: ack.range }),
+        ...(download.archive && ack.archive && {
+          archiveContents: {
+            files: Array.isArray(ack.archive.files) ? ack.archive.files : [],
+            totalFiles: ack.archive.totalFiles,
+            totalBytes: ack.archive.totalBytes
+          }
+        })
       });
     } else {
-      // Client cannot fulfill the request
-      logger.error(`DOWNLOAD_ACK failed for ${requestId}: File not available`);
+      // Client cannot fulfill the request; keep its reason when it sent one
+      const error = ack.error && typeof ack.error === 'object'
+        ? { code: ack.error.code, message: ack.error.message }
+        : { message: 'File not available' };
+      logger.error(`DOWNLOAD_ACK failed for ${requestId}: ${error.code ? `${error.code} - ` : ''}${error.message}`);
       
       this.updateDownload(requestId, {
         status: 'failed',
-        error: { message: 'File not available' }
+        error
       });
     }
   }
 
+  /**
+   * Handle DOWNLOAD_QUEUED from client: the request waits for a free transfer slot
+   * @param {string} requestId - Request ID
+   * @param {Object} message - DOWNLOAD_QUEUED message
+   */
+  handleDownloadQueued(requestId, message) {
+    const download = this.downloads.get(requestId);
+    if (!download || !['pending', 'queued'].includes(download.status)) {
+      return;
+    }
+
+    logger.debug(`Download ${requestId} is queued on client ${download.clientId} at position ${message.position}`);
+    this.updateDownload(requestId, {
+      status: 'queued',
+      queuePosition: message.position
+    });
+  }
+
   /**
    * Handle FILE_CHUNK from client
    * @param {string} requestId - Request ID
@@ -141,17 +230,37 @@ class DownloadManager {
       return { success: false, error: 'Unknown request' };
     }
 
+    // Chunks that arrive after cancellation (or completion) are dropped, not written
+    if (TERMINAL_STATUSES.has(download.status)) {
+      logger.debug(`Discarding chunk ${chunk.chunkIndex} for ${download.status} request ${requestId}`);
+      return { success: false, error: 'DOWNLOAD_NOT_ACTIVE', chunkIndex: chunk.chunkIndex, discarded: true };
+    }
+
     try {
-      // Step 1: Decode base64 data to buffer
-      const decodedData = Buffer.from(chunk.data, 'base64');
-      logger.debug(`Decoded chunk ${chunk.chunkIndex}: ${decodedData.length} bytes`);
+      // Step 1: Decode base64 data (binary frames arrive as a Buffer) and undo the chunk's compression
+      const encodedData = Buffer.isBuffer(chunk.data) ? chunk.data : Buffer.from(chunk.data, 'base64');
+      let decodedData = null;
+      try {
+        decodedData = await decompressChunk(encodedData, chunk.codec);
+        logger.debug(`Decoded chunk ${chunk.chunkIndex}: ${encodedData.length} bytes on the wire, ${decodedData.length} bytes (${chunk.codec || 'none'})`);
+      } catch (error) {
+        logger.error(`Failed to decompress chunk ${chunk.chunkIndex}: ${error.message}`);
+      }
 
-      // Step 2: Validate checksum matches decoded data
-      const isValid = verifyChecksum(decodedData, chunk.checksum);
+      // Step 2: Validate checksum matches decoded data; corrupt compressed data fails the same way.
+      // With a manifest the data must also match the hash listed there.
+      // A chunk hashed with another algorithm than the one acknowledged is rejected outright
+      const hashAlgorithm = download.hashAlgorithm || CONSTANTS.DEFAULT_HASH_ALGORITHM;
+      const sameAlgorithm = !chunk.hashAlgorithm || chunk.hashAlgorithm === hashAlgorithm;
+      const actualChecksum = decodedData !== null && sameAlgorithm ? calculateChecksum(decodedData, hashAlgorithm) : null;
+      const matchesChecksum = actualChecksum !== null && actualChecksum === chunk.checksum;
+      const matchesManifest = !download.manifest || actualChecksum === download.manifest.chunks[chunk.chunkIndex];
 
-      if (!isValid) {
+      if (!matchesChecksum || !matchesManifest) {
         // Checksum validation failed - flag for retry
-        const error = `Checksum validation failed for chunk ${chunk.chunkIndex}`;
+        const error = `Checksum validation failed for chunk ${chunk.chunkIndex}${
+          !sameAlgorithm ? ` (hashed with ${chunk.hashAlgorithm}, expected ${hashAlgorithm})`
+            : matchesChecksum ? ' (checked against the manifest)' : ''}`;
         logger.error(error);
 
         const attempts = (download.failedChunks.get(chunk.chunkIndex)?.attempts || 0) + 1;
@@ -180,6 +289,9 @@ class DownloadManager {
 
       // Step 4: Track received chunk
       download.receivedChunkIndices.add(chunk.chunkIndex);
+      // A chunk received again (duplicate or re-fetched) replaces its earlier size
+      download.bytesReceived += decodedData.length - (download.chunkSizes.get(chunk.chunkIndex) || 0);
+      download.chunkSizes.set(chunk.chunkIndex, decodedData.length);
       
       // Mark chunk as received in chunk manager (updates retry tracking if needed)
       markChunkReceived(requestId, chunk.chunkIndex, this);
@@ -271,7 +383,7 @@ class DownloadManager {
   /**
    * Assemble received chunks into final file and verify integrity
    * @param {Object} download - Download state object
-   * @param {string} expectedChecksum - Expected SHA256 checksum
+   * @param {string} expectedChecksum - Expected checksum, in the download's hash algorithm
    * @returns {Object} Assembly result with file path and verification status
    */
   async assembleFile(download, expectedChecksum) {
@@ -283,9 +395,9 @@ class DownloadManager {
         logger.info(`Created downloads directory: ${downloadsDir}`);
       }
 
-      // Generate final file name: downloads/{clientId}-{timestamp}.txt
+      // Generate final file name: downloads/{clientId}-{timestamp}.txt, or .tar/.tar.gz for a directory
       const timestamp = Date.now();
-      const finalFileName = `${download.clientId}-${timestamp}.txt`;
+      const finalFileName = `${download.clientId}-${timestamp}.${download.archive ? download.archive.format : 'txt'}`;
       const finalFilePath = path.join(downloadsDir, finalFileName);
 
       // Move temp file to final location
@@ -294,7 +406,7 @@ class DownloadManager {
 
       // Calculate checksum of assembled file
       const fileBuffer = await fs.promises.readFile(finalFilePath);
-      const actualChecksum = calculateChecksum(fileBuffer);
+      const actualChecksum = calculateChecksum(fileBuffer, download.hashAlgorithm);
 
       // Compare with expected checksum
       const checksumVerified = actualChecksum === expectedChecksum;
@@ -338,6 +450,146 @@ class DownloadManager {
     }
   }
 
+  /**
+   * Extract a completed directory download next to its archive
+   * @param {Object} download - Download state
+   * @param {string} archivePath - Assembled archive
+   * @returns {Promise<Object>} `{ extractedTo }` on success, `{ extractError }` on failure
+   */
+  async extractArchive(download, archivePath) {
+    const destDir = archivePath.replace(/\.tar(\.gz)?$/, '');
+    try {
+      const counts = await extractTar(archivePath, destDir, { gzip: download.archive.format === 'tar.gz' });
+      logger.info(`Extracted ${counts.files} files of ${download.id} into ${destDir}${counts.skipped ? ` (${counts.skipped} entries skipped)` : ''}`);
+      return { extractedTo: destDir };
+    } catch (error) {
+      logger.error(`Extracting ${download.id} failed, keeping the archive at ${archivePath}: ${error.message}`);
+      return { extractError: { message: error.message } };
+    }
+  }
+
+  /**
+   * Save a completed download's chunk manifest as `<file>.manifest.json`
+   * A failed write is logged; the download itself is complete
+   * @param {Object} download - Download state
+   * @param {string} filePath - Assembled file
+   * @param {string} fileChecksum - Verified whole-file checksum
+   * @returns {Promise<string|null>} Manifest path, or null if it could not be written
+   */
+  async saveManifest(download, filePath, fileChecksum) {
+    const manifestPath = `${filePath}.manifest.json`;
+    const contents = {
+      requestId: download.id,
+      clientId: download.clientId,
+      filePath: download.filePath,
+      fileSize: download.fileSize,
+      fileChecksum,
+      ...(download.servedRange && { range: download.servedRange }),
+      ...download.manifest
+    };
+    try {
+      await fs.promises.writeFile(manifestPath, `${JSON.stringify(contents, null, 2)}\n`);
+      return manifestPath;
+    } catch (error) {
+      logger.error(`Cannot save the manifest of ${download.id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Take the chunk manifest a client sent with DOWNLOAD_COMPLETE
+   * Clients without the chunk hashes at hand when acknowledging build the manifest
+   * while streaming instead. The chunks received so far are checked against it,
+   * and those that do not match are forgotten so they are fetched again
+   * @param {string} requestId - Request ID
+   * @param {Object} manifest - Manifest as sent by the client
+   * @returns {Promise<number[]>} Indices of the corrupt chunks
+   * @throws {Error} With `code` INVALID_REQUEST if the manifest is invalid
+   */
+  async applyManifest(requestId, manifest) {
+    const download = this.downloads.get(requestId);
+    try {
+      validateManifest(manifest, download.totalChunks, download.hashAlgorithm || CONSTANTS.DEFAULT_HASH_ALGORITHM);
+    } catch (error) {
+      const invalid = new Error(`Invalid chunk manifest: ${error.message}`);
+      invalid.code = ERROR_CODES.INVALID_REQUEST;
+      throw invalid;
+    }
+
+    this.updateDownload(requestId, { manifest });
+    if (download.receivedChunkIndices.size === 0) {
+      return [];
+    }
+    const { corruptChunks } = await this.verifyChunks(requestId);
+    return corruptChunks;
+  }
+
+  /**
+   * Check the chunks of a download against its manifest
+   * Reads the completed file, or the temp file of a download still in
+   * progress. Corrupt chunks of an unfinished download are forgotten, so
+   * they are fetched again on resume or when the client completes
+   * @param {string} requestId - Request ID
+   * @returns {Promise<Object>} `{ totalChunks, verifiedChunks, corruptChunks, missingChunks }`
+   *   with the indices of corrupt and missing chunks
+   * @throws {Error} With `code` INVALID_REQUEST if the download has no manifest or no data to check
+   */
+  async verifyChunks(requestId) {
+    const download = this.downloads.get(requestId);
+    if (!download || !download.manifest) {
+      const error = new Error('Download has no chunk manifest');
+      error.code = ERROR_CODES.INVALID_REQUEST;
+      throw error;
+    }
+
+    const completed = download.status === 'completed';
+    const dataPath = completed ? download.finalFilePath : download.tempFilePath;
+    let fileHandle;
+    try {
+      fileHandle = await fs.promises.open(dataPath, 'r');
+    } catch (error) {
+      const missing = new Error(completed ? 'Downloaded file is gone' : `No chunks of this ${download.status} download are on disk`);
+      missing.code = ERROR_CODES.INVALID_REQUEST;
+      throw missing;
+    }
+
+    const { chunks, chunkSize } = download.manifest;
+    const corruptChunks = [];
+    const missingChunks = [];
+    let verifiedChunks = 0;
+    try {
+      for (let chunkIndex = 0; chunkIndex < chunks.length; chunkIndex++) {
+        if (!completed && !download.receivedChunkIndices.has(chunkIndex)) {
+          missingChunks.push(chunkIndex);
+          continue;
+        }
+
+        const offset = chunkIndex * chunkSize;
+        const buffer = Buffer.alloc(Math.max(Math.min(chunkSize, download.fileSize - offset), 0));
+        const { bytesRead } = await fileHandle.read(buffer, 0, buffer.length, offset);
+        if (bytesRead === buffer.length && calculateChecksum(buffer, download.manifest.algorithm) === chunks[chunkIndex]) {
+          verifiedChunks++;
+        } else {
+          corruptChunks.push(chunkIndex);
+        }
+      }
+    } finally {
+      await fileHandle.close();
+    }
+
+    if (!completed && corruptChunks.length > 0) {
+      logger.warn(`Download ${requestId} has ${corruptChunks.length} corrupt chunks on disk; they will be fetched again`);
+      for (const chunkIndex of corruptChunks) {
+        download.receivedChunkIndices.delete(chunkIndex);
+        download.bytesReceived -= download.chunkSizes.get(chunkIndex) || 0;
+        download.chunkSizes.delete(chunkIndex);
+      }
+      this.updateDownload(requestId, { chunksReceived: download.receivedChunkIndices.size });
+    }
+
+    return { totalChunks: chunks.length, verifiedChunks, corruptChunks, missingChunks };
+  }
+
   /**
    * Handle DOWNLOAD_COMPLETE from client
    * @param {string} requestId - Request ID
@@ -370,11 +622,22 @@ class DownloadManager {
       // Trigger file assembly
       const assemblyResult = await this.assembleFile(download, completion.fileChecksum);
       
+      // A broken archive does not fail the download: the archive is kept for manual extraction
+      const extraction = download.archive && download.archive.extract
+        ? await this.extractArchive(download, assemblyResult.filePath)
+        : {};
+      const manifestPath = download.manifest
+        ? await this.saveManifest(download, assemblyResult.filePath, completion.fileChecksum)
+        : null;
+
       // Update download status to completed with file path
       this.updateDownload(requestId, {
+        ...extraction,
+        manifestPath,
         status: 'completed',
         completedAt: new Date(),
         duration: duration,
+        checksum: completion.fileChecksum,
         finalFilePath: assemblyResult.filePath,
         finalFileSize: assemblyResult.fileSize,
         checksumVerified: assemblyResult.checksumVerified
@@ -455,6 +718,9 @@ class DownloadManager {
         message: error.message
       }
     });
+
+    // No more chunks are expected, so stop their timeouts
+    cleanupChunkTracking(requestId);
   }
 
   /**
@@ -485,6 +751,65 @@ class DownloadManager {
         message: reason
       }
     });
+
+    // Stop chunk timeouts so no retries are requested for a cancelled download
+    cleanupChunkTracking(requestId);
+  }
+
+  /**
+   * Mark a download interrupted because its source client shut down
+   * Unlike a failure this is not final: when the client registers again a
+   * download it had started is resumed and one it had not is requested again
+   * @param {string} requestId - Request ID
+   * @param {string} reason - Why the client went away
+   */
+  interruptDownload(requestId, reason) {
+    const download = this.downloads.get(requestId);
+    if (!download || TERMINAL_STATUSES.has(download.status)) {
+      return;
+    }
+
+    logger.info(`Download ${requestId} interrupted: ${reason}`);
+    this.updateDownload(requestId, {
+      status: 'interrupted',
+      queuePosition: null,
+      interruptedAt: new Date(),
+      error: {
+        code: ERROR_CODES.CLIENT_SHUTTING_DOWN,
+        message: reason
+      }
+    });
+
+    // Keep the chunk tracking for the resume, but request no retries meanwhile
+    clearAllTimeouts(requestId);
+  }
+
+  /**
+   * Record the source client's confirmation that it stopped sending
+   * @param {string} requestId - Request ID
+   * @param {Object} ack - CANCEL_ACK message from client
+   */
+  handleCancelAck(requestId, ack) {
+    const download = this.downloads.get(requestId);
+    if (!download) {
+      logger.warn(`Received CANCEL_ACK for unknown request: ${requestId}`);
+      return;
+    }
+
+    logger.info(`Client confirmed cancellation of ${requestId} (${ack.success ? 'transfer stopped' : 'no active transfer'})`);
+    this.updateDownload(requestId, {
+      cancelConfirmedAt: new Date()
+    });
+  }
+
+  /**
+   * Check whether a download has reached a final state
+   * @param {string} requestId - Request ID
+   * @returns {boolean} True if completed, failed or cancelled
+   */
+  isTerminal(requestId) {
+    const download = this.downloads.get(requestId);
+    return Boolean(download && TERMINAL_STATUSES.has(download.status));
   }
 
   /**
@@ -526,6 +851,56 @@ class DownloadManager {
     return missing;
   }
 
+  /**
+   * Get downloads from a source client that were interrupted mid-transfer
+   * @param {string} clientId - Registered client ID of the source
+   * @returns {Array} Downloads in progress, or interrupted after the client acknowledged them
+   */
+  getResumableDownloads(clientId) {
+    return this.getAllDownloads().filter(download => download.clientId === clientId && (
+      download.status === 'in_progress' || (download.status === 'interrupted' && download.totalChunks > 0)
+    ));
+  }
+
+  /**
+   * Get downloads a client has been asked for but has not started serving
+   * @param {string} clientId - Source client ID
+   * @returns {Array} Downloads that are pending or queued on the client, or were interrupted before it started them
+   */
+  getWaitingDownloads(clientId) {
+    return this.getAllDownloads().filter(download => download.clientId === clientId && (
+      ['pending', 'queued'].includes(download.status) || (download.status === 'interrupted' && download.totalChunks === 0)
+    ));
+  }
+
+  /**
+   * Record that a download is being resumed after a reconnect
+   * @param {string} requestId - Request ID
+   * @returns {Array} Chunk indices still missing
+   */
+  resumeDownload(requestId) {
+    const download = this.downloads.get(requestId);
+    if (!download) {
+      return [];
+    }
+
+    const missingChunks = this.getMissingChunks(requestId);
+    this.updateDownload(requestId, {
+      status: 'in_progress',
+      error: null,
+      resumeCount: (download.resumeCount || 0) + 1,
+      lastResumedAt: new Date()
+    });
+
+    // Chunk timeouts fired while the client was away; watch the first missing chunk again
+    if (missingChunks.length > 0) {
+      startChunkTimeout(requestId, missingChunks[0]);
+    }
+
+    logger.info(`Resuming download ${requestId}: ${missingChunks.length}/${download.totalChunks} chunks missing`);
+    return missingChunks;
+  }
+
   /**
    * Update retry tracking for a chunk
    * @param {string} requestId - Request ID
@@ -0,0 +1,559 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const DownloadManager = require('./download-manager');
+const { chunkManager } = require('./chunk-manager');
+const { END_OF_ARCHIVE, encodeHeader, paddingFor } = require('../../shared/tar');
+const { createManifest } = require('../../shared/manifest');
+
+jest.mock('./utils/logger');
+
+const buildChunk = (requestId, chunkIndex, totalChunks, data) => ({
+  requestId,
+  chunkIndex,
+  totalChunks,
+  data: data.toString('base64'),
+  checksum: crypto.createHash('sha256').update(data).digest('hex')
+});
+
+describe('DownloadManager cancellation', () => {
+  let downloadManager;
+
+  beforeEach(() => {
+    downloadManager = new DownloadManager();
+  });
+
+  afterEach(() => {
+    for (const requestId of chunkManager.getActiveRequests()) {
+      chunkManager.cleanup(requestId);
+    }
+  });
+
+  test('discards chunks that arrive after a download is cancelled', async () => {
+    const requestId = downloadManager.createDownload('client-1', '/tmp/file.txt');
+    downloadManager.handleDownloadAck(requestId, {
+      success: true,
+      fileSize: 10,
+      totalChunks: 2,
+      fileChecksum: ''
+    });
+
+    await downloadManager.cancelDownload(requestId, 'Cancelled by user request');
+
+    const result = await downloadManager.handleFileChunk(
+      requestId,
+      buildChunk(requestId, 0, 2, Buffer.from('late chunk'))
+    );
+
+    expect(result).toMatchObject({ success: false, discarded: true });
+    expect(downloadManager.getDownload(requestId).chunksReceived).toBe(0);
+    expect(fs.existsSync(downloadManager.getDownload(requestId).tempFilePath)).toBe(false);
+  });
+
+  test('stops chunk timeouts when a download is cancelled', async () => {
+    const requestId = downloadManager.createDownload('client-1', '/tmp/file.txt');
+    downloadManager.handleDownloadAck(requestId, {
+      success: true,
+      fileSize: 10,
+      totalChunks: 2,
+      fileChecksum: ''
+    });
+
+    expect(chunkManager.getActiveRequests()).toContain(requestId);
+
+    await downloadManager.cancelDownload(requestId, 'Cancelled by user request');
+
+    expect(chunkManager.getActiveRequests()).not.toContain(requestId);
+    expect(downloadManager.isTerminal(requestId)).toBe(true);
+  });
+
+  test('keeps a download cancelled when its ACK arrives late', async () => {
+    const requestId = downloadManager.createDownload('client-1', '/tmp/file.txt');
+    await downloadManager.cancelDownload(requestId, 'Cancelled by user request');
+
+    downloadManager.handleDownloadAck(requestId, {
+      success: true,
+      fileSize: 10,
+      totalChunks: 2,
+      fileChecksum: ''
+    });
+
+    expect(downloadManager.getDownload(requestId).status).toBe('cancelled');
+    expect(downloadManager.getDownload(requestId).totalChunks).toBe(0);
+    expect(chunkManager.getActiveRequests()).not.toContain(requestId);
+  });
+
+  test('records the client cancel confirmation', async () => {
+    const requestId = downloadManager.createDownload('client-1', '/tmp/file.txt');
+    await downloadManager.cancelDownload(requestId, 'Cancelled by user request');
+
+    downloadManager.handleCancelAck(requestId, { requestId, success: true });
+
+    expect(downloadManager.getDownload(requestId).cancelConfirmedAt).toBeInstanceOf(Date);
+  });
+});
+
+describe('DownloadManager compression', () => {
+  let downloadManager;
+
+  beforeEach(() => {
+    downloadManager = new DownloadManager();
+  });
+
+  afterEach(async () => {
+    for (const requestId of chunkManager.getActiveRequests()) {
+      await downloadManager.cancelDownload(requestId, 'Test finished');
+    }
+  });
+
+  test.each([
+    ['gzip', zlib.gzipSync],
+    ['deflate', zlib.deflateSync],
+    ['br', zlib.brotliCompressSync]
+  ])('verifies and writes the decompressed bytes of a %s chunk', async (codec, compress) => {
+    const requestId = downloadManager.createDownload('client-1', '/tmp/file.txt');
+    const data = Buffer.from('line of a log file\n'.repeat(100));
+    downloadManager.handleDownloadAck(requestId, {
+      success: true,
+      fileSize: data.length,
+      totalChunks: 2,
+      fileChecksum: ''
+    });
+
+    const result = await downloadManager.handleFileChunk(requestId, {
+      ...buildChunk(requestId, 0, 2, data),
+      data: compress(data).toString('base64'),
+      codec
+    });
+
+    expect(result.success).toBe(true);
+    await downloadManager.getDownload(requestId).tempFileHandle.close();
+    downloadManager.getDownload(requestId).tempFileHandle = null;
+    expect(fs.readFileSync(downloadManager.getDownload(requestId).tempFilePath)).toEqual(data);
+  });
+
+  test('flags a chunk whose compressed data is corrupt for retry', async () => {
+    const requestId = downloadManager.createDownload('client-1', '/tmp/file.txt');
+    downloadManager.handleDownloadAck(requestId, {
+      success: true,
+      fileSize: 10,
+      totalChunks: 2,
+      fileChecksum: ''
+    });
+
+    const data = Buffer.from('0123456789');
+    const result = await downloadManager.handleFileChunk(requestId, {
+      ...buildChunk(requestId, 0, 2, data),
+      data: Buffer.from('not gzip').toString('base64'),
+      codec: 'gzip'
+    });
+
+    expect(result).toMatchObject({ success: false, error: 'CHUNK_CHECKSUM_FAILED', needsRetry: true });
+  });
+});
+
+describe('DownloadManager directory archives', () => {
+  let downloadManager;
+
+  beforeEach(() => {
+    downloadManager = new DownloadManager();
+  });
+
+  test('records the archive contents and extracts the completed archive', async () => {
+    const archiveOptions = { format: 'tar', include: [], exclude: [], maxFiles: 10000, extract: true };
+    const requestId = downloadManager.createDownload('client-1', '/var/log/app', null, null, 0, archiveOptions);
+    const data = Buffer.from('GET /health 200\n');
+    const archive = Buffer.concat([
+      encodeHeader({ name: 'app/access.log', size: data.length, mtime: 1700000000 }),
+      data,
+      Buffer.alloc(paddingFor(data.length)),
+      END_OF_ARCHIVE
+    ]);
+
+    downloadManager.handleDownloadAck(requestId, {
+      success: true,
+      fileSize: archive.length,
+      totalChunks: 1,
+      fileChecksum: '',
+      archive: { format: 'tar', files: [{ path: 'app/access.log', size: data.length, mtime: '2023-11-14T22:13:20.000Z' }], totalFiles: 1, totalBytes: data.length }
+    });
+    expect(downloadManager.getDownload(requestId).archiveContents).toEqual(expect.objectContaining({ totalFiles: 1, totalBytes: data.length }));
+
+    await downloadManager.handleFileChunk(requestId, buildChunk(requestId, 0, 1, archive));
+    await downloadManager.handleDownloadComplete(requestId, {
+      totalChunks: 1,
+      fileChecksum: crypto.createHash('sha256').update(archive).digest('hex')
+    });
+
+    const download = downloadManager.getDownload(requestId);
+    try {
+      expect(download.status).toBe('completed');
+      expect(download.finalFilePath).toMatch(/client-1-\d+\.tar$/);
+      expect(download.extractedTo).toBe(download.finalFilePath.replace(/\.tar$/, ''));
+      expect(fs.readFileSync(`${download.extractedTo}/app/access.log`)).toEqual(data);
+    } finally {
+      fs.rmSync(download.finalFilePath, { force: true });
+      fs.rmSync(download.extractedTo, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('DownloadManager queueing', () => {
+  let downloadManager;
+
+  beforeEach(() => {
+    downloadManager = new DownloadManager();
+  });
+
+  afterEach(() => {
+    for (const requestId of chunkManager.getActiveRequests()) {
+      chunkManager.cleanup(requestId);
+    }
+  });
+
+  test('shows a request queued on the client until it is acknowledged', () => {
+    const requestId = downloadManager.createDownload('client-1', '/tmp/file.txt', null, 'cli', 2);
+
+    downloadManager.handleDownloadQueued(requestId, { requestId, position: 3 });
+    expect(downloadManager.getDownload(requestId)).toMatchObject({ status: 'queued', queuePosition: 3, priority: 2 });
+    expect(downloadManager.getWaitingDownloads('client-1').map(d => d.id)).toEqual([requestId]);
+
+    downloadManager.handleDownloadAck(requestId, {
+      success: true,
+      fileSize: 10,
+      totalChunks: 1,
+      fileChecksum: ''
+    });
+    expect(downloadManager.getDownload(requestId)).toMatchObject({ status: 'in_progress', queuePosition: null });
+    expect(downloadManager.getWaitingDownloads('client-1')).toEqual([]);
+  });
+
+  test('ignores queue updates for downloads that already started or ended', async () => {
+    const requestId = downloadManager.createDownload('client-1', '/tmp/file.txt');
+    await downloadManager.cancelDownload(requestId, 'Cancelled by user request');
+
+    downloadManager.handleDownloadQueued(requestId, { requestId, position: 1 });
+
+    expect(downloadManager.getDownload(requestId).status).toBe('cancelled');
+  });
+});
+
+describe('DownloadManager resumption', () => {
+  let downloadManager;
+
+  beforeEach(() => {
+    downloadManager = new DownloadManager();
+  });
+
+  afterEach(() => {
+    for (const requestId of chunkManager.getActiveRequests()) {
+      chunkManager.cleanup(requestId);
+    }
+  });
+
+  test('resumes only the chunks that were not received', async () => {
+    const requestId = downloadManager.createDownload('client-1', '/tmp/file.txt');
+    downloadManager.handleDownloadAck(requestId, {
+      success: true,
+      fileSize: 30,
+      totalChunks: 3,
+      fileChecksum: ''
+    });
+    downloadManager.getDownload(requestId).receivedChunkIndices.add(1);
+
+    expect(downloadManager.getResumableDownloads('client-1').map(d => d.id)).toEqual([requestId]);
+    expect(downloadManager.getResumableDownloads('client-2')).toEqual([]);
+
+    expect(downloadManager.resumeDownload(requestId)).toEqual([0, 2]);
+    expect(downloadManager.getDownload(requestId).resumeCount).toBe(1);
+  });
+
+  test('does not resume finished downloads', async () => {
+    const requestId = downloadManager.createDownload('client-1', '/tmp/file.txt');
+    downloadManager.handleDownloadAck(requestId, {
+      success: true,
+      fileSize: 30,
+      totalChunks: 3,
+      fileChecksum: ''
+    });
+    await downloadManager.cancelDownload(requestId, 'Cancelled by user request');
+
+    expect(downloadManager.getResumableDownloads('client-1')).toEqual([]);
+  });
+
+  test('marks downloads interrupted by a client shutdown and resumes them later', () => {
+    const startedId = downloadManager.createDownload('client-1', '/tmp/started.txt');
+    downloadManager.handleDownloadAck(startedId, {
+      success: true,
+      fileSize: 30,
+      totalChunks: 3,
+      fileChecksum: ''
+    });
+    downloadManager.getDownload(startedId).receivedChunkIndices.add(0);
+    const queuedId = downloadManager.createDownload('client-1', '/tmp/queued.txt');
+    downloadManager.handleDownloadQueued(queuedId, { requestId: queuedId, position: 1 });
+
+    downloadManager.interruptDownload(startedId, 'Client shut down: SIGTERM received');
+    downloadManager.interruptDownload(queuedId, 'Client shut down: SIGTERM received');
+
+    expect(downloadManager.getDownload(startedId)).toMatchObject({
+      status: 'interrupted',
+      error: { code: 'CLIENT_SHUTTING_DOWN', message: 'Client shut down: SIGTERM received' }
+    });
+    expect(downloadManager.getDownload(queuedId)).toMatchObject({ status: 'interrupted', queuePosition: null });
+    expect(downloadManager.isTerminal(startedId)).toBe(false);
+    // Timeouts stop, but tracking is kept for the resume
+    expect(chunkManager.timeoutTimers.get(startedId).size).toBe(0);
+    expect(chunkManager.getActiveRequests()).toContain(startedId);
+
+    // Started downloads resume; ones the client never acknowledged are requested again
+    expect(downloadManager.getResumableDownloads('client-1').map(d => d.id)).toEqual([startedId]);
+    expect(downloadManager.getWaitingDownloads('client-1').map(d => d.id)).toEqual([queuedId]);
+
+    expect(downloadManager.resumeDownload(startedId)).toEqual([1, 2]);
+    expect(downloadManager.getDownload(startedId)).toMatchObject({ status: 'in_progress', error: null });
+  });
+
+  test('does not interrupt finished downloads', async () => {
+    const requestId = downloadManager.createDownload('client-1', '/tmp/file.txt');
+    await downloadManager.cancelDownload(requestId, 'Cancelled by user request');
+
+    downloadManager.interruptDownload(requestId, 'Client shut down');
+
+    expect(downloadManager.getDownload(requestId).status).toBe('cancelled');
+  });
+});
+
+describe('DownloadManager chunk manifests', () => {
+  const CHUNK_SIZE = 1024 * 1024;
+  const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+  let downloadManager;
+
+  beforeEach(() => {
+    downloadManager = new DownloadManager();
+  });
+
+  afterEach(async () => {
+    for (const requestId of chunkManager.getActiveRequests()) {
+      await downloadManager.cancelDownload(requestId, 'Test finished');
+    }
+  });
+
+  const ackWithManifest = (requestId, chunks) => {
+    const data = Buffer.concat(chunks);
+    downloadManager.handleDownloadAck(requestId, {
+      success: true,
+      fileSize: data.length,
+      totalChunks: chunks.length,
+      fileChecksum: sha256(data),
+      manifest: createManifest(chunks.map(sha256), CHUNK_SIZE)
+    });
+  };
+
+  test('fails a download whose manifest does not match its chunk count', () => {
+    const requestId = downloadManager.createDownload('client-1', '/tmp/file.txt');
+    const failDownload = jest.spyOn(downloadManager, 'failDownload');
+    downloadManager.handleDownloadAck(requestId, {
+      success: true,
+      fileSize: 10,
+      totalChunks: 2,
+      fileChecksum: '',
+      manifest: createManifest([sha256(Buffer.from('0123456789'))], CHUNK_SIZE)
+    });
+
+    const download = downloadManager.getDownload(requestId);
+    expect(download.status).toBe('failed');
+    expect(download.error).toEqual({ code: 'INVALID_REQUEST', message: 'Invalid chunk manifest: Manifest lists 1 chunks, expected 2' });
+    expect(failDownload).toHaveBeenCalledWith(requestId, expect.objectContaining({ code: 'INVALID_REQUEST' }));
+  });
+
+  test('rejects a chunk that does not match the manifest even when its own checksum does', async () => {
+    const requestId = downloadManager.createDownload('client-1', '/tmp/file.txt');
+    ackWithManifest(requestId, [Buffer.from('0123456789')]);
+
+    const result = await downloadManager.handleFileChunk(requestId, buildChunk(requestId, 0, 1, Buffer.from('9876543210')));
+
+    expect(result).toMatchObject({ success: false, error: 'CHUNK_CHECKSUM_FAILED', needsRetry: true });
+  });
+
+  test('rejects a chunk whose own checksum is wrong even when the data matches the manifest', async () => {
+    const requestId = downloadManager.createDownload('client-1', '/tmp/file.txt');
+    const data = Buffer.from('0123456789');
+    ackWithManifest(requestId, [data]);
+
+    const result = await downloadManager.handleFileChunk(requestId, { ...buildChunk(requestId, 0, 1, data), checksum: sha256(Buffer.from('other')) });
+
+    expect(result).toMatchObject({ success: false, error: 'CHUNK_CHECKSUM_FAILED', needsRetry: true });
+  });
+
+  test('checks the chunks received against a manifest sent with the completion', async () => {
+    const requestId = downloadManager.createDownload('client-1', '/tmp/file.txt');
+    const chunks = [Buffer.alloc(CHUNK_SIZE, 'a'), Buffer.from('tail')];
+    downloadManager.handleDownloadAck(requestId, { success: true, fileSize: CHUNK_SIZE + 4, totalChunks: 2, fileChecksum: '' });
+
+    // Chunk 1 arrives cut short, with a checksum of what is left
+    await downloadManager.handleFileChunk(requestId, buildChunk(requestId, 0, 2, chunks[0]));
+    await downloadManager.handleFileChunk(requestId, buildChunk(requestId, 1, 2, Buffer.from('ta')));
+    const download = downloadManager.getDownload(requestId);
+    expect(download.chunksReceived).toBe(2);
+
+    await expect(downloadManager.applyManifest(requestId, createManifest(chunks.map(sha256), CHUNK_SIZE))).resolves.toEqual([1]);
+    expect(download.manifest.root).toBe(createManifest(chunks.map(sha256), CHUNK_SIZE).root);
+    expect(downloadManager.getMissingChunks(requestId)).toEqual([1]);
+  });
+
+  test('refuses an invalid manifest sent with the completion', async () => {
+    const requestId = downloadManager.createDownload('client-1', '/tmp/file.txt');
+    downloadManager.handleDownloadAck(requestId, { success: true, fileSize: 10, totalChunks: 2, fileChecksum: '' });
+
+    await expect(downloadManager.applyManifest(requestId, createManifest([sha256(Buffer.from('0123456789'))], CHUNK_SIZE))).rejects.toMatchObject({
+      code: 'INVALID_REQUEST',
+      message: 'Invalid chunk manifest: Manifest lists 1 chunks, expected 2'
+    });
+    expect(downloadManager.getDownload(requestId).manifest).toBeNull();
+  });
+
+  test('saves the manifest next to the completed file', async () => {
+    const requestId = downloadManager.createDownload('client-1', '/tmp/file.txt');
+    const data = Buffer.from('0123456789');
+    ackWithManifest(requestId, [data]);
+
+    await downloadManager.handleFileChunk(requestId, buildChunk(requestId, 0, 1, data));
+    await downloadManager.handleDownloadComplete(requestId, { totalChunks: 1, fileChecksum: sha256(data) });
+
+    const download = downloadManager.getDownload(requestId);
+    try {
+      expect(download.manifestPath).toBe(`${download.finalFilePath}.manifest.json`);
+      expect(JSON.parse(fs.readFileSync(download.manifestPath, 'utf8'))).toMatchObject({
+        requestId,
+        fileSize: 10,
+        algorithm: 'sha256',
+        chunks: [sha256(data)],
+        root: sha256(data)
+      });
+      await expect(downloadManager.verifyChunks(requestId)).resolves.toEqual({
+        totalChunks: 1,
+        verifiedChunks: 1,
+        corruptChunks: [],
+        missingChunks: []
+      });
+    } finally {
+      fs.rmSync(download.finalFilePath, { force: true });
+      fs.rmSync(download.manifestPath, { force: true });
+    }
+  });
+
+  test('finds corrupt and missing chunks of a partial file and forgets the corrupt ones', async () => {
+    const requestId = downloadManager.createDownload('client-1', '/tmp/file.txt');
+    const chunks = [Buffer.alloc(CHUNK_SIZE, 'a'), Buffer.alloc(CHUNK_SIZE, 'b'), Buffer.from('tail')];
+    ackWithManifest(requestId, chunks);
+
+    await downloadManager.handleFileChunk(requestId, buildChunk(requestId, 0, 3, chunks[0]));
+    await downloadManager.handleFileChunk(requestId, buildChunk(requestId, 1, 3, chunks[1]));
+    const download = downloadManager.getDownload(requestId);
+    expect(download.bytesReceived).toBe(2 * CHUNK_SIZE);
+    await download.tempFileHandle.close();
+    download.tempFileHandle = null;
+    const fd = fs.openSync(download.tempFilePath, 'r+');
+    fs.writeSync(fd, Buffer.from('x'), 0, 1, CHUNK_SIZE + 5);
+    fs.closeSync(fd);
+
+    await expect(downloadManager.verifyChunks(requestId)).resolves.toEqual({
+      totalChunks: 3,
+      verifiedChunks: 1,
+      corruptChunks: [1],
+      missingChunks: [2]
+    });
+    expect(Array.from(download.receivedChunkIndices)).toEqual([0]);
+    expect(download.chunksReceived).toBe(1);
+    expect(download.bytesReceived).toBe(CHUNK_SIZE);
+  });
+
+  test('refuses to verify a download without a manifest', async () => {
+    const requestId = downloadManager.createDownload('client-1', '/tmp/file.txt');
+
+    await expect(downloadManager.verifyChunks(requestId)).rejects.toMatchObject({
+      code: 'INVALID_REQUEST',
+      message: 'Download has no chunk manifest'
+    });
+  });
+});
+
+describe('DownloadManager hash algorithms', () => {
+  const sha512 = data => crypto.createHash('sha512').update(data).digest('hex');
+  let downloadManager;
+
+  beforeEach(() => {
+    downloadManager = new DownloadManager();
+  });
+
+  afterEach(async () => {
+    for (const requestId of chunkManager.getActiveRequests()) {
+      await downloadManager.cancelDownload(requestId, 'Test finished');
+    }
+  });
+
+  test('checks chunks and the assembled file with the acknowledged algorithm', async () => {
+    const requestId = downloadManager.createDownload('client-1', '/tmp/file.txt');
+    const data = Buffer.from('0123456789');
+    downloadManager.handleDownloadAck(requestId, {
+      success: true,
+      fileSize: data.length,
+      totalChunks: 1,
+      fileChecksum: '',
+      hashAlgorithm: 'sha512'
+    });
+
+    const result = await downloadManager.handleFileChunk(requestId, {
+      ...buildChunk(requestId, 0, 1, data),
+      checksum: sha512(data),
+      hashAlgorithm: 'sha512'
+    });
+    expect(result.success).toBe(true);
+
+    await downloadManager.handleDownloadComplete(requestId, { totalChunks: 1, fileChecksum: sha512(data) });
+    const download = downloadManager.getDownload(requestId);
+    try {
+      expect(download.status).toBe('completed');
+      expect(download.hashAlgorithm).toBe('sha512');
+    } finally {
+      fs.rmSync(download.finalFilePath, { force: true });
+    }
+  });
+
+  test('rejects a chunk hashed with another algorithm than the acknowledged one', async () => {
+    const requestId = downloadManager.createDownload('client-1', '/tmp/file.txt');
+    downloadManager.handleDownloadAck(requestId, {
+      success: true,
+      fileSize: 10,
+      totalChunks: 1,
+      fileChecksum: '',
+      hashAlgorithm: 'sha512'
+    });
+
+    const result = await downloadManager.handleFileChunk(requestId, {
+      ...buildChunk(requestId, 0, 1, Buffer.from('0123456789')),
+      hashAlgorithm: 'sha256'
+    });
+
+    expect(result).toMatchObject({ success: false, error: 'CHUNK_CHECKSUM_FAILED', needsRetry: true });
+  });
+
+  test('fails a download acknowledged with an algorithm the server does not accept', () => {
+    const requestId = downloadManager.createDownload('client-1', '/tmp/file.txt');
+    const failDownload = jest.spyOn(downloadManager, 'failDownload');
+    downloadManager.handleDownloadAck(requestId, {
+      success: true,
+      fileSize: 10,
+      totalChunks: 1,
+      fileChecksum: '',
+      hashAlgorithm: 'md5'
+    });
+
+    expect(downloadManager.getDownload(requestId)).toMatchObject({
+      status: 'failed',
+      error: { code: 'INVALID_REQUEST', message: expect.stringMatching(/^Hash algorithm md5 is not accepted; use one of sha256/) }
+    });
+    expect(failDownload).toHaveBeenCalledWith(requestId, expect.objectContaining({ code: 'INVALID_REQUEST' }));
+  });
+});
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const request = require('supertest');
 const ExpressServer = require('../src/express-server');
 const WebSocketServer = require('../src/websocket-server');
@@ -43,6 +44,7 @@ describe('GET /api/v1/downloads/:requestId', () => {
       status: 'in_progress',
       totalChunks: 100,
       chunksReceived: 45,
+      bytesReceived: 45 * 1048576,
       progress: 45
     });
 
@@ -66,6 +68,53 @@ describe('GET /api/v1/downloads/:requestId', () => {
     expect(response.body).toHaveProperty('startedAt');
   });
 
+  test('returns the hash algorithm the client acknowledged with', async () => {
+    const testRequestId = '550e8400-e29b-41d4-a716-446655440009';
+    wsServer.downloadManager.createDownload('test-client', '/test/file.txt', testRequestId);
+    wsServer.downloadManager.handleDownloadAck(testRequestId, {
+      success: true,
+      fileSize: 10,
+      totalChunks: 1,
+      fileChecksum: '',
+      hashAlgorithm: 'sha3-256'
+    });
+
+    const response = await request(app)
+      .get(`/api/v1/downloads/${testRequestId}`)
+      .expect(200);
+
+    expect(response.body).toMatchObject({ hashAlgorithm: 'sha3-256', checksum: null });
+    await wsServer.downloadManager.cancelDownload(testRequestId, 'Test finished');
+  });
+
+  test('reports the bytes actually received, not whole chunks', async () => {
+    const testRequestId = '550e8400-e29b-41d4-a716-446655440010';
+    const data = Buffer.from('hello');
+    wsServer.downloadManager.createDownload('test-client', '/test/file.txt', testRequestId, null, 0, null, { offset: 10, length: 5 });
+    wsServer.downloadManager.handleDownloadAck(testRequestId, {
+      success: true,
+      fileSize: 5,
+      totalChunks: 1,
+      fileChecksum: '',
+      range: { offset: 10, length: 5, fileSize: 100 }
+    });
+    await wsServer.downloadManager.handleFileChunk(testRequestId, {
+      requestId: testRequestId,
+      chunkIndex: 0,
+      totalChunks: 1,
+      data: data.toString('base64'),
+      checksum: crypto.createHash('sha256').update(data).digest('hex'),
+      size: data.length
+    });
+
+    const response = await request(app)
+      .get(`/api/v1/downloads/${testRequestId}`)
+      .expect(200);
+
+    expect(response.body.progress).toMatchObject({ chunksReceived: 1, totalChunks: 1, bytesReceived: 5 });
+    await wsServer.downloadManager.cancelDownload(testRequestId, 'Test finished');
+  });
+
   test('should include failed chunks in response', async () => {
     // Create a test download with failed chunks using valid UUID
     const testRequestId = '550e8400-e29b-41d4-a716-446655440002';
@@ -108,6 +157,7 @@ describe('GET /api/v1/downloads/:requestId', () => {
       status: 'completed',
       totalChunks: 100,
       chunksReceived: 100,
+      bytesReceived: 100 * 1048576,
       progress: 100,
       completedAt: completedAt,
       duration: 5000,
@@ -163,4 +213,33 @@ describe('GET /api/v1/downloads/:requestId', () => {
       }
     });
   });
+
+  test('should surface the client rejection reason from DOWNLOAD_ACK', async () => {
+    const testRequestId = '550e8400-e29b-41d4-a716-446655440005';
+    wsServer.downloadManager.createDownload('test-client', '/etc/shadow', testRequestId, 'requester-client');
+
+    wsServer.downloadManager.handleDownloadAck(testRequestId, {
+      requestId: testRequestId,
+      success: false,
+      fileSize: 0,
+      totalChunks: 0,
+      fileChecksum: '',
+      error: {
+        code: 'PERMISSION_DENIED',
+        message: 'Access denied: /etc/shadow (path is outside the shared roots)'
+      }
+    });
+
+    const response = await request(app)
+      .get(`/api/v1/downloads/${testRequestId}`)
+      .expect(200);
+
+    expect(response.body).toMatchObject({
+      status: 'failed',
+      error: {
+        code: 'PERMISSION_DENIED',
+        message: 'Access denied: /etc/shadow (path is outside the shared roots)'
+      }
+    });
+  });
 });
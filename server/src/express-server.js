@@ -4,10 +4,30 @@ const helmet = require('helmet');
 const logger = require('./utils/logger');
 const config = require('./config');
 const packageJson = require('../package.json');
-const { validateGetDownload, validateDeleteDownload } = require('./validation');
+const { validateGetDownload, validateDeleteDownload, validateClientAction, validateListFiles, validateSetBandwidth, validateConfigUpdate } = require('./validation');
 const { v4: uuidv4 } = require('uuid');
 const { AppError, errorMiddleware, asyncHandler } = require('./utils/error-handler');
-const { ERROR_CODES } = require('../../shared/protocol');
+const { ERROR_CODES, FEATURES, normalizeRange } = require('../../shared/protocol');
+const { normalizeArchiveOptions } = require('../../shared/tar');
+const { parseRate } = require('../../shared/bandwidth');
+const { CLIENT_STATUS } = require('./client-registry');
+
+// Values accepted by GET /api/v1/clients?status=
+const CLIENT_FILTERS = {
+  connected: client => client.status === 'connected',
+  disconnected: client => client.status === 'disconnected',
+  pending: client => client.enrollment === CLIENT_STATUS.PENDING_APPROVAL,
+  approved: client => client.enrollment === CLIENT_STATUS.APPROVED,
+  revoked: client => client.enrollment === CLIENT_STATUS.REVOKED
+};
+
+// Client metadata GET /api/v1/clients can filter on, by query parameter
+const METADATA_FILTERS = {
+  os: (metadata, value) => metadata.os === value,
+  version: (metadata, value) => metadata.version === value,
+  hostname: (metadata, value) => metadata.hostname === value,
+  feature: (metadata, value) => Array.isArray(metadata.features) && metadata.features.includes(value)
+};
 
 class ExpressServer {
   constructor(wsServer) {
@@ -33,7 +53,9 @@ class ExpressServer {
 
   setupRoutes() {
     this.app.post('/api/v1/downloads', async (req, res) => {
-      const { clientId, filePath, output, timeout = 30000 } = req.body;
+      const { clientId, filePath, output, timeout = 30000, priority = 0, offset, length, tail } = req.body;
+      let archive = null;
+      let range = null;
 
       if (!clientId || !filePath) {
         return res.status(400).json({
@@ -42,6 +64,41 @@ class ExpressServer {
         });
       }
 
+      if (!Number.isInteger(priority)) {
+        return res.status(400).json({
+          success: false,
+          error: 'priority must be an integer'
+        });
+      }
+
+      if (req.body.archive !== undefined) {
+        try {
+          archive = normalizeArchiveOptions(req.body.archive);
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            error: error.message
+          });
+        }
+      }
+
+      if (offset !== undefined || length !== undefined || tail !== undefined) {
+        try {
+          range = normalizeRange({ offset, length, tail });
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            error: error.message
+          });
+        }
+        if (archive) {
+          return res.status(400).json({
+            success: false,
+            error: 'offset, length and tail cannot be combined with archive'
+          });
+        }
+      }
+
       try {
         // Find the target client by registered ID first
         let targetClient = null;
@@ -60,16 +117,42 @@ class ExpressServer {
           });
         }
 
+        if (!targetClient.approved) {
+          logger.error(`Target client ${clientId} is pending approval`);
+          return res.status(403).json({
+            success: false,
+            error: 'Client is pending approval'
+          });
+        }
+
+        if (targetClient.shuttingDown) {
+          logger.error(`Target client ${clientId} is shutting down`);
+          return res.status(503).json({
+            success: false,
+            error: 'Client is shutting down'
+          });
+        }
+
+        if (archive && !(targetClient.metadata?.features || []).includes(FEATURES.ARCHIVE)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Client does not support directory downloads'
+          });
+        }
+
+        if (range && !(targetClient.metadata?.features || []).includes(FEATURES.RANGE)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Client does not support byte-range downloads'
+          });
+        }
+
         // Create download in manager and get the request ID
-        const requestId = this.wsServer.downloadManager.createDownload(clientId, filePath, uuidv4(), 'cli');
+        const requestId = this.wsServer.downloadManager.createDownload(clientId, filePath, uuidv4(), 'cli', priority, archive, range);
 
         // Send DOWNLOAD_REQUEST to target client using internal client ID
-        this.wsServer.sendToClient(targetClient.id, {
-          type: 'DOWNLOAD_REQUEST',
-          requestId: requestId,
-          clientId: clientId,
-          filePath: filePath
-        });
+        const download = this.wsServer.downloadManager.getDownload(requestId);
+        this.wsServer.sendToClient(targetClient.id, this.wsServer.buildDownloadRequest(download));
 
         logger.info(`Download request ${requestId} sent to client ${clientId} for file: ${filePath}`);
 
@@ -124,6 +207,8 @@ class ExpressServer {
         requestId: download.id,
         clientId: download.clientId,
         status: download.status,
+        priority: download.priority,
+        queuePosition: download.queuePosition,
         progress: {
           chunksReceived: download.chunksReceived,
           totalChunks: download.totalChunks,
@@ -159,11 +244,13 @@ class ExpressServer {
         requestId: download.id,
         clientId: download.clientId,
         status: download.status,
+        priority: download.priority,
+        queuePosition: download.queuePosition,
         progress: {
           chunksReceived: download.chunksReceived,
           totalChunks: download.totalChunks,
           percentage: download.progress,
-          bytesReceived: download.chunksReceived * 1048576, // 1MB per chunk
+          bytesReceived: download.bytesReceived,
           retriedChunks: download.retriedChunks || []
         },
         retryStats: {
@@ -185,12 +272,93 @@ class ExpressServer {
         response.error = download.error;
       }
 
+      // Known once the client acknowledged; the file checksum follows with DOWNLOAD_COMPLETE
+      if (download.hashAlgorithm) {
+        response.hashAlgorithm = download.hashAlgorithm;
+        response.checksum = download.checksum;
+      }
+
+      // The range the client served once it acknowledged, the requested one until then
+      if (download.range) {
+        response.range = download.servedRange || download.range;
+      }
+
+      if (download.archive) {
+        response.archive = {
+          ...download.archive,
+          ...(download.archiveContents || { files: [], totalFiles: null, totalBytes: null }),
+          extractedTo: download.extractedTo,
+          extractError: download.extractError
+        };
+      }
+
+      // The chunk list itself is only in the saved manifest file
+      if (download.manifest) {
+        response.manifest = {
+          root: download.manifest.root,
+          chunks: download.manifest.chunks.length,
+          path: download.manifestPath
+        };
+      }
+
       res.json(response);
       } catch (error) {
         next(error);
       }
     });
 
+    // GET /api/v1/downloads/:requestId/content - The downloaded bytes of a completed download
+    this.app.get('/api/v1/downloads/:requestId/content', validateGetDownload, (req, res, next) => {
+      const download = this.wsServer.downloadManager.getDownload(req.params.requestId);
+
+      if (!download) {
+        return res.status(404).json({
+          success: false,
+          error: 'Download not found'
+        });
+      }
+
+      if (download.status !== 'completed' || !download.finalFilePath) {
+        return next(new AppError(
+          download.status === 'failed' || download.status === 'cancelled' ? ERROR_CODES.INVALID_REQUEST : ERROR_CODES.DOWNLOAD_IN_PROGRESS,
+          `Download is ${download.status}`
+        ));
+      }
+
+      res.sendFile(download.finalFilePath, { headers: { 'Content-Type': 'application/octet-stream' } }, (error) => {
+        if (error && !res.headersSent) {
+          next(error.code === 'ENOENT' ? new AppError(ERROR_CODES.FILE_NOT_FOUND, 'Downloaded file no longer exists') : error);
+        }
+      });
+    });
+
+    // GET /api/v1/downloads/:requestId/verify - Check the chunks on disk against the download's manifest
+    this.app.get('/api/v1/downloads/:requestId/verify', validateGetDownload, asyncHandler(async (req, res) => {
+      const download = this.wsServer.downloadManager.getDownload(req.params.requestId);
+
+      if (!download) {
+        return res.status(404).json({
+          success: false,
+          error: 'Download not found'
+        });
+      }
+
+      let result;
+      try {
+        result = await this.wsServer.downloadManager.verifyChunks(download.id);
+      } catch (error) {
+        throw new AppError(error.code || ERROR_CODES.INVALID_REQUEST, error.message);
+      }
+
+      res.json({
+        success: true,
+        requestId: download.id,
+        status: download.status,
+        root: download.manifest.root,
+        ...result
+      });
+    }));
+
     this.app.delete('/api/v1/downloads/:requestId', validateDeleteDownload, asyncHandler(async (req, res) => {
       const { requestId } = req.params;
       const download = this.wsServer.downloadManager.getDownload(requestId);
@@ -212,7 +380,8 @@ class ExpressServer {
       if (client && client.ws && client.ws.readyState === 1) { // WebSocket.OPEN
         client.ws.send(JSON.stringify({
           type: 'CANCEL_DOWNLOAD',
-          requestId: requestId
+          requestId: requestId,
+          reason: 'Cancelled by user request'
         }));
         logger.info(`Sent CANCEL_DOWNLOAD to client ${download.clientId} for request ${requestId}`);
       }
@@ -240,20 +409,18 @@ class ExpressServer {
     this.app.get('/api/v1/clients', (req, res) => {
       const statusFilter = req.query.status;
 
-      const allClients = Array.from(this.wsServer.clients.values()).map(client => ({
-        clientId: client.registeredId || client.id,
-        connectedAt: client.connectedAt.toISOString(),
-        lastHeartbeat: client.lastHeartbeat.toISOString(),
-        status: 'connected',
-        metadata: {}
-      }));
+      const allClients = this.listClients();
 
       let clients = allClients;
       if (statusFilter) {
-        if (statusFilter === 'connected') {
-          clients = allClients;
-        } else {
-          clients = [];
+        const filter = CLIENT_FILTERS[statusFilter];
+        clients = filter ? allClients.filter(filter) : [];
+      }
+
+      for (const [param, matches] of Object.entries(METADATA_FILTERS)) {
+        const value = req.query[param];
+        if (typeof value === 'string') {
+          clients = clients.filter(client => matches(client.metadata, value));
         }
       }
 
@@ -268,32 +435,127 @@ class ExpressServer {
     this.app.get('/api/v1/clients/:clientId', (req, res) => {
       const { clientId } = req.params;
       
-      // Find the client in the WebSocket server
-      const client = Array.from(this.wsServer.clients.values()).find(c => 
-        (c.registeredId || c.id) === clientId
-      );
+      // Connected clients first, then known clients that are offline
+      const clientInfo = this.listClients().find(c => c.clientId === clientId);
       
-      if (!client) {
+      if (!clientInfo) {
         return res.status(404).json({
           success: false,
           error: `Client ${clientId} not found`
         });
       }
       
-      const clientInfo = {
-        clientId: client.registeredId || client.id,
-        connectedAt: client.connectedAt.toISOString(),
-        lastHeartbeat: client.lastHeartbeat.toISOString(),
-        status: 'connected',
-        metadata: {}
-      };
-      
       res.json({
         success: true,
         client: clientInfo
       });
     });
 
+    // Approve a client that is pending approval (or re-admit a revoked one)
+    this.app.post('/api/v1/clients/:clientId/approve', validateClientAction, (req, res) => {
+      const { clientId } = req.params;
+      const entry = this.wsServer.approveClient(clientId);
+
+      if (!entry) {
+        throw new AppError(ERROR_CODES.CLIENT_NOT_FOUND, `Client ${clientId} not found`);
+      }
+
+      res.json({
+        success: true,
+        clientId,
+        enrollment: entry.status
+      });
+    });
+
+    // Revoke a client; it is disconnected now and refused on reconnect
+    this.app.post('/api/v1/clients/:clientId/revoke', validateClientAction, asyncHandler(async (req, res) => {
+      const { clientId } = req.params;
+      const entry = await this.wsServer.revokeClient(clientId);
+
+      if (!entry) {
+        throw new AppError(ERROR_CODES.CLIENT_NOT_FOUND, `Client ${clientId} not found`);
+      }
+
+      res.json({
+        success: true,
+        clientId,
+        enrollment: entry.status
+      });
+    }));
+
+    // List a directory on a connected client
+    this.app.get('/api/v1/clients/:clientId/files', validateListFiles, asyncHandler(async (req, res) => {
+      const { clientId } = req.params;
+      const { path: dirPath, depth, offset, limit } = req.query;
+
+      let listing;
+      try {
+        listing = await this.wsServer.requestFileList(clientId, { path: dirPath, depth, offset, limit });
+      } catch (error) {
+        throw new AppError(error.code || ERROR_CODES.FILE_READ_ERROR, error.message);
+      }
+
+      res.json({
+        success: true,
+        clientId,
+        path: listing.path,
+        entries: listing.entries,
+        total: listing.total,
+        offset: listing.offset,
+        limit: listing.limit,
+        truncated: listing.truncated
+      });
+    }));
+
+    // Override a client's bandwidth limit and schedule; kept and re-sent whenever the client registers
+    this.app.put('/api/v1/clients/:clientId/bandwidth', validateSetBandwidth, (req, res) => {
+      const { clientId } = req.params;
+      const { limit, schedule, reset } = req.body;
+
+      if (limit === undefined && schedule === undefined && !reset) {
+        throw new AppError(ERROR_CODES.INVALID_REQUEST, 'Provide a limit, a schedule or reset: true');
+      }
+      if (!this.wsServer.clientRegistry.get(clientId)) {
+        throw new AppError(ERROR_CODES.CLIENT_NOT_FOUND, `Client ${clientId} not found`);
+      }
+
+      // Fields left out keep the client's local value
+      const override = reset ? null : {
+        ...(limit !== undefined && { limit: parseRate(limit) }),
+        ...(schedule !== undefined && { schedule: schedule.trim() })
+      };
+      const delivered = this.wsServer.setClientBandwidth(clientId, override);
+
+      res.json({
+        success: true,
+        clientId,
+        override,
+        // The client confirms with BANDWIDTH_STATUS, shown as bandwidth in GET /clients/:clientId
+        delivered
+      });
+    });
+
+    // Push runtime settings to a connected client and return what it applied
+    this.app.put('/api/v1/clients/:clientId/config', validateConfigUpdate, asyncHandler(async (req, res) => {
+      const { clientId } = req.params;
+      const { settings, version } = req.body;
+
+      let ack;
+      try {
+        ack = await this.wsServer.updateClientConfig(clientId, settings, version ?? null);
+      } catch (error) {
+        throw new AppError(error.code || ERROR_CODES.INVALID_REQUEST, error.message, error.details);
+      }
+
+      res.json({
+        success: true,
+        clientId,
+        version: ack.version,
+        applied: ack.applied,
+        config: ack.config
+      });
+    }));
+
     this.app.use((req, res) => {
       res.status(404).json({ error: 'Not found' });
     });
@@ -307,6 +569,49 @@ class ExpressServer {
     this.app.use(errorMiddleware);
   }
 
+  /**
+   * Summarize every client: live connections plus registered clients that are offline
+   * @returns {Array<Object>} Client summaries
+   */
+  listClients() {
+    const registry = this.wsServer.clientRegistry;
+
+    const clients = Array.from(this.wsServer.clients.values()).map(client => {
+      const entry = client.registeredId ? registry.get(client.registeredId) : null;
+      return {
+        clientId: client.registeredId || client.id,
+        connectedAt: client.connectedAt.toISOString(),
+        lastHeartbeat: client.lastHeartbeat.toISOString(),
+        status: 'connected',
+        enrollment: entry ? entry.status : null,
+        metadata: client.metadata || {},
+        bandwidth: client.bandwidth || null,
+        config: client.config || null,
+        // Set while the client drains its transfers before disconnecting
+        shuttingDown: client.shuttingDown || null
+      };
+    });
+
+    const connectedIds = new Set(clients.map(client => client.clientId));
+    for (const entry of registry.list()) {
+      if (!connectedIds.has(entry.clientId)) {
+        clients.push({
+          clientId: entry.clientId,
+          connectedAt: null,
+          lastHeartbeat: null,
+          status: 'disconnected',
+          enrollment: entry.status,
+          metadata: {},
+          bandwidth: null,
+          config: null,
+          shuttingDown: null
+        });
+      }
+    }
+
+    return clients;
+  }
+
   start() {
     const port = config.PORT;
     
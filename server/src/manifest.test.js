@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const { merkleRoot, createManifest, validateManifest } = require('../../shared/manifest');
+
+const sha256 = (...parts) => {
+  const hash = crypto.createHash('sha256');
+  parts.forEach(part => hash.update(part));
+  return hash.digest('hex');
+};
+
+describe('Chunk manifests', () => {
+  const hashes = ['a', 'b', 'c'].map(data => sha256(data));
+
+  test('builds the Merkle root level by level, moving an odd node up unchanged', () => {
+    const node = (left, right) => sha256(Buffer.from([1]), Buffer.from(left, 'hex'), Buffer.from(right, 'hex'));
+
+    expect(merkleRoot([])).toBe(sha256(''));
+    expect(merkleRoot(hashes.slice(0, 1))).toBe(hashes[0]);
+    expect(merkleRoot(hashes.slice(0, 2))).toBe(node(hashes[0], hashes[1]));
+    expect(merkleRoot(hashes)).toBe(node(node(hashes[0], hashes[1]), hashes[2]));
+  });
+
+  test('accepts a manifest built by createManifest', () => {
+    const manifest = createManifest(hashes);
+
+    expect(manifest).toEqual({ algorithm: 'sha256', chunkSize: 1048576, chunks: hashes, root: merkleRoot(hashes) });
+    expect(() => validateManifest(manifest, 3)).not.toThrow();
+  });
+
+  test('builds and checks manifests in the transfer\'s hash algorithm', () => {
+    const sha512 = ['a', 'b', 'c'].map(data => crypto.createHash('sha512').update(data).digest('hex'));
+    const manifest = createManifest(sha512, 1048576, 'sha512');
+
+    expect(manifest.algorithm).toBe('sha512');
+    expect(manifest.root).toHaveLength(128);
+    expect(() => validateManifest(manifest, 3, 'sha512')).not.toThrow();
+    expect(() => validateManifest(manifest, 3)).toThrow('Manifest algorithm must be sha256');
+    expect(() => validateManifest({ ...createManifest(hashes), algorithm: 'sha512' }, 3, 'sha512')).toThrow('Manifest chunks must be a list of sha512 hashes');
+  });
+
+  test('rejects malformed manifests', () => {
+    const manifest = createManifest(hashes);
+
+    expect(() => validateManifest(null, 3)).toThrow('Manifest must be an object');
+    expect(() => validateManifest({ ...manifest, algorithm: 'md5' }, 3)).toThrow('Manifest algorithm must be sha256');
+    expect(() => validateManifest({ ...manifest, chunkSize: 4096 }, 3)).toThrow('Manifest chunk size must be 1048576');
+    expect(() => validateManifest({ ...manifest, chunks: ['abc', ...hashes.slice(1)] }, 3)).toThrow('Manifest chunks must be a list of sha256 hashes');
+    expect(() => validateManifest(manifest, 4)).toThrow('Manifest lists 3 chunks, expected 4');
+    expect(() => validateManifest({ ...manifest, chunks: [hashes[1], hashes[0], hashes[2]] }, 3)).toThrow('Manifest root does not match its chunks');
+  });
+});
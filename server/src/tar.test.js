@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { TYPES, END_OF_ARCHIVE, normalizeArchiveOptions, encodeHeader, decodeHeader, paddingFor } = require('../../shared/tar');
+const { extractTar } = require('./utils/tar');
+
+const buildArchive = (entries) => Buffer.concat([
+  ...entries.flatMap(({ name, data = Buffer.alloc(0), type = TYPES.FILE }) => [
+    encodeHeader({ name, size: data.length, mode: 0o644, mtime: 1700000000, type }),
+    data,
+    Buffer.alloc(paddingFor(data.length))
+  ]),
+  END_OF_ARCHIVE
+]);
+
+describe('Tar archives', () => {
+  let workDir;
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tar-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test('fills in archive option defaults and rejects invalid ones', () => {
+    expect(normalizeArchiveOptions(true)).toEqual({ format: 'tar', include: [], exclude: [], maxFiles: 10000, extract: false });
+    expect(normalizeArchiveOptions({ format: 'tar.gz', exclude: ['*.tmp'], extract: true })).toMatchObject({ format: 'tar.gz', exclude: ['*.tmp'], extract: true });
+    expect(() => normalizeArchiveOptions({ format: 'zip' })).toThrow('Archive format must be one of tar, tar.gz');
+    expect(() => normalizeArchiveOptions({ include: '*.log' })).toThrow('Archive include must be a list of glob patterns');
+    expect(() => normalizeArchiveOptions({ maxFiles: 0 })).toThrow('Archive maxFiles must be an integer between 1 and 10000');
+    expect(() => normalizeArchiveOptions(false)).toThrow('Archive options must be true or an object');
+  });
+
+  test('round-trips headers, splitting long names into the ustar prefix', () => {
+    const name = `logs/${'nested/'.repeat(20)}app.log`;
+    const header = encodeHeader({ name, size: 1234, mode: 0o640, mtime: 1700000000 });
+
+    expect(header.length).toBe(512);
+    expect(decodeHeader(header)).toEqual({ name, size: 1234, mode: 0o640, mtime: 1700000000, type: TYPES.FILE });
+    expect(decodeHeader(Buffer.alloc(512))).toBeNull();
+
+    header[0] ^= 1;
+    expect(() => decodeHeader(header)).toThrow('Invalid tar header checksum');
+  });
+
+  test.each([
+    ['tar', false],
+    ['tar.gz', true]
+  ])('extracts files and directories from a %s archive', async (format, gzip) => {
+    const longName = `logs/${'x'.repeat(200)}.log`;
+    const archive = buildArchive([
+      { name: 'logs/', type: TYPES.DIRECTORY },
+      { name: 'logs/app.log', data: Buffer.from('started\n'.repeat(100)) },
+      { name: 'logs/empty.log' },
+      { name: longName, data: Buffer.from('long name') },
+      { name: 'logs/link', type: '2' }
+    ]);
+    const archivePath = path.join(workDir, `logs.${format}`);
+    fs.writeFileSync(archivePath, gzip ? zlib.gzipSync(archive) : archive);
+
+    const counts = await extractTar(archivePath, path.join(workDir, 'out'), { gzip });
+
+    expect(counts).toEqual({ files: 3, directories: 1, skipped: 1 });
+    expect(fs.readFileSync(path.join(workDir, 'out/logs/app.log'), 'utf8')).toBe('started\n'.repeat(100));
+    expect(fs.readFileSync(path.join(workDir, 'out/logs/empty.log'), 'utf8')).toBe('');
+    expect(fs.readFileSync(path.join(workDir, 'out', longName), 'utf8')).toBe('long name');
+    expect(fs.statSync(path.join(workDir, 'out/logs/app.log')).mtimeMs).toBe(1700000000000);
+  });
+
+  test.each([
+    ['../escape.txt'],
+    ['logs/../../escape.txt'],
+    ['/etc/escape.txt']
+  ])('refuses to extract %s outside the destination', async (name) => {
+    const archivePath = path.join(workDir, 'evil.tar');
+    fs.writeFileSync(archivePath, buildArchive([{ name, data: Buffer.from('pwned') }]));
+
+    await expect(extractTar(archivePath, path.join(workDir, 'out'))).rejects.toThrow('Unsafe path in archive');
+    expect(fs.existsSync(path.join(workDir, 'escape.txt'))).toBe(false);
+  });
+
+  test('rejects a truncated archive', async () => {
+    const archivePath = path.join(workDir, 'truncated.tar');
+    fs.writeFileSync(archivePath, buildArchive([{ name: 'a.txt', data: Buffer.alloc(2048, 1) }]).subarray(0, 1024));
+
+    await expect(extractTar(archivePath, path.join(workDir, 'out'))).rejects.toThrow('Truncated tar archive');
+  });
+});
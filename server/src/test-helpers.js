@@ -0,0 +1,80 @@
+/**
+ * Shared helpers for WebSocket tests
+ */
+
+const crypto = require('crypto');
+const { buildAuthPayload } = require('../../shared/protocol');
+
+// One keypair per clientId, so a clientId keeps its identity across connections
+const keyPairs = new Map();
+
+function getKeyPair(clientId) {
+  if (!keyPairs.has(clientId)) {
+    keyPairs.set(clientId, crypto.generateKeyPairSync('ed25519'));
+  }
+  return keyPairs.get(clientId);
+}
+
+/**
+ * Complete the REGISTER challenge/response handshake on an open socket
+ * A first-time clientId is left pending approval; see enroll()
+ * @param {WebSocket} ws - Open client socket
+ * @param {string} clientId - Client ID to register as
+ * @param {Object} extra - Additional REGISTER fields (e.g. activeRequests)
+ * @returns {Promise<Object>} Resolves with the REGISTER_ACK once the server accepts the registration
+ */
+function authenticate(ws, clientId, extra = {}) {
+  const { publicKey, privateKey } = getKeyPair(clientId);
+
+  return new Promise((resolve, reject) => {
+    let challenged = false;
+
+    const onMessage = (data) => {
+      const message = JSON.parse(data.toString());
+
+      if (message.type === 'AUTH_CHALLENGE') {
+        challenged = true;
+        const signature = crypto.sign(null, Buffer.from(buildAuthPayload(clientId, message.nonce)), privateKey);
+        ws.send(JSON.stringify({
+          type: 'AUTH_RESPONSE',
+          clientId,
+          signature: signature.toString('base64')
+        }));
+      } else if (message.type === 'REGISTER_ACK' && (challenged || !message.success)) {
+        ws.off('message', onMessage);
+        if (message.success) {
+          resolve(message);
+        } else {
+          reject(new Error(message.message));
+        }
+      }
+    };
+
+    ws.on('message', onMessage);
+    ws.send(JSON.stringify({
+      type: 'REGISTER',
+      clientId,
+      publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+      ...extra
+    }));
+  });
+}
+
+/**
+ * Authenticate a client and approve it, as an operator would for a new client
+ * @param {WebSocketServer} wsServer - Server under test
+ * @param {WebSocket} ws - Open client socket
+ * @param {string} clientId - Client ID to register as
+ * @param {Object} extra - Additional REGISTER fields (e.g. metadata)
+ * @returns {Promise<void>} Resolves once the client is approved
+ */
+async function enroll(wsServer, ws, clientId, extra = {}) {
+  await authenticate(ws, clientId, extra);
+  wsServer.approveClient(clientId);
+}
+
+module.exports = {
+  getKeyPair,
+  authenticate,
+  enroll
+};
@@ -1,23 +1,42 @@
 const crypto = require('crypto');
 const fs = require('fs');
+const { HASH_ALGORITHMS, CONSTANTS } = require('../../../shared/protocol');
 
 /**
- * Calculate SHA-256 checksum of a buffer
+ * Hash algorithms this server can verify with
+ */
+const SUPPORTED_HASH_ALGORITHMS = Object.values(HASH_ALGORITHMS).filter(algorithm => crypto.getHashes().includes(algorithm));
+
+/**
+ * Pick the hash algorithm for a connection
+ * @param {Array<string>} offered - Algorithms the client offered in REGISTER (absent = only the default)
+ * @param {Array<string>} preferred - Algorithms the server accepts, most preferred first
+ * @returns {string|null} First preferred algorithm the client offered, or null when they share none
+ */
+function selectHashAlgorithm(offered, preferred) {
+  const available = Array.isArray(offered) ? offered : [CONSTANTS.DEFAULT_HASH_ALGORITHM];
+  return preferred.find(algorithm => SUPPORTED_HASH_ALGORITHMS.includes(algorithm) && available.includes(algorithm)) || null;
+}
+
+/**
+ * Calculate the checksum of a buffer
  * @param {Buffer} buffer - Data to hash
- * @returns {string} Hexadecimal SHA-256 hash
+ * @param {string} algorithm - Hash algorithm
+ * @returns {string} Hexadecimal hash
  */
-function calculateChecksum(buffer) {
-  return crypto.createHash('sha256').update(buffer).digest('hex');
+function calculateChecksum(buffer, algorithm = CONSTANTS.DEFAULT_HASH_ALGORITHM) {
+  return crypto.createHash(algorithm).update(buffer).digest('hex');
 }
 
 /**
- * Calculate SHA-256 checksum of a file using streaming
+ * Calculate the checksum of a file using streaming
  * @param {string} filePath - Path to the file
- * @returns {Promise<string>} Hexadecimal SHA-256 hash
+ * @param {string} algorithm - Hash algorithm
+ * @returns {Promise<string>} Hexadecimal hash
  */
-async function calculateFileChecksum(filePath) {
+async function calculateFileChecksum(filePath, algorithm = CONSTANTS.DEFAULT_HASH_ALGORITHM) {
   return new Promise((resolve, reject) => {
-    const hash = crypto.createHash('sha256');
+    const hash = crypto.createHash(algorithm);
     const stream = fs.createReadStream(filePath);
     
     stream.on('data', (data) => {
@@ -37,15 +56,18 @@ async function calculateFileChecksum(filePath) {
 /**
  * Verify data against expected checksum
  * @param {Buffer|string} data - Data to verify
- * @param {string} expectedChecksum - Expected SHA-256 hash
+ * @param {string} expectedChecksum - Expected hash
+ * @param {string} algorithm - Hash algorithm of the expected hash
  * @returns {boolean} True if checksums match
  */
-function verifyChecksum(data, expectedChecksum) {
-  const actualChecksum = calculateChecksum(Buffer.isBuffer(data) ? data : Buffer.from(data));
+function verifyChecksum(data, expectedChecksum, algorithm = CONSTANTS.DEFAULT_HASH_ALGORITHM) {
+  const actualChecksum = calculateChecksum(Buffer.isBuffer(data) ? data : Buffer.from(data), algorithm);
   return actualChecksum === expectedChecksum;
 }
 
 module.exports = {
+  SUPPORTED_HASH_ALGORITHMS,
+  selectHashAlgorithm,
   calculateChecksum,
   calculateFileChecksum,
   verifyChecksum
@@ -0,0 +1,53 @@
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { COMPRESSION_CODECS, CONSTANTS } = require('../../../shared/protocol');
+
+const decompressors = {
+  [COMPRESSION_CODECS.GZIP]: promisify(zlib.gunzip),
+  [COMPRESSION_CODECS.DEFLATE]: promisify(zlib.inflate),
+  [COMPRESSION_CODECS.BROTLI]: promisify(zlib.brotliDecompress)
+};
+
+/**
+ * Codecs this server can decompress
+ */
+const SUPPORTED_CODECS = Object.keys(decompressors);
+
+/**
+ * Pick the codec for a connection
+ * @param {Array<string>} offered - Codecs the client offered in REGISTER
+ * @param {Array<string>} preferred - Codecs the server accepts, most preferred first
+ * @returns {string} First preferred codec the client offered, or 'none'
+ */
+function selectCodec(offered, preferred) {
+  if (!Array.isArray(offered)) {
+    return COMPRESSION_CODECS.NONE;
+  }
+  return preferred.find(codec => SUPPORTED_CODECS.includes(codec) && offered.includes(codec)) || COMPRESSION_CODECS.NONE;
+}
+
+/**
+ * Decompress FILE_CHUNK data
+ * Output is capped at one chunk so a malformed payload cannot inflate without bound
+ * @param {Buffer} buffer - Data as received
+ * @param {string} codec - Codec named in the FILE_CHUNK message ('none' or absent = raw)
+ * @returns {Promise<Buffer>} Uncompressed data
+ */
+async function decompressChunk(buffer, codec = COMPRESSION_CODECS.NONE) {
+  if (codec === COMPRESSION_CODECS.NONE) {
+    return buffer;
+  }
+
+  const decompress = decompressors[codec];
+  if (!decompress) {
+    throw new Error(`Unsupported chunk codec: ${codec}`);
+  }
+
+  return decompress(buffer, { maxOutputLength: CONSTANTS.CHUNK_SIZE });
+}
+
+module.exports = {
+  SUPPORTED_CODECS,
+  selectCodec,
+  decompressChunk
+};
@@ -14,7 +14,13 @@ const ERROR_CODE_TO_HTTP_STATUS = {
   [ERROR_CODES.DOWNLOAD_TIMEOUT]: 408,
   [ERROR_CODES.CHUNK_CHECKSUM_FAILED]: 500,
   [ERROR_CODES.CHUNK_TRANSFER_FAILED]: 500,
-  [ERROR_CODES.INVALID_REQUEST]: 400
+  [ERROR_CODES.INVALID_REQUEST]: 400,
+  [ERROR_CODES.AUTHENTICATION_REQUIRED]: 401,
+  [ERROR_CODES.AUTHENTICATION_FAILED]: 401,
+  [ERROR_CODES.CLIENT_NOT_APPROVED]: 403,
+  [ERROR_CODES.FILE_CHANGED]: 409,
+  [ERROR_CODES.REQUEST_TIMEOUT]: 504,
+  [ERROR_CODES.STALE_CONFIG_VERSION]: 409
 };
 
 /**
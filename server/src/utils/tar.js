@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const { BLOCK_SIZE, TYPES, decodeHeader, decodePax, paddingFor } = require('../../../shared/tar');
+
+/**
+ * Resolve an archive entry name inside the extraction directory
+ * @param {string} root - Absolute extraction directory
+ * @param {string} name - Entry name from the archive
+ * @returns {string} Absolute path under root
+ * @throws {Error} If the name is absolute, climbs out with '..' or resolves outside root
+ */
+function resolveEntryPath(root, name) {
+  const segments = name.split('/').filter(segment => segment !== '' && segment !== '.');
+  if (name.startsWith('/') || path.isAbsolute(name) || segments.length === 0 || segments.includes('..')) {
+    throw new Error(`Unsafe path in archive: ${name}`);
+  }
+
+  const target = path.resolve(root, ...segments);
+  if (!target.startsWith(root + path.sep)) {
+    throw new Error(`Unsafe path in archive: ${name}`);
+  }
+  return target;
+}
+
+/**
+ * Extract a tar archive into a directory
+ * Only regular files and directories are created; links and device entries
+ * are skipped so nothing in the archive can point outside the directory
+ * @param {string} archivePath - Archive file
+ * @param {string} destDir - Directory to extract into (created if missing)
+ * @param {Object} options - Options
+ * @param {boolean} options.gzip - The archive is gzip-compressed
+ * @returns {Promise<Object>} `{ files, directories, skipped }` entry counts
+ * @throws {Error} If the archive is malformed, truncated or holds an unsafe path
+ */
+async function extractTar(archivePath, destDir, { gzip = false } = {}) {
+  const root = path.resolve(destDir);
+  await fs.promises.mkdir(root, { recursive: true });
+
+  const counts = { files: 0, directories: 0, skipped: 0 };
+  let pending = Buffer.alloc(0);
+  let entry = null; // { remaining, padding, handle, pax }
+  let paxOverrides = {};
+  let ended = false;
+
+  const startEntry = async (header) => {
+    const name = paxOverrides.path || header.name;
+    const size = paxOverrides.size !== undefined ? Number(paxOverrides.size) : header.size;
+    const mtime = paxOverrides.mtime !== undefined ? Number(paxOverrides.mtime) : header.mtime;
+    paxOverrides = {};
+
+    const next = { remaining: size, padding: paddingFor(size), handle: null, pax: null, target: null, mtime };
+    if (header.type === TYPES.PAX || header.type === TYPES.PAX_GLOBAL) {
+      // Global records only carry defaults this extractor does not use
+      next.pax = header.type === TYPES.PAX ? [] : null;
+    } else if (header.type === TYPES.FILE || header.type === '\0' || header.type === '7') {
+      next.target = resolveEntryPath(root, name);
+      await fs.promises.mkdir(path.dirname(next.target), { recursive: true });
+      next.handle = await fs.promises.open(next.target, 'wx');
+      counts.files++;
+    } else if (header.type === TYPES.DIRECTORY) {
+      await fs.promises.mkdir(resolveEntryPath(root, name), { recursive: true });
+      counts.directories++;
+    } else {
+      counts.skipped++;
+    }
+    return next;
+  };
+
+  const finishEntry = async () => {
+    if (entry.handle) {
+      await entry.handle.close();
+      await fs.promises.utimes(entry.target, entry.mtime, entry.mtime);
+    }
+    if (entry.pax) {
+      paxOverrides = decodePax(Buffer.concat(entry.pax));
+    }
+    entry = null;
+  };
+
+  const consume = async (data) => {
+    pending = pending.length > 0 ? Buffer.concat([pending, data]) : data;
+
+    while (!ended) {
+      if (entry) {
+        if (entry.remaining > 0) {
+          if (pending.length === 0) {
+            return;
+          }
+          const part = pending.subarray(0, Math.min(entry.remaining, pending.length));
+          pending = pending.subarray(part.length);
+          entry.remaining -= part.length;
+          if (entry.handle) {
+            await entry.handle.write(part);
+          } else if (entry.pax) {
+            entry.pax.push(Buffer.from(part));
+          }
+          continue;
+        }
+        if (entry.padding > 0) {
+          const skip = Math.min(entry.padding, pending.length);
+          if (skip === 0) {
+            return;
+          }
+          pending = pending.subarray(skip);
+          entry.padding -= skip;
+          continue;
+        }
+        await finishEntry();
+      }
+
+      if (pending.length < BLOCK_SIZE) {
+        return;
+      }
+      const header = decodeHeader(pending.subarray(0, BLOCK_SIZE));
+      pending = pending.subarray(BLOCK_SIZE);
+      if (!header) {
+        ended = true;
+        return;
+      }
+      entry = await startEntry(header);
+    }
+  };
+
+  const stages = [fs.createReadStream(archivePath)];
+  if (gzip) {
+    stages.push(zlib.createGunzip());
+  }
+  stages.push(async (source) => {
+    for await (const data of source) {
+      await consume(data);
+    }
+  });
+
+  try {
+    await pipeline(...stages);
+    if (entry && entry.remaining === 0 && entry.padding === 0) {
+      await finishEntry();
+    }
+    if (entry) {
+      throw new Error('Truncated tar archive');
+    }
+  } finally {
+    if (entry && entry.handle) {
+      await entry.handle.close().catch(() => {});
+    }
+  }
+
+  return counts;
+}
+
+module.exports = {
+  extractTar,
+  resolveEntryPath
+};
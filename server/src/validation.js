@@ -1,4 +1,6 @@
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const { CONSTANTS, REMOTE_CONFIG_KEYS } = require('../../shared/protocol');
+const { parseRate, parseSchedule } = require('../../shared/bandwidth');
 
 // Validation rules
 const clientIdValidation = body('clientId')
@@ -10,6 +12,75 @@ const filePathValidation = body('filePath')
   .matches(/^\/.*$/, { message: 'FilePath must be an absolute path' })
   .not().contains('..', { message: 'FilePath cannot contain directory traversal (..)' });
 
+const clientIdParamValidation = param('clientId')
+  .isLength({ min: 1, max: 64 })
+  .matches(/^[a-zA-Z0-9-]+$/)
+  .withMessage('ClientId must contain only alphanumeric characters and hyphens');
+
+const listPathQueryValidation = query('path')
+  .isLength({ min: 1 })
+  .withMessage('Path is required')
+  .not().contains('..')
+  .withMessage('Path cannot contain directory traversal (..)');
+
+const listPagingValidation = [
+  query('depth')
+    .optional()
+    .isInt({ min: 1, max: CONSTANTS.LIST_FILES_MAX_DEPTH })
+    .withMessage(`Depth must be an integer between 1 and ${CONSTANTS.LIST_FILES_MAX_DEPTH}`)
+    .toInt(),
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset must be a non-negative integer')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: CONSTANTS.LIST_FILES_MAX_LIMIT })
+    .withMessage(`Limit must be an integer between 1 and ${CONSTANTS.LIST_FILES_MAX_LIMIT}`)
+    .toInt()
+];
+
+// Rates and schedules are checked with the parser the client applies them with
+const bandwidthValidation = [
+  body('limit')
+    .optional()
+    .custom(value => typeof value === 'number' || typeof value === 'string')
+    .withMessage('Limit must be bytes per second or a rate such as "2M"')
+    .bail()
+    .custom(value => parseRate(value) >= 0),
+  body('schedule')
+    .optional()
+    .isString()
+    .withMessage('Schedule must be a string')
+    .bail()
+    .custom(value => Array.isArray(parseSchedule(value))),
+  body('reset')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Reset must be true or false')
+];
+
+// Values are checked by the client, which knows how each setting is applied
+const configUpdateValidation = [
+  body('settings')
+    .custom(value => value !== null && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0)
+    .withMessage('Settings must be a non-empty object')
+    .bail()
+    .custom((value) => {
+      const unknown = Object.keys(value).filter(key => !REMOTE_CONFIG_KEYS.includes(key));
+      if (unknown.length > 0) {
+        throw new Error(`Settings cannot be changed remotely: ${unknown.join(', ')} (allowed: ${REMOTE_CONFIG_KEYS.join(', ')})`);
+      }
+      return true;
+    }),
+  body('version')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer')
+    .toInt()
+];
+
 const requestIdParamValidation = param('requestId')
   .isUUID(4, { message: 'RequestId must be a valid UUID v4' })
   .withMessage('RequestId must be a valid UUID v4');
@@ -52,8 +123,36 @@ const validateDeleteDownload = [
   handleValidationErrors
 ];
 
+const validateClientAction = [
+  clientIdParamValidation,
+  handleValidationErrors
+];
+
+const validateListFiles = [
+  clientIdParamValidation,
+  listPathQueryValidation,
+  ...listPagingValidation,
+  handleValidationErrors
+];
+
+const validateSetBandwidth = [
+  clientIdParamValidation,
+  ...bandwidthValidation,
+  handleValidationErrors
+];
+
+const validateConfigUpdate = [
+  clientIdParamValidation,
+  ...configUpdateValidation,
+  handleValidationErrors
+];
+
 module.exports = {
   validateDownloadRequest,
+  validateClientAction,
+  validateListFiles,
+  validateSetBandwidth,
+  validateConfigUpdate,
   validateGetDownload,
   validateDeleteDownload,
   handleValidationErrors
@@ -1,16 +1,36 @@
 const WebSocket = require('ws');
+const crypto = require('crypto');
 const logger = require('./utils/logger');
 const config = require('./config');
-const { MESSAGE_TYPES, validateMessage, ERROR_CODES, RETRY_REASONS } = require('../../shared/protocol');
+const { MESSAGE_TYPES, validateMessage, normalizeRange, ERROR_CODES, RETRY_REASONS, CONSTANTS, FEATURES, encodeChunkFrame, decodeChunkFrame } = require('../../shared/protocol');
 const DownloadManager = require('./download-manager');
 const { validate: uuidValidate } = require('uuid');
 const { chunkManager } = require('./chunk-manager');
+const ClientRegistry = require('./client-registry');
+const { selectCodec } = require('./utils/compression');
+const { selectHashAlgorithm } = require('./utils/checksum');
+const { normalizeArchiveOptions } = require('../../shared/tar');
+const { CLIENT_STATUS } = ClientRegistry;
+
+// Message types a socket may send before completing the REGISTER handshake
+// and being approved by an operator
+const UNAUTHENTICATED_MESSAGE_TYPES = new Set([
+  MESSAGE_TYPES.REGISTER,
+  MESSAGE_TYPES.AUTH_RESPONSE,
+  MESSAGE_TYPES.PING,
+  MESSAGE_TYPES.PONG
+]);
 
 class WebSocketServer {
   constructor() {
     this.wss = null;
     this.clients = new Map();
     this.downloadManager = new DownloadManager();
+    this.clientRegistry = new ClientRegistry(config.CLIENT_KEYS_FILE);
+    this.pendingListRequests = new Map(); // requestId -> { clientId, resolve, reject, timer }
+    this.bandwidthOverrides = new Map(); // registeredId -> { limit, schedule } set through the API
+    this.pendingConfigUpdates = new Map(); // requestId -> { clientId, resolve, reject, timer }
+    this.configUpdates = new Map(); // registeredId -> { version, settings } accepted by the client so far
   }
 
   start() {
@@ -46,14 +66,18 @@ class WebSocketServer {
       ws: ws,
       ip: req.socket.remoteAddress,
       connectedAt: new Date(),
-      lastHeartbeat: new Date()
+      lastHeartbeat: new Date(),
+      authenticated: false,
+      approved: false,
+      pendingAuth: null,
+      metadata: {}
     };
 
     this.clients.set(clientId, clientInfo);
     logger.info(`Client connected: ${clientId} from ${clientInfo.ip}`);
 
-    ws.on('message', (data) => {
-      this.handleMessage(clientId, data);
+    ws.on('message', (data, isBinary) => {
+      this.handleMessage(clientId, data, isBinary);
     });
 
     ws.on('close', (code, reason) => {
@@ -71,9 +95,10 @@ class WebSocketServer {
     });
   }
 
-  handleMessage(clientId, data) {
+  handleMessage(clientId, data, isBinary = false) {
     try {
-      const message = JSON.parse(data.toString());
+      // Binary frames carry FILE_CHUNK data without base64 or a JSON parse of the payload
+      const message = isBinary ? decodeChunkFrame(data) : JSON.parse(data.toString());
       logger.debug(`Received message from ${clientId}:`, message.type);
 
       if (!message.type) {
@@ -82,16 +107,34 @@ class WebSocketServer {
 
       validateMessage(message.type, message);
 
+      const client = this.clients.get(clientId);
+      if (client && !client.approved && !UNAUTHENTICATED_MESSAGE_TYPES.has(message.type)) {
+        if (client.authenticated) {
+          logger.warn(`Refusing ${message.type} from client ${client.registeredId}, which is pending approval`);
+          this.sendError(clientId, ERROR_CODES.CLIENT_NOT_APPROVED, `Client must be approved before sending ${message.type}`);
+        } else {
+          logger.warn(`Refusing ${message.type} from unauthenticated connection ${clientId}`);
+          this.sendError(clientId, ERROR_CODES.AUTHENTICATION_REQUIRED, `Complete the REGISTER handshake before sending ${message.type}`);
+        }
+        return;
+      }
+
       switch (message.type) {
         case MESSAGE_TYPES.REGISTER:
           this.handleRegister(clientId, message);
           break;
+        case MESSAGE_TYPES.AUTH_RESPONSE:
+          this.handleAuthResponse(clientId, message);
+          break;
         case MESSAGE_TYPES.DOWNLOAD_REQUEST:
           this.handleDownloadRequest(clientId, message);
           break;
         case MESSAGE_TYPES.DOWNLOAD_ACK:
           this.handleDownloadAck(clientId, message);
           break;
+        case MESSAGE_TYPES.DOWNLOAD_QUEUED:
+          this.handleDownloadQueued(clientId, message);
+          break;
         case MESSAGE_TYPES.FILE_CHUNK:
           this.handleFileChunk(clientId, message);
           break;
@@ -104,12 +147,30 @@ class WebSocketServer {
         case MESSAGE_TYPES.CANCEL_DOWNLOAD:
           this.handleCancelDownload(clientId, message);
           break;
+        case MESSAGE_TYPES.CANCEL_ACK:
+          this.handleCancelAck(clientId, message);
+          break;
+        case MESSAGE_TYPES.LIST_FILES_RESPONSE:
+          this.handleListFilesResponse(clientId, message);
+          break;
+        case MESSAGE_TYPES.BANDWIDTH_STATUS:
+          this.handleBandwidthStatus(clientId, message);
+          break;
+        case MESSAGE_TYPES.CONFIG_UPDATE_ACK:
+          this.handleConfigUpdateAck(clientId, message);
+          break;
+        case MESSAGE_TYPES.CLIENT_SHUTDOWN:
+          this.handleClientShutdown(clientId, message);
+          break;
         case MESSAGE_TYPES.PING:
           this.handlePing(clientId, message);
           break;
         case MESSAGE_TYPES.PONG:
           this.handlePong(clientId, message);
           break;
+        case MESSAGE_TYPES.ERROR:
+          this.handleClientError(clientId, message);
+          break;
         default:
           logger.warn(`Unknown message type: ${message.type} from ${clientId}`);
           this.sendError(clientId, 'INVALID_REQUEST', `Unknown message type: ${message.type}`);
@@ -134,19 +195,274 @@ class WebSocketServer {
     return null;
   }
 
+  /**
+   * Start the REGISTER handshake by challenging the client to sign a nonce
+   * with the key registered for its clientId (or, for a first-time clientId,
+   * the key it presents)
+   * @param {string} clientId - Connection ID
+   * @param {Object} message - REGISTER message
+   */
   handleRegister(clientId, message) {
-    logger.info(`Registering client: ${message.clientId}`);
+    logger.info(`Registration requested by client: ${message.clientId}`);
     
     const client = this.clients.get(clientId);
-    if (client) {
-      client.registeredId = message.clientId;
+    if (!client) {
+      return;
+    }
+
+    if (!/^[a-zA-Z0-9-]{1,64}$/.test(message.clientId)) {
+      this.rejectRegistration(clientId, 'ClientId must be alphanumeric with hyphens, 1-64 characters');
+      return;
+    }
+
+    const entry = this.clientRegistry.get(message.clientId);
+    if (entry && entry.status === CLIENT_STATUS.REVOKED) {
+      this.rejectRegistration(clientId, `Client ${message.clientId} has been revoked`);
+      return;
+    }
+
+    // Chunks could not be checked with anything this server accepts
+    if (!selectHashAlgorithm(message.hashAlgorithms, config.HASH_ALGORITHMS)) {
+      this.rejectRegistration(clientId, `No common hash algorithm; the server accepts ${config.HASH_ALGORITHMS.join(', ')}`);
+      return;
+    }
+
+    const publicKey = entry ? entry.publicKey : message.publicKey;
+    if (!publicKey || !ClientRegistry.isValidPublicKey(publicKey)) {
+      this.rejectRegistration(clientId, 'A valid Ed25519 publicKey is required to register a new client');
+      return;
+    }
+
+    const nonce = crypto.randomBytes(32).toString('base64');
+    client.pendingAuth = {
+      clientId: message.clientId,
+      publicKey,
+      isNewClient: !entry,
+      nonce,
+      register: message
+    };
+
+    this.sendToClient(clientId, {
+      type: MESSAGE_TYPES.AUTH_CHALLENGE,
+      nonce
+    });
+  }
+
+  /**
+   * Finish the REGISTER handshake by verifying the signed challenge
+   * @param {string} clientId - Connection ID
+   * @param {Object} message - AUTH_RESPONSE message
+   */
+  handleAuthResponse(clientId, message) {
+    const client = this.clients.get(clientId);
+    const pending = client && client.pendingAuth;
+    if (!pending) {
+      this.rejectRegistration(clientId, 'No authentication challenge pending');
+      return;
+    }
+    client.pendingAuth = null;
+
+    if (message.clientId !== pending.clientId ||
+        !ClientRegistry.verifyChallenge(pending.publicKey, pending.clientId, pending.nonce, message.signature)) {
+      logger.warn(`Authentication failed for client ${pending.clientId} on connection ${clientId}`);
+      this.rejectRegistration(clientId, 'Challenge signature verification failed');
+      return;
+    }
+
+    if (pending.isNewClient) {
+      try {
+        this.clientRegistry.registerKey(pending.clientId, pending.publicKey);
+      } catch (error) {
+        // Another connection claimed this clientId first
+        this.rejectRegistration(clientId, error.message);
+        return;
+      }
+    }
+
+    this.completeRegistration(clientId, pending.register);
+  }
+
+  completeRegistration(clientId, message) {
+    const client = this.clients.get(clientId);
+
+    // Only one connection may hold an identity; drop a stale one left by a reconnect
+    for (const [otherId, other] of this.clients.entries()) {
+      if (otherId !== clientId && other.registeredId === message.clientId) {
+        logger.info(`Closing previous connection ${otherId} of client ${message.clientId}`);
+        other.ws.terminate();
+        this.clients.delete(otherId);
+      }
     }
 
+    client.registeredId = message.clientId;
+    client.authenticated = true;
+    // Self-reported by the client: hostname, OS, versions, share roots, features
+    client.metadata = message.metadata && typeof message.metadata === 'object' && !Array.isArray(message.metadata)
+      ? message.metadata
+      : {};
+    client.approved = this.clientRegistry.get(message.clientId).status === CLIENT_STATUS.APPROVED;
+    client.compression = selectCodec(message.compression, config.COMPRESSION_CODECS);
+    client.binaryFrames = config.BINARY_FRAMES && message.binaryFrames === true;
+    client.hashAlgorithm = selectHashAlgorithm(message.hashAlgorithms, config.HASH_ALGORITHMS);
+    client.bandwidth = null;
+    if (message.bandwidth && typeof message.bandwidth.limit === 'number') {
+      this.handleBandwidthStatus(clientId, message.bandwidth);
+    }
+    // Remotely configurable settings as the client reports them
+    client.config = message.config && typeof message.config.version === 'number'
+      ? { version: message.config.version, values: message.config.values || {} }
+      : null;
+
+    if (!client.approved) {
+      logger.info(`Client ${message.clientId} registered and is pending approval`);
+      this.sendToClient(clientId, {
+        type: MESSAGE_TYPES.REGISTER_ACK,
+        success: true,
+        message: 'Registration pending approval',
+        compression: client.compression,
+        binaryFrames: client.binaryFrames,
+        hashAlgorithm: client.hashAlgorithm
+      });
+      return;
+    }
+
+    logger.info(`Registered client: ${message.clientId} (chunk compression: ${client.compression}, hash: ${client.hashAlgorithm})`);
     this.sendToClient(clientId, {
       type: MESSAGE_TYPES.REGISTER_ACK,
       success: true,
-      message: 'Registration successful'
+      message: 'Registration successful',
+      compression: client.compression,
+      binaryFrames: client.binaryFrames,
+      hashAlgorithm: client.hashAlgorithm
     });
+
+    this.sendBandwidthOverride(client);
+    this.resendConfig(client);
+    this.resumeDownloads(clientId, message.clientId, message.activeRequests);
+  }
+
+  /**
+   * Approve a client so it may take part in downloads
+   * A connected client is told right away and needs no reconnect
+   * @param {string} registeredId - Registered client ID
+   * @returns {Object|null} Registry entry, or null if the client is unknown
+   */
+  approveClient(registeredId) {
+    const entry = this.clientRegistry.setStatus(registeredId, CLIENT_STATUS.APPROVED);
+    if (!entry) {
+      return null;
+    }
+
+    for (const [clientId, client] of this.clients.entries()) {
+      if (client.registeredId === registeredId && client.authenticated && !client.approved) {
+        client.approved = true;
+        this.sendToClient(clientId, {
+          type: MESSAGE_TYPES.REGISTER_ACK,
+          success: true,
+          message: 'Registration approved'
+        });
+        this.sendBandwidthOverride(client);
+        this.resendConfig(client);
+      }
+    }
+
+    return entry;
+  }
+
+  /**
+   * Revoke a client: cancel its downloads, disconnect it and refuse it from now on
+   * @param {string} registeredId - Registered client ID
+   * @returns {Promise<Object|null>} Registry entry, or null if the client is unknown
+   */
+  async revokeClient(registeredId) {
+    const entry = this.clientRegistry.setStatus(registeredId, CLIENT_STATUS.REVOKED);
+    if (!entry) {
+      return null;
+    }
+
+    const downloads = this.downloadManager.getAllDownloads().filter(download =>
+      download.clientId === registeredId && !this.downloadManager.isTerminal(download.id)
+    );
+    for (const download of downloads) {
+      await this.downloadManager.cancelDownload(download.id, `Client ${registeredId} was revoked`);
+    }
+
+    for (const [clientId, client] of this.clients.entries()) {
+      if (client.registeredId === registeredId) {
+        this.rejectRegistration(clientId, `Client ${registeredId} has been revoked`);
+      }
+    }
+
+    return entry;
+  }
+
+  rejectRegistration(clientId, reason) {
+    logger.warn(`Registration rejected for connection ${clientId}: ${reason}`);
+
+    this.sendToClient(clientId, {
+      type: MESSAGE_TYPES.REGISTER_ACK,
+      success: false,
+      message: reason
+    });
+    this.sendError(clientId, ERROR_CODES.AUTHENTICATION_FAILED, reason);
+
+    const client = this.clients.get(clientId);
+    if (client) {
+      client.ws.close(CONSTANTS.AUTH_FAILED_CLOSE_CODE, 'Authentication failed');
+    }
+  }
+
+  /**
+   * Reconcile outstanding transfers with a client that (re)registered
+   * In-progress downloads are resumed from the missing chunks; requests the
+   * client still holds but the server no longer tracks are cancelled
+   * @param {string} clientId - Connection ID
+   * @param {string} registeredId - Registered client ID
+   * @param {Array<string>} activeRequests - Request IDs the client reports as active
+   */
+  resumeDownloads(clientId, registeredId, activeRequests) {
+    const reported = new Set(Array.isArray(activeRequests) ? activeRequests : []);
+
+    // Requests still waiting for a transfer slot stay queued on the client;
+    // ones it no longer knows about (e.g. after a restart) are asked for again
+    for (const download of this.downloadManager.getWaitingDownloads(registeredId)) {
+      if (!reported.delete(download.id)) {
+        logger.info(`Re-sending DOWNLOAD_REQUEST ${download.id} to client ${registeredId}`);
+        if (download.status === 'interrupted') {
+          this.downloadManager.updateDownload(download.id, { status: 'pending', error: null });
+        }
+        this.sendToClient(clientId, this.buildDownloadRequest(download));
+      }
+    }
+
+    for (const download of this.downloadManager.getResumableDownloads(registeredId)) {
+      reported.delete(download.id);
+
+      const chunkIndices = this.downloadManager.resumeDownload(download.id);
+      this.sendToClient(clientId, {
+        type: MESSAGE_TYPES.RESUME_DOWNLOAD,
+        requestId: download.id,
+        filePath: download.filePath,
+        totalChunks: download.totalChunks,
+        chunkIndices,
+        flowControl: { window: config.FLOW_CONTROL_WINDOW },
+        fileFingerprint: download.fileFingerprint || undefined,
+        hashAlgorithm: download.hashAlgorithm || undefined,
+        // Still owed with DOWNLOAD_COMPLETE when the ACK came without one
+        ...(config.CHUNK_MANIFESTS && !download.manifest && { manifest: true }),
+        ...(download.archive && { archive: download.archive }),
+        ...(download.servedRange && { range: { offset: download.servedRange.offset, length: download.servedRange.length } })
+      });
+    }
+
+    for (const requestId of reported) {
+      logger.info(`Client ${registeredId} still holds request ${requestId}, which is no longer active; cancelling`);
+      this.sendToClient(clientId, {
+        type: MESSAGE_TYPES.CANCEL_DOWNLOAD,
+        requestId,
+        reason: 'Download is no longer active on the server'
+      });
+    }
   }
 
   handleDownloadRequest(clientId, message) {
@@ -171,13 +487,40 @@ class WebSocketServer {
       return;
     }
 
+    // Validate archive options if the request names a directory
+    let archive = null;
+    if (message.archive !== undefined) {
+      try {
+        archive = normalizeArchiveOptions(message.archive);
+      } catch (error) {
+        this.sendError(clientId, 'INVALID_REQUEST', error.message);
+        return;
+      }
+    }
+
+    // Validate the byte range if only part of the file is wanted
+    let range = null;
+    if (message.range !== undefined) {
+      try {
+        range = normalizeRange(message.range);
+      } catch (error) {
+        this.sendError(clientId, 'INVALID_REQUEST', error.message);
+        return;
+      }
+      if (archive) {
+        this.sendError(clientId, 'INVALID_REQUEST', 'A byte range cannot be combined with a directory archive');
+        return;
+      }
+    }
+
     logger.info(`Download request initiated for client: ${message.clientId}, file: ${message.filePath}`);
     
     // Generate a unique request ID if not provided
     const requestId = message.requestId || `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
     // Create download in manager, tracking the requester
-    this.downloadManager.createDownload(message.clientId, message.filePath, requestId, clientId);
+    const priority = Number.isInteger(message.priority) ? message.priority : 0;
+    this.downloadManager.createDownload(message.clientId, message.filePath, requestId, clientId, priority, archive, range);
     
     // Find the target client
     let targetClientId = null;
@@ -193,20 +536,79 @@ class WebSocketServer {
       this.downloadManager.failDownload(requestId, new Error('Client not connected'));
       return;
     }
+
+    if (!this.clients.get(targetClientId).approved) {
+      logger.error(`Target client ${message.clientId} is pending approval`);
+      const error = new Error('Client is pending approval');
+      error.code = ERROR_CODES.CLIENT_NOT_APPROVED;
+      this.downloadManager.failDownload(requestId, error);
+      return;
+    }
+
+    if (this.clients.get(targetClientId).shuttingDown) {
+      logger.error(`Target client ${message.clientId} is shutting down`);
+      const error = new Error('Client is shutting down');
+      error.code = ERROR_CODES.CLIENT_SHUTTING_DOWN;
+      this.downloadManager.failDownload(requestId, error);
+      return;
+    }
+
+    if (archive && !(this.clients.get(targetClientId).metadata.features || []).includes(FEATURES.ARCHIVE)) {
+      logger.error(`Target client ${message.clientId} does not support directory downloads`);
+      const error = new Error('Client does not support directory downloads');
+      error.code = ERROR_CODES.INVALID_REQUEST;
+      this.downloadManager.failDownload(requestId, error);
+      return;
+    }
+
+    if (range && !(this.clients.get(targetClientId).metadata.features || []).includes(FEATURES.RANGE)) {
+      logger.error(`Target client ${message.clientId} does not support byte-range downloads`);
+      const error = new Error('Client does not support byte-range downloads');
+      error.code = ERROR_CODES.INVALID_REQUEST;
+      this.downloadManager.failDownload(requestId, error);
+      return;
+    }
     
     // Send DOWNLOAD_REQUEST to target client
-    const requestMessage = {
-      type: MESSAGE_TYPES.DOWNLOAD_REQUEST,
-      clientId: message.clientId,
-      requestId: requestId,
-      filePath: message.filePath
-    };
+    const requestMessage = this.buildDownloadRequest(this.downloadManager.getDownload(requestId));
     logger.debug(`Sending message to target client:`, JSON.stringify(requestMessage, null, 2));
     this.sendToClient(targetClientId, requestMessage);
     
     logger.info(`Sent DOWNLOAD_REQUEST ${requestId} to client ${message.clientId}`);
   }
 
+  /**
+   * Build the DOWNLOAD_REQUEST that asks a source client for a file
+   * @param {Object} download - Download state
+   * @returns {Object} DOWNLOAD_REQUEST message
+   */
+  buildDownloadRequest(download) {
+    // Requesters are tracked by connection; the source client is told their registered ID
+    const requester = this.clients.get(download.requesterClientId);
+    return {
+      type: MESSAGE_TYPES.DOWNLOAD_REQUEST,
+      clientId: download.clientId,
+      requestId: download.id,
+      filePath: download.filePath,
+      priority: download.priority,
+      ...(download.requesterClientId && { requester: requester ? requester.registeredId : download.requesterClientId }),
+      ...(config.CHUNK_MANIFESTS && { manifest: true }),
+      flowControl: { window: config.FLOW_CONTROL_WINDOW },
+      ...(download.archive && { archive: download.archive }),
+      ...(download.range && { range: download.range })
+    };
+  }
+
+  handleDownloadQueued(clientId, message) {
+    const client = this.clients.get(clientId);
+    const download = this.downloadManager.getDownload(message.requestId);
+    if (!download || download.clientId !== client.registeredId) {
+      logger.warn(`Ignoring DOWNLOAD_QUEUED for unknown request ${message.requestId}`);
+      return;
+    }
+    this.downloadManager.handleDownloadQueued(message.requestId, message);
+  }
+
   handleDownloadAck(clientId, message) {
     logger.info(`Received DOWNLOAD_ACK from ${clientId} for request ${message.requestId}`);
     
@@ -219,8 +621,17 @@ class WebSocketServer {
     // Forward to download manager for processing
     this.downloadManager.handleDownloadAck(message.requestId, message);
     
-    // Forward ACK to the requester
+    // An ACK the server refused (e.g. with a bad manifest) fails the download; stop the client sending
     const download = this.downloadManager.getDownload(message.requestId);
+    if (message.success && download && download.status === 'failed') {
+      this.sendToClient(clientId, {
+        type: MESSAGE_TYPES.CANCEL_DOWNLOAD,
+        requestId: message.requestId,
+        reason: download.error.message
+      });
+    }
+
+    // Forward ACK to the requester
     if (download && download.requesterClientId) {
       this.sendToClient(download.requesterClientId, message);
     }
@@ -237,6 +648,9 @@ class WebSocketServer {
     
     // Forward to download manager for processing
     const result = await this.downloadManager.handleFileChunk(message.requestId, message);
+    if (result.discarded) {
+      return;
+    }
     
     // If chunk failed and needs retry, send RETRY_CHUNK message
     if (!result.success && result.needsRetry) {
@@ -252,11 +666,48 @@ class WebSocketServer {
     
     // Forward chunk to the requester
     const download = this.downloadManager.getDownload(message.requestId);
-    if (download && download.requesterClientId) {
-      this.sendToClient(download.requesterClientId, message);
+    const relayed = download && download.requesterClientId
+      ? this.sendToClientAsync(download.requesterClientId, message)
+      : Promise.resolve();
+
+    // Return the sender's credit only once the chunk is written and relayed,
+    // so slow disks or slow requesters throttle the source client
+    if (download && !message.isRetry) {
+      await relayed;
+      this.grantChunkCredit(clientId, message.requestId, 1);
+    }
+
+    // A DOWNLOAD_COMPLETE held back for missing chunks is processed once the last one arrives
+    if (result.success && download && download.pendingCompletion && this.downloadManager.getMissingChunks(message.requestId).length === 0) {
+      const completion = download.pendingCompletion;
+      this.downloadManager.updateDownload(message.requestId, { pendingCompletion: null });
+      await this.handleDownloadComplete(clientId, completion);
     }
   }
 
+  /**
+   * Grant chunk credits to the client sending a download
+   * @param {string} clientId - Connection ID of the source client
+   * @param {string} requestId - Request ID
+   * @param {number} credits - Number of credits to grant
+   */
+  grantChunkCredit(clientId, requestId, credits) {
+    if (config.FLOW_CONTROL_WINDOW <= 0) {
+      return;
+    }
+
+    const download = this.downloadManager.getDownload(requestId);
+    if (!download || download.status !== 'in_progress') {
+      return;
+    }
+
+    this.sendToClient(clientId, {
+      type: MESSAGE_TYPES.CHUNK_CREDIT,
+      requestId,
+      credits
+    });
+  }
+
   async handleDownloadComplete(clientId, message) {
     logger.info(`Received DOWNLOAD_COMPLETE from ${clientId} for request ${message.requestId}, totalChunks: ${message.totalChunks}`);
     
@@ -265,30 +716,86 @@ class WebSocketServer {
       logger.error(`Received DOWNLOAD_COMPLETE from unknown client: ${clientId}`);
       return;
     }
+
+    if (this.downloadManager.isTerminal(message.requestId)) {
+      logger.info(`Ignoring DOWNLOAD_COMPLETE for finished request ${message.requestId}`);
+      return;
+    }
+
+    // A resumed client completes again, possibly while the held-back completion is being assembled
+    const pending = this.downloadManager.getDownload(message.requestId);
+    if (pending && pending.completing) {
+      logger.info(`Ignoring DOWNLOAD_COMPLETE for request ${message.requestId}, which is already being assembled`);
+      return;
+    }
+
+    // A manifest the client could not send with the ACK comes with the completion;
+    // received chunks that do not match it are fetched again with the missing ones
+    let corruptChunks = [];
+    if (message.manifest && pending && !pending.manifest) {
+      try {
+        corruptChunks = await this.downloadManager.applyManifest(message.requestId, message.manifest);
+      } catch (error) {
+        await this.downloadManager.failDownload(message.requestId, error);
+        this.sendDownloadResult(clientId, this.downloadManager.getDownload(message.requestId));
+        return;
+      }
+    }
     
     // Check for missing chunks before processing completion
     const missingChunks = this.downloadManager.getMissingChunks(message.requestId);
     if (missingChunks.length > 0) {
       logger.warn(`Download ${message.requestId} has ${missingChunks.length} missing chunks, sending retry requests`);
+
+      // Keep the completion until the retried chunks are in
+      this.downloadManager.updateDownload(message.requestId, { pendingCompletion: message });
       
       // Send RETRY_CHUNK for each missing chunk
       for (const chunkIndex of missingChunks) {
-        this.sendRetryChunk(clientId, message.requestId, chunkIndex, RETRY_REASONS.MISSING);
+        this.sendRetryChunk(clientId, message.requestId, chunkIndex, corruptChunks.includes(chunkIndex) ? RETRY_REASONS.CHECKSUM_FAILED : RETRY_REASONS.MISSING);
       }
       
       return;
     }
     
     // Forward to download manager for processing
+    if (pending) {
+      this.downloadManager.updateDownload(message.requestId, { completing: true, pendingCompletion: null });
+    }
     await this.downloadManager.handleDownloadComplete(message.requestId, message);
     
-    // Forward completion to the requester
     const download = this.downloadManager.getDownload(message.requestId);
+    this.sendDownloadResult(clientId, download);
+
+    // Forward completion to the requester
     if (download && download.requesterClientId) {
       this.sendToClient(download.requesterClientId, message);
     }
   }
 
+  /**
+   * Tell the source client whether the file it sent was verified, for its audit log
+   * @param {string} clientId - Connection ID of the source client
+   * @param {Object} download - Download state after assembly
+   */
+  sendDownloadResult(clientId, download) {
+    const client = this.clients.get(clientId);
+    if (!client || !download || !['completed', 'failed'].includes(download.status) || !(client.metadata.features || []).includes(FEATURES.RECEIPTS)) {
+      return;
+    }
+
+    const completed = download.status === 'completed';
+    this.sendToClient(clientId, {
+      type: MESSAGE_TYPES.DOWNLOAD_RESULT,
+      requestId: download.id,
+      success: completed,
+      timestamp: new Date().toISOString(),
+      ...(completed
+        ? { fileSize: download.finalFileSize, fileChecksum: download.checksum, hashAlgorithm: download.hashAlgorithm }
+        : { error: { code: download.error.code || 'DOWNLOAD_FAILED', message: download.error.message } })
+    });
+  }
+
   handleRetryChunk(clientId, message) {
     logger.info(`Retry chunk request from ${clientId} for file: ${message.fileId}, chunk: ${message.chunkIndex}`);
     // This will be implemented in the retry logic module
@@ -299,6 +806,262 @@ class WebSocketServer {
     // This will be implemented in the file transfer module
   }
 
+  handleCancelAck(clientId, message) {
+    this.downloadManager.handleCancelAck(message.requestId, message);
+  }
+
+  /**
+   * Handle an ERROR reported by a client
+   * Errors naming a download the client is serving fail that download, except
+   * a failed single-chunk retry, which the chunk timeout logic retries again
+   * @param {string} clientId - Connection ID
+   * @param {Object} message - ERROR message
+   */
+  async handleClientError(clientId, message) {
+    const client = this.clients.get(clientId);
+    const requestId = message.details && message.details.requestId;
+    logger.error(`Client ${client.registeredId} reported ${message.code}: ${message.message}`);
+
+    if (!requestId || message.code === 'CHUNK_RETRY_FAILED') {
+      return;
+    }
+
+    const download = this.downloadManager.getDownload(requestId);
+    if (!download || download.clientId !== client.registeredId || this.downloadManager.isTerminal(requestId)) {
+      return;
+    }
+
+    const error = new Error(message.message);
+    error.code = message.code;
+    await this.downloadManager.failDownload(requestId, error);
+  }
+
+  /**
+   * Ask a connected client for a directory listing
+   * @param {string} registeredId - Registered client ID
+   * @param {Object} params - `{ path, depth, offset, limit }` as forwarded in LIST_FILES
+   * @returns {Promise<Object>} LIST_FILES_RESPONSE payload of a successful listing
+   * @throws {Error} With `code` set to the protocol error code on failure
+   */
+  requestFileList(registeredId, params) {
+    return this.requestFromClient(registeredId, this.pendingListRequests, config.LIST_FILES_TIMEOUT, 'the listing', requestId => ({
+      type: MESSAGE_TYPES.LIST_FILES,
+      requestId,
+      ...params
+    }));
+  }
+
+  /**
+   * Send a request to an approved client and wait for the reply carrying its requestId
+   * @param {string} registeredId - Registered client ID
+   * @param {Map} pending - Map the reply handler resolves the request from
+   * @param {number} timeout - Milliseconds to wait for the reply
+   * @param {string} description - What is being waited for, used in error messages
+   * @param {Function} buildMessage - Builds the message from the generated requestId
+   * @returns {Promise<Object>} Whatever the reply handler resolves with
+   * @throws {Error} With `code` set to the protocol error code on failure
+   */
+  requestFromClient(registeredId, pending, timeout, description, buildMessage) {
+    const target = this.findClientByRegisteredId(registeredId);
+    if (!target) {
+      const error = new Error(`Client ${registeredId} not connected`);
+      error.code = ERROR_CODES.CLIENT_NOT_CONNECTED;
+      return Promise.reject(error);
+    }
+    if (!target.approved) {
+      const error = new Error(`Client ${registeredId} is pending approval`);
+      error.code = ERROR_CODES.CLIENT_NOT_APPROVED;
+      return Promise.reject(error);
+    }
+
+    const clientId = target.id;
+    const requestId = crypto.randomUUID();
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pending.delete(requestId);
+        const error = new Error(`Client ${registeredId} did not answer ${description} within ${timeout}ms`);
+        error.code = ERROR_CODES.REQUEST_TIMEOUT;
+        reject(error);
+      }, timeout);
+
+      pending.set(requestId, { clientId, resolve, reject, timer, description });
+      this.sendToClient(clientId, buildMessage(requestId));
+    });
+  }
+
+  handleListFilesResponse(clientId, message) {
+    const pending = this.pendingListRequests.get(message.requestId);
+    if (!pending || pending.clientId !== clientId) {
+      logger.warn(`Ignoring LIST_FILES_RESPONSE for unknown request ${message.requestId}`);
+      return;
+    }
+
+    clearTimeout(pending.timer);
+    this.pendingListRequests.delete(message.requestId);
+
+    if (message.success) {
+      pending.resolve(message);
+      return;
+    }
+
+    const { code = ERROR_CODES.FILE_READ_ERROR, message: reason = 'Listing failed' } = message.error || {};
+    const error = new Error(reason);
+    error.code = code;
+    pending.reject(error);
+  }
+
+  /**
+   * Override a client's bandwidth settings
+   * The override is kept and sent again whenever the client registers, so it
+   * survives reconnects and client restarts (but not a server restart)
+   * @param {string} registeredId - Registered client ID
+   * @param {Object|null} settings - `{ limit, schedule }`, or null to return the client to its local settings
+   * @returns {boolean} True if the settings were sent to a connected client
+   */
+  setClientBandwidth(registeredId, settings) {
+    if (settings) {
+      this.bandwidthOverrides.set(registeredId, settings);
+    } else {
+      this.bandwidthOverrides.delete(registeredId);
+    }
+
+    const target = this.findClientByRegisteredId(registeredId);
+    if (!target || !target.approved) {
+      return false;
+    }
+    return this.sendBandwidthOverride(target, !settings);
+  }
+
+  /**
+   * Send the stored bandwidth override to an approved client
+   * @param {Object} client - Connected client
+   * @param {boolean} reset - Send a reset when there is no override
+   * @returns {boolean} True if a SET_BANDWIDTH was sent
+   */
+  sendBandwidthOverride(client, reset = false) {
+    const settings = this.bandwidthOverrides.get(client.registeredId);
+    if (!settings && !reset) {
+      return false;
+    }
+
+    const features = Array.isArray(client.metadata.features) ? client.metadata.features : [];
+    if (!features.includes(FEATURES.BANDWIDTH)) {
+      logger.warn(`Client ${client.registeredId} does not support bandwidth settings`);
+      return false;
+    }
+
+    this.sendToClient(client.id, {
+      type: MESSAGE_TYPES.SET_BANDWIDTH,
+      ...(settings || { reset: true })
+    });
+    return true;
+  }
+
+  handleBandwidthStatus(clientId, message) {
+    const client = this.clients.get(clientId);
+    if (!client) {
+      return;
+    }
+
+    const { limit, baseLimit, schedule, source } = message;
+    client.bandwidth = { limit, baseLimit, schedule, source, reportedAt: new Date().toISOString() };
+    logger.info(`Client ${client.registeredId} bandwidth limit: ${limit || 'unlimited'} B/s (${source})`);
+  }
+
+  /**
+   * Push settings to a connected client and wait for it to apply them
+   * @param {string} registeredId - Registered client ID
+   * @param {Object} settings - `{ KEY: value }` for keys in REMOTE_CONFIG_KEYS
+   * @param {number|null} version - Version of the update; null for one above the client's current version
+   * @returns {Promise<Object>} CONFIG_UPDATE_ACK of the applied update
+   * @throws {Error} With `code` set to the protocol error code (STALE_CONFIG_VERSION for an outdated version)
+   */
+  updateClientConfig(registeredId, settings, version = null) {
+    const target = this.findClientByRegisteredId(registeredId);
+    if (target && !(target.metadata.features || []).includes(FEATURES.REMOTE_CONFIG)) {
+      const error = new Error(`Client ${registeredId} does not support remote configuration`);
+      error.code = ERROR_CODES.INVALID_REQUEST;
+      return Promise.reject(error);
+    }
+
+    const stored = this.configUpdates.get(registeredId);
+    const currentVersion = Math.max(target && target.config ? target.config.version : 0, stored ? stored.version : 0);
+    const nextVersion = version === null ? currentVersion + 1 : version;
+    if (nextVersion <= currentVersion) {
+      const error = new Error(`Config version ${nextVersion} is not newer than the current version ${currentVersion}`);
+      error.code = ERROR_CODES.STALE_CONFIG_VERSION;
+      error.details = { currentVersion };
+      return Promise.reject(error);
+    }
+
+    return this.requestFromClient(registeredId, this.pendingConfigUpdates, config.CONFIG_UPDATE_TIMEOUT, 'the config update', requestId => ({
+      type: MESSAGE_TYPES.CONFIG_UPDATE,
+      requestId,
+      version: nextVersion,
+      settings
+    }));
+  }
+
+  /**
+   * Re-apply accepted config updates to a client that registers with an older
+   * version, e.g. after a restart reset it to its local configuration
+   * @param {Object} client - Connected client
+   */
+  resendConfig(client) {
+    const stored = this.configUpdates.get(client.registeredId);
+    const features = Array.isArray(client.metadata.features) ? client.metadata.features : [];
+    if (!stored || !client.config || client.config.version >= stored.version || !features.includes(FEATURES.REMOTE_CONFIG)) {
+      return;
+    }
+
+    logger.info(`Re-sending config version ${stored.version} to client ${client.registeredId}`);
+    this.sendToClient(client.id, {
+      type: MESSAGE_TYPES.CONFIG_UPDATE,
+      requestId: crypto.randomUUID(),
+      version: stored.version,
+      settings: stored.settings
+    });
+  }
+
+  handleConfigUpdateAck(clientId, message) {
+    const client = this.clients.get(clientId);
+    const pending = this.pendingConfigUpdates.get(message.requestId);
+    if (pending && pending.clientId === clientId) {
+      clearTimeout(pending.timer);
+      this.pendingConfigUpdates.delete(message.requestId);
+    }
+
+    if (message.success) {
+      client.config = { version: message.version, values: message.config || {} };
+      const stored = this.configUpdates.get(client.registeredId);
+      this.configUpdates.set(client.registeredId, {
+        version: message.version,
+        settings: { ...(stored ? stored.settings : {}), ...message.applied }
+      });
+      logger.info(`Client ${client.registeredId} applied config version ${message.version}`);
+    } else {
+      if (client.config) {
+        client.config.version = message.version;
+      }
+      logger.warn(`Client ${client.registeredId} rejected a config update: ${message.error ? message.error.message : 'unknown error'}`);
+    }
+
+    if (!pending || pending.clientId !== clientId) {
+      return;
+    }
+    if (message.success) {
+      pending.resolve(message);
+      return;
+    }
+
+    const { code = ERROR_CODES.INVALID_REQUEST, message: reason = 'Config update rejected', details = {} } = message.error || {};
+    const error = new Error(reason);
+    error.code = code;
+    error.details = details;
+    pending.reject(error);
+  }
+
   handlePing(clientId, message) {
     this.sendToClient(clientId, {
       type: MESSAGE_TYPES.PONG,
@@ -314,23 +1077,109 @@ class WebSocketServer {
     }
   }
 
+  /**
+   * A client announced that it is going away
+   * It is sent no new downloads while it drains; whatever it has not finished
+   * when it disconnects is marked interrupted (see handleClose)
+   * @param {string} clientId - Connection ID
+   * @param {Object} message - CLIENT_SHUTDOWN message
+   */
+  handleClientShutdown(clientId, message) {
+    const client = this.clients.get(clientId);
+    if (!client) {
+      return;
+    }
+
+    client.shuttingDown = { reason: message.reason, drainTimeout: message.drainTimeout, since: new Date() };
+    logger.info(`Client ${client.registeredId} is shutting down (${message.reason}), draining transfers for up to ${message.drainTimeout}ms`);
+  }
+
   handleClose(clientId, code, reason) {
     const client = this.clients.get(clientId);
     if (client) {
       logger.info(`Client disconnected: ${client.registeredId || clientId} (${code}: ${reason})`);
       this.clients.delete(clientId);
     }
+
+    // After an announced shutdown nothing more is coming for now; without one the
+    // downloads stay as they are, waiting for the client to reconnect and resume
+    if (client && client.shuttingDown) {
+      const waiting = this.downloadManager.getWaitingDownloads(client.registeredId);
+      const started = this.downloadManager.getResumableDownloads(client.registeredId);
+      for (const download of [...waiting, ...started]) {
+        this.downloadManager.interruptDownload(download.id, `Client shut down: ${client.shuttingDown.reason}`);
+      }
+    }
+
+    // Listings and config updates the client can no longer answer
+    for (const requests of [this.pendingListRequests, this.pendingConfigUpdates]) {
+      for (const [requestId, pending] of requests.entries()) {
+        if (pending.clientId === clientId) {
+          clearTimeout(pending.timer);
+          requests.delete(requestId);
+          const error = new Error(`Client disconnected before answering ${pending.description}`);
+          error.code = ERROR_CODES.CLIENT_NOT_CONNECTED;
+          pending.reject(error);
+        }
+      }
+    }
   }
 
   sendToClient(clientId, message) {
     const client = this.clients.get(clientId);
     if (client && client.ws.readyState === WebSocket.OPEN) {
       try {
-        client.ws.send(JSON.stringify(message));
+        client.ws.send(this.encodeMessage(client, message));
+      } catch (error) {
+        logger.error(`Error sending message to ${clientId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Send a message and resolve once it has been flushed to the client's socket
+   * Resolves (never rejects) when the client is gone so callers can move on
+   * @param {string} clientId - Target client ID
+   * @param {Object} message - Message to send
+   * @returns {Promise<void>}
+   */
+  sendToClientAsync(clientId, message) {
+    return new Promise((resolve) => {
+      const client = this.clients.get(clientId);
+      if (!client || client.ws.readyState !== WebSocket.OPEN) {
+        resolve();
+        return;
+      }
+      try {
+        client.ws.send(this.encodeMessage(client, message), (error) => {
+          if (error) {
+            logger.error(`Error sending message to ${clientId}:`, error);
+          }
+          resolve();
+        });
       } catch (error) {
         logger.error(`Error sending message to ${clientId}:`, error);
+        resolve();
       }
+    });
+  }
+
+  /**
+   * Serialize a message for one client
+   * FILE_CHUNK messages holding raw data go out as binary frames to clients
+   * that negotiated them and as base64 JSON to everyone else
+   * @param {Object} client - Client connection info
+   * @param {Object} message - Message to send
+   * @returns {string|Buffer} WebSocket payload
+   */
+  encodeMessage(client, message) {
+    if (message.type === MESSAGE_TYPES.FILE_CHUNK && Buffer.isBuffer(message.data)) {
+      if (client.binaryFrames) {
+        return encodeChunkFrame(message);
+      }
+      return JSON.stringify({ ...message, data: message.data.toString('base64') });
     }
+    return JSON.stringify(message);
   }
 
   handleChunkTimeout(data) {
@@ -385,6 +1234,11 @@ class WebSocketServer {
       return;
     }
 
+    if (this.downloadManager.isTerminal(requestId)) {
+      logger.debug(`Not retrying chunk ${chunkIndex} of ${download.status} request ${requestId}`);
+      return;
+    }
+
     const failedChunk = download.failedChunks.get(chunkIndex);
     const attempt = failedChunk ? failedChunk.attempts + 1 : 1;
 
@@ -414,6 +1268,10 @@ class WebSocketServer {
     
     // Send retry message after backoff delay
     setTimeout(() => {
+      if (this.downloadManager.isTerminal(requestId)) {
+        logger.debug(`Dropping RETRY_CHUNK for chunk ${chunkIndex} of finished request ${requestId}`);
+        return;
+      }
       this.sendToClient(clientId, retryMessage);
       logger.info(`Sent RETRY_CHUNK for request ${requestId}, chunk ${chunkIndex}, attempt ${attempt}`);
     }, backoffDelay);
@@ -471,13 +1329,14 @@ class WebSocketServer {
    * @param {string} clientId - Target client ID
    * @param {string} filePath - File path to download
    * @param {string} requesterClientId - Optional requester client ID
+   * @param {number} priority - Queue priority on the target client, higher first
    * @returns {string} Request ID
    */
-  triggerDownload(clientId, filePath, requesterClientId = null) {
+  triggerDownload(clientId, filePath, requesterClientId = null, priority = 0) {
     const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
     // Create download in manager
-    this.downloadManager.createDownload(clientId, filePath, requestId, requesterClientId);
+    this.downloadManager.createDownload(clientId, filePath, requestId, requesterClientId, priority);
     
     // Find the target client
     let targetClientId = null;
@@ -491,13 +1350,13 @@ class WebSocketServer {
     if (!targetClientId) {
       throw new Error(`Client ${clientId} not found`);
     }
+
+    if (!this.clients.get(targetClientId).approved) {
+      throw new Error(`Client ${clientId} is pending approval`);
+    }
     
     // Send DOWNLOAD_REQUEST to target client
-    this.sendToClient(targetClientId, {
-      type: MESSAGE_TYPES.DOWNLOAD_REQUEST,
-      requestId: requestId,
-      filePath: filePath
-    });
+    this.sendToClient(targetClientId, this.buildDownloadRequest(this.downloadManager.getDownload(requestId)));
     
     logger.info(`Triggered download ${requestId} for client ${clientId}, file: ${filePath}`);
     return requestId;
@@ -1,13 +1,19 @@
 // Set test environment ports to avoid conflicts
 process.env.WS_PORT = '0'; // Use random available port
+process.env.CLIENT_KEYS_FILE = require('path').join(require('os').tmpdir(), `silentmode-keys-${process.pid}-server.json`);
 
 // Clear config cache to ensure environment variables are picked up
 delete require.cache[require.resolve('./config')];
 
+const fs = require('fs');
+const crypto = require('crypto');
 const WebSocket = require('ws');
 const WebSocketServer = require('./websocket-server');
 const config = require('./config');
 const logger = require('./utils/logger');
+const { authenticate, enroll, getKeyPair } = require('./test-helpers');
+const { buildAuthPayload, encodeChunkFrame } = require('../../shared/protocol');
+const { createManifest } = require('../../shared/manifest');
 
 describe('WebSocket Server', () => {
   let server;
@@ -28,6 +34,7 @@ describe('WebSocket Server', () => {
     if (server) {
       await server.stop();
     }
+    fs.rmSync(config.CLIENT_KEYS_FILE, { force: true });
   });
 
   test('server starts and accepts connections', (done) => {
@@ -150,4 +157,795 @@ describe('WebSocket Server', () => {
       done(error);
     });
   });
+
+  test('grants a chunk credit once a FILE_CHUNK has been processed', (done) => {
+    const { chunkManager } = require('./chunk-manager');
+    const ws = new WebSocket(wsUrl);
+    const requestId = 'credit-test-request';
+    const data = Buffer.from('flow controlled chunk');
+
+    ws.on('open', () => {
+      enroll(server, ws, 'credit-client').then(() => {
+        server.downloadManager.createDownload('credit-client', '/tmp/file.txt', requestId);
+        ws.send(JSON.stringify({
+          type: 'DOWNLOAD_ACK',
+          requestId,
+          success: true,
+          fileSize: data.length,
+          totalChunks: 1,
+          fileChecksum: ''
+        }));
+        ws.send(JSON.stringify({
+          type: 'FILE_CHUNK',
+          requestId,
+          chunkIndex: 0,
+          totalChunks: 1,
+          data: data.toString('base64'),
+          checksum: crypto.createHash('sha256').update(data).digest('hex')
+        }));
+      }, done);
+    });
+
+    ws.on('message', (raw) => {
+      const message = JSON.parse(raw.toString());
+      if (message.type === 'CHUNK_CREDIT') {
+        expect(message).toMatchObject({ requestId, credits: 1 });
+        chunkManager.cleanup(requestId);
+        ws.close();
+        done();
+      }
+    });
+
+    ws.on('error', (error) => {
+      done(error);
+    });
+  });
+
+  test('accepts a FILE_CHUNK sent as a binary frame', async () => {
+    const { chunkManager } = require('./chunk-manager');
+    const ws = new WebSocket(wsUrl);
+    const requestId = 'binary-frame-request';
+    const data = Buffer.from([0, 1, 2, 253, 254, 255]);
+    await new Promise(resolve => ws.on('open', resolve));
+
+    const ack = await authenticate(ws, 'binary-client', { binaryFrames: true });
+    expect(ack.binaryFrames).toBe(config.BINARY_FRAMES);
+    server.approveClient('binary-client');
+
+    server.downloadManager.createDownload('binary-client', '/tmp/file.bin', requestId);
+    server.downloadManager.handleDownloadAck(requestId, {
+      success: true,
+      fileSize: data.length,
+      totalChunks: 1,
+      fileChecksum: ''
+    });
+
+    const credit = new Promise(resolve => ws.on('message', (raw) => {
+      const message = JSON.parse(raw.toString());
+      if (message.type === 'CHUNK_CREDIT') {
+        resolve(message);
+      }
+    }));
+    ws.send(encodeChunkFrame({
+      type: 'FILE_CHUNK',
+      requestId,
+      chunkIndex: 0,
+      totalChunks: 1,
+      data,
+      checksum: crypto.createHash('sha256').update(data).digest('hex')
+    }), { binary: true });
+
+    expect(await credit).toMatchObject({ requestId, credits: 1 });
+    expect(server.downloadManager.getDownload(requestId).receivedChunkIndices.has(0)).toBe(true);
+    chunkManager.cleanup(requestId);
+    ws.close();
+  });
+
+  test('keeps base64 JSON chunks for clients that do not offer binary frames', async () => {
+    const ws = new WebSocket(wsUrl);
+    await new Promise(resolve => ws.on('open', resolve));
+
+    const ack = await authenticate(ws, 'json-frames-client');
+
+    expect(ack.binaryFrames).toBe(false);
+    const client = server.findClientByRegisteredId('json-frames-client');
+    const payload = server.encodeMessage(client, { type: 'FILE_CHUNK', data: Buffer.from('abc') });
+    expect(JSON.parse(payload).data).toBe(Buffer.from('abc').toString('base64'));
+    ws.close();
+  });
+
+  test('asks a re-registering client to resume missing chunks', (done) => {
+    const { chunkManager } = require('./chunk-manager');
+    const requestId = 'resume-test-request';
+    server.downloadManager.createDownload('resume-client', '/tmp/file.txt', requestId);
+    const fileFingerprint = { size: 3 * 1048576, mtimeMs: 1700000000000, ino: 42 };
+    server.downloadManager.handleDownloadAck(requestId, {
+      success: true,
+      fileSize: 3 * 1048576,
+      totalChunks: 3,
+      fileChecksum: '',
+      fileFingerprint
+    });
+    server.downloadManager.getDownload(requestId).receivedChunkIndices.add(0);
+
+    // A known, approved client coming back after a disconnect
+    server.clientRegistry.registerKey('resume-client', getKeyPair('resume-client').publicKey.export({ type: 'spki', format: 'pem' }));
+    server.approveClient('resume-client');
+
+    const ws = new WebSocket(wsUrl);
+    const received = [];
+
+    ws.on('open', () => {
+      authenticate(ws, 'resume-client', { activeRequests: [requestId, 'stale-request'] }).catch(done);
+    });
+
+    ws.on('message', (raw) => {
+      const message = JSON.parse(raw.toString());
+      if (message.type === 'RESUME_DOWNLOAD' || message.type === 'CANCEL_DOWNLOAD') {
+        received.push(message);
+      }
+      if (received.length === 2) {
+        expect(received[0]).toMatchObject({
+          type: 'RESUME_DOWNLOAD',
+          requestId,
+          filePath: '/tmp/file.txt',
+          totalChunks: 3,
+          chunkIndices: [1, 2],
+          fileFingerprint
+        });
+        expect(received[1]).toMatchObject({ type: 'CANCEL_DOWNLOAD', requestId: 'stale-request' });
+        chunkManager.cleanup(requestId);
+        ws.close();
+        done();
+      }
+    });
+
+    ws.on('error', (error) => {
+      done(error);
+    });
+  });
+
+  test('keeps queued requests on reconnect and re-sends ones the client lost', (done) => {
+    const queuedId = server.downloadManager.createDownload('queue-client', '/tmp/queued.txt', 'queued-request');
+    server.downloadManager.handleDownloadQueued(queuedId, { requestId: queuedId, position: 1 });
+    const lostId = server.downloadManager.createDownload('queue-client', '/tmp/lost.txt', 'lost-request', null, 5);
+    server.downloadManager.handleDownloadQueued(lostId, { requestId: lostId, position: 2 });
+
+    server.clientRegistry.registerKey('queue-client', getKeyPair('queue-client').publicKey.export({ type: 'spki', format: 'pem' }));
+    server.approveClient('queue-client');
+
+    const ws = new WebSocket(wsUrl);
+    const received = [];
+
+    ws.on('open', () => {
+      authenticate(ws, 'queue-client', { activeRequests: [queuedId] }).then(() => {
+        // Anything sent in reply to REGISTER has arrived by the time PONG does
+        ws.send(JSON.stringify({ type: 'PING', timestamp: new Date().toISOString() }));
+      }, done);
+    });
+
+    ws.on('message', (raw) => {
+      const message = JSON.parse(raw.toString());
+      if (message.type === 'DOWNLOAD_REQUEST' || message.type === 'CANCEL_DOWNLOAD') {
+        received.push(message);
+      }
+      if (message.type === 'PONG') {
+        expect(received).toHaveLength(1);
+        expect(received[0]).toMatchObject({ type: 'DOWNLOAD_REQUEST', requestId: lostId, filePath: '/tmp/lost.txt', priority: 5 });
+        expect(server.downloadManager.getDownload(queuedId).status).toBe('queued');
+        ws.close();
+        done();
+      }
+    });
+
+    ws.on('error', (error) => {
+      done(error);
+    });
+  });
+
+  test('marks a shut-down client\'s downloads interrupted and resumes them when it returns', async () => {
+    const { chunkManager } = require('./chunk-manager');
+    const startedId = server.downloadManager.createDownload('draining-client', '/tmp/started.txt', 'draining-started');
+    server.downloadManager.handleDownloadAck(startedId, { success: true, fileSize: 20, totalChunks: 2, fileChecksum: '' });
+    server.downloadManager.getDownload(startedId).receivedChunkIndices.add(0);
+    const waitingId = server.downloadManager.createDownload('draining-client', '/tmp/waiting.txt', 'draining-waiting');
+
+    const ws = new WebSocket(wsUrl);
+    await new Promise(resolve => ws.on('open', resolve));
+    await enroll(server, ws, 'draining-client');
+
+    ws.send(JSON.stringify({ type: 'CLIENT_SHUTDOWN', reason: 'SIGTERM received', drainTimeout: 30000, timestamp: new Date().toISOString() }));
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(server.findClientByRegisteredId('draining-client').shuttingDown).toMatchObject({ reason: 'SIGTERM received' });
+
+    // No new downloads while it drains
+    server.handleDownloadRequest('api', { clientId: 'draining-client', filePath: '/tmp/late.txt', requestId: crypto.randomUUID() });
+    const late = server.downloadManager.getAllDownloads().find(download => download.filePath === '/tmp/late.txt');
+    expect(late).toMatchObject({ status: 'failed', error: { code: 'CLIENT_SHUTTING_DOWN' } });
+
+    ws.close(1001, 'Client shutting down');
+    await new Promise(resolve => ws.on('close', resolve));
+    await new Promise(resolve => setTimeout(resolve, 50));
+    for (const requestId of [startedId, waitingId]) {
+      expect(server.downloadManager.getDownload(requestId)).toMatchObject({
+        status: 'interrupted',
+        error: { code: 'CLIENT_SHUTTING_DOWN', message: 'Client shut down: SIGTERM received' }
+      });
+    }
+
+    // The restarted client holds nothing; the started download resumes and the other is asked for again
+    const returned = new WebSocket(wsUrl);
+    const received = [];
+    returned.on('message', (raw) => {
+      const message = JSON.parse(raw.toString());
+      if (['RESUME_DOWNLOAD', 'DOWNLOAD_REQUEST'].includes(message.type)) {
+        received.push(message);
+      }
+    });
+    await new Promise(resolve => returned.on('open', resolve));
+    await authenticate(returned, 'draining-client', { activeRequests: [] });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(received).toEqual(expect.arrayContaining([
+      expect.objectContaining({ type: 'DOWNLOAD_REQUEST', requestId: waitingId }),
+      expect.objectContaining({ type: 'RESUME_DOWNLOAD', requestId: startedId, chunkIndices: [1] })
+    ]));
+    expect(server.downloadManager.getDownload(startedId).status).toBe('in_progress');
+    expect(server.downloadManager.getDownload(waitingId)).toMatchObject({ status: 'pending', error: null });
+    chunkManager.cleanup(startedId);
+    returned.close();
+  });
+
+  test('asks for directory archives only from clients with the feature and resumes them with their options', async () => {
+    const { chunkManager } = require('./chunk-manager');
+    const ws = new WebSocket(wsUrl);
+    const received = [];
+    ws.on('message', (raw) => {
+      const message = JSON.parse(raw.toString());
+      if (['RESUME_DOWNLOAD', 'DOWNLOAD_REQUEST'].includes(message.type)) {
+        received.push(message);
+      }
+    });
+    await new Promise(resolve => ws.on('open', resolve));
+    await enroll(server, ws, 'archiving-client', { metadata: { features: ['archive'] } });
+
+    const requestId = crypto.randomUUID();
+    server.handleDownloadRequest('api', { clientId: 'archiving-client', filePath: '/var/log/app', requestId, archive: { format: 'tar.gz', exclude: ['*.tmp'] } });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const archive = { format: 'tar.gz', include: [], exclude: ['*.tmp'], maxFiles: 10000, extract: false };
+    expect(received).toEqual([expect.objectContaining({ type: 'DOWNLOAD_REQUEST', requestId, filePath: '/var/log/app', archive })]);
+
+    // A reconnect resumes the archive with the same options
+    server.downloadManager.handleDownloadAck(requestId, { success: true, fileSize: 20, totalChunks: 2, fileChecksum: '' });
+    ws.close();
+    await new Promise(resolve => ws.on('close', resolve));
+    const returned = new WebSocket(wsUrl);
+    const resumed = new Promise(resolve => returned.on('message', (raw) => {
+      const message = JSON.parse(raw.toString());
+      if (message.type === 'RESUME_DOWNLOAD') {
+        resolve(message);
+      }
+    }));
+    await new Promise(resolve => returned.on('open', resolve));
+    await authenticate(returned, 'archiving-client', { activeRequests: [requestId], metadata: { features: ['archive'] } });
+    expect(await resumed).toMatchObject({ requestId, archive });
+    chunkManager.cleanup(requestId);
+    returned.close();
+
+    // Clients that predate the feature get a failed download instead of a request they would misread
+    const legacy = new WebSocket(wsUrl);
+    await new Promise(resolve => legacy.on('open', resolve));
+    await enroll(server, legacy, 'legacy-client', { metadata: { features: [] } });
+    const legacyId = crypto.randomUUID();
+    server.handleDownloadRequest('api', { clientId: 'legacy-client', filePath: '/var/log/app', requestId: legacyId, archive: true });
+    expect(server.downloadManager.getDownload(legacyId)).toMatchObject({ status: 'failed', error: { code: 'INVALID_REQUEST' } });
+    legacy.close();
+  });
+
+  test('fails a download when its source client reports FILE_CHANGED', async () => {
+    const ws = new WebSocket(wsUrl);
+    await new Promise(resolve => ws.on('open', resolve));
+    await enroll(server, ws, 'changing-client');
+
+    const requestId = server.downloadManager.createDownload('changing-client', '/tmp/app.log');
+    server.downloadManager.handleDownloadAck(requestId, {
+      success: true,
+      fileSize: 10,
+      totalChunks: 1,
+      fileChecksum: ''
+    });
+
+    ws.send(JSON.stringify({
+      type: 'ERROR',
+      code: 'FILE_CHANGED',
+      message: 'File transfer failed: Source file changed during the transfer: size changed from 10 to 20 bytes',
+      details: { requestId }
+    }));
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(server.downloadManager.getDownload(requestId)).toMatchObject({
+      status: 'failed',
+      error: { code: 'FILE_CHANGED' }
+    });
+    ws.close();
+  });
+
+  test('tells a client with the receipts feature whether the file it sent was verified', async () => {
+    const ws = new WebSocket(wsUrl);
+    const results = [];
+    ws.on('message', (raw) => {
+      const message = JSON.parse(raw.toString());
+      if (message.type === 'DOWNLOAD_RESULT') {
+        results.push(message);
+      }
+    });
+    await new Promise(resolve => ws.on('open', resolve));
+    await enroll(server, ws, 'receipt-client', { metadata: { features: ['receipts'] } });
+
+    const data = Buffer.from('audited log line\n');
+    const checksum = crypto.createHash('sha256').update(data).digest('hex');
+    const send = async (fileChecksum) => {
+      const requestId = server.downloadManager.createDownload('receipt-client', '/var/log/audited.log');
+      server.downloadManager.handleDownloadAck(requestId, { success: true, fileSize: data.length, totalChunks: 1, fileChecksum: '' });
+      await server.downloadManager.handleFileChunk(requestId, { requestId, chunkIndex: 0, totalChunks: 1, data: data.toString('base64'), checksum });
+      ws.send(JSON.stringify({ type: 'DOWNLOAD_COMPLETE', requestId, totalChunks: 1, fileChecksum, timestamp: new Date().toISOString() }));
+      return requestId;
+    };
+
+    const verifiedId = await send(checksum);
+    const rejectedId = await send('0'.repeat(64));
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    try {
+      expect(results).toEqual([
+        expect.objectContaining({ requestId: verifiedId, success: true, fileSize: data.length, fileChecksum: checksum }),
+        expect.objectContaining({ requestId: rejectedId, success: false, error: expect.objectContaining({ message: expect.stringContaining('Checksum mismatch') }) })
+      ]);
+    } finally {
+      fs.rmSync(server.downloadManager.getDownload(verifiedId).finalFilePath, { force: true });
+      ws.close();
+    }
+  });
+
+  test('finishes a completed download once the chunks it was missing are retried', async () => {
+    const ws = new WebSocket(wsUrl);
+    const received = [];
+    ws.on('message', (raw) => {
+      const message = JSON.parse(raw.toString());
+      if (['RETRY_CHUNK', 'DOWNLOAD_RESULT'].includes(message.type)) {
+        received.push(message);
+      }
+    });
+    await new Promise(resolve => ws.on('open', resolve));
+    await enroll(server, ws, 'missing-chunk-client', { metadata: { features: ['receipts'] } });
+
+    const chunks = [Buffer.alloc(config.CHUNK_SIZE, 'a'), Buffer.from('last chunk\n')];
+    const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+    const requestId = server.downloadManager.createDownload('missing-chunk-client', '/var/log/split.log');
+    server.downloadManager.handleDownloadAck(requestId, { success: true, fileSize: config.CHUNK_SIZE + 11, totalChunks: 2, fileChecksum: '' });
+    await server.downloadManager.handleFileChunk(requestId, { requestId, chunkIndex: 0, totalChunks: 2, data: chunks[0].toString('base64'), checksum: sha256(chunks[0]) });
+
+    const waitFor = type => new Promise((resolve) => {
+      const check = setInterval(() => {
+        const message = received.find(candidate => candidate.type === type);
+        if (message) {
+          clearInterval(check);
+          resolve(message);
+        }
+      }, 20);
+    });
+
+    try {
+      ws.send(JSON.stringify({ type: 'DOWNLOAD_COMPLETE', requestId, totalChunks: 2, fileChecksum: sha256(Buffer.concat(chunks)), timestamp: new Date().toISOString() }));
+      await expect(waitFor('RETRY_CHUNK')).resolves.toMatchObject({ requestId, chunkIndex: 1, reason: 'MISSING' });
+      expect(server.downloadManager.getDownload(requestId).status).toBe('in_progress');
+
+      ws.send(JSON.stringify({ type: 'FILE_CHUNK', requestId, chunkIndex: 1, totalChunks: 2, data: chunks[1].toString('base64'), checksum: sha256(chunks[1]), isRetry: true, retryAttempt: 1, timestamp: new Date().toISOString() }));
+      await expect(waitFor('DOWNLOAD_RESULT')).resolves.toMatchObject({ requestId, success: true, fileSize: config.CHUNK_SIZE + 11 });
+      expect(fs.readFileSync(server.downloadManager.getDownload(requestId).finalFilePath)).toEqual(Buffer.concat(chunks));
+    } finally {
+      fs.rmSync(server.downloadManager.getDownload(requestId).finalFilePath || '', { force: true });
+      ws.close();
+    }
+  });
+
+  test('fetches again the chunks that do not match a manifest sent with the completion', async () => {
+    const ws = new WebSocket(wsUrl);
+    const received = [];
+    ws.on('message', (raw) => {
+      const message = JSON.parse(raw.toString());
+      if (['RETRY_CHUNK', 'DOWNLOAD_RESULT'].includes(message.type)) {
+        received.push(message);
+      }
+    });
+    await new Promise(resolve => ws.on('open', resolve));
+    await enroll(server, ws, 'late-manifest-client', { metadata: { features: ['receipts', 'manifest'] } });
+
+    const chunks = [Buffer.alloc(config.CHUNK_SIZE, 'a'), Buffer.from('last chunk\n')];
+    const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+    const requestId = server.downloadManager.createDownload('late-manifest-client', '/var/log/late.log');
+    server.downloadManager.handleDownloadAck(requestId, { success: true, fileSize: config.CHUNK_SIZE + 11, totalChunks: 2, fileChecksum: '' });
+    // The last chunk arrives cut short, with a checksum of what is left
+    const truncated = chunks[1].subarray(0, 4);
+    await server.downloadManager.handleFileChunk(requestId, { requestId, chunkIndex: 0, totalChunks: 2, data: chunks[0].toString('base64'), checksum: sha256(chunks[0]) });
+    await server.downloadManager.handleFileChunk(requestId, { requestId, chunkIndex: 1, totalChunks: 2, data: truncated.toString('base64'), checksum: sha256(truncated) });
+
+    const waitFor = type => new Promise((resolve) => {
+      const check = setInterval(() => {
+        const message = received.find(candidate => candidate.type === type);
+        if (message) {
+          clearInterval(check);
+          resolve(message);
+        }
+      }, 20);
+    });
+
+    try {
+      ws.send(JSON.stringify({
+        type: 'DOWNLOAD_COMPLETE',
+        requestId,
+        totalChunks: 2,
+        fileChecksum: sha256(Buffer.concat(chunks)),
+        manifest: createManifest(chunks.map(sha256), config.CHUNK_SIZE),
+        timestamp: new Date().toISOString()
+      }));
+      await expect(waitFor('RETRY_CHUNK')).resolves.toMatchObject({ requestId, chunkIndex: 1, reason: 'CHECKSUM_FAILED' });
+
+      ws.send(JSON.stringify({ type: 'FILE_CHUNK', requestId, chunkIndex: 1, totalChunks: 2, data: chunks[1].toString('base64'), checksum: sha256(chunks[1]), isRetry: true, retryAttempt: 1, timestamp: new Date().toISOString() }));
+      await expect(waitFor('DOWNLOAD_RESULT')).resolves.toMatchObject({ requestId, success: true });
+      expect(server.downloadManager.getDownload(requestId).manifestPath).toBe(`${server.downloadManager.getDownload(requestId).finalFilePath}.manifest.json`);
+    } finally {
+      const download = server.downloadManager.getDownload(requestId);
+      fs.rmSync(download.finalFilePath || '', { force: true });
+      fs.rmSync(download.manifestPath || '', { force: true });
+      ws.close();
+    }
+  });
+
+  test('refuses messages from a connection that has not authenticated', (done) => {
+    const ws = new WebSocket(wsUrl);
+
+    ws.on('open', () => {
+      ws.send(JSON.stringify({
+        type: 'DOWNLOAD_REQUEST',
+        clientId: 'some-client',
+        filePath: '/tmp/file.txt'
+      }));
+    });
+
+    ws.on('message', (raw) => {
+      const message = JSON.parse(raw.toString());
+      if (message.type === 'ERROR') {
+        expect(message.code).toBe('AUTHENTICATION_REQUIRED');
+        ws.close();
+        done();
+      }
+    });
+
+    ws.on('error', (error) => {
+      done(error);
+    });
+  });
+
+  test('rejects a registration signed with a key other than the stored one', (done) => {
+    const first = new WebSocket(wsUrl);
+
+    first.on('open', () => {
+      enroll(server, first, 'pinned-client').then(() => {
+        first.close();
+
+        const impostor = new WebSocket(wsUrl);
+        const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+
+        impostor.on('open', () => {
+          impostor.send(JSON.stringify({
+            type: 'REGISTER',
+            clientId: 'pinned-client',
+            publicKey: publicKey.export({ type: 'spki', format: 'pem' })
+          }));
+        });
+
+        impostor.on('message', (raw) => {
+          const message = JSON.parse(raw.toString());
+          if (message.type === 'AUTH_CHALLENGE') {
+            impostor.send(JSON.stringify({
+              type: 'AUTH_RESPONSE',
+              clientId: 'pinned-client',
+              signature: crypto.sign(null, Buffer.from(buildAuthPayload('pinned-client', message.nonce)), privateKey).toString('base64')
+            }));
+          }
+        });
+
+        impostor.on('close', (code) => {
+          expect(code).toBe(4401);
+          done();
+        });
+      }, done);
+    });
+
+    first.on('error', (error) => {
+      done(error);
+    });
+  });
+
+  test('binds a new clientId to the key it first registers with, pending approval', async () => {
+    const ws = new WebSocket(wsUrl);
+    await new Promise(resolve => ws.on('open', resolve));
+
+    const ack = await authenticate(ws, 'tofu-client');
+    ws.close();
+
+    expect(ack.message).toBe('Registration pending approval');
+    const stored = JSON.parse(fs.readFileSync(config.CLIENT_KEYS_FILE, 'utf8'));
+    expect(stored.clients['tofu-client']).toMatchObject({ status: 'pending_approval' });
+    expect(stored.clients['tofu-client'].publicKey).toContain('BEGIN PUBLIC KEY');
+  });
+
+  test('stores the metadata a client reports in REGISTER', async () => {
+    const ws = new WebSocket(wsUrl);
+    await new Promise(resolve => ws.on('open', resolve));
+
+    const metadata = {
+      hostname: 'store-42',
+      os: 'linux',
+      nodeVersion: 'v20.0.0',
+      version: '1.2.0',
+      shareRoots: [{ path: '/srv/data', freeDiskSpace: 1024 }],
+      features: ['flow-control', 'resume']
+    };
+    await authenticate(ws, 'metadata-client', { metadata });
+
+    expect(server.findClientByRegisteredId('metadata-client').metadata).toEqual(metadata);
+    ws.close();
+  });
+
+  test('negotiates the server\'s most preferred codec the client offers', async () => {
+    const ws = new WebSocket(wsUrl);
+    await new Promise(resolve => ws.on('open', resolve));
+
+    const ack = await authenticate(ws, 'compression-client', { compression: ['gzip', 'br', 'zstd'] });
+
+    expect(ack.compression).toBe(config.COMPRESSION_CODECS.find(codec => ['gzip', 'br'].includes(codec)));
+    expect(server.findClientByRegisteredId('compression-client').compression).toBe(ack.compression);
+    ws.close();
+  });
+
+  test('leaves chunks uncompressed for clients that offer no codec', async () => {
+    const ws = new WebSocket(wsUrl);
+    await new Promise(resolve => ws.on('open', resolve));
+
+    const ack = await authenticate(ws, 'plain-client');
+
+    expect(ack.compression).toBe('none');
+    ws.close();
+  });
+
+  test('negotiates the server\'s most preferred hash algorithm the client offers', async () => {
+    const ws = new WebSocket(wsUrl);
+    await new Promise(resolve => ws.on('open', resolve));
+
+    const ack = await authenticate(ws, 'hash-client', { hashAlgorithms: ['blake2b512', 'sha512', 'whirlpool'] });
+
+    expect(ack.hashAlgorithm).toBe(config.HASH_ALGORITHMS.find(algorithm => ['blake2b512', 'sha512'].includes(algorithm)));
+    expect(server.findClientByRegisteredId('hash-client').hashAlgorithm).toBe(ack.hashAlgorithm);
+    ws.close();
+  });
+
+  test('hashes with sha256 for clients that offer no hash algorithm, and refuses clients with none in common', async () => {
+    const plain = new WebSocket(wsUrl);
+    await new Promise(resolve => plain.on('open', resolve));
+    expect((await authenticate(plain, 'plain-hash-client')).hashAlgorithm).toBe('sha256');
+    plain.close();
+
+    const ws = new WebSocket(wsUrl);
+    await new Promise(resolve => ws.on('open', resolve));
+    await expect(authenticate(ws, 'md5-client', { hashAlgorithms: ['md5'] }))
+      .rejects.toThrow(`No common hash algorithm; the server accepts ${config.HASH_ALGORITHMS.join(', ')}`);
+    ws.close();
+  });
+
+  test('refuses messages from a client that is pending approval', async () => {
+    const ws = new WebSocket(wsUrl);
+    await new Promise(resolve => ws.on('open', resolve));
+    await authenticate(ws, 'pending-client');
+
+    const error = new Promise(resolve => ws.on('message', (raw) => {
+      const message = JSON.parse(raw.toString());
+      if (message.type === 'ERROR') {
+        resolve(message);
+      }
+    }));
+    ws.send(JSON.stringify({
+      type: 'DOWNLOAD_REQUEST',
+      clientId: 'pending-client',
+      filePath: '/tmp/file.txt'
+    }));
+
+    expect((await error).code).toBe('CLIENT_NOT_APPROVED');
+    ws.close();
+  });
+
+  test('disconnects a revoked client and refuses it on reconnect', async () => {
+    const ws = new WebSocket(wsUrl);
+    await new Promise(resolve => ws.on('open', resolve));
+    await enroll(server, ws, 'revoked-client');
+
+    const requestId = server.downloadManager.createDownload('revoked-client', '/tmp/file.txt');
+    const closed = new Promise(resolve => ws.on('close', resolve));
+    await server.revokeClient('revoked-client');
+
+    expect(await closed).toBe(4401);
+    expect(server.downloadManager.getDownload(requestId).status).toBe('cancelled');
+
+    const again = new WebSocket(wsUrl);
+    await new Promise(resolve => again.on('open', resolve));
+    await expect(authenticate(again, 'revoked-client')).rejects.toThrow('has been revoked');
+  });
+
+  test('relays a directory listing between the API and a client', async () => {
+    const ws = new WebSocket(wsUrl);
+    await new Promise(resolve => ws.on('open', resolve));
+    await enroll(server, ws, 'listing-client');
+
+    ws.on('message', (raw) => {
+      const message = JSON.parse(raw.toString());
+      if (message.type === 'LIST_FILES') {
+        expect(message).toMatchObject({ path: '/var/log', depth: 2 });
+        ws.send(JSON.stringify({
+          type: 'LIST_FILES_RESPONSE',
+          requestId: message.requestId,
+          success: true,
+          path: '/var/log',
+          entries: [{ name: 'app.log', path: '/var/log/app.log', type: 'file', size: 3, mtime: new Date().toISOString() }],
+          total: 1,
+          offset: 0,
+          limit: 100,
+          truncated: false
+        }));
+      }
+    });
+
+    const listing = await server.requestFileList('listing-client', { path: '/var/log', depth: 2 });
+    expect(listing.entries.map(entry => entry.name)).toEqual(['app.log']);
+    expect(server.pendingListRequests.size).toBe(0);
+    ws.close();
+  });
+
+  test('sends a stored bandwidth override when the client registers and records its status', async () => {
+    expect(server.setClientBandwidth('throttled-client', { limit: 2097152, schedule: '22:00-06:00=unlimited' })).toBe(false);
+
+    const ws = new WebSocket(wsUrl);
+    await new Promise(resolve => ws.on('open', resolve));
+
+    const settings = new Promise(resolve => ws.on('message', (raw) => {
+      const message = JSON.parse(raw.toString());
+      if (message.type === 'SET_BANDWIDTH') {
+        resolve(message);
+      }
+    }));
+    await enroll(server, ws, 'throttled-client', {
+      metadata: { features: ['bandwidth'] },
+      bandwidth: { limit: 0, baseLimit: 0, schedule: '', source: 'local' }
+    });
+    expect(server.findClientByRegisteredId('throttled-client').bandwidth).toMatchObject({ limit: 0, source: 'local' });
+
+    expect(await settings).toMatchObject({ limit: 2097152, schedule: '22:00-06:00=unlimited' });
+    ws.send(JSON.stringify({
+      type: 'BANDWIDTH_STATUS',
+      limit: 2097152,
+      baseLimit: 2097152,
+      schedule: '22:00-06:00=unlimited',
+      source: 'server'
+    }));
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(server.findClientByRegisteredId('throttled-client').bandwidth).toMatchObject({ limit: 2097152, source: 'server' });
+    ws.close();
+  });
+
+  test('does not send bandwidth settings to clients without the feature', async () => {
+    const ws = new WebSocket(wsUrl);
+    await new Promise(resolve => ws.on('open', resolve));
+    await enroll(server, ws, 'unthrottled-client', { metadata: { features: ['flow-control'] } });
+
+    const received = [];
+    ws.on('message', raw => received.push(JSON.parse(raw.toString()).type));
+
+    expect(server.setClientBandwidth('unthrottled-client', { limit: 1024 })).toBe(false);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(received).not.toContain('SET_BANDWIDTH');
+    ws.close();
+  });
+
+  test('pushes a config update, records the applied values and rejects stale versions', async () => {
+    const ws = new WebSocket(wsUrl);
+    await new Promise(resolve => ws.on('open', resolve));
+    await enroll(server, ws, 'config-client', {
+      metadata: { features: ['remote-config'] },
+      config: { version: 0, values: { LOG_LEVEL: 'info' } }
+    });
+
+    ws.on('message', (raw) => {
+      const message = JSON.parse(raw.toString());
+      if (message.type !== 'CONFIG_UPDATE') {
+        return;
+      }
+      const invalid = message.settings.LOG_LEVEL === 'loud';
+      ws.send(JSON.stringify(invalid ? {
+        type: 'CONFIG_UPDATE_ACK',
+        requestId: message.requestId,
+        success: false,
+        version: 1,
+        error: { code: 'INVALID_REQUEST', message: 'Invalid settings: LOG_LEVEL must be one of error, warn, info, http, debug', details: { errors: { LOG_LEVEL: 'must be one of error, warn, info, http, debug' } } }
+      } : {
+        type: 'CONFIG_UPDATE_ACK',
+        requestId: message.requestId,
+        success: true,
+        version: message.version,
+        applied: message.settings,
+        config: { LOG_LEVEL: message.settings.LOG_LEVEL }
+      }));
+    });
+
+    const ack = await server.updateClientConfig('config-client', { LOG_LEVEL: 'debug' });
+    expect(ack).toMatchObject({ version: 1, applied: { LOG_LEVEL: 'debug' } });
+    expect(server.findClientByRegisteredId('config-client').config).toEqual({ version: 1, values: { LOG_LEVEL: 'debug' } });
+    expect(server.configUpdates.get('config-client')).toEqual({ version: 1, settings: { LOG_LEVEL: 'debug' } });
+
+    await expect(server.updateClientConfig('config-client', { LOG_LEVEL: 'warn' }, 1))
+      .rejects.toMatchObject({ code: 'STALE_CONFIG_VERSION', details: { currentVersion: 1 } });
+    await expect(server.updateClientConfig('config-client', { LOG_LEVEL: 'loud' }))
+      .rejects.toMatchObject({ code: 'INVALID_REQUEST', details: { errors: { LOG_LEVEL: expect.any(String) } } });
+    expect(server.configUpdates.get('config-client').version).toBe(1);
+    expect(server.pendingConfigUpdates.size).toBe(0);
+    ws.close();
+  });
+
+  test('re-sends accepted config to a client that registers with an older version', async () => {
+    server.configUpdates.set('restarted-client', { version: 3, settings: { MAX_CONCURRENT_TRANSFERS: 1 } });
+
+    const ws = new WebSocket(wsUrl);
+    await new Promise(resolve => ws.on('open', resolve));
+    const update = new Promise(resolve => ws.on('message', (raw) => {
+      const message = JSON.parse(raw.toString());
+      if (message.type === 'CONFIG_UPDATE') {
+        resolve(message);
+      }
+    }));
+    await enroll(server, ws, 'restarted-client', {
+      metadata: { features: ['remote-config'] },
+      config: { version: 0, values: {} }
+    });
+
+    expect(await update).toMatchObject({ version: 3, settings: { MAX_CONCURRENT_TRANSFERS: 1 } });
+    ws.close();
+  });
+
+  test('refuses config updates for clients without the feature', async () => {
+    const ws = new WebSocket(wsUrl);
+    await new Promise(resolve => ws.on('open', resolve));
+    await enroll(server, ws, 'legacy-config-client', { metadata: { features: [] } });
+
+    await expect(server.updateClientConfig('legacy-config-client', { LOG_LEVEL: 'debug' }))
+      .rejects.toMatchObject({ code: 'INVALID_REQUEST' });
+    ws.close();
+  });
+
+  test('fails a pending listing when the client disconnects', async () => {
+    const ws = new WebSocket(wsUrl);
+    await new Promise(resolve => ws.on('open', resolve));
+    await enroll(server, ws, 'silent-client');
+
+    ws.on('message', (raw) => {
+      if (JSON.parse(raw.toString()).type === 'LIST_FILES') {
+        ws.close();
+      }
+    });
+
+    await expect(server.requestFileList('silent-client', { path: '/var/log' }))
+      .rejects.toMatchObject({ code: 'CLIENT_NOT_CONNECTED' });
+    expect(server.pendingListRequests.size).toBe(0);
+  });
 });
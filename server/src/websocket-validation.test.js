@@ -1,6 +1,13 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const WebSocket = require('ws');
 const { validate: uuidValidate } = require('uuid');
+
+process.env.CLIENT_KEYS_FILE = path.join(os.tmpdir(), `silentmode-keys-${process.pid}-validation.json`);
+
 const WebSocketServer = require('../src/websocket-server');
+const { enroll } = require('./test-helpers');
 
 describe('WebSocket Message Validation', () => {
   let wsServer;
@@ -21,6 +28,7 @@ describe('WebSocket Message Validation', () => {
     if (wsServer) {
       wsServer.stop();
     }
+    fs.rmSync(process.env.CLIENT_KEYS_FILE, { force: true });
   });
 
   beforeEach(async () => {
@@ -34,14 +42,11 @@ describe('WebSocket Message Validation', () => {
       new Promise(resolve => client2.on('open', resolve))
     ]);
 
-    // Register client2
-    client2.send(JSON.stringify({
-      type: 'REGISTER',
-      clientId: 'test-client-123'
-    }));
-
-    // Wait for registration
-    await new Promise(resolve => setTimeout(resolve, 50));
+    // Register both clients
+    await Promise.all([
+      enroll(wsServer, client1, 'test-requester'),
+      enroll(wsServer, client2, 'test-client-123')
+    ]);
   });
 
   afterEach(() => {
@@ -123,13 +128,7 @@ describe('WebSocket Message Validation', () => {
 
   it('should accept valid DOWNLOAD_REQUEST', (done) => {
     // Register client1 first
-    client1.send(JSON.stringify({
-      type: 'REGISTER',
-      clientId: 'test-client-456'
-    }));
-    
-    // Wait for registration
-    setTimeout(() => {
+    enroll(wsServer, client1, 'test-client-456').then(() => {
       let messageCount = 0;
       
       client1.on('message', (data) => {
@@ -155,18 +154,12 @@ describe('WebSocket Message Validation', () => {
         filePath: '/valid/path/file.txt', // Valid: absolute path
         requestId: '550e8400-e29b-41d4-a716-446655440000' // Valid: UUID v4
       }));
-    }, 50);
+    });
   }, 10000);
 
   it('should accept DOWNLOAD_REQUEST without requestId (will auto-generate)', (done) => {
     // Register client1 first
-    client1.send(JSON.stringify({
-      type: 'REGISTER',
-      clientId: 'test-client-789'
-    }));
-    
-    // Wait for registration
-    setTimeout(() => {
+    enroll(wsServer, client1, 'test-client-789').then(() => {
       let messageCount = 0;
       
       client1.on('message', (data) => {
@@ -192,6 +185,6 @@ describe('WebSocket Message Validation', () => {
         filePath: '/valid/path/file.txt' // Valid
         // No requestId provided
       }));
-    }, 50);
+    });
   }, 10000);
 });
@@ -0,0 +1,104 @@
+/**
+ * Bandwidth limits and transfer windows shared by server and client
+ * The server validates settings with the same parser the client applies them with
+ */
+
+const RATE_MULTIPLIERS = {
+  '': 1,
+  K: 1024,
+  M: 1024 * 1024,
+  G: 1024 * 1024 * 1024
+};
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Parse a transfer rate
+ * Accepts bytes per second as a number or a string with an optional K, M or G
+ * suffix ("512K", "2M", "1.5MB/s"); 0, "unlimited", "off" and "none" mean no limit
+ * @param {number|string} value - Rate to parse
+ * @returns {number} Bytes per second, 0 for unlimited
+ * @throws {Error} If the rate is not understood
+ */
+function parseRate(value) {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`Invalid rate ${value}: must be a non-negative number of bytes per second`);
+    }
+    return Math.floor(value);
+  }
+
+  const text = String(value).trim();
+  if (/^(unlimited|off|none)$/i.test(text)) {
+    return 0;
+  }
+
+  const match = /^(\d+(?:\.\d+)?)\s*([KMG]?)(?:i?B)?(?:\/s)?$/i.exec(text);
+  if (!match) {
+    throw new Error(`Invalid rate "${value}": use bytes per second with an optional K, M or G suffix, or "unlimited"`);
+  }
+  return Math.floor(parseFloat(match[1]) * RATE_MULTIPLIERS[match[2].toUpperCase()]);
+}
+
+function parseTimeOfDay(text, entry) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(text.trim());
+  const hours = match ? parseInt(match[1], 10) : NaN;
+  const minutes = match ? parseInt(match[2], 10) : NaN;
+
+  // 24:00 is accepted as the end of the day
+  if (!(hours >= 0 && minutes >= 0 && minutes < 60 && hours * 60 + minutes <= MINUTES_PER_DAY)) {
+    throw new Error(`Invalid time "${text.trim()}" in schedule window "${entry}": expected HH:MM`);
+  }
+  return (hours * 60 + minutes) % MINUTES_PER_DAY;
+}
+
+/**
+ * Parse a transfer schedule
+ * Comma-separated windows of the form "HH:MM-HH:MM=<rate>" in the client's
+ * local time, e.g. "22:00-06:00=unlimited,09:00-17:00=512K"; a window may wrap
+ * past midnight. Outside every window the base limit applies
+ * @param {string} value - Schedule to parse; empty for none
+ * @returns {Array<Object>} Windows `{ start, end, limit }` with start/end in minutes after midnight
+ * @throws {Error} If a window is malformed
+ */
+function parseSchedule(value) {
+  if (!value || !String(value).trim()) {
+    return [];
+  }
+
+  return String(value).split(',').map(entry => entry.trim()).filter(Boolean).map((entry) => {
+    const match = /^([^-=]+)-([^=]+)=(.+)$/.exec(entry);
+    if (!match) {
+      throw new Error(`Invalid schedule window "${entry}": expected HH:MM-HH:MM=<rate>`);
+    }
+
+    const start = parseTimeOfDay(match[1], entry);
+    const end = parseTimeOfDay(match[2], entry);
+    if (start === end) {
+      throw new Error(`Invalid schedule window "${entry}": start and end are the same`);
+    }
+    return { start, end, limit: parseRate(match[3]) };
+  });
+}
+
+/**
+ * Find the limit in force at a given time
+ * The first window containing the time wins
+ * @param {Array<Object>} windows - Windows from parseSchedule
+ * @param {number} baseLimit - Limit outside every window (0 = unlimited)
+ * @param {Date} date - Time to check, interpreted in local time
+ * @returns {number} Bytes per second, 0 for unlimited
+ */
+function activeLimit(windows, baseLimit, date = new Date()) {
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const window = windows.find(({ start, end }) => (start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end));
+  return window ? window.limit : baseLimit;
+}
+
+module.exports = {
+  parseRate,
+  parseSchedule,
+  activeLimit
+};
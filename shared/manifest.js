@@ -0,0 +1,92 @@
+/**
+ * Chunk manifests shared by server and client
+ * A client that already knows every chunk hash sends the list with DOWNLOAD_ACK,
+ * and the server checks each FILE_CHUNK against it as well as against the
+ * checksum that travels with the chunk. Otherwise the client collects the hashes
+ * while streaming and sends the list with DOWNLOAD_COMPLETE, and the server
+ * checks the chunks it received then. The Merkle root over the chunk hashes
+ * lets the list itself be checked and names the file's contents.
+ * Hashes use the transfer's algorithm (DOWNLOAD_ACK.hashAlgorithm)
+ */
+
+const crypto = require('crypto');
+const { CONSTANTS } = require('./protocol');
+
+// Prefix for inner Merkle nodes, so a node can never be mistaken for a chunk hash
+const NODE_PREFIX = Buffer.from([1]);
+
+/**
+ * Compute the Merkle root of a list of chunk hashes
+ * Pairs are hashed level by level; an odd node out moves up unchanged
+ * @param {string[]} chunkHashes - Hexadecimal hash of each chunk, in order
+ * @param {string} algorithm - Hash algorithm of the chunk hashes, also used for the nodes
+ * @returns {string} Hexadecimal root (the hash of nothing for an empty file)
+ */
+function merkleRoot(chunkHashes, algorithm = CONSTANTS.DEFAULT_HASH_ALGORITHM) {
+  if (chunkHashes.length === 0) {
+    return crypto.createHash(algorithm).digest('hex');
+  }
+
+  let level = chunkHashes.map(hash => Buffer.from(hash, 'hex'));
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length
+        ? crypto.createHash(algorithm).update(NODE_PREFIX).update(level[i]).update(level[i + 1]).digest()
+        : level[i]);
+    }
+    level = next;
+  }
+  return level[0].toString('hex');
+}
+
+/**
+ * Build the manifest sent with DOWNLOAD_ACK or DOWNLOAD_COMPLETE
+ * @param {string[]} chunkHashes - Hexadecimal hash of each chunk, in order
+ * @param {number} chunkSize - Chunk size the hashes were taken with
+ * @param {string} algorithm - Hash algorithm of the chunk hashes
+ * @returns {Object} `{ algorithm, chunkSize, chunks, root }`
+ */
+function createManifest(chunkHashes, chunkSize = CONSTANTS.CHUNK_SIZE, algorithm = CONSTANTS.DEFAULT_HASH_ALGORITHM) {
+  return {
+    algorithm,
+    chunkSize,
+    chunks: chunkHashes,
+    root: merkleRoot(chunkHashes, algorithm)
+  };
+}
+
+/**
+ * Check a manifest received with DOWNLOAD_ACK or DOWNLOAD_COMPLETE
+ * @param {Object} manifest - Manifest as sent by the client
+ * @param {number} totalChunks - Chunk count acknowledged with it
+ * @param {string} algorithm - Hash algorithm acknowledged with it
+ * @throws {Error} If the manifest is malformed or does not match its root
+ */
+function validateManifest(manifest, totalChunks, algorithm = CONSTANTS.DEFAULT_HASH_ALGORITHM) {
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    throw new Error('Manifest must be an object');
+  }
+  if (manifest.algorithm !== algorithm) {
+    throw new Error(`Manifest algorithm must be ${algorithm}`);
+  }
+  if (manifest.chunkSize !== CONSTANTS.CHUNK_SIZE) {
+    throw new Error(`Manifest chunk size must be ${CONSTANTS.CHUNK_SIZE}`);
+  }
+  const hashLength = crypto.createHash(algorithm).digest().length * 2;
+  if (!Array.isArray(manifest.chunks) || manifest.chunks.some(hash => typeof hash !== 'string' || hash.length !== hashLength || !/^[0-9a-f]+$/.test(hash))) {
+    throw new Error(`Manifest chunks must be a list of ${algorithm} hashes`);
+  }
+  if (manifest.chunks.length !== totalChunks) {
+    throw new Error(`Manifest lists ${manifest.chunks.length} chunks, expected ${totalChunks}`);
+  }
+  if (manifest.root !== merkleRoot(manifest.chunks, algorithm)) {
+    throw new Error('Manifest root does not match its chunks');
+  }
+}
+
+module.exports = {
+  merkleRoot,
+  createManifest,
+  validateManifest
+};
@@ -8,14 +8,36 @@ const MESSAGE_TYPES = {
   // Client registration
   REGISTER: 'REGISTER',
   REGISTER_ACK: 'REGISTER_ACK',
+  AUTH_CHALLENGE: 'AUTH_CHALLENGE',
+  AUTH_RESPONSE: 'AUTH_RESPONSE',
   
   // Download flow
   DOWNLOAD_REQUEST: 'DOWNLOAD_REQUEST',
   DOWNLOAD_ACK: 'DOWNLOAD_ACK',
+  DOWNLOAD_QUEUED: 'DOWNLOAD_QUEUED',
   FILE_CHUNK: 'FILE_CHUNK',
   RETRY_CHUNK: 'RETRY_CHUNK',
+  CHUNK_CREDIT: 'CHUNK_CREDIT',
+  RESUME_DOWNLOAD: 'RESUME_DOWNLOAD',
   DOWNLOAD_COMPLETE: 'DOWNLOAD_COMPLETE',
+  DOWNLOAD_RESULT: 'DOWNLOAD_RESULT',
   CANCEL_DOWNLOAD: 'CANCEL_DOWNLOAD',
+  CANCEL_ACK: 'CANCEL_ACK',
+
+  // Remote file browsing
+  LIST_FILES: 'LIST_FILES',
+  LIST_FILES_RESPONSE: 'LIST_FILES_RESPONSE',
+
+  // Bandwidth throttling
+  SET_BANDWIDTH: 'SET_BANDWIDTH',
+  BANDWIDTH_STATUS: 'BANDWIDTH_STATUS',
+
+  // Remote configuration
+  CONFIG_UPDATE: 'CONFIG_UPDATE',
+  CONFIG_UPDATE_ACK: 'CONFIG_UPDATE_ACK',
+
+  // Graceful client shutdown
+  CLIENT_SHUTDOWN: 'CLIENT_SHUTDOWN',
   
   // Error handling
   ERROR: 'ERROR',
@@ -34,9 +56,17 @@ const ERROR_CODES = {
   PERMISSION_DENIED: 'PERMISSION_DENIED',
   DOWNLOAD_IN_PROGRESS: 'DOWNLOAD_IN_PROGRESS',
   DOWNLOAD_TIMEOUT: 'DOWNLOAD_TIMEOUT',
+  DOWNLOAD_CANCELLED: 'DOWNLOAD_CANCELLED',
   CHUNK_CHECKSUM_FAILED: 'CHUNK_CHECKSUM_FAILED',
   CHUNK_TRANSFER_FAILED: 'CHUNK_TRANSFER_FAILED',
-  INVALID_REQUEST: 'INVALID_REQUEST'
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  AUTHENTICATION_REQUIRED: 'AUTHENTICATION_REQUIRED',
+  AUTHENTICATION_FAILED: 'AUTHENTICATION_FAILED',
+  CLIENT_NOT_APPROVED: 'CLIENT_NOT_APPROVED',
+  FILE_CHANGED: 'FILE_CHANGED',
+  REQUEST_TIMEOUT: 'REQUEST_TIMEOUT',
+  STALE_CONFIG_VERSION: 'STALE_CONFIG_VERSION',
+  CLIENT_SHUTTING_DOWN: 'CLIENT_SHUTTING_DOWN'
 };
 
 // Retry Reasons
@@ -50,35 +80,133 @@ const RETRY_REASONS = {
 const CONSTANTS = {
   CHUNK_SIZE: 1048576, // 1MB in bytes
   DEFAULT_WS_PORT: 8080,
-  DEFAULT_API_PORT: 3000
+  DEFAULT_API_PORT: 3000,
+  AUTH_FAILED_CLOSE_CODE: 4401, // WebSocket close code after a rejected REGISTER handshake
+  LIST_FILES_DEFAULT_LIMIT: 100,
+  LIST_FILES_MAX_LIMIT: 1000,
+  LIST_FILES_MAX_DEPTH: 5,
+  LIST_FILES_MAX_ENTRIES: 10000, // Entries scanned per listing before it is reported as truncated
+  ARCHIVE_MAX_FILES: 10000, // Files per directory archive
+  DEFAULT_HASH_ALGORITHM: 'sha256' // Assumed whenever a peer does not name a hash algorithm
+};
+
+// Optional protocol features a client reports in REGISTER metadata.features
+const FEATURES = {
+  FLOW_CONTROL: 'flow-control', // Honors CHUNK_CREDIT windows
+  RESUME: 'resume', // Handles RESUME_DOWNLOAD after a reconnect
+  CANCEL: 'cancel', // Stops sending on CANCEL_DOWNLOAD and answers CANCEL_ACK
+  LIST_FILES: 'list-files', // Answers LIST_FILES with a directory listing
+  COMPRESSION: 'compression', // Sends FILE_CHUNK data compressed with the codec chosen in REGISTER_ACK
+  BANDWIDTH: 'bandwidth', // Applies SET_BANDWIDTH and reports its limit in BANDWIDTH_STATUS
+  REMOTE_CONFIG: 'remote-config', // Applies CONFIG_UPDATE and answers CONFIG_UPDATE_ACK
+  ARCHIVE: 'archive', // Serves a directory as a tar archive when DOWNLOAD_REQUEST.archive is set
+  RANGE: 'range', // Serves only the bytes in DOWNLOAD_REQUEST.range
+  RECEIPTS: 'receipts', // Records the DOWNLOAD_RESULT sent once the server has verified a transfer
+  MANIFEST: 'manifest' // Sends a chunk manifest with DOWNLOAD_ACK or DOWNLOAD_COMPLETE when DOWNLOAD_REQUEST.manifest is set
+};
+
+// Client settings the server may change at runtime with CONFIG_UPDATE
+// Settings that widen what a client exposes (share roots, deny globs) stay local
+const REMOTE_CONFIG_KEYS = [
+  'HEARTBEAT_INTERVAL',
+  'RECONNECT_INTERVAL',
+  'RECONNECT_MAX_DELAY',
+  'MAX_RECONNECT_ATTEMPTS',
+  'LOG_LEVEL',
+  'MAX_CONCURRENT_TRANSFERS',
+  'BANDWIDTH_LIMIT',
+  'BANDWIDTH_SCHEDULE'
+];
+
+// FILE_CHUNK payload codecs, named after their HTTP Content-Encoding tokens
+const COMPRESSION_CODECS = {
+  NONE: 'none',
+  GZIP: 'gzip',
+  DEFLATE: 'deflate',
+  BROTLI: 'br'
+};
+
+// File and chunk hash algorithms, named as crypto.createHash takes them
+const HASH_ALGORITHMS = {
+  SHA256: 'sha256',
+  SHA512: 'sha512',
+  BLAKE2B512: 'blake2b512',
+  SHA3_256: 'sha3-256'
 };
 
 // Message validation schemas (optional but helpful)
 const MESSAGE_SCHEMAS = {
   [MESSAGE_TYPES.REGISTER]: {
     clientId: 'string'
+    // publicKey (optional): PEM Ed25519 public key, required the first time a clientId registers
+    // activeRequests (optional): requestIds the client is still serving, used to resume after a reconnect
+    // metadata (optional): { hostname, os, arch, osRelease, nodeVersion, version,
+    //   shareRoots: [{ path, freeDiskSpace }], features: [FEATURES...] }
+    // compression (optional): COMPRESSION_CODECS the client can send, most preferred first
+    // binaryFrames (optional): true if the client can send FILE_CHUNK as a binary frame
+    // hashAlgorithms (optional): HASH_ALGORITHMS the client can hash with, most preferred first
+    //   (only DEFAULT_HASH_ALGORITHM when absent)
+    // bandwidth (optional): throttle status, as in BANDWIDTH_STATUS
+    // config (optional): { version, values } - last applied CONFIG_UPDATE version (0 = none)
+    //   and the current value of every REMOTE_CONFIG_KEYS setting
   },
   [MESSAGE_TYPES.REGISTER_ACK]: {
     success: 'boolean',
     message: 'string'
+    // compression (optional): codec the server picked from REGISTER.compression for this connection
+    // binaryFrames (optional): true if FILE_CHUNK should be sent as binary frames on this connection
+    // hashAlgorithm (optional): algorithm the server picked from REGISTER.hashAlgorithms for transfers
+    //   acknowledged on this connection (DEFAULT_HASH_ALGORITHM when absent)
+  },
+  [MESSAGE_TYPES.AUTH_CHALLENGE]: {
+    nonce: 'string' // Base64 random bytes the client must sign
+  },
+  [MESSAGE_TYPES.AUTH_RESPONSE]: {
+    clientId: 'string',
+    signature: 'string' // Base64 Ed25519 signature over buildAuthPayload(clientId, nonce)
   },
   [MESSAGE_TYPES.DOWNLOAD_REQUEST]: {
     clientId: 'string',
     filePath: 'string'
+    // priority (optional): integer, higher is served first when the client queues transfers (default 0)
+    // archive (optional): { format: 'tar' | 'tar.gz', include: [glob], exclude: [glob], maxFiles, extract }
+    //   filePath names a directory the client streams as an archive (see shared/tar.js)
+    // range (optional): { offset, length } or { tail } - serve only these bytes of the file (see normalizeRange);
+    //   length may be left out to read to the end of the file
+    // requester (optional): who asked for the file - the requesting client's ID, or 'cli' for the REST API
+    // manifest (optional): true to have the client send a chunk manifest, with the ACK when it already knows
+    //   every chunk hash (see ChecksumCache) and with DOWNLOAD_COMPLETE otherwise
+  },
+  [MESSAGE_TYPES.DOWNLOAD_QUEUED]: {
+    requestId: 'string',
+    position: 'number' // 1-based place in the client's transfer queue
+    // queueLength (optional): transfers waiting on the client
   },
   [MESSAGE_TYPES.DOWNLOAD_ACK]: {
     requestId: 'string',
     success: 'boolean',
     fileSize: 'number',
     totalChunks: 'number',
-    fileChecksum: 'string'
+    fileChecksum: 'string' // May be empty when the client hashes while streaming
+    // fileFingerprint (optional): { size, mtimeMs, ino } of the file at ACK time, echoed back in RESUME_DOWNLOAD
+    // archive (optional): { format, files: [{ path, size, mtime }], totalFiles, totalBytes } for directory downloads
+    // range (optional): { offset, length, fileSize } - bytes being served when DOWNLOAD_REQUEST.range was set;
+    //   fileSize, totalChunks and chunk indices then count from offset, and the checksums cover only the range
+    // manifest (optional): { algorithm, chunkSize, chunks: [hash per chunk], root } when
+    //   DOWNLOAD_REQUEST.manifest was set and the hashes were known (see shared/manifest.js);
+    //   chunks are then checked against it as well as against their own checksum
+    // hashAlgorithm (optional): algorithm of fileChecksum, the chunk checksums and the manifest
+    //   (DEFAULT_HASH_ALGORITHM when absent); kept for the whole transfer, across reconnects
   },
   [MESSAGE_TYPES.FILE_CHUNK]: {
     requestId: 'string',
     chunkIndex: 'number',
     totalChunks: 'number',
-    data: 'buffer', // Base64 encoded binary data
-    checksum: 'string'
+    data: 'buffer', // Base64 encoded binary data, compressed with codec
+    checksum: 'string' // Hash of the uncompressed chunk
+    // codec (optional): COMPRESSION_CODECS value of data, 'none' when absent
+    // hashAlgorithm (optional): algorithm of checksum, as in DOWNLOAD_ACK
+    // Sent as JSON with base64 data, or as a binary frame (see encodeChunkFrame) when negotiated
   },
   [MESSAGE_TYPES.RETRY_CHUNK]: {
     requestId: 'string',
@@ -87,20 +215,93 @@ const MESSAGE_SCHEMAS = {
     reason: 'string',
     timestamp: 'string'
   },
+  [MESSAGE_TYPES.CHUNK_CREDIT]: {
+    requestId: 'string',
+    credits: 'number' // Number of additional FILE_CHUNK messages the client may send
+  },
+  [MESSAGE_TYPES.RESUME_DOWNLOAD]: {
+    requestId: 'string',
+    filePath: 'string',
+    totalChunks: 'number',
+    chunkIndices: 'object' // Array of chunk indices the server is still missing
+    // fileFingerprint (optional): as reported in DOWNLOAD_ACK, so a restarted client can detect changes
+    // archive (optional): options of a directory download, as in DOWNLOAD_REQUEST
+    // range (optional): { offset, length } as resolved in DOWNLOAD_ACK, so a restarted client serves the same bytes
+    // hashAlgorithm (optional): as in DOWNLOAD_ACK, so a restarted client hashes the same way
+    // manifest (optional): true when the manifest asked for in DOWNLOAD_REQUEST is still owed
+  },
   [MESSAGE_TYPES.DOWNLOAD_COMPLETE]: {
     requestId: 'string',
     totalChunks: 'number',
-    fileChecksum: 'string',
+    fileChecksum: 'string', // Authoritative whole-file checksum
+    timestamp: 'string'
+    // manifest (optional): as in DOWNLOAD_ACK, when it was asked for but the ACK came without it;
+    //   the chunks received are checked against it and the ones that do not match are retried
+  },
+  [MESSAGE_TYPES.DOWNLOAD_RESULT]: {
+    requestId: 'string',
+    success: 'boolean', // True once the assembled file matched the client's checksum
     timestamp: 'string'
+    // On success: fileSize, fileChecksum as computed by the server over the assembled file, hashAlgorithm
+    // On failure: error { code, message }; the server kept nothing
   },
   [MESSAGE_TYPES.CANCEL_DOWNLOAD]: {
     requestId: 'string',
     reason: 'string'
   },
+  [MESSAGE_TYPES.CANCEL_ACK]: {
+    requestId: 'string',
+    success: 'boolean' // False when the client had no active transfer for the request
+  },
+  [MESSAGE_TYPES.LIST_FILES]: {
+    requestId: 'string',
+    path: 'string'
+    // depth (optional): levels to descend, 1 = only the directory's own entries
+    // offset, limit (optional): paging over the sorted entries
+  },
+  [MESSAGE_TYPES.LIST_FILES_RESPONSE]: {
+    requestId: 'string',
+    success: 'boolean'
+    // On success: path, entries [{ name, path, type: 'file'|'directory'|'other', size, mtime }],
+    //   total, offset, limit, truncated (scan stopped at LIST_FILES_MAX_ENTRIES)
+    // On failure: error { code, message }
+  },
+  [MESSAGE_TYPES.SET_BANDWIDTH]: {
+    // limit (optional): base bytes per second, or a rate string such as "2M" (0 = unlimited)
+    // schedule (optional): "HH:MM-HH:MM=<rate>" windows in the client's local time
+    // reset (optional): true to drop server settings and return to the client's own
+    // Fields left out keep the client's local value
+  },
+  [MESSAGE_TYPES.BANDWIDTH_STATUS]: {
+    limit: 'number', // Bytes per second in force right now (0 = unlimited)
+    baseLimit: 'number', // Limit outside the schedule windows
+    schedule: 'string', // Empty when no windows are configured
+    source: 'string' // 'local' or 'server'
+  },
+  [MESSAGE_TYPES.CONFIG_UPDATE]: {
+    requestId: 'string',
+    version: 'number', // Must be higher than the client's current version, or the update is stale
+    settings: 'object' // { KEY: value } for keys in REMOTE_CONFIG_KEYS
+  },
+  [MESSAGE_TYPES.CONFIG_UPDATE_ACK]: {
+    requestId: 'string',
+    success: 'boolean',
+    version: 'number' // Client's config version after handling the update
+    // On success: applied { KEY: value } as normalized by the client,
+    //   config { KEY: value } with every REMOTE_CONFIG_KEYS setting now in force
+    // On failure: error { code, message, details }; nothing was applied
+  },
+  [MESSAGE_TYPES.CLIENT_SHUTDOWN]: {
+    reason: 'string',
+    drainTimeout: 'number', // ms the client lets active transfers run before pausing them and disconnecting
+    timestamp: 'string'
+    // Downloads still unfinished when the connection closes are marked interrupted
+    // and resumed when the client registers again
+  },
   [MESSAGE_TYPES.ERROR]: {
     code: 'string',
     message: 'string',
-    details: 'object' // optional
+    details: 'object' // optional; details.requestId ties a client error to a download
   },
   [MESSAGE_TYPES.PING]: {
     timestamp: 'string'
@@ -141,14 +342,134 @@ function validateMessage(type, data) {
   return true;
 }
 
+/**
+ * Validate the byte range of a partial download
+ * @param {Object} range - `{ offset, length }` (length optional) or `{ tail }`, in bytes
+ * @returns {Object} `{ offset, length }` with length null for "to the end of the file", or `{ tail }`
+ * @throws {Error} If the range is malformed
+ */
+function normalizeRange(range) {
+  if (!range || typeof range !== 'object' || Array.isArray(range)) {
+    throw new Error('Range must be an object');
+  }
+
+  const { offset, length, tail } = range;
+  const isCount = (value, min) => Number.isSafeInteger(value) && value >= min;
+  if (tail !== undefined) {
+    if (offset !== undefined || length !== undefined) {
+      throw new Error('Range tail cannot be combined with offset or length');
+    }
+    if (!isCount(tail, 1)) {
+      throw new Error('Range tail must be a positive integer');
+    }
+    return { tail };
+  }
+
+  if (offset !== undefined && !isCount(offset, 0)) {
+    throw new Error('Range offset must be a non-negative integer');
+  }
+  if (length !== undefined && length !== null && !isCount(length, 1)) {
+    throw new Error('Range length must be a positive integer');
+  }
+  if (offset === undefined && (length === undefined || length === null)) {
+    throw new Error('Range needs an offset, a length or a tail');
+  }
+  return { offset: offset || 0, length: length || null };
+}
+
+/**
+ * Resolve a range against the size of the file it applies to
+ * Ranges running past the end of the file are cut short
+ * @param {Object} range - Range from normalizeRange
+ * @param {number} fileSize - Size of the whole file in bytes
+ * @returns {Object} `{ offset, length, fileSize }`
+ * @throws {Error} If the range starts past the end of the file
+ */
+function resolveRange(range, fileSize) {
+  if (range.tail !== undefined) {
+    const length = Math.min(range.tail, fileSize);
+    return { offset: fileSize - length, length, fileSize };
+  }
+  if (range.offset >= fileSize && fileSize > 0) {
+    throw new Error(`Range offset ${range.offset} is past the end of the file (${fileSize} bytes)`);
+  }
+
+  const available = Math.max(fileSize - range.offset, 0);
+  return {
+    offset: range.offset,
+    length: range.length === null ? available : Math.min(range.length, available),
+    fileSize
+  };
+}
+
+// Bytes a client signs to answer an AUTH_CHALLENGE
+// The prefix keeps signatures from being valid in any other context
+function buildAuthPayload(clientId, nonce) {
+  return `SILENTMODE-AUTH-V1\n${clientId}\n${nonce}`;
+}
+
+// Binary FILE_CHUNK frame layout: version byte, uint32 big-endian header length,
+// UTF-8 JSON header (every FILE_CHUNK field except data), then the raw chunk bytes
+const CHUNK_FRAME_VERSION = 1;
+const CHUNK_FRAME_PREFIX_LENGTH = 5;
+
+/**
+ * Encode a FILE_CHUNK message as a binary WebSocket frame
+ * @param {Object} message - FILE_CHUNK message whose data is a Buffer
+ * @returns {Buffer} Frame to send with `binary: true`
+ */
+function encodeChunkFrame(message) {
+  const { type, data, ...header } = message;
+  const headerBytes = Buffer.from(JSON.stringify(header), 'utf8');
+  const prefix = Buffer.alloc(CHUNK_FRAME_PREFIX_LENGTH);
+  prefix.writeUInt8(CHUNK_FRAME_VERSION, 0);
+  prefix.writeUInt32BE(headerBytes.length, 1);
+  return Buffer.concat([prefix, headerBytes, data]);
+}
+
+/**
+ * Decode a binary frame produced by encodeChunkFrame
+ * @param {Buffer} frame - Received binary frame
+ * @returns {Object} FILE_CHUNK message whose data is a Buffer
+ */
+function decodeChunkFrame(frame) {
+  if (frame.length < CHUNK_FRAME_PREFIX_LENGTH) {
+    throw new Error('Binary frame too short');
+  }
+  const version = frame.readUInt8(0);
+  if (version !== CHUNK_FRAME_VERSION) {
+    throw new Error(`Unsupported binary frame version: ${version}`);
+  }
+  const headerEnd = CHUNK_FRAME_PREFIX_LENGTH + frame.readUInt32BE(1);
+  if (headerEnd > frame.length) {
+    throw new Error('Binary frame header exceeds frame length');
+  }
+
+  const header = JSON.parse(frame.toString('utf8', CHUNK_FRAME_PREFIX_LENGTH, headerEnd));
+  return {
+    ...header,
+    type: MESSAGE_TYPES.FILE_CHUNK,
+    data: frame.subarray(headerEnd)
+  };
+}
+
 // Export everything
 module.exports = {
   MESSAGE_TYPES,
   ERROR_CODES,
   RETRY_REASONS,
   CONSTANTS,
+  FEATURES,
+  COMPRESSION_CODECS,
+  HASH_ALGORITHMS,
+  REMOTE_CONFIG_KEYS,
   MESSAGE_SCHEMAS,
-  validateMessage
+  validateMessage,
+  normalizeRange,
+  resolveRange,
+  buildAuthPayload,
+  encodeChunkFrame,
+  decodeChunkFrame
 };
 
 // Also provide named exports for convenience
@@ -156,5 +477,12 @@ module.exports.MessageTypes = MESSAGE_TYPES;
 module.exports.ErrorCodes = ERROR_CODES;
 module.exports.RetryReasons = RETRY_REASONS;
 module.exports.Constants = CONSTANTS;
+module.exports.Features = FEATURES;
+module.exports.CompressionCodecs = COMPRESSION_CODECS;
+module.exports.HashAlgorithms = HASH_ALGORITHMS;
+module.exports.RemoteConfigKeys = REMOTE_CONFIG_KEYS;
 module.exports.MessageSchemas = MESSAGE_SCHEMAS;
 module.exports.validateMessage = validateMessage;
+module.exports.buildAuthPayload = buildAuthPayload;
+module.exports.encodeChunkFrame = encodeChunkFrame;
+module.exports.decodeChunkFrame = decodeChunkFrame;
@@ -0,0 +1,226 @@
+/**
+ * Directory archives shared by server and client
+ * The client writes ustar archives (with PAX records for long names and large
+ * files) and the server reads them back when extracting a finished download
+ */
+
+const { CONSTANTS } = require('./protocol');
+
+const BLOCK_SIZE = 512;
+
+const ARCHIVE_FORMATS = ['tar', 'tar.gz'];
+
+// Largest size the 11 octal digits of a ustar header can hold
+const USTAR_MAX_SIZE = 0o77777777777;
+
+const TYPES = {
+  FILE: '0',
+  DIRECTORY: '5',
+  PAX: 'x',
+  PAX_GLOBAL: 'g'
+};
+
+/**
+ * Validate the archive options of a directory download
+ * `true` asks for an uncompressed archive of every file
+ * @param {boolean|Object} options - `{ format, include, exclude, maxFiles, extract }`
+ * @returns {Object} Options with defaults filled in
+ * @throws {Error} If an option is invalid
+ */
+function normalizeArchiveOptions(options) {
+  const value = options === true ? {} : options;
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('Archive options must be true or an object');
+  }
+
+  const { format = 'tar', include = [], exclude = [], maxFiles = CONSTANTS.ARCHIVE_MAX_FILES, extract = false } = value;
+  if (!ARCHIVE_FORMATS.includes(format)) {
+    throw new Error(`Archive format must be one of ${ARCHIVE_FORMATS.join(', ')}`);
+  }
+  for (const [name, globs] of [['include', include], ['exclude', exclude]]) {
+    if (!Array.isArray(globs) || globs.some(glob => typeof glob !== 'string' || glob.trim() === '')) {
+      throw new Error(`Archive ${name} must be a list of glob patterns`);
+    }
+  }
+  if (!Number.isInteger(maxFiles) || maxFiles < 1 || maxFiles > CONSTANTS.ARCHIVE_MAX_FILES) {
+    throw new Error(`Archive maxFiles must be an integer between 1 and ${CONSTANTS.ARCHIVE_MAX_FILES}`);
+  }
+  if (typeof extract !== 'boolean') {
+    throw new Error('Archive extract must be true or false');
+  }
+
+  return { format, include, exclude, maxFiles, extract };
+}
+
+function writeString(block, value, offset, length) {
+  block.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf8');
+}
+
+function writeOctal(block, value, offset, length) {
+  writeString(block, value.toString(8).padStart(length - 1, '0'), offset, length - 1);
+}
+
+// One PAX record: "<length> <key>=<value>\n", where length counts itself
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  let length = Buffer.byteLength(body);
+  while (String(length).length + Buffer.byteLength(body) !== length) {
+    length = String(length).length + Buffer.byteLength(body);
+  }
+  return `${length}${body}`;
+}
+
+// Split a path into ustar prefix and name fields, or null if it cannot fit
+function splitName(name) {
+  if (Buffer.byteLength(name) <= 100) {
+    return { prefix: '', name };
+  }
+  for (let index = name.indexOf('/'); index !== -1; index = name.indexOf('/', index + 1)) {
+    const prefix = name.slice(0, index);
+    const rest = name.slice(index + 1);
+    if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(rest) <= 100 && rest) {
+      return { prefix, name: rest };
+    }
+  }
+  return null;
+}
+
+function buildBlock({ name, prefix = '', size, mode, mtime, type }) {
+  const block = Buffer.alloc(BLOCK_SIZE);
+  writeString(block, name, 0, 100);
+  writeOctal(block, mode & 0o7777, 100, 8);
+  writeOctal(block, 0, 108, 8); // uid
+  writeOctal(block, 0, 116, 8); // gid
+  writeOctal(block, size, 124, 12);
+  writeOctal(block, Math.max(Math.floor(mtime), 0), 136, 12);
+  block.fill(' ', 148, 156); // Checksum field counts as spaces while summing
+  writeString(block, type, 156, 1);
+  writeString(block, 'ustar\0', 257, 6);
+  writeString(block, '00', 263, 2);
+  writeString(block, prefix, 345, 155);
+
+  let checksum = 0;
+  for (const byte of block) {
+    checksum += byte;
+  }
+  writeString(block, `${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8);
+  return block;
+}
+
+/**
+ * Encode the header of one archive entry
+ * Names that do not fit a ustar header and sizes over 8 GiB get a PAX record first
+ * @param {Object} entry - `{ name, size, mode, mtime, type }`; mtime in seconds, type from TYPES
+ * @returns {Buffer} Header blocks to write before the entry's data
+ */
+function encodeHeader({ name, size = 0, mode = 0o644, mtime = 0, type = TYPES.FILE }) {
+  const split = splitName(name);
+  const records = [];
+  if (!split) {
+    records.push(paxRecord('path', name));
+  }
+  if (size > USTAR_MAX_SIZE) {
+    records.push(paxRecord('size', String(size)));
+  }
+
+  const header = buildBlock({
+    ...(split || { name: name.slice(0, 100) }),
+    size: size > USTAR_MAX_SIZE ? 0 : size,
+    mode,
+    mtime,
+    type
+  });
+  if (records.length === 0) {
+    return header;
+  }
+
+  const pax = Buffer.from(records.join(''));
+  return Buffer.concat([
+    buildBlock({ name: 'PaxHeader', size: pax.length, mode: 0o644, mtime, type: TYPES.PAX }),
+    pax,
+    Buffer.alloc(paddingFor(pax.length)),
+    header
+  ]);
+}
+
+/**
+ * Decode one header block
+ * @param {Buffer} block - 512-byte block
+ * @returns {Object|null} `{ name, size, mode, mtime, type }`, or null for an end-of-archive block
+ * @throws {Error} If the block is not a valid header
+ */
+function decodeHeader(block) {
+  if (block.every(byte => byte === 0)) {
+    return null;
+  }
+
+  const readString = (offset, length) => {
+    const end = block.indexOf(0, offset);
+    return block.toString('utf8', offset, end === -1 || end > offset + length ? offset + length : end);
+  };
+  const readOctal = (offset, length) => parseInt(readString(offset, length).trim() || '0', 8);
+
+  let checksum = 0;
+  for (let index = 0; index < BLOCK_SIZE; index++) {
+    checksum += index >= 148 && index < 156 ? 32 : block[index];
+  }
+  if (checksum !== readOctal(148, 8)) {
+    throw new Error('Invalid tar header checksum');
+  }
+
+  const prefix = readString(257, 6) === 'ustar' ? readString(345, 155) : '';
+  const name = readString(0, 100);
+  return {
+    name: prefix ? `${prefix}/${name}` : name,
+    size: readOctal(124, 12),
+    mode: readOctal(100, 8),
+    mtime: readOctal(136, 12),
+    type: readString(156, 1) || TYPES.FILE
+  };
+}
+
+/**
+ * Decode the records of a PAX extended header
+ * @param {Buffer} data - Extended header data
+ * @returns {Object} `{ key: value }`
+ */
+function decodePax(data) {
+  const records = {};
+  let offset = 0;
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    const length = parseInt(data.toString('utf8', offset, space), 10);
+    if (space === -1 || !(length > 0)) {
+      break;
+    }
+    const record = data.toString('utf8', space + 1, offset + length - 1);
+    const separator = record.indexOf('=');
+    records[record.slice(0, separator)] = record.slice(separator + 1);
+    offset += length;
+  }
+  return records;
+}
+
+/**
+ * Bytes of zero padding that follow an entry's data
+ * @param {number} size - Entry size in bytes
+ * @returns {number} Padding up to the next block boundary
+ */
+function paddingFor(size) {
+  return (BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE;
+}
+
+// Two zero blocks mark the end of an archive
+const END_OF_ARCHIVE = Buffer.alloc(BLOCK_SIZE * 2);
+
+module.exports = {
+  BLOCK_SIZE,
+  ARCHIVE_FORMATS,
+  TYPES,
+  END_OF_ARCHIVE,
+  normalizeArchiveOptions,
+  encodeHeader,
+  decodeHeader,
+  decodePax,
+  paddingFor
+};